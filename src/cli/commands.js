@@ -0,0 +1,524 @@
+// src/cli/commands.js
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+
+const Bot = require('../core/Bot');
+const ConfigManager = require('../core/ConfigManager');
+const AccountsFile = require('../services/AccountsFile');
+const ProxyManager = require('../services/ProxyManager');
+const StateStore = require('../services/StateStore');
+const Vault = require('../services/Vault');
+const MockPlatform = require('../mock/MockPlatform');
+const MockServer = require('../mock/MockServer');
+const logger = require('../utils/logger');
+const { readPassphrase } = require('../utils/passphrase');
+const { setActiveBot } = require('./shutdown');
+
+/**
+ * Apply the logging section of the configuration to the shared logger
+ * @param {Object} config Loaded configuration
+ */
+function configureLogger(config) {
+  if (!config || !config.logging) return;
+
+  logger.options.logLevel = config.logging.level || 'info';
+  logger.options.enableFileLogging = config.logging.enable_file_logging || false;
+  logger.options.logFilePath = config.logging.log_file_path || './logs/magic-newton.log';
+
+  if (logger.options.enableFileLogging) {
+    // Create logger file transport if file logging is enabled
+    logger.setupFileLogging();
+  }
+}
+
+/**
+ * Initialize a bot for a one-shot command
+ * @param {Object} options Command line options
+ * @returns {Promise<Bot>} Initialized bot
+ * @throws {Error} If the bot fails to initialize
+ */
+async function initializeBot(options) {
+  const bot = new Bot(options);
+  setActiveBot(bot);
+
+  if (!(await bot.initialize())) {
+    throw new Error('Failed to initialize bot');
+  }
+  configureLogger(bot.config);
+
+  return bot;
+}
+
+/**
+ * Process every account once, ignoring the schedule
+ * @param {Array<string>} args Positional arguments
+ * @param {Object} options Command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function once(args, options) {
+  const bot = await initializeBot(options);
+  const { failureCount } = await bot.runOnce();
+  bot.printSummary();
+  return failureCount > 0 ? 1 : 0;
+}
+
+/**
+ * Process a single account
+ * @param {Array<string>} args Positional arguments [index|address|label]
+ * @param {Object} options Command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function account(args, options) {
+  const bot = await initializeBot(options);
+  const { failureCount } = await bot.runAccount(args[0]);
+  bot.printSummary();
+  return failureCount > 0 ? 1 : 0;
+}
+
+/**
+ * Format an ISO timestamp for the status table
+ * @param {string|null} value ISO timestamp
+ * @returns {string} Formatted time
+ */
+function formatTime(value) {
+  return value ? value.replace('T', ' ').replace(/\.\d+Z$/, 'Z') : '-';
+}
+
+/**
+ * Create the configuration manager with the file overrides of the command line
+ * @param {Object} options Command line options
+ * @returns {ConfigManager} Configuration manager
+ */
+function createConfigManager(options) {
+  return new ConfigManager(options.configPath, { overrides: ConfigManager.commandLineOverrides(options) });
+}
+
+/**
+ * Print the persisted account state
+ * @param {Array<string>} args Positional arguments
+ * @param {Object} options Command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function status(args, options) {
+  const configManager = createConfigManager(options);
+  const config = await configManager.load();
+  const stateStore = new StateStore(config.state.file);
+  await stateStore.load();
+
+  const accounts = stateStore.getAccounts();
+  if (accounts.length === 0) {
+    console.log(`No account state recorded in ${config.state.file}`);
+    return 0;
+  }
+
+  console.log(chalk.cyan(`Account state from ${config.state.file}, by credit balance`));
+
+  let totalBalance = 0;
+  let totalEarned = 0;
+
+  for (const state of sortByBalance(accounts)) {
+    const earned = Object.values(state.quests || {})
+      .reduce((total, quest) => total + (quest.totalCredits || 0), 0);
+    totalEarned += earned;
+
+    console.log('');
+    console.log(chalk.bold(state.address));
+    console.log(`  Last login:  ${formatTime(state.lastLoginAt)}`);
+    console.log(`  Last run:    ${formatTime(state.lastRunAt)} (${state.successCount} ok, ${state.failureCount} failed)`);
+    console.log(`  Next run:    ${formatTime(state.nextRunAt)}`);
+
+    if (state.balance) {
+      totalBalance += state.balance.credits;
+      const change = state.balance.delta !== null ? `, ${formatDelta(state.balance.delta)} in the last run` : '';
+      console.log(`  Balance:     ${state.balance.credits} credits${change} (${formatTime(state.balance.updatedAt)})`);
+    } else {
+      console.log('  Balance:     unknown');
+    }
+    console.log(`  Earned:      ${earned} credits from quests`);
+
+    for (const [questKey, quest] of Object.entries(state.quests || {})) {
+      console.log(`    ${questKey}: ${quest.totalCredits || 0} credits, ` +
+        `last completed ${formatTime(quest.lastCompletedAt)}, ${quest.completions} completions`);
+    }
+
+    if (state.lastError) {
+      console.log(chalk.red(`  Last error:  ${state.lastError.message} (${formatTime(state.lastError.at)})`));
+    }
+  }
+
+  console.log('');
+  console.log(chalk.cyan(`Total: ${totalBalance} credits across ${accounts.filter(state => state.balance).length} ` +
+    `of ${accounts.length} accounts, ${totalEarned} earned from quests`));
+
+  return 0;
+}
+
+/**
+ * Sort account states by credit balance, highest first; unknown balances go last
+ * @param {Array<Object>} accounts Account states
+ * @returns {Array<Object>} Sorted copy of the account states
+ */
+function sortByBalance(accounts) {
+  const balanceOf = state => (state.balance ? state.balance.credits : -Infinity);
+  return [...accounts].sort((a, b) => balanceOf(b) - balanceOf(a) || 0);
+}
+
+/**
+ * Format a balance change with its sign
+ * @param {number} delta Balance change
+ * @returns {string} Formatted change (e.g. +25)
+ */
+function formatDelta(delta) {
+  return `${delta >= 0 ? '+' : ''}${delta}`;
+}
+
+/**
+ * Read the non-comment lines of a text file with their line numbers
+ * @param {string} filePath Path to file
+ * @returns {Promise<Array<Object>|null>} Lines {line, value}, or null if the file is missing
+ */
+async function readLines(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    return null;
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  return content.split('\n')
+    .map((value, i) => ({ line: i + 1, value: value.trim() }))
+    .filter(entry => entry.value && !entry.value.startsWith('#'));
+}
+
+/**
+ * Check a plaintext private key file
+ *
+ * Private keys are never printed, only their line numbers.
+ * @param {string} keysPath Path to the key file
+ * @param {Array<string>} errors Collected errors
+ * @param {Array<string>} warnings Collected warnings
+ * @returns {Promise<void>}
+ */
+async function checkKeyFile(keysPath, errors, warnings) {
+  const keys = await readLines(keysPath);
+  if (keys === null) {
+    errors.push(`Private key file not found: ${keysPath}`);
+    return;
+  }
+  if (keys.length === 0) {
+    errors.push(`Private key file ${keysPath} contains no keys`);
+    return;
+  }
+
+  const addresses = new Map();
+
+  for (const { line, value } of keys) {
+    try {
+      const address = new ethers.Wallet(value).address;
+      if (addresses.has(address)) {
+        warnings.push(`${keysPath}:${line}: duplicate of the key on line ${addresses.get(address)}`);
+      } else {
+        addresses.set(address, line);
+      }
+    } catch (error) {
+      errors.push(`${keysPath}:${line}: invalid private key`);
+    }
+  }
+}
+
+/**
+ * Check that a keystore directory holds readable keystores, without decrypting them
+ * @param {string} dir Keystore directory
+ * @param {Array<string>} errors Collected errors
+ * @returns {Promise<void>}
+ */
+async function checkKeystores(dir, errors) {
+  if (!await fs.pathExists(dir)) {
+    errors.push(`Keystore directory not found: ${dir}`);
+    return;
+  }
+
+  const files = (await fs.readdir(dir)).filter(name => name.toLowerCase().endsWith('.json'));
+  if (files.length === 0) {
+    errors.push(`Keystore directory ${dir} contains no keystores`);
+  }
+
+  for (const file of files) {
+    try {
+      const keystore = await fs.readJson(path.join(dir, file));
+      if (!keystore.crypto && !keystore.Crypto) {
+        throw new Error('not a keystore');
+      }
+    } catch (error) {
+      errors.push(`${path.join(dir, file)}: invalid keystore`);
+    }
+  }
+}
+
+/**
+ * Check the seed phrases of the mnemonic source
+ *
+ * Seed phrases are never printed, only their line numbers.
+ * @param {Object} mnemonicConfig The wallet.mnemonic section
+ * @param {Array<string>} errors Collected errors
+ * @returns {Promise<void>}
+ */
+async function checkMnemonics(mnemonicConfig, errors) {
+  const phrases = await readLines(mnemonicConfig.file);
+  if (phrases === null) {
+    errors.push(`Mnemonic file not found: ${mnemonicConfig.file}`);
+  } else if (phrases.length === 0) {
+    errors.push(`Mnemonic file ${mnemonicConfig.file} contains no seed phrases`);
+  } else {
+    for (const { line, value } of phrases) {
+      if (!ethers.utils.isValidMnemonic(value)) {
+        errors.push(`${mnemonicConfig.file}:${line}: invalid seed phrase`);
+      }
+    }
+  }
+}
+
+/**
+ * Check the entries and pinned proxies of the accounts file
+ *
+ * Key references are only matched to keys when the bot starts, since that may need a passphrase.
+ * @param {string} filePath Accounts file
+ * @param {Array<string>} errors Collected errors
+ * @returns {Promise<void>}
+ */
+async function checkAccountsFile(filePath, errors) {
+  let entries;
+  try {
+    entries = await new AccountsFile(filePath).load();
+  } catch (error) {
+    errors.push(error.message);
+    return;
+  }
+
+  for (const entry of entries) {
+    if (entry.proxy && !ProxyManager.isValidProxy(entry.proxy)) {
+      errors.push(`${filePath}: account "${entry.label || entry.key}" has an invalid proxy, expected user:pass@host:port or host:port`);
+    }
+  }
+}
+
+/**
+ * Check configuration, private keys and proxies without making network calls
+ *
+ * Unlike a normal start, missing files are reported instead of created.
+ * @param {Object} options Command line options
+ * @returns {Promise<Object>} Findings {errors, warnings}
+ */
+async function collectProblems(options) {
+  const errors = [];
+  const warnings = [];
+  const configManager = createConfigManager(options);
+
+  if (!await fs.pathExists(configManager.configPath)) {
+    errors.push(`Config file not found: ${configManager.configPath}`);
+    return { errors, warnings };
+  }
+
+  let config;
+  try {
+    config = await configManager.load();
+  } catch (error) {
+    // Every schema problem is reported on its own line
+    for (const issue of error.issues || [{ message: error.message }]) {
+      errors.push(ConfigManager.ConfigError.formatIssue(configManager.configPath, issue));
+    }
+    return { errors, warnings };
+  }
+
+  if (!config.captcha.api_key) {
+    errors.push('captcha.api_key is not set');
+  }
+
+  const source = config.wallet.source || 'file';
+  if (source === 'file') {
+    await checkKeyFile(config.wallet.private_key_file, errors, warnings);
+  } else if (source === 'keystore') {
+    await checkKeystores(config.wallet.keystore_dir, errors);
+  } else if (source === 'mnemonic') {
+    await checkMnemonics(config.wallet.mnemonic, errors);
+  } else if (source === 'vault') {
+    // The vault can't be checked without its passphrase
+    if (!await fs.pathExists(config.wallet.vault_file)) {
+      errors.push(`Vault file not found: ${config.wallet.vault_file}`);
+    }
+  }
+
+  if (config.accounts.file) {
+    await checkAccountsFile(config.accounts.file, errors);
+  }
+
+  if (config.proxy.enabled) {
+    const proxiesPath = config.proxy.file;
+    const proxies = await readLines(proxiesPath);
+
+    if (proxies === null || proxies.length === 0) {
+      warnings.push(`Proxy is enabled but ${proxiesPath} has no proxies; accounts will connect directly`);
+    } else {
+      for (const { line, value } of proxies) {
+        if (!ProxyManager.isValidProxy(value)) {
+          errors.push(`${proxiesPath}:${line}: invalid proxy, expected user:pass@host:port or host:port`);
+        }
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate configuration, private keys and proxies
+ * @param {Array<string>} args Positional arguments
+ * @param {Object} options Command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function validate(args, options) {
+  const { errors, warnings } = await collectProblems(options);
+
+  for (const warning of warnings) {
+    console.log(chalk.yellow(`warning: ${warning}`));
+  }
+  for (const error of errors) {
+    console.log(chalk.red(`error: ${error}`));
+  }
+
+  if (errors.length > 0) {
+    console.log(chalk.red(`Validation failed with ${errors.length} error(s)`));
+    return 1;
+  }
+
+  console.log(chalk.green('Configuration is valid'));
+  return 0;
+}
+
+/**
+ * Import the plaintext private key file into the encrypted vault
+ *
+ * Keys already in the vault are kept; the key file itself is left for the user to delete.
+ * @param {Array<string>} args Positional arguments
+ * @param {Object} options Command line options
+ * @param {Function} options.getPassphrase Returns the vault passphrase (defaults to the env var or a prompt)
+ * @returns {Promise<number>} Exit code
+ */
+async function importKeys(args, options) {
+  const configManager = createConfigManager(options);
+  const config = await configManager.load();
+  const keysPath = config.wallet.private_key_file;
+  const vault = new Vault(config.wallet.vault_file);
+
+  const lines = await readLines(keysPath);
+  if (lines === null || lines.length === 0) {
+    console.log(chalk.red(`No private keys to import in ${keysPath}`));
+    return 1;
+  }
+
+  const imported = [];
+  for (const { line, value } of lines) {
+    try {
+      imported.push(new ethers.Wallet(value));
+    } catch (error) {
+      console.log(chalk.red(`${keysPath}:${line}: invalid private key, nothing imported`));
+      return 1;
+    }
+  }
+
+  const exists = await vault.exists();
+  const getPassphrase = options.getPassphrase || (() => readPassphrase({
+    envVar: config.wallet.passphrase_env,
+    prompt: 'Vault passphrase: ',
+    confirm: !exists
+  }));
+  const passphrase = await getPassphrase();
+
+  const keys = exists ? await vault.load(passphrase) : [];
+  const addresses = new Set(keys.map(key => new ethers.Wallet(key).address));
+  let added = 0;
+
+  for (const wallet of imported) {
+    if (!addresses.has(wallet.address)) {
+      addresses.add(wallet.address);
+      keys.push(wallet.privateKey);
+      added++;
+    }
+  }
+
+  await vault.save(keys, passphrase);
+
+  console.log(chalk.green(`Imported ${added} new key(s) into ${vault.filePath} (${keys.length} in total)`));
+  console.log(`Set wallet.source to "vault" in the configuration, then delete ${keysPath}`);
+  return 0;
+}
+
+/**
+ * Port of the mock server unless --port is given
+ */
+const MOCK_SERVER_PORT = 3000;
+
+/**
+ * Wait until the process receives SIGINT or SIGTERM
+ * @returns {Promise<string>} Name of the received signal
+ */
+function waitForSignal() {
+  return new Promise(resolve => {
+    const stop = signal => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      resolve(signal);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+/**
+ * Run the local mock of the platform API until the process is stopped
+ * @param {Array<string>} args Positional arguments
+ * @param {Object} options Command line options
+ * @param {string} options.port Port to listen on
+ * @param {string} options.failures Failure rules, see MockPlatform.parseFailures
+ * @param {Function} options.untilStopped Called with the server URL, resolves when the server should stop (defaults to waiting for a signal)
+ * @returns {Promise<number>} Exit code
+ */
+async function mockServer(args, options) {
+  const port = options.port !== undefined ? Number(options.port) : MOCK_SERVER_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+
+  const failures = options.failures ? MockPlatform.parseFailures(options.failures) : [];
+  const server = new MockServer({ failures });
+  const url = await server.start(port);
+
+  console.log(chalk.cyan(`Mock platform listening on ${url}`));
+  for (const failure of server.platform.failures) {
+    const share = failure.rate < 1 ? `${Math.round(failure.rate * 100)}% of ` : '';
+    const count = failure.times !== null ? ` (${failure.times} times)` : '';
+    console.log(`  Failing ${share}${failure.method || 'all'} requests to ${failure.path} with ${failure.failure}${count}`);
+  }
+  console.log('Run the bot against it with:');
+  console.log(`  NEWTON_API_BASE_URL=${url} NEWTON_CAPTCHA_API_URL=${url} NEWTON_CAPTCHA_API_KEY=mock NEWTON_PROXY_ENABLED=false npm run once`);
+
+  try {
+    await (options.untilStopped || waitForSignal)(url);
+  } finally {
+    await server.stop();
+  }
+
+  console.log('Mock platform stopped');
+  return 0;
+}
+
+module.exports = {
+  configureLogger,
+  collectProblems,
+  once,
+  account,
+  status,
+  validate,
+  'import-keys': importKeys,
+  'mock-server': mockServer
+};
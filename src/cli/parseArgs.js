@@ -0,0 +1,99 @@
+// src/cli/parseArgs.js
+
+/**
+ * Subcommands and the number of positional arguments they take
+ */
+const COMMANDS = {
+  run: 0,
+  once: 0,
+  account: 1,
+  status: 0,
+  validate: 0,
+  'import-keys': 0,
+  'mock-server': 0
+};
+
+/**
+ * Options that take a value, mapped to their property name
+ */
+const VALUE_OPTIONS = {
+  '--config': 'configPath',
+  '--keys': 'keysPath',
+  '--proxies': 'proxiesPath',
+  '--port': 'port',
+  '--fail': 'failures'
+};
+
+/**
+ * Usage text printed by --help and on argument errors
+ */
+const USAGE = `Usage: node src/index.js [command] [options]
+
+Commands:
+  run                        Process accounts on their daily schedule (default)
+  once                       Process every account once, then exit
+  account <account>          Process one account (number, address or label), then exit
+  status                     Print the persisted account state
+  validate                   Check config, keys and proxies without network calls
+  import-keys                Import the private key file into the encrypted vault
+  mock-server                Run a local mock of the platform API for offline testing
+
+Options:
+  --config <path>            Configuration file (default: ./config.yaml)
+  --keys <path>              Private key file (overrides wallet.private_key_file)
+  --proxies <path>           Proxy file (overrides proxy.file)
+  --port <port>              Port of the mock server (default: 3000)
+  --fail <rules>             Failures the mock server injects, e.g. /api/quests:429:2,POST /api/userQuests:timeout:20%
+  -h, --help                 Show this help`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv Arguments without the node binary and script path
+ * @returns {Object} Parsed arguments {command, args, options}
+ * @throws {Error} On unknown commands or options and missing values
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = { help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.split(/=(.*)/s);
+      const key = VALUE_OPTIONS[name];
+
+      if (!key) {
+        throw new Error(`Unknown option: ${name}`);
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`Option ${name} requires a value`);
+      }
+      options[key] = value;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const command = positional.length > 0 ? positional.shift() : 'run';
+
+  if (!(command in COMMANDS)) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  if (positional.length !== COMMANDS[command]) {
+    throw new Error(`Command ${command} expects ${COMMANDS[command]} argument(s), got ${positional.length}`);
+  }
+
+  return { command, args: positional, options };
+}
+
+module.exports = {
+  COMMANDS,
+  USAGE,
+  parseArgs
+};
@@ -0,0 +1,93 @@
+// src/cli/shutdown.js
+const logger = require('../utils/logger');
+
+/**
+ * Exit codes used when running accounts are abandoned (128 + signal number)
+ */
+const SIGNAL_EXIT_CODES = {
+  SIGINT: 130,
+  SIGTERM: 143
+};
+
+// Bot of the current command, if any
+let activeBot = null;
+
+// Set once the first signal is received
+let shuttingDown = false;
+
+/**
+ * Register the bot that a shutdown should stop
+ * @param {Bot|null} bot Bot instance
+ */
+function setActiveBot(bot) {
+  activeBot = bot;
+}
+
+/**
+ * Check whether a shutdown is in progress
+ * @returns {boolean} Whether the process is shutting down
+ */
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Stop the active bot and exit
+ *
+ * Exits with 0 if every processed account succeeded, 1 if some failed, and
+ * 128 + the signal number if running accounts had to be abandoned, either
+ * because they did not finish in time or because the signal was sent twice.
+ * @param {string} signal Signal name
+ * @param {Function} exit Exit function (defaults to process.exit)
+ * @returns {Promise<void>}
+ */
+async function shutdown(signal, exit = process.exit) {
+  const abandonedCode = SIGNAL_EXIT_CODES[signal] || 1;
+
+  if (shuttingDown) {
+    logger.warn(`Received ${signal} again, exiting without waiting for running accounts`);
+    await logger.close();
+    exit(abandonedCode);
+    return;
+  }
+
+  shuttingDown = true;
+  logger.info(`Received ${signal}, finishing running accounts before exiting (send ${signal} again to exit now)`);
+
+  let code = 0;
+  try {
+    if (activeBot) {
+      const summary = await activeBot.shutdown();
+      if (summary.timedOut) {
+        code = abandonedCode;
+      } else if (summary.failureCount > 0) {
+        code = 1;
+      }
+    }
+  } catch (error) {
+    logger.error(`Error during shutdown: ${error.message}`, error);
+    code = 1;
+  }
+
+  await logger.close();
+  exit(code);
+}
+
+/**
+ * Handle SIGINT and SIGTERM with a graceful shutdown
+ */
+function installSignalHandlers() {
+  for (const signal of Object.keys(SIGNAL_EXIT_CODES)) {
+    process.on(signal, () => {
+      shutdown(signal);
+    });
+  }
+}
+
+module.exports = {
+  SIGNAL_EXIT_CODES,
+  setActiveBot,
+  isShuttingDown,
+  shutdown,
+  installSignalHandlers
+};
@@ -3,8 +3,11 @@ const WalletService = require('../services/WalletService');
 const ApiClient = require('../services/ApiClient');
 const AuthService = require('../services/AuthService');
 const QuestService = require('../services/QuestService');
+const CookieJar = require('../services/CookieJar');
+const AccountsFile = require('../services/AccountsFile');
 const logger = require('../utils/logger');
-const { withTimeout, sleep } = require('../utils/helpers');
+const { withAbortTimeout } = require('../utils/helpers');
+const { systemClock } = require('../utils/clock');
 
 /**
  * Handles the execution of a single account
@@ -14,27 +17,58 @@ class AccountRunner {
    * Create a new AccountRunner
    * @param {Object} options Configuration options
    * @param {number} options.accountIndex Account index number
+   * @param {string} options.label Name used in logs (defaults to "Account N")
    * @param {string} options.privateKey Private key for the account
    * @param {string} options.proxy Proxy string if using proxies
    * @param {Object} options.config Global configuration object
+   * @param {Object} options.overrides Per-account overrides from the accounts file (optional)
+   * @param {StateStore} options.stateStore Persistent account state (optional)
+   * @param {SessionStore} options.sessionStore Saved session cookies (optional)
+   * @param {Object} options.clock Clock for waits and timeouts, passed to every service (defaults to the system clock)
    */
   constructor(options) {
     this.accountIndex = options.accountIndex;
     this.privateKey = options.privateKey;
     this.proxy = options.proxy;
-    this.config = options.config;
-    this.logPrefix = `[Account ${this.accountIndex}] `;
+    this.label = options.label || `Account ${options.accountIndex}`;
+    this.config = AccountsFile.applyOverrides(options.config, options.overrides);
+    this.stateStore = options.stateStore || null;
+    this.sessionStore = options.sessionStore || null;
+    this.clock = options.clock || systemClock;
+    this.logPrefix = `[${this.label}] `;
     
     // The maximum time allowed for account processing (3 minutes)
     this.ACCOUNT_TIMEOUT = 180000;
+    
+    // Stage timeouts; work still running when one expires is cancelled
+    this.SESSION_CHECK_TIMEOUT = 15000;
+    this.AUTH_TIMEOUT = 60000;
+    this.USER_INFO_TIMEOUT = 15000;
+    this.QUESTS_TIMEOUT = 90000;
   }
 
   /**
-   * Run the account processing
+   * Run the account processing and persist its outcome
    * @returns {Promise<Object>} Processing result
    */
   async run() {
-    const startTime = Date.now();
+    const result = await this._process();
+    
+    if (this.stateStore && result.wallet) {
+      this.stateStore.recordRun(result.wallet, result.error || null, new Date(this.clock.now()));
+      await this.stateStore.save();
+    }
+    
+    return result;
+  }
+
+  /**
+   * Process the account: create wallet, authenticate and complete quests
+   * @returns {Promise<Object>} Processing result
+   * @private
+   */
+  async _process() {
+    const startTime = this.clock.now();
     let wallet = null;
     
     logger.info(`${this.logPrefix}Processing account`);
@@ -42,7 +76,7 @@ class AccountRunner {
     try {
       // Create wallet from private key (minimal logging)
       try {
-        wallet = WalletService.createWallet(this.privateKey, { accountIndex: this.accountIndex });
+        wallet = WalletService.createWallet(this.privateKey, { accountIndex: this.accountIndex, label: this.label });
       } catch (error) {
         logger.error(`${this.logPrefix}Failed to create wallet: ${error.message}`);
         return {
@@ -51,12 +85,24 @@ class AccountRunner {
         };
       }
       
-      // Create API client
+      if (this.stateStore) {
+        const state = this.stateStore.getAccount(wallet.address);
+        if (state.lastLoginAt) {
+          logger.debug(`${this.logPrefix}Last successful login: ${state.lastLoginAt}`);
+        }
+      }
+      
+      // Create API client with the saved session cookies
+      const cookieJar = this.sessionStore ? await this.sessionStore.load(wallet.address) : new CookieJar();
       const api = new ApiClient({
+        baseUrl: this.config.api?.base_url,
         userAgent: this.config.bot.user_agent,
         proxy: this.proxy,
         accountIndex: this.accountIndex,
-        retries: this.config.bot.retries
+        label: this.label,
+        retries: this.config.bot.retries,
+        cookieJar,
+        clock: this.clock
       });
       
       // Check for timeout
@@ -68,61 +114,91 @@ class AccountRunner {
         };
       }
       
-      // Authenticate
-      const auth = new AuthService(api, this.config, { accountIndex: this.accountIndex });
-      let session;
+      // Skip login while the saved session is still valid
+      const sessionReused = cookieJar.size > 0 && await this._hasValidSession(api, wallet);
       
-      try {
-        const authPromise = auth.authenticate(wallet);
-        session = await withTimeout(
-          authPromise,
-          60000, // 60 seconds timeout
-          `Authentication timed out for account ${this.accountIndex}`
-        );
+      if (sessionReused) {
+        logger.info(`${this.logPrefix}Saved session is still valid, skipping login`);
+      } else {
+        cookieJar.clear();
+        
+        // Authenticate
+        const auth = new AuthService(api, this.config, { accountIndex: this.accountIndex, label: this.label, clock: this.clock });
+        let authResult;
+        
+        try {
+          authResult = await withAbortTimeout(
+            signal => auth.authenticate(wallet, { signal }),
+            this.AUTH_TIMEOUT,
+            `Authentication timed out for ${this.label}`,
+            null,
+            this.clock
+          );
+        } catch (authError) {
+          // authenticate() reports its own failures in the result, so this is the timeout
+          authResult = { success: false, reason: AuthService.AUTH_FAILURE.TIMEOUT, message: authError.message };
+        }
+        
+        // Never run quests without a confirmed session
+        if (!authResult.success) {
+          logger.error(`${this.logPrefix}Authentication failed (${authResult.reason}): ${authResult.message}`);
+          
+          // Forget the expired session so the next run logs in straight away
+          cookieJar.clear();
+          await this._saveSession(wallet, cookieJar);
+          
+          return {
+            wallet: wallet.address,
+            error: `Authentication failed: ${authResult.message}`,
+            authFailure: authResult.reason,
+            completedQuests: []
+          };
+        }
+        
+        if (this.stateStore) {
+          this.stateStore.recordLogin(wallet.address, new Date(this.clock.now()));
+        }
+        
+        await this._saveSession(wallet, cookieJar);
         
         // Wait after authentication
-        await sleep(2000);
-      } catch (authError) {
-        logger.error(`${this.logPrefix}Authentication failed: ${authError.message}`);
-        return {
-          wallet: wallet.address,
-          error: `Authentication failed: ${authError.message}`,
-          completedQuests: []
-        };
+        await this.clock.sleep(2000);
       }
       
       // Initialize result object
       const result = {
         wallet: wallet.address,
+        sessionReused,
         completedQuests: []
       };
       
-      // Get user info but don't log sensitive details
-      try {
-        await withTimeout(api.getUserInfo(), 15000, 'User info retrieval timed out');
-        // No additional logging here
-      } catch (userInfoError) {
-        logger.debug(`${this.logPrefix}Error getting user info: ${userInfoError.message}`);
-      }
+      // Credit balance before the quests
+      result.balanceBefore = await this._getBalance(api);
       
       // Check for timeout
       if (this._isTimeoutApproaching(startTime)) {
         return {
-          wallet: wallet.address,
-          error: 'Processing timeout before quests',
-          completedQuests: []
+          ...result,
+          error: 'Processing timeout before quests'
         };
       }
       
       // Complete quests
+      const questService = new QuestService(api, this.config, {
+        accountIndex: this.accountIndex,
+        label: this.label,
+        address: wallet.address,
+        stateStore: this.stateStore,
+        clock: this.clock
+      });
+      
       try {
-        const questService = new QuestService(api, this.config, { accountIndex: this.accountIndex });
-        
-        const questsPromise = questService.completeQuests();
-        const completedQuests = await withTimeout(
-          questsPromise,
-          90000, // 90 seconds timeout
-          `Quest completion timed out for account ${this.accountIndex}`
+        const completedQuests = await withAbortTimeout(
+          signal => questService.completeQuests({ signal }),
+          this.QUESTS_TIMEOUT,
+          `Quest completion timed out for ${this.label}`,
+          null,
+          this.clock
         );
         
         result.completedQuests = completedQuests || [];
@@ -138,6 +214,19 @@ class AccountRunner {
         result.questError = questError.message;
       }
       
+      // Outcome of each quest, including those cut short by a timeout
+      result.quests = questService.outcomes;
+      
+      // Credit balance after the quests
+      result.balanceAfter = this._isTimeoutApproaching(startTime) ? null : await this._getBalance(api);
+      this._logBalance(result);
+      if (this.stateStore) {
+        this.stateStore.recordBalance(wallet.address, result.balanceBefore, result.balanceAfter, new Date(this.clock.now()));
+      }
+      
+      // The platform may have refreshed the session cookies
+      await this._saveSession(wallet, cookieJar);
+      
       return result;
     } catch (error) {
       logger.error(`${this.logPrefix}Account processing error: ${error.message}`);
@@ -148,11 +237,93 @@ class AccountRunner {
         completedQuests: []
       };
     } finally {
-      const totalTime = (Date.now() - startTime) / 1000;
+      const totalTime = (this.clock.now() - startTime) / 1000;
       logger.info(`${this.logPrefix}Finished (took ${totalTime.toFixed(1)}s)`);
     }
   }
 
+  /**
+   * Check whether the restored cookies still hold a session for the wallet
+   * @param {ApiClient} api API client using the restored cookies
+   * @param {Object} wallet Wallet
+   * @returns {Promise<boolean>} Whether login can be skipped
+   * @private
+   */
+  async _hasValidSession(api, wallet) {
+    try {
+      const session = await withAbortTimeout(
+        signal => api.getSession({ signal }),
+        this.SESSION_CHECK_TIMEOUT,
+        'Session check timed out',
+        null,
+        this.clock
+      );
+      const user = session && session.user;
+      
+      if (!user) {
+        logger.debug(`${this.logPrefix}Saved session has expired`);
+        return false;
+      }
+      
+      // A session belonging to another wallet is never reused
+      return !user.address || user.address.toLowerCase() === wallet.address.toLowerCase();
+    } catch (error) {
+      logger.debug(`${this.logPrefix}Could not check saved session: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get the credit balance of the account
+   * @param {ApiClient} api Authenticated API client
+   * @returns {Promise<number|null>} Credit balance, or null if it couldn't be read
+   * @private
+   */
+  async _getBalance(api) {
+    try {
+      const userInfo = await withAbortTimeout(
+        signal => api.getUserInfo({ signal }),
+        this.USER_INFO_TIMEOUT,
+        'User info retrieval timed out',
+        null,
+        this.clock
+      );
+      // Only the balance is kept; the rest of the user data is not logged
+      return ApiClient.getCredits(userInfo);
+    } catch (error) {
+      logger.debug(`${this.logPrefix}Error getting user info: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Log the balance change of a run
+   * @param {Object} result Processing result {balanceBefore, balanceAfter}
+   * @private
+   */
+  _logBalance({ balanceBefore, balanceAfter }) {
+    if (balanceBefore === null || balanceAfter === null) {
+      logger.debug(`${this.logPrefix}Credit balance unavailable`);
+      return;
+    }
+    
+    const delta = balanceAfter - balanceBefore;
+    logger.info(`${this.logPrefix}Credits: ${balanceBefore} -> ${balanceAfter} (${delta >= 0 ? '+' : ''}${delta})`);
+  }
+
+  /**
+   * Persist the session cookies of the account
+   * @param {Object} wallet Wallet
+   * @param {CookieJar} cookieJar Cookie jar
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveSession(wallet, cookieJar) {
+    if (this.sessionStore) {
+      await this.sessionStore.save(wallet.address, cookieJar);
+    }
+  }
+
   /**
    * Check if we're approaching the timeout limit
    * @param {number} startTime Processing start time
@@ -161,7 +332,7 @@ class AccountRunner {
    */
   _isTimeoutApproaching(startTime) {
     // Check if we have less than 30 seconds remaining
-    return Date.now() - startTime > this.ACCOUNT_TIMEOUT - 30000;
+    return this.clock.now() - startTime > this.ACCOUNT_TIMEOUT - 30000;
   }
 }
 
@@ -1,12 +1,44 @@
 // src/core/Bot.js
+const { isDeepStrictEqual } = require('util');
 const figlet = require('figlet');
 const chalk = require('chalk');
+const { ethers } = require('ethers');
 
 const ConfigManager = require('./ConfigManager');
 const AccountRunner = require('./AccountRunner');
+const Scheduler = require('./Scheduler');
 const ProxyManager = require('../services/ProxyManager');
+const StateStore = require('../services/StateStore');
+const SessionStore = require('../services/SessionStore');
+const KeyLoader = require('../services/KeyLoader');
+const AccountsFile = require('../services/AccountsFile');
+const WalletService = require('../services/WalletService');
+const FileWatcher = require('../services/FileWatcher');
+const RunReporter = require('../services/RunReporter');
 const logger = require('../utils/logger');
-const { sleep } = require('../utils/helpers');
+const { withTimeout } = require('../utils/helpers');
+const { diffConfig } = require('./configSchema');
+const { systemClock } = require('../utils/clock');
+
+/**
+ * Hard cap on the number of accounts processed at the same time
+ */
+const MAX_CONCURRENCY = 10;
+
+/**
+ * How long shutdown waits for running accounts, matching the AccountRunner timeout
+ */
+const SHUTDOWN_TIMEOUT = 180000;
+
+/**
+ * Key sources that need a passphrase; their keys are only read at startup
+ */
+const PASSPHRASE_SOURCES = ['keystore', 'vault'];
+
+/**
+ * Sections that are only read at startup
+ */
+const RESTART_SECTIONS = ['logging', 'state', 'session'];
 
 /**
  * Main Bot controller class that manages the overall execution flow
@@ -14,15 +46,51 @@ const { sleep } = require('../utils/helpers');
 class Bot {
   /**
    * Create a new Bot instance
+   * @param {Object} options Bot options
+   * @param {Object} options.clock Clock used for scheduling, waits and timeouts, down to every request (defaults to the system clock)
+   * @param {string} options.configPath Path to the configuration file
+   * @param {string} options.keysPath Private key file, overrides wallet.private_key_file
+   * @param {string} options.proxiesPath Proxy file, overrides proxy.file
+   * @param {Function} options.getPassphrase Returns the key passphrase (defaults to the env var or a prompt)
    */
-  constructor() {
-    this.configManager = new ConfigManager();
+  constructor(options = {}) {
+    this.options = options;
+    this.configManager = new ConfigManager(options.configPath, {
+      overrides: ConfigManager.commandLineOverrides(options)
+    });
+    this.clock = options.clock || systemClock;
     this.proxyManager = null;
+    this.stateStore = null;
+    this.sessionStore = null;
+    this.scheduler = null;
     this.config = null;
     this.privateKeys = [];
+    this.configError = null;
+    this.initialized = false;
+    this.accountEntries = null;
+    this.proxies = [];
+    this.fileWatcher = null;
+    this.reloading = null;
+    this.reporter = null;
+    this.accounts = [];
     this.isRunning = false;
     this.successCount = 0;
     this.failureCount = 0;
+    this.keepaliveTimer = null;
+    this.activeAccounts = new Set();
+    this.summary = {
+      startedAt: this.clock.now(),
+      processed: 0,
+      successCount: 0,
+      failureCount: 0,
+      // Failed logins by reason (see AuthService.AUTH_FAILURE)
+      authFailures: {}
+    };
+    
+    // Resolved by stop() to cut short any wait in progress
+    this.stopRequested = new Promise(resolve => {
+      this._resolveStop = resolve;
+    });
   }
 
   /**
@@ -53,47 +121,294 @@ class Bot {
    * Initialize the bot
    */
   async initialize() {
+    this.configError = null;
+    
     try {
-      // Load configuration
+      // Load configuration (file overrides from the command line are applied last)
       this.config = await this.configManager.load();
       
-      // Load proxies if enabled
+      // Load persisted account state
+      this.stateStore = new StateStore(this.config.state.file);
+      await this.stateStore.load();
+      
+      // Saved login sessions let accounts skip authentication
+      if (this.config.session.enabled) {
+        this.sessionStore = new SessionStore(this.config.session.dir, this.config.session.secret);
+        await this.sessionStore.init();
+      }
+      
+      // Load proxies, private keys and the accounts file
+      const sources = await this._loadSources(this.config);
+      this._useSources(this.config, sources);
       if (this.config.proxy.enabled) {
-        const proxies = await this.configManager.loadTextFile(
-          this.config.proxy.file,
-          'Proxy'
-        );
-        this.proxyManager = new ProxyManager(proxies, this.config.proxy);
-        logger.info(`Loaded ${proxies.length} proxies`);
-      } else {
-        this.proxyManager = new ProxyManager([], this.config.proxy);
+        logger.info(`Loaded ${sources.proxies.length} proxies`);
       }
+      logger.info(`Loaded ${sources.privateKeys.length} private keys`);
+      if (sources.accountEntries) {
+        logger.info(`Loaded ${sources.accountEntries.length} accounts from ${this.config.accounts.file}`);
+      }
+      
+      this.buildSchedule();
       
-      // Load private keys
-      this.privateKeys = await this.configManager.loadTextFile(
-        this.config.wallet.private_key_file,
-        'Private key'
-      );
-      logger.info(`Loaded ${this.privateKeys.length} private keys`);
+      // Changes to these files are applied between accounts
+      this.fileWatcher = new FileWatcher();
+      await this.fileWatcher.watch(this._getWatchedFiles(this.config));
       
+      this.initialized = true;
       return true;
     } catch (error) {
-      logger.error(`Bot initialization error: ${error.message}`, error);
+      if (error instanceof ConfigManager.ConfigError) {
+        // Never run on a configuration other than the one the user wrote
+        this.configError = error;
+        logger.error(error.message);
+      } else {
+        logger.error(`Bot initialization error: ${error.message}`, error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Read the proxies, private keys and accounts file named by a configuration
+   * @param {Object} config Configuration
+   * @param {Object} current Sources in use; keys of passphrase-protected sources are kept from them (optional)
+   * @returns {Promise<Object>} Sources {proxies, privateKeys, accountEntries}
+   * @private
+   */
+  async _loadSources(config, current = null) {
+    const proxies = config.proxy.enabled
+      ? await this.configManager.loadTextFile(config.proxy.file, 'Proxy')
+      : [];
+    
+    // Asking for the passphrase again in the middle of a run isn't an option
+    const privateKeys = current && PASSPHRASE_SOURCES.includes(config.wallet.source)
+      ? current.privateKeys
+      : await new KeyLoader(config.wallet, {
+        configManager: this.configManager,
+        getPassphrase: this.options.getPassphrase
+      }).load();
+    
+    // Labels, pinned proxies and overrides from the accounts file
+    let accountEntries = null;
+    if (config.accounts.file) {
+      const entries = await new AccountsFile(config.accounts.file).load();
+      const { accounts, unlisted } = AccountsFile.resolve(entries, privateKeys);
+      accountEntries = accounts;
+      
+      if (unlisted > 0) {
+        logger.warn(`${unlisted} private keys are not listed in ${config.accounts.file} and will not run`);
+      }
+    }
+    
+    return { proxies, privateKeys, accountEntries };
+  }
+
+  /**
+   * Check changed sources before switching to them
+   * @param {Object} config New configuration
+   * @param {Object} sources New sources from _loadSources()
+   * @throws {Error} If there are no keys, or a key, proxy or pinned proxy is invalid (values are never echoed)
+   * @private
+   */
+  _checkSources(config, sources) {
+    if (sources.privateKeys.length === 0) {
+      throw new Error('No private keys loaded');
+    }
+    
+    sources.privateKeys.forEach((privateKey, i) => {
+      try {
+        ethers.utils.computeAddress(privateKey);
+      } catch (error) {
+        throw new Error(`Private key ${i + 1} is invalid`);
+      }
+    });
+    
+    sources.proxies.forEach((proxy, i) => {
+      if (!ProxyManager.isValidProxy(proxy)) {
+        throw new Error(`Proxy ${i + 1} in ${config.proxy.file} is invalid, expected user:pass@host:port or host:port`);
+      }
+    });
+    
+    (sources.accountEntries || []).forEach((account, i) => {
+      if (account.proxy && !ProxyManager.isValidProxy(account.proxy)) {
+        throw new Error(`Account ${i + 1} in ${config.accounts.file} has an invalid pinned proxy, expected user:pass@host:port or host:port`);
+      }
+    });
+  }
+
+  /**
+   * Switch to a configuration and its sources
+   *
+   * The proxy manager is kept while the proxies and proxy settings are
+   * unchanged; a new one takes over the proxies of running accounts that are
+   * still in the list.
+   * @param {Object} config Configuration
+   * @param {Object} sources Sources from _loadSources()
+   * @private
+   */
+  _useSources(config, { proxies, privateKeys, accountEntries }) {
+    const previousManager = this.proxyManager;
+    const proxiesChanged = !previousManager ||
+      !isDeepStrictEqual(proxies, this.proxies) ||
+      !isDeepStrictEqual(config.proxy, this.config.proxy);
+    
+    this.config = config;
+    this.proxies = proxies;
+    if (proxiesChanged) {
+      this.proxyManager = new ProxyManager(proxies, config.proxy);
+      if (previousManager) {
+        this.proxyManager.adoptAssignments(previousManager);
+      }
+    }
+    this.privateKeys = privateKeys;
+    this.accountEntries = accountEntries;
+    this.reporter = config.reports.enabled ? new RunReporter(config.reports) : null;
+  }
+
+  /**
+   * Files whose changes are applied while the bot runs
+   * @param {Object} config Configuration
+   * @returns {Array<string>} Configuration file, key file, proxy file and accounts file
+   * @private
+   */
+  _getWatchedFiles(config) {
+    const keyFiles = {
+      file: config.wallet.private_key_file,
+      mnemonic: config.wallet.mnemonic.file
+    };
+    
+    return [
+      this.configManager.configPath,
+      keyFiles[config.wallet.source],
+      config.proxy.enabled ? config.proxy.file : null,
+      config.accounts.file
+    ];
+  }
+
+  /**
+   * Apply changes made to the configuration, key, proxy and accounts files
+   *
+   * Called before each cycle and each account, so accounts already running
+   * keep the configuration they started with. Invalid changes are rejected and
+   * the last good configuration stays in use.
+   * @returns {Promise<boolean>} Whether changes were applied
+   */
+  reloadIfChanged() {
+    if (!this.fileWatcher) {
+      return Promise.resolve(false);
+    }
+    
+    // Concurrent workers share a single reload
+    if (!this.reloading) {
+      this.reloading = this._reload().finally(() => {
+        this.reloading = null;
+      });
+    }
+    return this.reloading;
+  }
+
+  /**
+   * Reload the watched files if any of them changed
+   * @returns {Promise<boolean>} Whether changes were applied
+   * @private
+   */
+  async _reload() {
+    const changed = await this.fileWatcher.poll();
+    if (changed.length === 0) {
+      return false;
+    }
+    
+    logger.info(`Detected changes to ${changed.join(', ')}`);
+    
+    let config;
+    let sources;
+    try {
+      config = await this.configManager.read();
+      sources = await this._loadSources(config, { privateKeys: this.privateKeys });
+      this._checkSources(config, sources);
+    } catch (error) {
+      // The files are checked again once they change
+      logger.error(`Rejected the changes, keeping the last good configuration: ${error.message}`);
       return false;
     }
+    
+    const previous = { config: this.config, proxies: this.proxies, accounts: this.accounts };
+    
+    this._useSources(config, sources);
+    this.configManager.config = config;
+    this.buildSchedule();
+    await this.fileWatcher.watch(this._getWatchedFiles(config));
+    
+    this._logChanges(previous);
+    return true;
+  }
+
+  /**
+   * Log what a reload changed; secrets and proxy credentials are not shown
+   * @param {Object} previous State before the reload {config, proxies, accounts}
+   * @private
+   */
+  _logChanges(previous) {
+    const changes = diffConfig(previous.config, this.config);
+    const lines = changes.map(({ path, from, to }) => `${path}: ${from} -> ${to}`);
+    
+    if (previous.proxies.length !== this.proxies.length ||
+      previous.proxies.some((proxy, i) => proxy !== this.proxies[i])) {
+      lines.push(`proxies: ${previous.proxies.length} -> ${this.proxies.length} entries`);
+    }
+    
+    const describe = account => (account.address ? `${account.label} (${account.address})` : account.label);
+    const ids = accounts => new Set(accounts.map(account => account.id));
+    const previousIds = ids(previous.accounts);
+    const currentIds = ids(this.accounts);
+    const added = this.accounts.filter(account => !previousIds.has(account.id));
+    const removed = previous.accounts.filter(account => !currentIds.has(account.id));
+    
+    if (added.length > 0) {
+      lines.push(`accounts added: ${added.map(describe).join(', ')}`);
+    }
+    if (removed.length > 0) {
+      lines.push(`accounts removed: ${removed.map(describe).join(', ')}`);
+    }
+    
+    if (lines.length === 0) {
+      logger.info('Reloaded the configuration, nothing changed');
+      return;
+    }
+    
+    logger.info('Reloaded the configuration:');
+    lines.forEach(line => logger.info(`  ${line}`));
+    
+    const restartOnly = changes
+      .map(({ path }) => path)
+      .filter(path => RESTART_SECTIONS.includes(path.split('.')[0]) ||
+        (path.startsWith('wallet.') && PASSPHRASE_SOURCES.includes(this.config.wallet.source)));
+    if (restartOnly.length > 0) {
+      logger.warn(`Changes to ${restartOnly.join(', ')} take effect after a restart`);
+    }
   }
 
   /**
    * Start the bot operation
+   *
+   * A bot that is already initialized is not initialized again, so the key
+   * passphrase is asked for once.
    */
   async start() {
     this.isRunning = true;
     this.displayHeader();
     
-    if (!(await this.initialize())) {
+    if (!this.initialized && !(await this.initialize())) {
+      // Retrying can't fix the configuration file
+      if (this.configError) {
+        logger.error('Fix the configuration and restart the bot');
+        this.isRunning = false;
+        return undefined;
+      }
+      
       logger.error('Failed to initialize bot, retrying in 60 seconds');
-      await sleep(60000);
-      return this.start();
+      await this._wait(60000);
+      return this.isRunning ? this.start() : undefined;
     }
     
     try {
@@ -101,89 +416,436 @@ class Bot {
     } catch (error) {
       logger.error(`Main loop error: ${error.message}`, error);
       logger.info('Restarting bot in 5 minutes due to main loop error');
-      await sleep(5 * 60 * 1000);
-      this.start();
+      await this._wait(5 * 60 * 1000);
+      if (this.isRunning) this.start();
     }
   }
 
   /**
-   * Run the main processing loop
+   * Process every account once, ignoring the schedule
+   * @returns {Promise<Object>} Counts {successCount, failureCount}
    */
-  async runMainLoop() {
-    this.successCount = 0;
-    this.failureCount = 0;
+  async runOnce() {
+    this.isRunning = true;
+    await this._runDueAccounts(this.accounts.map(account => ({ index: account.accountIndex })));
+    this.isRunning = false;
+    
+    return { successCount: this.successCount, failureCount: this.failureCount };
+  }
 
-    logger.info(`Starting processing for ${this.privateKeys.length} accounts`);
+  /**
+   * Process a single account
+   * @param {string|number} selector Account number (1-based) or wallet address
+   * @returns {Promise<Object>} Counts {successCount, failureCount}
+   */
+  async runAccount(selector) {
+    const account = this.findAccount(selector);
+    
+    if (!account) {
+      throw new Error(`No account matches "${selector}"`);
+    }
+    
+    this.isRunning = true;
+    await this._runDueAccounts([{ index: account.accountIndex }]);
+    this.isRunning = false;
+    
+    return { successCount: this.successCount, failureCount: this.failureCount };
+  }
 
-    // Process each account
-    for (let i = 0; i < this.privateKeys.length; i++) {
-      if (!this.isRunning) break;
-      
+  /**
+   * Find an account by number, wallet address or label
+   * @param {string|number} selector Account number (1-based), wallet address or label
+   * @returns {Object|null} Account entry or null if not found
+   */
+  findAccount(selector) {
+    const value = String(selector).trim();
+    
+    if (/^\d+$/.test(value)) {
+      return this.accounts[parseInt(value, 10) - 1] || null;
+    }
+    
+    return this.accounts.find(account => account.id === value.toLowerCase()) ||
+      this.accounts.find(account => account.label === value) ||
+      null;
+  }
+
+  /**
+   * Build the per-account schedule from the loaded keys and persisted state
+   *
+   * With an accounts file, only the listed keys run, in the file's order.
+   * When the schedule is rebuilt after a reload, accounts keep their next run time.
+   */
+  buildSchedule() {
+    const previous = this.scheduler;
+    const schedule = this.config.schedule || {};
+    this.scheduler = new Scheduler({
+      clock: this.clock,
+      resetOffsetMinutes: schedule.reset_offset_minutes,
+      spreadMinutes: schedule.spread_minutes,
+      retryAfterMinutes: schedule.retry_after_minutes
+    });
+    
+    const entries = this.accountEntries || this.privateKeys.map(privateKey => ({ privateKey }));
+    
+    this.accounts = entries.map((entry, i) => {
       const accountIndex = i + 1;
-      logger.info(`Starting account ${accountIndex} of ${this.privateKeys.length}`);
-      
-      // Get proxy for this account (minimal logging)
-      const proxy = this.proxyManager.getProxyForAccount(accountIndex);
+      const label = entry.label || `Account ${accountIndex}`;
+      const privateKey = entry.privateKey;
+      let address = null;
       
       try {
-        // Create account runner
-        const accountRunner = new AccountRunner({
-          accountIndex,
-          privateKey: this.privateKeys[i],
-          proxy,
-          config: this.config
-        });
-        
-        // Run the account
-        const result = await accountRunner.run();
-        
-        if (result.error) {
-          logger.error(`Account ${accountIndex} failed: ${result.error}`);
-          this.failureCount++;
-        } else {
-          // No need for additional success log as AccountRunner already logs it
-          this.successCount++;
-        }
+        address = WalletService.createWallet(privateKey, { accountIndex, label }).address;
       } catch (error) {
-        logger.error(`Error for account ${accountIndex}: ${error.message}`);
-        this.failureCount++;
+        // Invalid keys are reported when the account runs
       }
       
-      // Wait before processing next account
-      if (i < this.privateKeys.length - 1 && this.isRunning) {
-        logger.info(`Waiting ${this.config.bot.delay_between_accounts} seconds before next account`);
-        await sleep(this.config.bot.delay_between_accounts * 1000);
+      const id = address ? address.toLowerCase() : `account-${accountIndex}`;
+      let nextRunAt = address && this.stateStore ? this.stateStore.getAccount(address).nextRunAt : null;
+      if (previous && previous.has(id)) {
+        nextRunAt = previous.getNextRunAtOf(id);
       }
+      this.scheduler.add(id, accountIndex, nextRunAt);
+      
+      return {
+        id,
+        accountIndex,
+        label,
+        privateKey,
+        address,
+        proxy: entry.proxy || null,
+        overrides: entry.overrides || {}
+      };
+    });
+    
+    const due = this.scheduler.getDue().length;
+    logger.info(`Scheduled ${this.accounts.length} accounts (${due} due now)`);
+  }
+
+  /**
+   * Run the main processing loop
+   */
+  async runMainLoop() {
+    while (this.isRunning) {
+      await this.reloadIfChanged();
+      const due = this.scheduler.getDue();
+      
+      if (due.length === 0) {
+        const nextRunAt = this.scheduler.getNextRunAt();
+        if (nextRunAt === null) {
+          logger.warn('No accounts to process');
+          return;
+        }
+        
+        const waitMs = Math.max(0, nextRunAt - this.clock.now());
+        logger.info(`Next account due at ${new Date(nextRunAt).toISOString()}, waiting ${(waitMs / (60 * 60 * 1000)).toFixed(1)} hours`);
+        await this._wait(waitMs);
+        continue;
+      }
+      
+      await this._runDueAccounts(due);
     }
+  }
+
+  /**
+   * Process the accounts that are due with a bounded pool of workers
+   *
+   * Each worker takes the next due account in order. Starts are staggered by
+   * `delay_between_accounts`, and a worker also waits that long after finishing
+   * an account, so a concurrency of 1 behaves like a plain sequential loop.
+   * @param {Array<Object>} due Due schedule entries, in account order
+   * @private
+   */
+  async _runDueAccounts(due) {
+    this.successCount = 0;
+    this.failureCount = 0;
+    
+    const concurrency = this._getConcurrency();
+    const delayMs = this.config.bot.delay_between_accounts * 1000;
+    const queue = due.map(entry => this.accounts[entry.index - 1]);
+    const startedAt = this.clock.now();
+    const rows = [];
+    let nextIndex = 0;
+    let nextStartAt = this.clock.now();
+    
+    logger.info(`Starting processing for ${due.length} of ${this.accounts.length} accounts` +
+      (concurrency > 1 ? ` (${concurrency} at a time)` : ''));
+    
+    const worker = async () => {
+      let readyAt = this.clock.now();
+      
+      while (this.isRunning && nextIndex < queue.length) {
+        const queued = queue[nextIndex++];
+        
+        // Reserve a start slot before waiting so workers never start together
+        const startAt = Math.max(readyAt, nextStartAt);
+        nextStartAt = startAt + delayMs;
+        
+        const waitMs = startAt - this.clock.now();
+        if (waitMs > 0) {
+          logger.info(`Waiting ${Math.round(waitMs / 1000)} seconds before next account`);
+          await this._wait(waitMs);
+        }
+        if (!this.isRunning) break;
+        
+        // Changes made since the previous account apply from this one on
+        await this.reloadIfChanged();
+        const account = this.accounts.find(candidate => candidate.id === queued.id);
+        if (!account) {
+          logger.info(`${queued.label} is no longer configured, skipping`);
+          continue;
+        }
+        
+        if (concurrency > 1) {
+          // Keep each account's log lines together instead of interleaving them
+          rows.push(await logger.runBuffered(() => this._processAccount(account)));
+        } else {
+          rows.push(await this._processAccount(account));
+        }
+        
+        readyAt = this.clock.now() + delayMs;
+      }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(concurrency, due.length) }, worker));
     
     // Log summary
     logger.info(`Completed: ${this.successCount} successful, ${this.failureCount} failed`);
     
-    // Wait before next cycle
-    if (this.isRunning) {
-      logger.info(`Waiting ${this.config.bot.delay_after_completion} hours before next run`);
-      await sleep(this.config.bot.delay_after_completion * 60 * 60 * 1000); 
+    if (rows.length > 0) {
+      this._logCredits(rows);
+      await this._writeReport({ startedAt, finishedAt: this.clock.now(), rows });
+    }
+  }
+
+  /**
+   * Log the credits earned in a cycle and the total balance change
+   * @param {Array<Object>} rows Report rows of the cycle
+   * @private
+   */
+  _logCredits(rows) {
+    const earned = rows.reduce((sum, row) => sum + row.credits, 0);
+    const known = rows.filter(row => row.balanceDelta !== null);
+    const delta = known.reduce((sum, row) => sum + row.balanceDelta, 0);
+    
+    logger.info(`Credits earned: ${earned}` + (known.length > 0
+      ? `, balance ${delta >= 0 ? '+' : ''}${delta} across ${known.length} of ${rows.length} accounts`
+      : ''));
+  }
+
+  /**
+   * Write the report of a cycle, if reports are enabled
+   * @param {Object} cycle Cycle {startedAt, finishedAt, rows}
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeReport({ startedAt, finishedAt, rows }) {
+    if (!this.reporter) return;
+    
+    try {
+      const reportPath = await this.reporter.write({
+        startedAt,
+        finishedAt,
+        rows: rows.sort((a, b) => a.accountIndex - b.accountIndex)
+      });
+      logger.info(`Report written to ${reportPath}`);
+    } catch (error) {
+      logger.error(`Error writing the run report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a single account and schedule its next run
+   * @param {Object} account Account entry
+   * @returns {Promise<Object>} Report row of the account
+   * @private
+   */
+  async _processAccount(account) {
+    const processing = this._runAccount(account);
+    this.activeAccounts.add(processing);
+    
+    try {
+      return await processing;
+    } finally {
+      this.activeAccounts.delete(processing);
+    }
+  }
+
+  /**
+   * Run an account, record its outcome and schedule its next run
+   * @param {Object} account Account entry
+   * @returns {Promise<Object>} Report row of the account
+   * @private
+   */
+  async _runAccount(account) {
+    const { accountIndex, label } = account;
+    logger.info(`Starting ${label} (${accountIndex} of ${this.accounts.length})`);
+    
+    // A pinned proxy bypasses the rotation (minimal logging)
+    const proxy = account.proxy || this.proxyManager.getProxyForAccount(accountIndex);
+    const startedAt = this.clock.now();
+    let result = null;
+    let failed = false;
+    
+    try {
+      // Create account runner
+      const accountRunner = new AccountRunner({
+        accountIndex,
+        label,
+        privateKey: account.privateKey,
+        proxy,
+        config: this.config,
+        overrides: account.overrides,
+        stateStore: this.stateStore,
+        sessionStore: this.sessionStore,
+        clock: this.clock
+      });
       
-      // Restart the cycle
-      if (this.isRunning) {
-        this.runMainLoop();
+      // Run the account
+      result = await accountRunner.run();
+      
+      if (result.error) {
+        logger.error(`${label} failed: ${result.error}`);
+        failed = true;
       }
+      
+      if (result.authFailure) {
+        const authFailures = this.summary.authFailures;
+        authFailures[result.authFailure] = (authFailures[result.authFailure] || 0) + 1;
+      }
+    } catch (error) {
+      logger.error(`Error for ${label}: ${error.message}`);
+      result = { error: error.message, completedQuests: [] };
+      failed = true;
+    } finally {
+      this.proxyManager.releaseProxy(accountIndex);
+    }
+    
+    this.summary.processed++;
+    if (failed) {
+      this.failureCount++;
+      this.summary.failureCount++;
+    } else {
+      // No need for additional success log as AccountRunner already logs it
+      this.successCount++;
+      this.summary.successCount++;
     }
+    
+    await this._scheduleNextRun(account, failed);
+    
+    return RunReporter.buildRow(account, result, { startedAt, finishedAt: this.clock.now() });
+  }
+
+  /**
+   * Get the number of accounts to process at the same time
+   * @returns {number} Concurrency between 1 and MAX_CONCURRENCY
+   * @private
+   */
+  _getConcurrency() {
+    const configured = parseInt(this.config.bot.concurrency, 10) || 1;
+    
+    if (configured > MAX_CONCURRENCY) {
+      logger.warn(`bot.concurrency ${configured} exceeds the limit, using ${MAX_CONCURRENCY}`);
+      return MAX_CONCURRENCY;
+    }
+    
+    return Math.max(1, configured);
+  }
+
+  /**
+   * Schedule the next run of an account and persist it
+   * @param {Object} account Account entry
+   * @param {boolean} failed Whether the run failed
+   * @private
+   */
+  async _scheduleNextRun(account, failed) {
+    const nextRunAt = failed
+      ? this.scheduler.markFailed(account.id)
+      : this.scheduler.markCompleted(account.id);
+    
+    logger.debug(`[${account.label}] Next run at ${new Date(nextRunAt).toISOString()}`);
+    
+    if (this.stateStore && account.address) {
+      this.stateStore.setNextRunAt(account.address, new Date(nextRunAt));
+      await this.stateStore.save();
+    }
+  }
+
+  /**
+   * Wait for a duration, returning early if the bot is stopped
+   * @param {number} ms Milliseconds to wait
+   * @returns {Promise<void>}
+   * @private
+   */
+  _wait(ms) {
+    return Promise.race([this.clock.sleep(ms), this.stopRequested]);
   }
 
   /**
    * Stop the bot operation
+   *
+   * No new accounts are started; accounts already running are not interrupted.
    */
   stop() {
     logger.info('Stopping bot operation');
     this.isRunning = false;
+    this._resolveStop();
+    
+    if (this.keepaliveTimer) {
+      clearInterval(this.keepaliveTimer);
+      this.keepaliveTimer = null;
+    }
+  }
+
+  /**
+   * Stop the bot, wait for running accounts and save state
+   * @param {number} timeoutMs How long to wait for running accounts
+   * @returns {Promise<Object>} Run summary, with timedOut set if accounts were still running
+   */
+  async shutdown(timeoutMs = SHUTDOWN_TIMEOUT) {
+    this.stop();
+    
+    let timedOut = false;
+    const running = [...this.activeAccounts];
+    
+    if (running.length > 0) {
+      logger.info(`Waiting for ${running.length} running account(s) to finish`);
+      try {
+        await withTimeout(Promise.all(running), timeoutMs, 'Running accounts did not finish in time');
+      } catch (error) {
+        logger.warn(`${error.message}, exiting without them`);
+        timedOut = true;
+      }
+    }
+    
+    if (this.stateStore) {
+      await this.stateStore.save();
+    }
+    
+    this.printSummary();
+    return { ...this.summary, timedOut };
+  }
+
+  /**
+   * Log a summary of all accounts processed since the bot was created
+   */
+  printSummary() {
+    const minutes = (this.clock.now() - this.summary.startedAt) / 60000;
+    logger.info(`Run summary: ${this.summary.processed} accounts processed ` +
+      `(${this.summary.successCount} successful, ${this.summary.failureCount} failed) in ${minutes.toFixed(1)} minutes`);
+    
+    const authFailures = Object.entries(this.summary.authFailures);
+    if (authFailures.length > 0) {
+      const total = authFailures.reduce((sum, [, count]) => sum + count, 0);
+      const reasons = authFailures.map(([reason, count]) => `${reason}: ${count}`).join(', ');
+      logger.info(`Auth failures: ${total} (${reasons})`);
+    }
   }
 
   /**
    * Setup keepalive mechanism to prevent the process from exiting
    */
   setupKeepalive() {
-    setInterval(() => {
+    this.keepaliveTimer = setInterval(() => {
       if (this.isRunning) {
         logger.debug('Bot keepalive check - process running');
       }
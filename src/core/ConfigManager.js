@@ -2,6 +2,8 @@
 const fs = require('fs-extra');
 const yaml = require('js-yaml');
 const logger = require('../utils/logger');
+const { validateConfig, locateKeys, findLine } = require('./configSchema');
+const { interpolate, readSecretFiles, readEnvironment } = require('./configSources');
 
 /**
  * Default configuration values
@@ -12,7 +14,7 @@ const DEFAULT_CONFIG = {
   },
   bot: {
     delay_between_accounts: 5,
-    delay_after_completion: 25,
+    concurrency: 1,
     retries: {
       max_attempts: 5,
       initial_delay: 1000,
@@ -20,6 +22,14 @@ const DEFAULT_CONFIG = {
     },
     user_agent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36"
   },
+  api: {
+    base_url: "https://www.magicnewton.com/portal"
+  },
+  schedule: {
+    reset_offset_minutes: 10,
+    spread_minutes: 60,
+    retry_after_minutes: 60
+  },
   logging: {
     level: 'info',
     enable_file_logging: false,
@@ -34,10 +44,37 @@ const DEFAULT_CONFIG = {
     }
   },
   wallet: {
-    private_key_file: "./pk.txt"
+    source: "file",
+    private_key_file: "./pk.txt",
+    keystore_dir: "./keystores",
+    vault_file: "./data/vault.json",
+    passphrase_env: "NEWTON_KEY_PASSPHRASE",
+    mnemonic: {
+      file: "./mnemonic.txt",
+      path: "m/44'/60'/0'/0/{i}",
+      start: 0,
+      count: 1
+    }
+  },
+  accounts: {
+    file: ""
+  },
+  state: {
+    file: "./data/state.json"
+  },
+  reports: {
+    enabled: true,
+    dir: "./data/reports",
+    history_days: 90
+  },
+  session: {
+    enabled: true,
+    dir: "./data/sessions",
+    secret: ""
   },
   captcha: {
     service: "capsolver",
+    api_url: "https://api.capsolver.com",
     api_key: "",
     timeout: 120,
     types: {
@@ -53,54 +90,205 @@ const DEFAULT_CONFIG = {
   quests: {
     daily_dice_roll: {
       enabled: true
+    },
+    minesweeper: {
+      enabled: true,
+      auto_retry: true,
+      max_attempts: 10,
+      difficulty: "EASY",
+      strategy: "solver",
+      flag_mines: true
     }
   }
 };
 
+/**
+ * Error for a configuration file that can't be used
+ */
+class ConfigError extends Error {
+  /**
+   * Create a new configuration error
+   * @param {string} filePath Configuration file
+   * @param {Array<Object>} issues Problems {path, line, message}
+   */
+  constructor(filePath, issues) {
+    const details = issues.map(issue => `  ${ConfigError.formatIssue(filePath, issue)}`).join('\n');
+    super(`Invalid configuration in ${filePath}:\n${details}`);
+    this.name = 'ConfigError';
+    this.filePath = filePath;
+    this.issues = issues;
+  }
+
+  /**
+   * Format a problem as "file:line: path message"
+   *
+   * Problems with a value from an environment variable name the variable instead of the file.
+   * @param {string} filePath Configuration file
+   * @param {Object} issue Problem {path, line, source, message}
+   * @returns {string} Formatted problem
+   */
+  static formatIssue(filePath, { path, line, source, message }) {
+    const location = source || (line ? `${filePath}:${line}` : filePath);
+    return path ? `${location}: ${path} ${message}` : `${location}: ${message}`;
+  }
+}
+
 /**
  * Configuration manager for the Magic Newton Bot
+ *
+ * The configuration is built from four layers, each overriding the previous one:
+ * 1. DEFAULT_CONFIG
+ * 2. the configuration file, with `${NAME}` references and `<key>_file` secrets resolved
+ * 3. NEWTON_ environment variables (see configSources.readEnvironment)
+ * 4. command line options
  */
 class ConfigManager {
   /**
    * Create a new ConfigManager
+   * @param {string} configPath Path to the YAML configuration file
+   * @param {Object} options Loading options
+   * @param {Object} options.env Environment variables (defaults to process.env)
+   * @param {Object} options.overrides Values set on the command line, in the shape of the configuration
    */
-  constructor() {
+  constructor(configPath = './config.yaml', options = {}) {
     this.config = null;
-    this.configPath = './config.yaml';
+    this.configPath = configPath;
+    this.env = options.env || process.env;
+    this.overrides = options.overrides || {};
+    this.loadError = null;
+  }
+
+  /**
+   * Configuration values set by command line options
+   * @param {Object} options Parsed command line options {keysPath, proxiesPath}
+   * @returns {Object} Overrides for the ConfigManager constructor
+   */
+  static commandLineOverrides({ keysPath, proxiesPath } = {}) {
+    const overrides = {};
+    
+    if (keysPath) {
+      overrides.wallet = { private_key_file: keysPath };
+    }
+    if (proxiesPath) {
+      overrides.proxy = { file: proxiesPath };
+    }
+    
+    return overrides;
   }
 
   /**
    * Load configuration from file
+   *
+   * A missing file is created from the defaults. A file that can't be parsed
+   * or doesn't match the schema is never replaced by the defaults.
    * @returns {Promise<Object>} The loaded configuration
+   * @throws {ConfigError} If the file or an environment variable is invalid
    */
   async load() {
+    this.loadError = null;
+    
     try {
-      if (await fs.pathExists(this.configPath)) {
-        const fileContents = await fs.readFile(this.configPath, 'utf8');
-        const loadedConfig = yaml.load(fileContents);
-        
-        // Deep merge with default config
-        this.config = this._deepMerge(DEFAULT_CONFIG, loadedConfig);
-        logger.info('Configuration loaded successfully');
-      } else {
+      if (!await fs.pathExists(this.configPath)) {
         // Create default config file
         await fs.writeFile(this.configPath, yaml.dump(DEFAULT_CONFIG));
         logger.info('Created default configuration file');
-        this.config = DEFAULT_CONFIG;
       }
       
+      this.config = await this.read();
+      logger.info('Configuration loaded successfully');
+      return this.config;
+    } catch (error) {
+      this.loadError = error instanceof ConfigError
+        ? error
+        : new ConfigError(this.configPath, [{ message: error.message }]);
+      this.config = null;
+      throw this.loadError;
+    }
+  }
+  
+  /**
+   * Read and validate every configuration layer without making the result current
+   *
+   * Used to check a changed file before switching to it.
+   * @returns {Promise<Object>} The configuration
+   * @throws {ConfigError} If the file is missing or invalid, or an environment variable is invalid
+   */
+  async read() {
+    try {
+      if (!await fs.pathExists(this.configPath)) {
+        throw new ConfigError(this.configPath, [{ message: 'file not found' }]);
+      }
+      
+      const fileContents = await fs.readFile(this.configPath, 'utf8');
+      const { config: fileConfig, lines } = await this._parse(fileContents);
+      
+      const environment = await readEnvironment(this.env);
+      if (environment.issues.length > 0) {
+        throw new ConfigError(this.configPath, environment.issues);
+      }
+      if (environment.sources.length > 0) {
+        logger.debug(`Configuration overridden by ${environment.sources.join(', ')}`);
+      }
+      
+      const config = [fileConfig, environment.config, this.overrides]
+        .reduce((merged, layer) => this._deepMerge(merged, layer), DEFAULT_CONFIG);
+      
       // Validate configuration
-      this._validateConfig();
+      this._validateConfig(config, lines);
       
-      return this.config;
+      return config;
     } catch (error) {
-      logger.error(`Error loading configuration: ${error.message}`, error);
-      logger.info('Using default configuration');
-      this.config = DEFAULT_CONFIG;
-      return this.config;
+      throw error instanceof ConfigError ? error : new ConfigError(this.configPath, [{ message: error.message }]);
     }
   }
   
+  /**
+   * Parse the configuration file, resolve its references and check it against the schema
+   * @param {string} content File content
+   * @returns {Promise<Object>} Configuration of the file and the lines of its keys {config, lines}
+   * @throws {ConfigError} On YAML syntax errors, unresolved references and schema errors
+   * @private
+   */
+  async _parse(content) {
+    let loadedConfig;
+    
+    try {
+      loadedConfig = yaml.load(content);
+    } catch (error) {
+      // Errors at the end of the file are reported past its last line
+      const line = error.mark ? Math.min(error.mark.line + 1, content.split('\n').length) : null;
+      throw new ConfigError(this.configPath, [{ line, message: `YAML syntax error: ${error.reason || error.message}` }]);
+    }
+    
+    // An empty file means "all defaults"
+    if (loadedConfig === undefined || loadedConfig === null) {
+      return { config: {}, lines: new Map() };
+    }
+    
+    const lines = locateKeys(content);
+    const withLines = issues => issues.map(issue => ({ ...issue, line: findLine(lines, issue.path) }));
+    
+    const interpolated = interpolate(loadedConfig, this.env);
+    loadedConfig = interpolated.config;
+    const referenceIssues = interpolated.issues.concat(await readSecretFiles(loadedConfig));
+    if (referenceIssues.length > 0) {
+      throw new ConfigError(this.configPath, withLines(referenceIssues));
+    }
+    
+    const issues = withLines(validateConfig(loadedConfig));
+    
+    for (const issue of issues.filter(({ severity }) => severity === 'warning')) {
+      logger.warn(ConfigError.formatIssue(this.configPath, issue));
+    }
+    
+    const errors = issues.filter(({ severity }) => severity === 'error');
+    if (errors.length > 0) {
+      throw new ConfigError(this.configPath, errors);
+    }
+    
+    return { config: loadedConfig, lines };
+  }
+  
   /**
    * Load data from text file
    * @param {string} filePath Path to file
@@ -174,26 +362,29 @@ class ConfigManager {
   }
   
   /**
-   * Validate critical configuration values
+   * Check settings that are valid on their own but don't work together
+   * @param {Object} config Merged configuration
+   * @param {Map<string, number>} lines Lines of the keys in the file, from locateKeys()
    * @private
    */
-  _validateConfig() {
+  _validateConfig(config, lines = new Map()) {
     // Check for critical configuration values
-    if (!this.config.captcha.api_key) {
+    if (!config.captcha.api_key) {
       logger.warn('Captcha API key not configured. The bot may not work properly.');
     }
     
-    // Validate delays are reasonable
-    if (this.config.bot.delay_between_accounts < 0) {
-      logger.warn('Negative delay between accounts detected, setting to 5 seconds');
-      this.config.bot.delay_between_accounts = 5;
-    }
-    
-    if (this.config.bot.delay_after_completion < 0) {
-      logger.warn('Negative delay after completion detected, setting to 1 hour');
-      this.config.bot.delay_after_completion = 1;
+    const { initial_delay: initialDelay, max_delay: maxDelay } = config.bot.retries;
+    if (maxDelay < initialDelay) {
+      throw new ConfigError(this.configPath, [{
+        path: 'bot.retries.max_delay',
+        line: findLine(lines, 'bot.retries.max_delay'),
+        message: `must be at least bot.retries.initial_delay (${initialDelay}), got ${maxDelay}`
+      }]);
     }
   }
 }
 
+ConfigManager.ConfigError = ConfigError;
+ConfigManager.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
 module.exports = ConfigManager;
\ No newline at end of file
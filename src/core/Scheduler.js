@@ -0,0 +1,133 @@
+// src/core/Scheduler.js
+const { systemClock } = require('../utils/clock');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Tracks when each account is next eligible to run.
+ *
+ * Quests reset daily at UTC midnight, so an account that completed its run is
+ * scheduled for the next reset plus a configurable offset (and a random spread so
+ * accounts don't all start at once). Failed accounts are retried after a delay.
+ */
+class Scheduler {
+  /**
+   * Create a new scheduler
+   * @param {Object} options Scheduler options
+   * @param {Object} options.clock Clock providing now() in milliseconds
+   * @param {number} options.resetOffsetMinutes Minutes after the daily reset before accounts are due
+   * @param {number} options.spreadMinutes Window after the offset over which accounts are spread
+   * @param {number} options.retryAfterMinutes Minutes before a failed account is retried
+   * @param {Function} options.random Random number generator returning [0, 1)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.resetOffsetMs = (options.resetOffsetMinutes || 0) * MINUTE;
+    this.spreadMs = (options.spreadMinutes || 0) * MINUTE;
+    this.retryAfterMs = (options.retryAfterMinutes || 60) * MINUTE;
+    this.random = options.random || Math.random;
+    this.entries = new Map();
+  }
+
+  /**
+   * Add an account to the schedule
+   * @param {string} id Account ID
+   * @param {number} index Account position, used to order due accounts
+   * @param {number|string|null} nextRunAt Time the account is next due, or null if due now
+   */
+  add(id, index, nextRunAt = null) {
+    const time = nextRunAt === null || nextRunAt === undefined ? null : new Date(nextRunAt).getTime();
+
+    this.entries.set(id, {
+      id,
+      index,
+      nextRunAt: Number.isFinite(time) ? time : this.clock.now()
+    });
+  }
+
+  /**
+   * Check if an account is scheduled
+   * @param {string} id Account ID
+   * @returns {boolean} True if the account was added
+   */
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Get the time an account is next due
+   * @param {string} id Account ID
+   * @returns {number|null} Time in milliseconds, or null if the account isn't scheduled
+   */
+  getNextRunAtOf(id) {
+    return this.entries.has(id) ? this.entries.get(id).nextRunAt : null;
+  }
+
+  /**
+   * Get the accounts that are due, in account order
+   * @returns {Array<Object>} Due entries {id, index, nextRunAt}
+   */
+  getDue() {
+    const now = this.clock.now();
+
+    return [...this.entries.values()]
+      .filter(entry => entry.nextRunAt <= now)
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Get the time the next account becomes due
+   * @returns {number|null} Time in milliseconds, or null if nothing is scheduled
+   */
+  getNextRunAt() {
+    if (this.entries.size === 0) return null;
+
+    return Math.min(...[...this.entries.values()].map(entry => entry.nextRunAt));
+  }
+
+  /**
+   * Schedule an account that completed its run for the next daily reset
+   * @param {string} id Account ID
+   * @returns {number} Time the account is next due
+   */
+  markCompleted(id) {
+    const spread = Math.floor(this.random() * this.spreadMs);
+    return this._setNextRun(id, Scheduler.nextReset(this.clock.now()) + this.resetOffsetMs + spread);
+  }
+
+  /**
+   * Schedule a failed account for a retry
+   * @param {string} id Account ID
+   * @returns {number} Time the account is next due
+   */
+  markFailed(id) {
+    return this._setNextRun(id, this.clock.now() + this.retryAfterMs);
+  }
+
+  /**
+   * Get the next daily reset (UTC midnight) strictly after a time
+   * @param {number} time Time in milliseconds
+   * @returns {number} Reset time in milliseconds
+   */
+  static nextReset(time) {
+    return Math.floor(time / DAY) * DAY + DAY;
+  }
+
+  /**
+   * Set the next run time of an account
+   * @param {string} id Account ID
+   * @param {number} time Time in milliseconds
+   * @returns {number} The time that was set
+   * @private
+   */
+  _setNextRun(id, time) {
+    const entry = this.entries.get(id);
+    if (entry) {
+      entry.nextRunAt = time;
+    }
+    return time;
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,350 @@
+// src/core/configSchema.js
+const KeyLoader = require('../services/KeyLoader');
+const { registry: questRegistry } = require('../services/quests');
+const { object, string, boolean, number, integer, oneOf, url } = require('./schemaTypes');
+
+/**
+ * Schema of config.yaml; every key of DEFAULT_CONFIG must be described here
+ *
+ * Each quest handler describes its own section under `quests` (see services/quests).
+ */
+const CONFIG_SCHEMA = object({
+  referral: object({
+    code: string({ secret: true })
+  }),
+  bot: object({
+    delay_between_accounts: number({ min: 0 }),
+    concurrency: integer({ min: 1, max: 10 }),
+    retries: object({
+      max_attempts: integer({ min: 1 }),
+      initial_delay: integer({ min: 0 }),
+      max_delay: integer({ min: 0 })
+    }),
+    user_agent: string({ nonEmpty: true }),
+    delay_after_completion: number({
+      deprecated: 'no longer used; accounts are scheduled from the daily reset (see schedule)'
+    })
+  }),
+  api: object({
+    base_url: url()
+  }),
+  schedule: object({
+    reset_offset_minutes: number({ min: 0, max: 1440 }),
+    spread_minutes: number({ min: 0, max: 1440 }),
+    retry_after_minutes: number({ exclusiveMin: 0 })
+  }),
+  logging: object({
+    level: oneOf(['error', 'warn', 'info', 'debug']),
+    enable_file_logging: boolean(),
+    log_file_path: string({ nonEmpty: true })
+  }),
+  proxy: object({
+    enabled: boolean(),
+    file: string({ nonEmpty: true }),
+    rotation: object({
+      mode: oneOf(['sequential', 'random']),
+      switch_after: integer({ min: 1 })
+    })
+  }),
+  wallet: object({
+    source: oneOf(KeyLoader.KEY_SOURCES),
+    private_key_file: string({ nonEmpty: true }),
+    keystore_dir: string({ nonEmpty: true }),
+    vault_file: string({ nonEmpty: true }),
+    passphrase_env: string({ nonEmpty: true }),
+    mnemonic: object({
+      file: string({ nonEmpty: true }),
+      path: string({ pattern: /\{i\}/, patternMessage: 'must contain {i}' }),
+      start: integer({ min: 0 }),
+      count: integer({ min: 1 })
+    })
+  }),
+  accounts: object({
+    file: string()
+  }),
+  state: object({
+    file: string({ nonEmpty: true })
+  }),
+  reports: object({
+    enabled: boolean(),
+    dir: string({ nonEmpty: true }),
+    history_days: integer({ min: 1 })
+  }),
+  session: object({
+    enabled: boolean(),
+    dir: string({ nonEmpty: true }),
+    secret: string({ secret: true })
+  }),
+  captcha: object({
+    service: oneOf(['capsolver']),
+    api_url: url(),
+    api_key: string({ secret: true }),
+    timeout: number({ exclusiveMin: 0 }),
+    types: object({
+      recaptcha_v2: object({
+        invisible_sitekey: string({ nonEmpty: true }),
+        visible_sitekey: string({ nonEmpty: true })
+      }),
+      turnstile: object({
+        enabled: boolean()
+      })
+    })
+  }),
+  quests: questRegistry.configSchema()
+});
+
+/**
+ * Describe a value for error messages
+ * @param {*} value Value
+ * @returns {string} Description
+ */
+function describe(value) {
+  if (value === null || value === undefined) return 'nothing';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'object') return 'a section';
+  return JSON.stringify(value);
+}
+
+/**
+ * Edit distance between two strings, for "did you mean" suggestions
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check a leaf value against its schema node
+ * @param {*} value Value
+ * @param {Object} node Schema node
+ * @returns {string|null} Problem, or null if the value is valid
+ */
+function checkLeaf(value, node) {
+  switch (node.type) {
+    case 'string':
+      if (typeof value !== 'string') return `must be a string, got ${describe(value)}`;
+      if (node.nonEmpty && value.trim() === '') return 'must not be empty';
+      if (node.enum && !node.enum.includes(value)) {
+        return `must be one of ${node.enum.join(', ')}, got ${describe(value)}`;
+      }
+      if (node.pattern && !node.pattern.test(value)) return `${node.patternMessage}, got ${describe(value)}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false, got ${describe(value)}`;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || Number.isNaN(value)) return `must be a number, got ${describe(value)}`;
+      if (node.type === 'integer' && !Number.isInteger(value)) return `must be a whole number, got ${value}`;
+      if (node.min !== undefined && value < node.min) return `must be at least ${node.min}, got ${value}`;
+      if (node.max !== undefined && value > node.max) return `must be at most ${node.max}, got ${value}`;
+      if (node.exclusiveMin !== undefined && value <= node.exclusiveMin) {
+        return `must be greater than ${node.exclusiveMin}, got ${value}`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a configuration against the schema
+ *
+ * Only the keys present are checked; missing keys take their default value.
+ * @param {Object} config Configuration as written in the file
+ * @param {Object} schema Schema node (defaults to the whole config schema)
+ * @param {string} path Dotted path of the node
+ * @returns {Array<Object>} Issues {path, message, severity: 'error'|'warning'}
+ */
+function validateConfig(config, schema = CONFIG_SCHEMA, path = '') {
+  const issues = [];
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    issues.push({ path, message: `must be a section, got ${describe(config)}`, severity: 'error' });
+    return issues;
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    const node = schema.properties[key];
+
+    if (!node) {
+      const known = Object.keys(schema.properties).filter(name => !schema.properties[name].deprecated);
+      const suggestion = known.find(name => editDistance(name, key) <= 2);
+      issues.push({
+        path: keyPath,
+        message: suggestion
+          ? `unknown key, did you mean "${suggestion}"?`
+          : `unknown key, expected one of: ${known.join(', ')}`,
+        severity: 'error'
+      });
+    } else if (node.type === 'object') {
+      issues.push(...validateConfig(value, node, keyPath));
+    } else if (node.deprecated) {
+      issues.push({ path: keyPath, message: node.deprecated, severity: 'warning' });
+    } else {
+      const problem = checkLeaf(value, node);
+      if (problem) {
+        issues.push({ path: keyPath, message: problem, severity: 'error' });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * List every leaf of the schema
+ * @param {Object} schema Schema node (defaults to the whole config schema)
+ * @param {string} path Dotted path of the node
+ * @returns {Array<Object>} Leaves {path, node}
+ */
+function listLeaves(schema = CONFIG_SCHEMA, path = '') {
+  return Object.entries(schema.properties).flatMap(([key, node]) => {
+    const keyPath = path ? `${path}.${key}` : key;
+    return node.type === 'object' ? listLeaves(node, keyPath) : [{ path: keyPath, node }];
+  });
+}
+
+/**
+ * Find the schema node of a dotted path
+ * @param {string} keyPath Dotted key path
+ * @returns {Object|null} Schema node, or null if the path isn't in the schema
+ */
+function getNode(keyPath) {
+  let node = CONFIG_SCHEMA;
+
+  for (const key of keyPath.split('.')) {
+    if (!node || node.type !== 'object' || !Object.prototype.hasOwnProperty.call(node.properties, key)) {
+      return null;
+    }
+    node = node.properties[key];
+  }
+
+  return node;
+}
+
+/**
+ * Convert text (from an environment variable or interpolation) to the type of a leaf
+ *
+ * Text that can't be converted is returned as is, so that validation reports it.
+ * @param {string} text Text value
+ * @param {Object} node Schema node
+ * @returns {*} Converted value
+ */
+function coerce(text, node) {
+  const trimmed = text.trim();
+
+  switch (node.type) {
+    case 'boolean':
+      if (['true', 'yes', 'on', '1'].includes(trimmed.toLowerCase())) return true;
+      if (['false', 'no', 'off', '0'].includes(trimmed.toLowerCase())) return false;
+      return text;
+    case 'number':
+    case 'integer':
+      return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : text;
+    default:
+      return text;
+  }
+}
+
+/**
+ * Get the value of a dotted path
+ * @param {Object} config Configuration
+ * @param {string} keyPath Dotted key path
+ * @returns {*} Value, or undefined if the path isn't set
+ */
+function getValue(config, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), config);
+}
+
+/**
+ * List the values that differ between two configurations
+ *
+ * Secret values are shown as [redacted], so the result can be logged.
+ * @param {Object} previous Previous configuration
+ * @param {Object} next New configuration
+ * @returns {Array<Object>} Changes {path, from, to}, with values formatted for display
+ */
+function diffConfig(previous, next) {
+  const format = (value, node) => {
+    if (value === undefined) return '(not set)';
+    if (node.secret && value !== '') return '[redacted]';
+    return JSON.stringify(value);
+  };
+
+  return listLeaves()
+    .map(({ path, node }) => ({ path, node, from: getValue(previous, path), to: getValue(next, path) }))
+    .filter(({ from, to }) => from !== to)
+    .map(({ path, node, from, to }) => ({ path, from: format(from, node), to: format(to, node) }));
+}
+
+/**
+ * Find the line of every block-style key in YAML content
+ * @param {string} content YAML content
+ * @returns {Map<string, number>} Dotted key path to 1-based line number
+ */
+function locateKeys(content) {
+  const lines = new Map();
+  const stack = [];
+
+  content.split(/\r?\n/).forEach((text, i) => {
+    const match = /^( *)(["']?)([\w.-]+)\2\s*:(\s|$)/.exec(text);
+    if (!match) return;
+
+    const indent = match[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    stack.push({ indent, key: match[3] });
+
+    const keyPath = stack.map(entry => entry.key).join('.');
+    if (!lines.has(keyPath)) {
+      lines.set(keyPath, i + 1);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Find the line of a key, falling back to its closest located parent
+ * @param {Map<string, number>} lines Lines from locateKeys()
+ * @param {string} keyPath Dotted key path
+ * @returns {number|null} 1-based line number, or null if unknown
+ */
+function findLine(lines, keyPath) {
+  const parts = keyPath.split('.');
+
+  while (parts.length > 0) {
+    const line = lines.get(parts.join('.'));
+    if (line) return line;
+    parts.pop();
+  }
+
+  return null;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+  checkLeaf,
+  listLeaves,
+  getNode,
+  coerce,
+  diffConfig,
+  locateKeys,
+  findLine
+};
@@ -0,0 +1,195 @@
+// src/core/configSources.js
+const fs = require('fs-extra');
+const { listLeaves, getNode, coerce, checkLeaf } = require('./configSchema');
+
+/**
+ * Prefix of the environment variables that override configuration values
+ */
+const ENV_PREFIX = 'NEWTON_';
+
+/**
+ * Suffix of the keys (and environment variables) naming a file that holds a secret
+ */
+const FILE_SUFFIX = '_file';
+
+/**
+ * `${NAME}` or `${NAME:-fallback}` reference to an environment variable
+ */
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Check if a value is a configuration section
+ * @param {*} value Value
+ * @returns {boolean} True for plain objects
+ */
+function isSection(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Name of the environment variable overriding a configuration value
+ * @param {string} keyPath Dotted key path, e.g. captcha.api_key
+ * @returns {string} Variable name, e.g. NEWTON_CAPTCHA_API_KEY
+ */
+function envName(keyPath) {
+  return `${ENV_PREFIX}${keyPath.replace(/\./g, '_').toUpperCase()}`;
+}
+
+/**
+ * Read a secret from a file, without its trailing newline
+ * @param {string} filePath Path to the file
+ * @returns {Promise<string>} Secret
+ */
+async function readSecret(filePath) {
+  return (await fs.readFile(filePath, 'utf8')).trim();
+}
+
+/**
+ * Replace `${NAME}` and `${NAME:-fallback}` in string values with environment variables
+ *
+ * A value that is only a reference takes the type of its key, so
+ * `concurrency: ${CONCURRENCY}` is a number.
+ * @param {Object} config Configuration as written in the file
+ * @param {Object} env Environment variables
+ * @param {string} path Dotted path of the section
+ * @returns {Object} {config, issues: [{path, message}]}
+ */
+function interpolate(config, env, path = '') {
+  if (!isSection(config)) {
+    return { config, issues: [] };
+  }
+
+  const output = {};
+  const issues = [];
+
+  for (const [key, value] of Object.entries(config)) {
+    const keyPath = path ? `${path}.${key}` : key;
+
+    if (isSection(value)) {
+      const result = interpolate(value, env, keyPath);
+      output[key] = result.config;
+      issues.push(...result.issues);
+    } else if (typeof value === 'string' && value.includes('${')) {
+      const missing = [];
+      const text = value.replace(ENV_REFERENCE, (reference, name, fallback) => {
+        if (fallback !== undefined && !env[name]) return fallback;
+        if (env[name] === undefined) missing.push(name);
+        return env[name] || '';
+      });
+
+      if (missing.length > 0) {
+        issues.push({ path: keyPath, message: `references ${missing.map(name => `\${${name}}`).join(', ')}, which is not set` });
+      }
+
+      const node = getNode(keyPath);
+      output[key] = node ? coerce(text, node) : text;
+    } else {
+      output[key] = value;
+    }
+  }
+
+  return { config: output, issues };
+}
+
+/**
+ * Replace `<key>_file` entries of secret keys with the content of the file
+ *
+ * The parsed configuration is modified in place.
+ * @param {Object} config Configuration as written in the file
+ * @returns {Promise<Array<Object>>} Issues {path, message}
+ */
+async function readSecretFiles(config) {
+  const issues = [];
+
+  for (const { path } of listLeaves().filter(({ node }) => node.secret)) {
+    const keys = path.split('.');
+    const key = keys.pop();
+    const fileKey = `${key}${FILE_SUFFIX}`;
+    const section = keys.reduce((parent, name) => (isSection(parent) ? parent[name] : undefined), config);
+
+    if (!isSection(section) || section[fileKey] === undefined) continue;
+
+    const filePath = section[fileKey];
+    const fileKeyPath = `${path}${FILE_SUFFIX}`;
+
+    if (section[key] !== undefined) {
+      issues.push({ path: fileKeyPath, message: `can't be used together with ${key}` });
+    } else if (typeof filePath !== 'string' || filePath.trim() === '') {
+      issues.push({ path: fileKeyPath, message: 'must be the path of a file' });
+    } else {
+      try {
+        section[key] = await readSecret(filePath);
+        delete section[fileKey];
+      } catch (error) {
+        issues.push({ path: fileKeyPath, message: `could not be read: ${error.message}` });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Read the configuration values set by NEWTON_ environment variables
+ *
+ * Every key has a variable named after its path (`bot.concurrency` is
+ * NEWTON_BOT_CONCURRENCY); secret keys can also be read from the file named
+ * by the variable with a _FILE suffix. Other NEWTON_ variables are ignored.
+ * @param {Object} env Environment variables
+ * @returns {Promise<Object>} {config, sources: variable names used, issues: [{source, path, message}]}
+ */
+async function readEnvironment(env) {
+  const config = {};
+  const sources = [];
+  const issues = [];
+
+  for (const { path, node } of listLeaves().filter(({ node }) => !node.deprecated)) {
+    const name = envName(path);
+    const fileName = `${name}${FILE_SUFFIX.toUpperCase()}`;
+    let source = name;
+    let text = env[name];
+
+    if (node.secret && env[fileName] !== undefined) {
+      if (text !== undefined) {
+        issues.push({ source: fileName, path, message: `can't be used together with ${name}` });
+        continue;
+      }
+
+      source = fileName;
+      try {
+        text = await readSecret(env[fileName]);
+      } catch (error) {
+        issues.push({ source, path, message: `could not be read: ${error.message}` });
+        continue;
+      }
+    }
+
+    if (text === undefined) continue;
+
+    const value = coerce(text, node);
+    const problem = checkLeaf(value, node);
+    if (problem) {
+      issues.push({ source, path, message: problem });
+      continue;
+    }
+
+    const keys = path.split('.');
+    const key = keys.pop();
+    const section = keys.reduce((parent, sectionName) => {
+      parent[sectionName] = parent[sectionName] || {};
+      return parent[sectionName];
+    }, config);
+    section[key] = value;
+    sources.push(source);
+  }
+
+  return { config, sources, issues };
+}
+
+module.exports = {
+  ENV_PREFIX,
+  envName,
+  interpolate,
+  readSecretFiles,
+  readEnvironment
+};
@@ -0,0 +1,27 @@
+// src/core/schemaTypes.js
+
+/**
+ * Schema node builders
+ *
+ * Leaves describe a value's type and constraints; `deprecated` keys are
+ * accepted with a warning, and `secret` keys can be read from a file with
+ * `<key>_file` and are never printed. Kept apart from configSchema so that
+ * quest handlers can describe their own section of the configuration.
+ */
+const object = properties => ({ type: 'object', properties });
+const string = (options = {}) => ({ type: 'string', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const oneOf = (values, options = {}) => ({ type: 'string', enum: values, ...options });
+const url = (options = {}) => string({ pattern: /^https?:\/\/[^\s/]+/, patternMessage: 'must be an http(s) URL', ...options });
+
+module.exports = {
+  object,
+  string,
+  boolean,
+  number,
+  integer,
+  oneOf,
+  url
+};
@@ -1,78 +1,113 @@
 // src/index.js
 const Bot = require('./core/Bot');
 const logger = require('./utils/logger');
+const commands = require('./cli/commands');
+const { parseArgs, USAGE } = require('./cli/parseArgs');
+const { installSignalHandlers, isShuttingDown, setActiveBot } = require('./cli/shutdown');
+
+// Bot instance currently running, if any
+let currentBot = null;
+
+// Command line options passed to every bot instance
+let botOptions = {};
 
 /**
- * Error handling for uncaught exceptions
+ * Install the crash recovery handlers of the long-running `run` command
  */
-process.on('uncaughtException', (err) => {
-  logger.error('CRITICAL ERROR - Uncaught exception:', err);
-  logger.info('Bot recovering and continuing despite critical error...');
+function installCrashHandlers() {
+  /**
+   * Error handling for uncaught exceptions
+   */
+  process.on('uncaughtException', (err) => {
+    logger.error('CRITICAL ERROR - Uncaught exception:', err);
+    logger.info('Bot recovering and continuing despite critical error...');
   
-  // Force continue after a delay
-  setTimeout(() => {
-    try {
-      logger.info('Attempting to restart bot after critical error...');
-      startBot().catch(error => {
-        logger.error('Failed to restart after critical error:', error);
-        // Try again after a longer delay
-        setTimeout(() => startBot(), 300000); // 5 minutes
-      });
-    } catch (e) {
-      logger.error('Error during restart attempt:', e);
-      // Final fallback - restart after long delay
-      setTimeout(() => startBot(), 600000); // 10 minutes
+    // A signal handler is already stopping the bot and will exit the process
+    if (isShuttingDown()) {
+      return;
     }
-  }, 30000); // 30 seconds
-});
+  
+    // Stop the crashed instance; the restarted one picks up the persisted schedule
+    if (currentBot) {
+      currentBot.stop();
+    }
+  
+    // Force continue after a delay
+    setTimeout(() => {
+      try {
+        logger.info('Attempting to restart bot after critical error...');
+        startBot().catch(error => {
+          logger.error('Failed to restart after critical error:', error);
+          // Try again after a longer delay
+          setTimeout(() => startBot(), 300000); // 5 minutes
+        });
+      } catch (e) {
+        logger.error('Error during restart attempt:', e);
+        // Final fallback - restart after long delay
+        setTimeout(() => startBot(), 600000); // 10 minutes
+      }
+    }, 30000); // 30 seconds
+  });
 
-/**
- * Error handling for unhandled rejections
- */
-process.on('unhandledRejection', (err) => {
-  logger.error('CRITICAL ERROR - Unhandled rejection:', err);
-  logger.info('Bot recovering and continuing despite critical error...');
+  /**
+   * Error handling for unhandled rejections
+   */
+  process.on('unhandledRejection', (err) => {
+    logger.error('CRITICAL ERROR - Unhandled rejection:', err);
+    logger.info('Bot recovering and continuing despite critical error...');
+  
+    // A signal handler is already stopping the bot and will exit the process
+    if (isShuttingDown()) {
+      return;
+    }
   
-  // Force continue after a delay
-  setTimeout(() => {
-    try {
-      logger.info('Attempting to restart bot after critical error...');
-      startBot().catch(error => {
-        logger.error('Failed to restart after critical error:', error);
-        // Try again after a longer delay
-        setTimeout(() => startBot(), 300000); // 5 minutes
-      });
-    } catch (e) {
-      logger.error('Error during restart attempt:', e);
-      // Final fallback - restart after long delay
-      setTimeout(() => startBot(), 600000); // 10 minutes
+    // Stop the crashed instance; the restarted one picks up the persisted schedule
+    if (currentBot) {
+      currentBot.stop();
     }
-  }, 30000); // 30 seconds
-});
+  
+    // Force continue after a delay
+    setTimeout(() => {
+      try {
+        logger.info('Attempting to restart bot after critical error...');
+        startBot().catch(error => {
+          logger.error('Failed to restart after critical error:', error);
+          // Try again after a longer delay
+          setTimeout(() => startBot(), 300000); // 5 minutes
+        });
+      } catch (e) {
+        logger.error('Error during restart attempt:', e);
+        // Final fallback - restart after long delay
+        setTimeout(() => startBot(), 600000); // 10 minutes
+      }
+    }, 30000); // 30 seconds
+  });
+}
 
 /**
  * Start the bot with extreme error handling
  */
 async function startBot() {
+  // Crash recovery timers may fire while a signal handler is shutting down
+  if (isShuttingDown()) {
+    return null;
+  }
+  
   try {
     // Create new bot instance
-    const bot = new Bot();
+    const bot = new Bot(botOptions);
+    currentBot = bot;
+    setActiveBot(bot);
     
-    // Initialize the bot (loads config)
+    // Initialize the bot (loads config); an invalid configuration file is fatal
     await bot.initialize();
+    if (bot.configError) {
+      await logger.close();
+      process.exit(1);
+    }
     
     // Set logger options based on config
-    const config = bot.config;
-    if (config && config.logging) {
-      logger.options.logLevel = config.logging.level || 'info';
-      logger.options.enableFileLogging = config.logging.enable_file_logging || false;
-      logger.options.logFilePath = config.logging.log_file_path || './logs/magic-newton.log';
-      
-      if (logger.options.enableFileLogging) {
-        // Create logger file transport if file logging is enabled
-        logger.setupFileLogging();
-      }
-    }
+    commands.configureLogger(bot.config);
     
     // Setup keepalive
     bot.setupKeepalive();
@@ -90,9 +125,55 @@ async function startBot() {
   }
 }
 
-// Start the bot
-startBot().catch(error => {
-  logger.error('FATAL ERROR in startBot:', error);
-  // Restart after a delay
-  setTimeout(() => startBot(), 300000); // 5 minutes
-});
\ No newline at end of file
+/**
+ * Parse the command line and run the requested command
+ */
+function main() {
+  let parsed;
+  
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  
+  if (parsed.options.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  botOptions = parsed.options;
+  
+  if (['run', 'once', 'account'].includes(parsed.command)) {
+    installSignalHandlers();
+  }
+  
+  if (parsed.command === 'run') {
+    installCrashHandlers();
+    
+    // Start the bot
+    startBot().catch(error => {
+      logger.error('FATAL ERROR in startBot:', error);
+      // Restart after a delay
+      setTimeout(() => startBot(), 300000); // 5 minutes
+    });
+    return;
+  }
+  
+  // One-shot commands exit as soon as they finish, even if request timers are pending.
+  // After a signal, the shutdown handler decides the exit code instead.
+  commands[parsed.command](parsed.args, parsed.options)
+    .catch(error => {
+      logger.error(`${parsed.command} failed: ${error.message}`);
+      return 1;
+    })
+    .then(async code => {
+      if (isShuttingDown()) return;
+      await logger.close();
+      process.exit(code);
+    });
+}
+
+main();
\ No newline at end of file
@@ -0,0 +1,252 @@
+// src/mock/MinesweeperGame.js
+
+/**
+ * Board size, mine count and credits for a win, per difficulty
+ */
+const DIFFICULTIES = {
+  EASY: { width: 10, height: 10, mines: 10, credits: 10 },
+  NORMAL: { width: 16, height: 16, mines: 40, credits: 20 },
+  HARD: { width: 30, height: 16, mines: 99, credits: 40 }
+};
+
+/**
+ * Marker of a flagged tile in the tile grid
+ */
+const FLAG = 'F';
+
+/**
+ * Marker of a mine in the tile grid, shown once the game is over
+ */
+const MINE = 'M';
+
+/**
+ * Minesweeper game played by the mock platform
+ *
+ * Mines are placed on the first click, away from the clicked tile and its
+ * neighbours, so the first click always opens an area. Clicking a tile
+ * without adjacent mines opens its neighbours too. The game is won once every
+ * tile without a mine is open.
+ */
+class MinesweeperGame {
+  /**
+   * Create a new game
+   * @param {string} difficulty EASY, NORMAL or HARD
+   * @param {Object} options Game options
+   * @param {Function} options.random Random number generator returning [0, 1) (defaults to Math.random)
+   */
+  constructor(difficulty = 'EASY', options = {}) {
+    const settings = DIFFICULTIES[difficulty];
+    if (!settings) {
+      throw new Error(`Unknown difficulty: ${difficulty}`);
+    }
+
+    this.difficulty = difficulty;
+    this.width = settings.width;
+    this.height = settings.height;
+    this.mineCount = settings.mines;
+    this.credits = settings.credits;
+    this.random = options.random || Math.random;
+    this.mines = null;
+    this.open = new Set();
+    this.flags = new Set();
+    this.exploded = false;
+    this.won = false;
+  }
+
+  /**
+   * Whether the game has ended
+   * @returns {boolean} Whether a mine exploded or the game was won
+   */
+  get gameOver() {
+    return this.exploded || this.won;
+  }
+
+  /**
+   * Open a tile
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @throws {Error} If the game is over, the tile is off the board or flagged
+   */
+  click(x, y) {
+    this._checkMove(x, y);
+
+    const key = this._key(x, y);
+    if (this.flags.has(key)) {
+      throw new Error('Tile is flagged');
+    }
+    if (this.mines === null) {
+      this._placeMines(key);
+    }
+
+    if (this.mines.has(key)) {
+      this.exploded = true;
+      return;
+    }
+
+    this._reveal(key);
+    this.won = this.open.size === this.width * this.height - this.mineCount;
+  }
+
+  /**
+   * Flag an unopened tile
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @throws {Error} If the game is over, the tile is off the board or already open
+   */
+  flag(x, y) {
+    this._checkMove(x, y);
+
+    const key = this._key(x, y);
+    if (this.open.has(key)) {
+      throw new Error('Tile is already open');
+    }
+    this.flags.add(key);
+  }
+
+  /**
+   * Get the game state in the shape of the platform's `_minesweeper` object
+   * @returns {Object} Game state {width, height, mines, tiles, gameOver, exploded}
+   */
+  toJSON() {
+    const tiles = [];
+
+    for (let y = 0; y < this.height; y++) {
+      const row = [];
+      for (let x = 0; x < this.width; x++) {
+        const key = this._key(x, y);
+
+        if (this.open.has(key)) {
+          row.push(this._countMines(key));
+        } else if (this.gameOver && this.mines.has(key)) {
+          row.push(MINE);
+        } else if (this.flags.has(key)) {
+          row.push(FLAG);
+        } else {
+          row.push(null);
+        }
+      }
+      tiles.push(row);
+    }
+
+    return {
+      width: this.width,
+      height: this.height,
+      mines: this.mineCount,
+      tiles,
+      gameOver: this.gameOver,
+      exploded: this.exploded
+    };
+  }
+
+  /**
+   * Check that a move can be made on a tile
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @throws {Error} If the game is over or the tile is off the board
+   * @private
+   */
+  _checkMove(x, y) {
+    if (this.gameOver) {
+      throw new Error('Game is over');
+    }
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || x >= this.width || y < 0 || y >= this.height) {
+      throw new Error(`Tile (${x}, ${y}) is off the board`);
+    }
+  }
+
+  /**
+   * Place the mines, keeping the first clicked tile and, if possible, its neighbours clear
+   * @param {number} firstKey Key of the first clicked tile
+   * @private
+   */
+  _placeMines(firstKey) {
+    const protectedKeys = new Set([firstKey, ...this._neighbors(firstKey)]);
+    const size = this.width * this.height;
+    let candidates = [];
+
+    for (let key = 0; key < size; key++) {
+      if (!protectedKeys.has(key)) candidates.push(key);
+    }
+    if (candidates.length < this.mineCount) {
+      candidates = [...Array(size).keys()].filter(key => key !== firstKey);
+    }
+
+    // Partial Fisher-Yates shuffle: the first mineCount candidates become mines
+    for (let i = 0; i < this.mineCount; i++) {
+      const j = i + Math.floor(this.random() * (candidates.length - i));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    this.mines = new Set(candidates.slice(0, this.mineCount));
+  }
+
+  /**
+   * Open a tile, and its neighbours while no mine is adjacent
+   * @param {number} startKey Key of the clicked tile
+   * @private
+   */
+  _reveal(startKey) {
+    const pending = [startKey];
+
+    while (pending.length > 0) {
+      const key = pending.pop();
+      if (this.open.has(key) || this.mines.has(key)) continue;
+
+      this.open.add(key);
+      this.flags.delete(key);
+
+      if (this._countMines(key) === 0) {
+        pending.push(...this._neighbors(key));
+      }
+    }
+  }
+
+  /**
+   * Count the mines around a tile
+   * @param {number} key Tile key
+   * @returns {number} Adjacent mines
+   * @private
+   */
+  _countMines(key) {
+    return this._neighbors(key).filter(neighbor => this.mines.has(neighbor)).length;
+  }
+
+  /**
+   * Get the keys of the tiles around a tile
+   * @param {number} key Tile key
+   * @returns {Array<number>} Neighbour keys
+   * @private
+   */
+  _neighbors(key) {
+    const x = key % this.width;
+    const y = Math.floor(key / this.width);
+    const neighbors = [];
+
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if ((dx || dy) && nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+          neighbors.push(this._key(nx, ny));
+        }
+      }
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * Get the key of a tile
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @returns {number} Tile key
+   * @private
+   */
+  _key(x, y) {
+    return y * this.width + x;
+  }
+}
+
+MinesweeperGame.DIFFICULTIES = DIFFICULTIES;
+
+module.exports = MinesweeperGame;
@@ -0,0 +1,514 @@
+// src/mock/MockPlatform.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const MinesweeperGame = require('./MinesweeperGame');
+const { systemClock } = require('../utils/clock');
+
+/**
+ * Quests offered by the mock platform
+ */
+const QUESTS = [
+  { id: 'f56c0b5a-9a26-4e33-a3e1-64d8d2b5c7a1', title: 'Daily Dice Roll', slug: 'daily-dice-roll' },
+  { id: '44ec9674-6125-4f88-9e18-8d6d6be8f156', title: 'Minesweeper', slug: 'minesweeper' }
+];
+
+/**
+ * Minesweeper games allowed per account per day
+ */
+const DAILY_GAMES = 3;
+
+/**
+ * Session cookie set by a successful login
+ */
+const SESSION_COOKIE = '__Secure-next-auth.session-token';
+
+/**
+ * CSRF cookie set with every CSRF token
+ */
+const CSRF_COOKIE = '__Host-next-auth.csrf-token';
+
+/**
+ * Failures that can be injected, besides HTTP status codes
+ */
+const FAILURE_KINDS = ['timeout', 'already_completed'];
+
+/**
+ * Error messages of injected status codes
+ */
+const STATUS_MESSAGES = {
+  401: 'Unauthorized',
+  429: 'Too many requests',
+  500: 'Internal server error',
+  502: 'Bad gateway',
+  503: 'Service unavailable'
+};
+
+/**
+ * In-memory model of the platform API and of the captcha service
+ *
+ * Requests are plain objects {method, path, cookies, body} and responses are
+ * {status, body, cookies, headers}, or {timeout: true} for a request that
+ * must never be answered. MockServer does the HTTP side. Daily limits reset
+ * at midnight UTC of the injected clock.
+ */
+class MockPlatform {
+  /**
+   * Create a new mock platform
+   * @param {Object} options Platform options
+   * @param {Object} options.clock Clock with now() (defaults to the system clock)
+   * @param {Function} options.random Random number generator returning [0, 1) (defaults to Math.random)
+   * @param {number} options.initialCredits Credit balance of new users (default: 0)
+   * @param {Array<Object>} options.failures Failures to inject, see addFailure()
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.random = options.random || Math.random;
+    this.initialCredits = options.initialCredits || 0;
+    this.users = new Map();
+    this.sessions = new Map();
+    this.csrfTokens = new Set();
+    this.captchaTasks = new Set();
+    this.userQuests = [];
+    this.games = new Map();
+    this.failures = [];
+
+    for (const failure of options.failures || []) {
+      this.addFailure(failure);
+    }
+  }
+
+  /**
+   * Inject a failure into matching requests
+   * @param {Object} rule Failure rule
+   * @param {string} rule.path Request path (e.g. /api/quests)
+   * @param {string} rule.method Request method; any method if not set
+   * @param {number|string} rule.failure HTTP status code (4xx or 5xx), "timeout" or "already_completed"
+   * @param {number} rule.times Number of requests to fail; every request if not set
+   * @param {number} rule.rate Share of the matching requests to fail, between 0 and 1 (default: 1)
+   * @throws {Error} If the rule is invalid
+   */
+  addFailure(rule) {
+    const failure = /^\d+$/.test(String(rule.failure)) ? Number(rule.failure) : rule.failure;
+
+    if (typeof rule.path !== 'string' || !rule.path.startsWith('/')) {
+      throw new Error(`Invalid failure path: ${rule.path}`);
+    }
+    if (!FAILURE_KINDS.includes(failure) && !(Number.isInteger(failure) && failure >= 400 && failure <= 599)) {
+      throw new Error(`Invalid failure: ${rule.failure}, expected a 4xx or 5xx status, ${FAILURE_KINDS.join(' or ')}`);
+    }
+    if (rule.rate !== undefined && !(rule.rate > 0 && rule.rate <= 1)) {
+      throw new Error(`Invalid failure rate: ${rule.rate}`);
+    }
+
+    this.failures.push({
+      path: rule.path,
+      method: rule.method ? rule.method.toUpperCase() : null,
+      failure,
+      times: Number.isInteger(rule.times) ? rule.times : null,
+      rate: rule.rate !== undefined ? rule.rate : 1
+    });
+  }
+
+  /**
+   * Remove every injected failure
+   */
+  clearFailures() {
+    this.failures = [];
+  }
+
+  /**
+   * Parse failure rules from the command line
+   *
+   * Rules are separated by commas, each `[METHOD ]PATH:FAILURE[:COUNT|:PERCENT%]`,
+   * e.g. `/api/quests:429:2,POST /api/userQuests:timeout:20%`.
+   * @param {string} text Failure rules
+   * @returns {Array<Object>} Rules for addFailure()
+   * @throws {Error} If a rule can't be parsed
+   */
+  static parseFailures(text) {
+    return String(text).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const match = /^(?:([A-Za-z]+)\s+)?(\/\S*?):(\w+)(?::(\d+)(%)?)?$/.exec(part);
+      if (!match) {
+        throw new Error(`Invalid failure rule "${part}", expected [METHOD ]PATH:FAILURE[:COUNT|:PERCENT%]`);
+      }
+
+      const [, method, path, failure, amount, percent] = match;
+      const rule = { path, failure };
+      if (method) rule.method = method;
+      if (amount !== undefined && percent) rule.rate = Number(amount) / 100;
+      if (amount !== undefined && !percent) rule.times = Number(amount);
+      return rule;
+    });
+  }
+
+  /**
+   * Get a user by address
+   * @param {string} address Wallet address
+   * @returns {Object|null} User {id, address, credits, createdAt}, or null if the wallet never logged in
+   */
+  getUser(address) {
+    return this.users.get(String(address).toLowerCase()) || null;
+  }
+
+  /**
+   * Handle a request
+   * @param {Object} request Request {method, path, cookies, body}
+   * @returns {Object} Response {status, body, cookies, headers}, or {timeout: true}
+   */
+  handle(request) {
+    const injected = this._getInjectedFailure(request);
+    if (injected) return injected;
+
+    const route = `${request.method} ${request.path}`;
+
+    try {
+      switch (route) {
+        case 'GET /api/auth/csrf': return this._getCsrfToken();
+        case 'GET /api/auth/session': return this._getSession(request);
+        case 'POST /api/auth/callback/credentials': return this._login(request);
+        case 'GET /api/user': return this._getUser(request);
+        case 'GET /api/quests': return this._respond(200, { data: QUESTS });
+        case 'GET /api/userQuests': return this._getUserQuests(request);
+        case 'POST /api/userQuests': return this._postUserQuest(request);
+        case 'POST /createTask': return this._createCaptchaTask(request);
+        case 'POST /getTaskResult': return this._getCaptchaTaskResult(request);
+        default: return this._respond(404, { message: `Not found: ${route}` });
+      }
+    } catch (error) {
+      return this._respond(500, { message: error.message });
+    }
+  }
+
+  /**
+   * Get the injected failure for a request, if any
+   * @param {Object} request Request {method, path}
+   * @returns {Object|null} Failure response, or null if the request is not failed
+   * @private
+   */
+  _getInjectedFailure(request) {
+    const rule = this.failures.find(candidate =>
+      candidate.path === request.path &&
+      (!candidate.method || candidate.method === request.method) &&
+      candidate.times !== 0);
+
+    if (!rule || (rule.rate < 1 && this.random() >= rule.rate)) return null;
+    if (rule.times !== null) rule.times--;
+
+    if (rule.failure === 'timeout') return { timeout: true };
+    if (rule.failure === 'already_completed') return this._respond(400, { message: 'Quest already completed' });
+
+    const headers = rule.failure === 429 ? { 'Retry-After': '1' } : {};
+    return this._respond(rule.failure, { message: STATUS_MESSAGES[rule.failure] || `HTTP ${rule.failure}` }, { headers });
+  }
+
+  /**
+   * GET /api/auth/csrf
+   * @returns {Object} Response with a new CSRF token
+   * @private
+   */
+  _getCsrfToken() {
+    const csrfToken = crypto.randomBytes(32).toString('hex');
+    this.csrfTokens.add(csrfToken);
+
+    return this._respond(200, { csrfToken }, { cookies: [`${CSRF_COOKIE}=${csrfToken}; Path=/; HttpOnly; SameSite=Lax`] });
+  }
+
+  /**
+   * GET /api/auth/session
+   * @param {Object} request Request
+   * @returns {Object} Response with the session user, or an empty object without a session
+   * @private
+   */
+  _getSession(request) {
+    const user = this._getSessionUser(request);
+    if (!user) return this._respond(200, {});
+
+    return this._respond(200, {
+      user: { id: user.id, address: user.address },
+      expires: new Date(this.clock.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+    });
+  }
+
+  /**
+   * POST /api/auth/callback/credentials
+   *
+   * Accepts a signed sign-in message whose nonce is a CSRF token issued by
+   * this platform, with at least one captcha token. Rejections are answered
+   * like next-auth does: 200 with an error in the redirect URL.
+   * @param {Object} request Request with the form fields as body
+   * @returns {Object} Response with the redirect URL and the session cookie
+   * @private
+   */
+  _login(request) {
+    const { message, signature, csrfToken, recaptchaToken, recaptchaTokenV2 } = request.body || {};
+    const rejected = error => this._respond(200, { url: `/api/auth/error?error=${error}` });
+
+    if (!csrfToken || !this.csrfTokens.has(csrfToken)) return rejected('MissingCSRF');
+    if (!recaptchaToken && !recaptchaTokenV2) return rejected('CaptchaRequired');
+    if (!message || !signature) return rejected('CredentialsSignin');
+
+    let address;
+    try {
+      address = ethers.utils.verifyMessage(message, signature);
+    } catch (error) {
+      return rejected('CredentialsSignin');
+    }
+
+    const lines = message.split('\n');
+    const nonce = lines.find(line => line.startsWith('Nonce: '));
+    if ((lines[1] || '').toLowerCase() !== address.toLowerCase() || nonce !== `Nonce: ${csrfToken}`) {
+      return rejected('CredentialsSignin');
+    }
+
+    const user = this._getOrCreateUser(address);
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(sessionToken, user.address.toLowerCase());
+
+    return this._respond(200, { url: request.body.callbackUrl || '/' }, {
+      cookies: [`${SESSION_COOKIE}=${sessionToken}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=2592000`]
+    });
+  }
+
+  /**
+   * GET /api/user
+   * @param {Object} request Request
+   * @returns {Object} Response with the user and its credit balance
+   * @private
+   */
+  _getUser(request) {
+    const user = this._getSessionUser(request);
+    if (!user) return this._respond(401, { message: 'Unauthorized' });
+
+    return this._respond(200, { data: { ...user } });
+  }
+
+  /**
+   * GET /api/userQuests
+   * @param {Object} request Request
+   * @returns {Object} Response with the quests the user has started or completed
+   * @private
+   */
+  _getUserQuests(request) {
+    const user = this._getSessionUser(request);
+    if (!user) return this._respond(401, { message: 'Unauthorized' });
+
+    return this._respond(200, {
+      data: this.userQuests.filter(userQuest => userQuest.userId === user.id).map(userQuest => ({ ...userQuest }))
+    });
+  }
+
+  /**
+   * POST /api/userQuests
+   * @param {Object} request Request with {questId, metadata} as body
+   * @returns {Object} Response with the user quest
+   * @private
+   */
+  _postUserQuest(request) {
+    const user = this._getSessionUser(request);
+    if (!user) return this._respond(401, { message: 'Unauthorized' });
+
+    const { questId, metadata = {} } = request.body || {};
+    const quest = QUESTS.find(candidate => candidate.id === questId);
+    if (!quest) return this._respond(404, { message: 'Quest not found' });
+
+    return quest.slug === 'minesweeper'
+      ? this._playMinesweeper(user, quest, metadata)
+      : this._rollDice(user, quest);
+  }
+
+  /**
+   * Complete the daily dice roll, once per day
+   * @param {Object} user User
+   * @param {Object} quest Dice roll quest
+   * @returns {Object} Response with the completed user quest
+   * @private
+   */
+  _rollDice(user, quest) {
+    if (this._getUserQuestsToday(user, quest).length > 0) {
+      return this._respond(400, { message: 'Quest already completed' });
+    }
+
+    const credits = (1 + Math.floor(this.random() * 6)) * 5;
+    const userQuest = this._createUserQuest(user, quest, { status: 'COMPLETED', credits });
+    user.credits += credits;
+
+    return this._respond(200, { data: { ...userQuest } });
+  }
+
+  /**
+   * Run a Minesweeper action: START a game, CLICK or FLAG a tile
+   * @param {Object} user User
+   * @param {Object} quest Minesweeper quest
+   * @param {Object} metadata Action {action, difficulty, userQuestId, x, y}
+   * @returns {Object} Response with the user quest and its `_minesweeper` game state
+   * @private
+   */
+  _playMinesweeper(user, quest, metadata) {
+    if (metadata.action === 'START') {
+      if (this._getUserQuestsToday(user, quest).length >= DAILY_GAMES) {
+        return this._respond(400, { message: 'Quest already completed' });
+      }
+
+      const difficulty = metadata.difficulty || 'EASY';
+      if (!MinesweeperGame.DIFFICULTIES[difficulty]) {
+        return this._respond(400, { message: `Invalid difficulty: ${difficulty}` });
+      }
+
+      const userQuest = this._createUserQuest(user, quest, { status: 'PENDING', credits: 0 });
+      const game = new MinesweeperGame(difficulty, { random: this.random });
+      this.games.set(userQuest.id, game);
+
+      return this._respond(200, { data: { ...userQuest, _minesweeper: game.toJSON() } });
+    }
+
+    if (metadata.action !== 'CLICK' && metadata.action !== 'FLAG') {
+      return this._respond(400, { message: `Invalid action: ${metadata.action}` });
+    }
+
+    const userQuest = this.userQuests.find(candidate => candidate.id === metadata.userQuestId && candidate.userId === user.id);
+    const game = userQuest && this.games.get(userQuest.id);
+    if (!game) return this._respond(404, { message: 'Game not found' });
+
+    try {
+      if (metadata.action === 'CLICK') {
+        game.click(metadata.x, metadata.y);
+      } else {
+        game.flag(metadata.x, metadata.y);
+      }
+    } catch (error) {
+      return this._respond(400, { message: error.message });
+    }
+
+    if (game.won) {
+      userQuest.status = 'COMPLETED';
+      userQuest.credits = game.credits;
+      user.credits += game.credits;
+    } else if (game.exploded) {
+      userQuest.status = 'FAILED';
+    }
+
+    return this._respond(200, { data: { ...userQuest, _minesweeper: game.toJSON() } });
+  }
+
+  /**
+   * POST /createTask of the captcha service
+   * @param {Object} request Request with {clientKey, task} as body
+   * @returns {Object} Response with the task ID
+   * @private
+   */
+  _createCaptchaTask(request) {
+    const { clientKey, task } = request.body || {};
+
+    if (!clientKey) {
+      return this._respond(200, { errorId: 1, errorCode: 'ERROR_KEY_DENIED_ACCESS', errorDescription: 'Missing client key' });
+    }
+    if (!task || !task.type) {
+      return this._respond(200, { errorId: 1, errorCode: 'ERROR_INVALID_TASK_DATA', errorDescription: 'Missing task' });
+    }
+
+    const taskId = crypto.randomUUID();
+    this.captchaTasks.add(taskId);
+    return this._respond(200, { errorId: 0, taskId });
+  }
+
+  /**
+   * POST /getTaskResult of the captcha service; every task is solved at once
+   * @param {Object} request Request with {clientKey, taskId} as body
+   * @returns {Object} Response with the solution
+   * @private
+   */
+  _getCaptchaTaskResult(request) {
+    const { taskId } = request.body || {};
+
+    if (!this.captchaTasks.has(taskId)) {
+      return this._respond(200, { errorId: 1, errorCode: 'ERROR_TASKID_INVALID', errorDescription: 'Unknown task' });
+    }
+
+    const token = `mock-captcha-${taskId}`;
+    return this._respond(200, { errorId: 0, status: 'ready', solution: { gRecaptchaResponse: token, token } });
+  }
+
+  /**
+   * Get the user of the session cookie
+   * @param {Object} request Request with parsed cookies
+   * @returns {Object|null} User, or null without a valid session
+   * @private
+   */
+  _getSessionUser(request) {
+    const address = this.sessions.get((request.cookies || {})[SESSION_COOKIE]);
+    return address ? this.users.get(address) : null;
+  }
+
+  /**
+   * Get a user, creating it on its first login
+   * @param {string} address Wallet address
+   * @returns {Object} User
+   * @private
+   */
+  _getOrCreateUser(address) {
+    const key = address.toLowerCase();
+
+    if (!this.users.has(key)) {
+      this.users.set(key, {
+        id: crypto.randomUUID(),
+        address,
+        credits: this.initialCredits,
+        createdAt: new Date(this.clock.now()).toISOString()
+      });
+    }
+
+    return this.users.get(key);
+  }
+
+  /**
+   * Create a user quest
+   * @param {Object} user User
+   * @param {Object} quest Quest
+   * @param {Object} fields Initial fields {status, credits}
+   * @returns {Object} User quest
+   * @private
+   */
+  _createUserQuest(user, quest, fields) {
+    const userQuest = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      questId: quest.id,
+      ...fields,
+      createdAt: new Date(this.clock.now()).toISOString()
+    };
+
+    this.userQuests.push(userQuest);
+    return userQuest;
+  }
+
+  /**
+   * Get the user quests of a quest created today (UTC)
+   * @param {Object} user User
+   * @param {Object} quest Quest
+   * @returns {Array<Object>} User quests
+   * @private
+   */
+  _getUserQuestsToday(user, quest) {
+    const today = new Date(this.clock.now()).toISOString().slice(0, 10);
+    return this.userQuests.filter(userQuest =>
+      userQuest.userId === user.id && userQuest.questId === quest.id && userQuest.createdAt.startsWith(today));
+  }
+
+  /**
+   * Build a response
+   * @param {number} status HTTP status
+   * @param {Object} body JSON body
+   * @param {Object} extra Cookies and headers {cookies, headers}
+   * @returns {Object} Response
+   * @private
+   */
+  _respond(status, body, { cookies = [], headers = {} } = {}) {
+    return { status, body, cookies, headers };
+  }
+}
+
+MockPlatform.QUESTS = QUESTS;
+MockPlatform.DAILY_GAMES = DAILY_GAMES;
+MockPlatform.SESSION_COOKIE = SESSION_COOKIE;
+
+module.exports = MockPlatform;
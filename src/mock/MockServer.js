@@ -0,0 +1,206 @@
+// src/mock/MockServer.js
+const http = require('http');
+const logger = require('../utils/logger');
+const MockPlatform = require('./MockPlatform');
+
+/**
+ * Path prefix of the endpoints that control the mock itself
+ */
+const CONTROL_PREFIX = '/__mock';
+
+/**
+ * Local HTTP server of the platform API, for running the bot offline
+ *
+ * Serves the platform endpoints under its root URL (set `api.base_url` to it)
+ * and the captcha service's createTask/getTaskResult (set `captcha.api_url`
+ * to it as well). Failures can be injected when the server is created or at
+ * runtime through the control endpoints:
+ *
+ * - `POST /__mock/failures` adds a failure rule (see MockPlatform#addFailure)
+ * - `DELETE /__mock/failures` removes every failure rule
+ * - `GET /__mock/users` lists the users and their credit balances
+ */
+class MockServer {
+  /**
+   * Create a new mock server
+   * @param {Object} options Options passed to MockPlatform
+   */
+  constructor(options = {}) {
+    this.platform = new MockPlatform(options);
+    this.server = http.createServer((req, res) => this._handleRequest(req, res));
+    this.heldResponses = new Set();
+    this.url = null;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port Port (0 picks a free port)
+   * @param {string} host Host to bind to
+   * @returns {Promise<string>} Base URL of the server
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        this.url = `http://${host}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server, dropping requests held by an injected timeout
+   * @returns {Promise<void>}
+   */
+  stop() {
+    for (const res of this.heldResponses) {
+      res.destroy();
+    }
+    this.heldResponses.clear();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      if (typeof this.server.closeAllConnections === 'function') {
+        this.server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Handle an HTTP request
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let body;
+
+    try {
+      body = MockServer.parseBody(await MockServer._readBody(req), req.headers['content-type']);
+    } catch (error) {
+      this._send(res, { status: 400, body: { message: `Invalid request body: ${error.message}` } });
+      return;
+    }
+
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      cookies: MockServer.parseCookies(req.headers.cookie),
+      body
+    };
+
+    const response = url.pathname.startsWith(CONTROL_PREFIX)
+      ? this._handleControl(request)
+      : this.platform.handle(request);
+
+    logger.debug(`Mock: ${request.method} ${request.path} -> ${response.timeout ? 'timeout' : response.status}`);
+
+    if (response.timeout) {
+      // Never answered; the client has to give up on its own
+      this.heldResponses.add(res);
+      res.on('close', () => this.heldResponses.delete(res));
+      return;
+    }
+
+    this._send(res, response);
+  }
+
+  /**
+   * Handle a request to the control endpoints
+   * @param {Object} request Request {method, path, body}
+   * @returns {Object} Response {status, body}
+   * @private
+   */
+  _handleControl(request) {
+    const route = `${request.method} ${request.path.slice(CONTROL_PREFIX.length)}`;
+
+    try {
+      switch (route) {
+        case 'POST /failures':
+          this.platform.addFailure(request.body || {});
+          return { status: 200, body: { failures: this.platform.failures } };
+        case 'DELETE /failures':
+          this.platform.clearFailures();
+          return { status: 200, body: { failures: [] } };
+        case 'GET /users':
+          return { status: 200, body: { data: [...this.platform.users.values()] } };
+        default:
+          return { status: 404, body: { message: `Not found: ${request.method} ${request.path}` } };
+      }
+    } catch (error) {
+      return { status: 400, body: { message: error.message } };
+    }
+  }
+
+  /**
+   * Write a response
+   * @param {http.ServerResponse} res Response
+   * @param {Object} response Response {status, body, cookies, headers}
+   * @private
+   */
+  _send(res, { status, body, cookies = [], headers = {} }) {
+    const content = JSON.stringify(body);
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(content),
+      ...(cookies.length > 0 ? { 'Set-Cookie': cookies } : {}),
+      ...headers
+    });
+    res.end(content);
+  }
+
+  /**
+   * Parse a request body
+   * @param {string} text Raw body
+   * @param {string} contentType Content-Type header
+   * @returns {Object|null} Parsed body, or null if the body is empty
+   * @throws {SyntaxError} If a JSON body is malformed
+   */
+  static parseBody(text, contentType = '') {
+    if (!text) return null;
+
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      return Object.fromEntries(new URLSearchParams(text));
+    }
+    return JSON.parse(text);
+  }
+
+  /**
+   * Parse a Cookie header
+   * @param {string} header Cookie header
+   * @returns {Object} Cookie values by name
+   */
+  static parseCookies(header = '') {
+    const cookies = {};
+
+    for (const pair of String(header).split(';')) {
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        cookies[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+      }
+    }
+
+    return cookies;
+  }
+
+  /**
+   * Read a request body
+   * @param {http.IncomingMessage} req Request
+   * @returns {Promise<string>} Body
+   * @private
+   */
+  static _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+}
+
+module.exports = MockServer;
@@ -0,0 +1,310 @@
+// src/services/AccountsFile.js
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { registry: questRegistry } = require('./quests');
+
+/**
+ * Quests that can be switched on or off per account: every registered quest
+ */
+const QUEST_KEYS = questRegistry.keys();
+
+/**
+ * Fields of an account entry; also the CSV columns
+ */
+const FIELDS = ['key', 'label', 'proxy', ...QUEST_KEYS, 'minesweeper_difficulty', 'referral_code'];
+
+/**
+ * Minesweeper difficulties accepted as an override
+ */
+const DIFFICULTIES = ['EASY', 'NORMAL', 'HARD'];
+
+/**
+ * Accounts file listing which keys run, under which label, and with which overrides
+ *
+ * YAML files hold a list of entries (or an `accounts:` list); CSV files have a
+ * header row naming the columns. Both use the same fields:
+ * - `key`: wallet address, or the key's position in the key list (1-based)
+ * - `label`: name used in logs and to select the account
+ * - `proxy`: proxy pinned to the account, instead of one from the rotation
+ * - `daily_dice_roll`, `minesweeper` (or the key of any other quest handler): enable or disable the quest
+ * - `minesweeper_difficulty`: EASY, NORMAL or HARD
+ * - `referral_code`: referral code used when logging in
+ */
+class AccountsFile {
+  /**
+   * Create a new accounts file
+   * @param {string} filePath Path to a .yaml, .yml or .csv file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read and validate the entries
+   * @returns {Promise<Array<Object>>} Entries {key, label, proxy, overrides}
+   * @throws {Error} If the file is missing or an entry is invalid
+   */
+  async load() {
+    if (!await fs.pathExists(this.filePath)) {
+      throw new Error(`Accounts file not found: ${this.filePath}`);
+    }
+
+    const content = await fs.readFile(this.filePath, 'utf8');
+    const extension = path.extname(this.filePath).toLowerCase();
+    const rows = extension === '.csv' ? this._parseCsv(content) : this._parseYaml(content);
+    const labels = new Set();
+
+    return rows.map(({ where, value }) => {
+      const entry = this._normalizeEntry(value, where);
+
+      if (entry.label && labels.has(entry.label)) {
+        throw new Error(`${where}: duplicate label "${entry.label}"`);
+      }
+      labels.add(entry.label);
+
+      return entry;
+    });
+  }
+
+  /**
+   * Match entries to the loaded private keys
+   * @param {Array<Object>} entries Entries from load()
+   * @param {Array<string>} privateKeys Loaded private keys
+   * @returns {Object} {accounts: [{privateKey, label, proxy, overrides}], unlisted: number of keys not in the file}
+   * @throws {Error} If an entry references a key that isn't loaded, or two entries reference the same key
+   */
+  static resolve(entries, privateKeys) {
+    const addresses = privateKeys.map(privateKey => {
+      try {
+        return new ethers.Wallet(privateKey).address.toLowerCase();
+      } catch (error) {
+        return null;
+      }
+    });
+    const used = new Set();
+
+    const accounts = entries.map(entry => {
+      const position = typeof entry.key === 'number'
+        ? entry.key - 1
+        : addresses.indexOf(entry.key.toLowerCase());
+
+      if (position < 0 || position >= privateKeys.length) {
+        throw new Error(`Account "${entry.label || entry.key}" references key ${entry.key}, which is not loaded`);
+      }
+      if (used.has(position)) {
+        throw new Error(`Account "${entry.label || entry.key}" references key ${entry.key}, which is already used`);
+      }
+      used.add(position);
+
+      return {
+        privateKey: privateKeys[position],
+        label: entry.label,
+        proxy: entry.proxy,
+        overrides: entry.overrides
+      };
+    });
+
+    return { accounts, unlisted: privateKeys.length - used.size };
+  }
+
+  /**
+   * Apply an account's overrides to the configuration
+   * @param {Object} config Global configuration
+   * @param {Object} overrides Account overrides
+   * @returns {Object} Configuration for the account (the global one is not modified)
+   */
+  static applyOverrides(config, overrides = {}) {
+    const quests = { ...config.quests };
+
+    for (const questKey of QUEST_KEYS) {
+      if (overrides[questKey] !== undefined) {
+        quests[questKey] = { ...quests[questKey], enabled: overrides[questKey] };
+      }
+    }
+    if (overrides.minesweeper_difficulty) {
+      quests.minesweeper = { ...quests.minesweeper, difficulty: overrides.minesweeper_difficulty };
+    }
+
+    const referral = overrides.referral_code !== undefined
+      ? { ...config.referral, code: overrides.referral_code }
+      : config.referral;
+
+    return { ...config, quests, referral };
+  }
+
+  /**
+   * Parse YAML content
+   * @param {string} content File content
+   * @returns {Array<Object>} Rows {where, value}
+   * @private
+   */
+  _parseYaml(content) {
+    const document = yaml.load(content) || [];
+    const list = Array.isArray(document) ? document : document.accounts;
+
+    if (!Array.isArray(list)) {
+      throw new Error(`${this.filePath}: expected a list of accounts`);
+    }
+
+    return list.map((value, i) => ({ where: `${this.filePath}: entry ${i + 1}`, value }));
+  }
+
+  /**
+   * Parse CSV content with a header row
+   * @param {string} content File content
+   * @returns {Array<Object>} Rows {where, value}
+   * @private
+   */
+  _parseCsv(content) {
+    const lines = content.split(/\r?\n/)
+      .map((text, i) => ({ line: i + 1, text: text.trim() }))
+      .filter(({ text }) => text && !text.startsWith('#'));
+
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const header = AccountsFile._splitCsvLine(lines[0].text);
+
+    return lines.slice(1).map(({ line, text }) => {
+      const where = `${this.filePath}:${line}`;
+      const cells = AccountsFile._splitCsvLine(text);
+
+      if (cells.length > header.length) {
+        throw new Error(`${where}: ${cells.length} columns, but the header has ${header.length}`);
+      }
+
+      // Empty cells mean "no override"
+      const value = {};
+      header.forEach((column, i) => {
+        if (cells[i]) value[column] = cells[i];
+      });
+      return { where, value };
+    });
+  }
+
+  /**
+   * Split a CSV line into cells; cells may be double-quoted
+   * @param {string} text CSV line
+   * @returns {Array<string>} Cells
+   * @private
+   */
+  static _splitCsvLine(text) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * Validate an entry and split it into its fields and overrides
+   * @param {Object} value Raw entry
+   * @param {string} where Location for error messages
+   * @returns {Object} Entry {key, label, proxy, overrides}
+   * @private
+   */
+  _normalizeEntry(value, where) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${where}: expected an account entry`);
+    }
+
+    for (const field of Object.keys(value)) {
+      if (!FIELDS.includes(field)) {
+        throw new Error(`${where}: unknown field "${field}", expected one of: ${FIELDS.join(', ')}`);
+      }
+    }
+
+    const entry = {
+      key: this._parseKeyReference(value.key, where),
+      label: value.label !== undefined && value.label !== null ? String(value.label).trim() : null,
+      proxy: value.proxy ? String(value.proxy).trim() : null,
+      overrides: {}
+    };
+
+    for (const questKey of QUEST_KEYS) {
+      if (value[questKey] !== undefined && value[questKey] !== null) {
+        entry.overrides[questKey] = this._parseBoolean(value[questKey], `${where}: ${questKey}`);
+      }
+    }
+
+    if (value.minesweeper_difficulty) {
+      const difficulty = String(value.minesweeper_difficulty).toUpperCase();
+      if (!DIFFICULTIES.includes(difficulty)) {
+        throw new Error(`${where}: minesweeper_difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+      }
+      entry.overrides.minesweeper_difficulty = difficulty;
+    }
+
+    if (value.referral_code !== undefined && value.referral_code !== null) {
+      entry.overrides.referral_code = String(value.referral_code).trim();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Parse a key reference
+   * @param {*} value Wallet address or 1-based key position
+   * @param {string} where Location for error messages
+   * @returns {string|number} Address or position
+   * @private
+   */
+  _parseKeyReference(value, where) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    if (/^\d+$/.test(text) && parseInt(text, 10) > 0) {
+      return parseInt(text, 10);
+    }
+    if (ethers.utils.isAddress(text)) {
+      return text;
+    }
+
+    // Never echo the value: it may be a pasted private key
+    throw new Error(`${where}: key must be a wallet address or a key number starting at 1`);
+  }
+
+  /**
+   * Parse a boolean written as true/false, yes/no, on/off or 1/0
+   * @param {*} value Raw value
+   * @param {string} where Location for error messages
+   * @returns {boolean} Parsed value
+   * @private
+   */
+  _parseBoolean(value, where) {
+    if (typeof value === 'boolean') return value;
+
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(text)) return true;
+    if (['false', 'no', 'off', '0'].includes(text)) return false;
+
+    throw new Error(`${where} must be true or false, got "${value}"`);
+  }
+}
+
+module.exports = AccountsFile;
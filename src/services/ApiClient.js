@@ -3,6 +3,15 @@ const axios = require('axios');
 const { HttpsProxyAgent } = require('https-proxy-agent');
 const logger = require('../utils/logger');
 const { retry } = require('../utils/retry');
+const { systemClock } = require('../utils/clock');
+const { getLogPrefix } = require('../utils/helpers');
+const ProxyManager = require('./ProxyManager');
+const CookieJar = require('./CookieJar');
+
+/**
+ * URL of the platform, used unless `api.base_url` points elsewhere
+ */
+const DEFAULT_BASE_URL = 'https://www.magicnewton.com/portal';
 
 /**
  * API Client for Magic Newton platform
@@ -11,22 +20,29 @@ class ApiClient {
   /**
    * Create a new API client
    * @param {Object} options API client options
+   * @param {CookieJar} options.cookieJar Cookies of the account (optional)
+   * @param {string} options.baseUrl URL of the platform (defaults to the live site)
+   * @param {Object} options.clock Clock for retry waits and cookie expiry (defaults to the system clock)
    */
   constructor(options = {}) {
     this.options = options;
     this.accountIndex = options.accountIndex;
-    this.logPrefix = options.accountIndex ? `[Account ${options.accountIndex}] ` : '';
+    this.cookieJar = options.cookieJar || new CookieJar();
+    this.logPrefix = getLogPrefix(options);
+    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    this.origin = new URL(this.baseUrl).origin;
+    this.clock = options.clock || systemClock;
     
     // Create axios instance
     this.client = axios.create({
-      baseURL: 'https://www.magicnewton.com/portal',
+      baseURL: this.baseUrl,
       headers: {
         'User-Agent': options.userAgent,
         'Accept': '*/*',
         'Accept-Language': 'en-US,en;q=0.9',
         'Content-Type': 'application/json',
-        'Origin': 'https://www.magicnewton.com',
-        'Referer': 'https://www.magicnewton.com/portal',
+        'Origin': this.origin,
+        'Referer': this.baseUrl,
         'Sec-Ch-Ua': '"Not(A:Brand";v="99", "Google Chrome";v="133", "Chromium";v="133"',
         'Sec-Ch-Ua-Mobile': '?0',
         'Sec-Ch-Ua-Platform': '"Windows"',
@@ -59,35 +75,7 @@ class ApiClient {
       logger.debug(`${this.logPrefix}Setting up proxy: ${proxyString}`);
       
       // Parse proxy string (format: user:pass@host:port)
-      let auth = null;
-      let host = null;
-      let port = null;
-      
-      if (proxyString.includes('@')) {
-        const [authPart, hostPart] = proxyString.split('@');
-        auth = authPart;
-        
-        if (hostPart.includes(':')) {
-          const [hostValue, portValue] = hostPart.split(':');
-          host = hostValue;
-          port = parseInt(portValue);
-        } else {
-          host = hostPart;
-          port = 80;
-        }
-      } else if (proxyString.includes(':')) {
-        const [hostValue, portValue] = proxyString.split(':');
-        host = hostValue;
-        port = parseInt(portValue);
-      } else {
-        host = proxyString;
-        port = 80;
-      }
-      
-      // Construct proxy URL
-      let proxyUrl = auth 
-        ? `http://${auth}@${host}:${port}`
-        : `http://${host}:${port}`;
+      const { url: proxyUrl } = ProxyManager.parseProxy(proxyString);
       
       // Create proxy agent
       const proxyAgent = new HttpsProxyAgent(proxyUrl);
@@ -106,18 +94,27 @@ class ApiClient {
    * @private
    */
   _setupInterceptors() {
+    // Request interceptor: send the cookies of the jar
+    this.client.interceptors.request.use(config => {
+      const cookieHeader = this.cookieJar.getCookieHeader(this.clock.now());
+      if (cookieHeader) {
+        config.headers.Cookie = cookieHeader;
+      }
+      return config;
+    });
+    
     // Response interceptor
     this.client.interceptors.response.use(
       response => {
-        // Store cookies if they're in the response
-        if (response.headers && response.headers['set-cookie']) {
-          const cookies = response.headers['set-cookie'];
-          this.client.defaults.headers.Cookie = cookies.join('; ');
-        }
-        
+        this._storeCookies(response);
         return response;
       },
       error => {
+        // Error responses can set cookies too (e.g. a rejected login clearing the session)
+        if (error.response) {
+          this._storeCookies(error.response);
+        }
+        
         if (error.response) {
           logger.debug(`${this.logPrefix}API Error: ${error.response.status} ${error.config.method.toUpperCase()} ${error.config.url}`);
         } else if (error.request) {
@@ -129,15 +126,28 @@ class ApiClient {
       }
     );
   }
+  
+  /**
+   * Merge the cookies set by a response into the jar
+   * @param {Object} response Axios response
+   * @private
+   */
+  _storeCookies(response) {
+    if (response.headers && response.headers['set-cookie']) {
+      this.cookieJar.setCookies(response.headers['set-cookie'], this.clock.now());
+    }
+  }
 
   /**
    * Get session information
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} Session data
    */
-  async getSession() {
+  async getSession({ signal } = {}) {
     return retry(async () => {
       try {
-        const response = await this.client.get('/api/auth/session');
+        const response = await this.client.get('/api/auth/session', { signal });
         return response.data;
       } catch (error) {
         // Handle 401 Unauthorized as a special case
@@ -150,23 +160,29 @@ class ApiClient {
       maxAttempts: this.options.retries?.max_attempts || 5,
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
-      logPrefix: this.logPrefix
+      logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal
     });
   }
   
   /**
    * Get CSRF token
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<string>} CSRF token
    */
-  async getCsrfToken() {
+  async getCsrfToken({ signal } = {}) {
     return retry(async () => {
-      const response = await this.client.get('/api/auth/csrf');
+      const response = await this.client.get('/api/auth/csrf', { signal });
       return response.data.csrfToken;
     }, {
       maxAttempts: this.options.retries?.max_attempts || 5,
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
-      logPrefix: this.logPrefix
+      logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal
     });
   }
   
@@ -174,33 +190,40 @@ class ApiClient {
    * Log in to the platform
    * @param {URLSearchParams} payload Login payload
    * @param {Object} headers Additional headers
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} Login response
    */
-  async login(payload, headers = {}) {
+  async login(payload, headers = {}, { signal } = {}) {
     return retry(async () => {
       const response = await this.client.post('/api/auth/callback/credentials', payload, {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
           ...headers
-        }
+        },
+        signal
       });
       return response.data;
     }, {
       maxAttempts: this.options.retries?.max_attempts || 5,
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
-      logPrefix: this.logPrefix
+      logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal
     });
   }
   
   /**
    * Get user information
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} User data
    */
-  async getUserInfo() {
+  async getUserInfo({ signal } = {}) {
     return retry(async () => {
       try {
-        const response = await this.client.get('/api/user');
+        const response = await this.client.get('/api/user', { signal });
         return response.data;
       } catch (error) {
         if (error.response && error.response.status === 401) {
@@ -212,18 +235,34 @@ class ApiClient {
       maxAttempts: this.options.retries?.max_attempts || 5,
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
-      logPrefix: this.logPrefix
+      logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal
     });
   }
   
+  /**
+   * Read the credit balance from the response of getUserInfo()
+   * @param {Object} userInfo User data ({data: {credits}})
+   * @returns {number|null} Credit balance, or null if the response has none
+   */
+  static getCredits(userInfo) {
+    const user = userInfo && (userInfo.data || userInfo);
+    const credits = user ? Number(user.credits) : NaN;
+    
+    return user && user.credits !== null && user.credits !== undefined && Number.isFinite(credits) ? credits : null;
+  }
+  
   /**
    * Get available quests
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} Quests data
    */
-  async getQuests() {
+  async getQuests({ signal } = {}) {
     return retry(async () => {
       try {
-        const response = await this.client.get('/api/quests');
+        const response = await this.client.get('/api/quests', { signal });
         return response.data;
       } catch (error) {
         // Handle empty data
@@ -236,18 +275,22 @@ class ApiClient {
       maxAttempts: this.options.retries?.max_attempts || 5,
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
-      logPrefix: this.logPrefix
+      logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal
     });
   }
   
   /**
    * Get user quests
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} User quests data
    */
-  async getUserQuests() {
+  async getUserQuests({ signal } = {}) {
     return retry(async () => {
       try {
-        const response = await this.client.get('/api/userQuests');
+        const response = await this.client.get('/api/userQuests', { signal });
         return response.data;
       } catch (error) {
         // Handle empty data
@@ -260,25 +303,30 @@ class ApiClient {
       maxAttempts: this.options.retries?.max_attempts || 5,
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
-      logPrefix: this.logPrefix
+      logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal
     });
   }
 
   /**
    * Start a minesweeper game
+   * @param {string} questId Minesweeper quest ID (see QuestCatalog)
    * @param {string} difficulty Game difficulty (EASY, NORMAL, HARD)
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} Game response
    */
-  async startMinesweeperGame(difficulty = "EASY") {
+  async startMinesweeperGame(questId, difficulty = "EASY", { signal } = {}) {
     return retry(async () => {
       try {
         const response = await this.client.post('/api/userQuests', {
-          questId: "44ec9674-6125-4f88-9e18-8d6d6be8f156",
+          questId,
           metadata: {
             action: "START",
             difficulty
           }
-        });
+        }, { signal });
         return response.data;
       } catch (error) {
         // Handle "Quest already completed" as a non-error case
@@ -300,29 +348,34 @@ class ApiClient {
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
       logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal,
       retryableErrors: ['ECONNRESET', 'ETIMEDOUT', 'socket hang up', 'network error', 'timeout']
     });
   }
 
   /**
    * Make a move in minesweeper game
+   * @param {string} questId Minesweeper quest ID (see QuestCatalog)
    * @param {string} userQuestId User quest ID
    * @param {number} x X coordinate
    * @param {number} y Y coordinate
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} Move response
    */
-  async clickMinesweeperTile(userQuestId, x, y) {
+  async clickMinesweeperTile(questId, userQuestId, x, y, { signal } = {}) {
     return retry(async () => {
       try {
         const response = await this.client.post('/api/userQuests', {
-          questId: "44ec9674-6125-4f88-9e18-8d6d6be8f156",
+          questId,
           metadata: {
             action: "CLICK",
             userQuestId,
             x,
             y
           }
-        });
+        }, { signal });
         return response.data;
       } catch (error) {
         throw error;
@@ -332,29 +385,34 @@ class ApiClient {
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
       logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal,
       retryableErrors: ['ECONNRESET', 'ETIMEDOUT', 'socket hang up', 'network error', 'timeout']
     });
   }
 
   /**
    * Flag a minesweeper tile
+   * @param {string} questId Minesweeper quest ID (see QuestCatalog)
    * @param {string} userQuestId User quest ID
    * @param {number} x X coordinate
    * @param {number} y Y coordinate
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} Flag response
    */
-  async flagMinesweeperTile(userQuestId, x, y) {
+  async flagMinesweeperTile(questId, userQuestId, x, y, { signal } = {}) {
     return retry(async () => {
       try {
         const response = await this.client.post('/api/userQuests', {
-          questId: "44ec9674-6125-4f88-9e18-8d6d6be8f156",
+          questId,
           metadata: {
             action: "FLAG",
             userQuestId,
             x,
             y
           }
-        });
+        }, { signal });
         return response.data;
       } catch (error) {
         throw error;
@@ -364,6 +422,8 @@ class ApiClient {
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
       logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal,
       retryableErrors: ['ECONNRESET', 'ETIMEDOUT', 'socket hang up', 'network error', 'timeout']
     });
   }
@@ -371,15 +431,17 @@ class ApiClient {
    * Complete a quest
    * @param {string} questId Quest ID
    * @param {Object} metadata Quest metadata (empty object for daily dice roll)
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request and its retries
    * @returns {Promise<Object>} Quest completion response
    */
-  async completeQuest(questId, metadata = {}) {
+  async completeQuest(questId, metadata = {}, { signal } = {}) {
     return retry(async () => {
       try {
         const response = await this.client.post('/api/userQuests', {
           questId,
           metadata
-        });
+        }, { signal });
         return response.data;
       } catch (error) {
         // Handle "Quest already completed" as a non-error case
@@ -401,9 +463,13 @@ class ApiClient {
       initialDelayMs: this.options.retries?.initial_delay || 1000,
       maxDelayMs: this.options.retries?.max_delay || 30000,
       logPrefix: this.logPrefix,
+      clock: this.clock,
+      signal,
       retryableErrors: ['ECONNRESET', 'ETIMEDOUT', 'socket hang up', 'network error', 'timeout']
     });
   }
 }
 
+ApiClient.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+
 module.exports = ApiClient;
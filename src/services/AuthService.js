@@ -1,9 +1,37 @@
 // src/services/AuthService.js
 const logger = require('../utils/logger');
-const { sleep } = require('../utils/helpers');
+const { throwIfAborted, getLogPrefix } = require('../utils/helpers');
+const { systemClock } = require('../utils/clock');
 const WalletService = require('./WalletService');
 const CaptchaService = require('./CaptchaService');
 
+/**
+ * Reasons an authentication can fail
+ */
+const AUTH_FAILURE = {
+  CSRF_FAILED: 'csrf_failed',
+  CAPTCHA_FAILED: 'captcha_failed',
+  LOGIN_REJECTED: 'login_rejected',
+  SESSION_MISSING: 'session_missing',
+  TIMEOUT: 'timeout'
+};
+
+/**
+ * Error raised by an authentication step, tagged with the failure reason
+ */
+class AuthError extends Error {
+  /**
+   * Create a new authentication error
+   * @param {string} reason One of AUTH_FAILURE
+   * @param {string} message Error message
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.reason = reason;
+  }
+}
+
 /**
  * Service for handling authentication
  */
@@ -12,24 +40,32 @@ class AuthService {
    * Create a new authentication service
    * @param {ApiClient} api API client
    * @param {Object} config Configuration
-   * @param {Object} accountInfo Account information
+   * @param {Object} accountInfo Account information, and the clock to wait on (defaults to the system clock)
    */
   constructor(api, config, accountInfo = {}) {
     this.api = api;
     this.config = config;
     this.accountIndex = accountInfo.accountIndex;
-    this.logPrefix = accountInfo.accountIndex ? `[Account ${accountInfo.accountIndex}] ` : '';
+    this.label = accountInfo.label || null;
+    this.logPrefix = getLogPrefix(accountInfo);
+    this.clock = accountInfo.clock || systemClock;
     this.captchaService = new CaptchaService(config.captcha, accountInfo);
   }
   
   /**
    * Authenticate with the platform
+   *
+   * Never returns a session that wasn't confirmed by the platform: after the
+   * last failed attempt the result carries the reason of that failure instead.
    * @param {ethers.Wallet} wallet Ethereum wallet
-   * @returns {Promise<Object>} Session information
+   * @param {Object} options Authentication options
+   * @param {AbortSignal} options.signal Cancels authentication, including captcha solving
+   * @returns {Promise<Object>} Auth result, either {success: true, session} or {success: false, reason, message}
    */
-  async authenticate(wallet) {
+  async authenticate(wallet, { signal } = {}) {
     let authAttempts = 0;
     const maxAuthAttempts = 3;
+    let lastError = null;
     
     while (authAttempts < maxAuthAttempts) {
       authAttempts++;
@@ -40,22 +76,32 @@ class AuthService {
         // Get CSRF token
         let csrfToken;
         try {
-          csrfToken = await this.api.getCsrfToken();
+          csrfToken = await this.api.getCsrfToken({ signal });
         } catch (csrfError) {
-          logger.debug(`${this.logPrefix}CSRF token error: ${csrfError.message}, using fallback token`);
-          csrfToken = Math.random().toString(36).substring(2, 15);
+          throwIfAborted(signal);
+          throw new AuthError(AUTH_FAILURE.CSRF_FAILED, `Could not get CSRF token: ${csrfError.message}`);
+        }
+        
+        if (!csrfToken) {
+          throw new AuthError(AUTH_FAILURE.CSRF_FAILED, 'CSRF token missing from response');
         }
         
         // Create and sign authentication message
         const walletAddress = wallet.address;
-        const message = WalletService.createAuthMessage(walletAddress, csrfToken);
-        const signature = await WalletService.signMessage(message, wallet, { accountIndex: this.accountIndex });
+        const message = WalletService.createAuthMessage(walletAddress, csrfToken, new Date(this.clock.now()));
+        const signature = await WalletService.signMessage(message, wallet, { accountIndex: this.accountIndex, label: this.label });
         
         // Solve captchas
-        const captchaResults = await this._solveCaptchas();
+        let captchaResults;
+        try {
+          captchaResults = await this._solveCaptchas(signal);
+        } catch (captchaError) {
+          throwIfAborted(signal);
+          throw new AuthError(AUTH_FAILURE.CAPTCHA_FAILED, captchaError.message);
+        }
         
         if (!captchaResults.recaptchaToken && !captchaResults.recaptchaTokenV2) {
-          throw new Error('All captchas failed to solve');
+          throw new AuthError(AUTH_FAILURE.CAPTCHA_FAILED, 'All captchas failed to solve');
         }
         
         // Prepare login payload
@@ -68,45 +114,48 @@ class AuthService {
         
         // Send login request
         logger.info(`${this.logPrefix}Sending login request`);
-        const loginResponse = await this._sendLoginRequest(payload);
+        await this._sendLoginRequest(payload, signal);
         
         // Allow time for the session to initialize
         logger.debug(`${this.logPrefix}Waiting for session to initialize...`);
-        await sleep(5000);
+        await this.clock.sleep(5000, signal);
         
         // Get session
-        const session = await this._getSession(wallet);
+        const session = await this._getSession(wallet, signal);
         
-        return session;
+        return { success: true, session };
       } catch (error) {
+        // Cancelled authentication is not retried
+        throwIfAborted(signal);
+        
+        lastError = error;
         logger.error(`${this.logPrefix}Authentication error (attempt ${authAttempts}/${maxAuthAttempts}): ${error.message}`);
         
         if (authAttempts >= maxAuthAttempts) {
-          // On last attempt, return a fake session instead of failing
-          logger.warn(`${this.logPrefix}All authentication attempts failed, returning fake session`);
-          return { 
-            user: { 
-              address: wallet.address,
-              name: wallet.address.substring(0, 8),
-              fake: true
-            } 
-          };
+          break;
         }
         
         // Wait before next attempt - increasing delay
         const waitTime = 5000 * authAttempts; // 5s, 10s, 15s
         logger.info(`${this.logPrefix}Waiting ${waitTime/1000}s before next authentication attempt`);
-        await sleep(waitTime);
+        await this.clock.sleep(waitTime, signal);
       }
     }
+    
+    // Errors that aren't AuthErrors come from signing or building the payload
+    const reason = lastError instanceof AuthError ? lastError.reason : AUTH_FAILURE.LOGIN_REJECTED;
+    logger.warn(`${this.logPrefix}All authentication attempts failed (${reason})`);
+    
+    return { success: false, reason, message: lastError.message };
   }
   
   /**
    * Solve needed captchas
+   * @param {AbortSignal} signal Optional cancellation signal
    * @returns {Promise<Object>} Captcha tokens
    * @private
    */
-  async _solveCaptchas() {
+  async _solveCaptchas(signal) {
     try {
       logger.info(`${this.logPrefix}Solving captchas`);
       
@@ -132,7 +181,7 @@ class AuthService {
         }
       ];
       
-      return await this.captchaService.solveMultiple(captchaConfigs);
+      return await this.captchaService.solveMultiple(captchaConfigs, { signal });
     } catch (error) {
       logger.error(`${this.logPrefix}Captcha solving error: ${error.message}`);
       throw error;
@@ -160,7 +209,7 @@ class AuthService {
       'signature': signature,
       'redirect': 'false',
       'csrfToken': csrfToken,
-      'callbackUrl': 'https://www.magicnewton.com/portal',
+      'callbackUrl': this.api.baseUrl,
       'json': 'true'
     });
     
@@ -186,44 +235,66 @@ class AuthService {
   /**
    * Send login request
    * @param {URLSearchParams} payload Login payload
+   * @param {AbortSignal} signal Optional cancellation signal
    * @returns {Promise<Object>} Login response
+   * @throws {AuthError} If the request fails or the platform rejects the login
    * @private
    */
-  async _sendLoginRequest(payload) {
+  async _sendLoginRequest(payload, signal) {
+    let response;
+    
     try {
       // Add custom header for better browser mimicking
       const refCode = this.config.referral && this.config.referral.code ? this.config.referral.code : '';
       const loginHeaders = {
         'Content-Type': 'application/x-www-form-urlencoded',
-        'Origin': 'https://www.magicnewton.com',
-        'Referer': 'https://www.magicnewton.com/portal?referral=' + (refCode || '')
+        'Origin': this.api.origin,
+        'Referer': `${this.api.baseUrl}?referral=${refCode || ''}`
       };
       
-      return await this.api.login(payload, loginHeaders);
+      response = await this.api.login(payload, loginHeaders, { signal });
     } catch (error) {
-      logger.error(`${this.logPrefix}Login request error: ${error.message}`);
-      // Return default response to allow continuation
-      return { error: error.message };
+      throwIfAborted(signal);
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      throw new AuthError(AUTH_FAILURE.LOGIN_REJECTED, `Login request failed${status}: ${error.message}`);
+    }
+    
+    // Rejected credentials come back as an error, or as a redirect URL carrying one
+    const errorCode = response && (response.error || this._getUrlError(response.url));
+    if (errorCode) {
+      throw new AuthError(AUTH_FAILURE.LOGIN_REJECTED, `Login rejected: ${errorCode}`);
+    }
+    
+    return response;
+  }
+  
+  /**
+   * Get the error code of a login redirect URL, if any
+   * @param {string} url Redirect URL returned by the login request
+   * @returns {string|null} Error code
+   * @private
+   */
+  _getUrlError(url) {
+    if (typeof url !== 'string') return null;
+    
+    try {
+      return new URL(url, this.api.baseUrl).searchParams.get('error');
+    } catch (error) {
+      return null;
     }
   }
   
   /**
    * Get session information
-   * @param {ethers.Wallet} wallet Wallet for creating default session
+   * @param {ethers.Wallet} wallet Logged in wallet
+   * @param {AbortSignal} signal Optional cancellation signal
    * @returns {Promise<Object>} Session information
+   * @throws {AuthError} If the platform has no session for the wallet
    * @private
    */
-  async _getSession(wallet) {
-    // Create a default session
-    const defaultSession = { 
-      user: { 
-        address: wallet.address,
-        name: wallet.address.substring(0, 8) 
-      } 
-    };
-    
+  async _getSession(wallet, signal) {
     try {
-      const sessionResponse = await this.api.getSession();
+      const sessionResponse = await this.api.getSession({ signal });
       
       if (sessionResponse && sessionResponse.user) {
         // Only log the address, not other user info
@@ -234,29 +305,27 @@ class AuthService {
         logger.info(`${this.logPrefix}Session authenticated for ${shortAddress}`);
         return sessionResponse;
       } else {
-        logger.warn(`${this.logPrefix}No user found in session, using default session`);
+        logger.warn(`${this.logPrefix}No user found in session, retrying`);
         
         // Try one more time after a delay
-        await sleep(5000);
+        await this.clock.sleep(5000, signal);
         
-        try {
-          const retrySessionResponse = await this.api.getSession();
-          if (retrySessionResponse && retrySessionResponse.user) {
-            logger.success(`${this.logPrefix}Retry session successful`);
-            return retrySessionResponse;
-          } else {
-            logger.warn(`${this.logPrefix}Retry session failed, using default session`);
-          }
-        } catch (retrySessionError) {
-          logger.debug(`${this.logPrefix}Retry session error: ${retrySessionError.message}`);
+        const retrySessionResponse = await this.api.getSession({ signal });
+        if (retrySessionResponse && retrySessionResponse.user) {
+          logger.success(`${this.logPrefix}Retry session successful`);
+          return retrySessionResponse;
         }
       }
     } catch (sessionError) {
-      logger.debug(`${this.logPrefix}Session error: ${sessionError.message}`);
+      throwIfAborted(signal);
+      throw new AuthError(AUTH_FAILURE.SESSION_MISSING, `Session request failed: ${sessionError.message}`);
     }
     
-    return defaultSession;
+    throw new AuthError(AUTH_FAILURE.SESSION_MISSING, 'No user in session after login');
   }
 }
 
+AuthService.AUTH_FAILURE = AUTH_FAILURE;
+AuthService.AuthError = AuthError;
+
 module.exports = AuthService;
\ No newline at end of file
@@ -1,7 +1,13 @@
 // src/services/CaptchaService.js
 const axios = require('axios');
 const logger = require('../utils/logger');
-const { sleep } = require('../utils/helpers');
+const { throwIfAborted, getLogPrefix } = require('../utils/helpers');
+const { systemClock } = require('../utils/clock');
+
+/**
+ * URL of the captcha solving service, used unless `captcha.api_url` points elsewhere
+ */
+const DEFAULT_API_URL = 'https://api.capsolver.com';
 
 /**
  * Service for solving captchas
@@ -10,17 +16,20 @@ class CaptchaService {
   /**
    * Create a new captcha service
    * @param {Object} config Captcha configuration
-   * @param {Object} accountInfo Account information for logging
+   * @param {Object} accountInfo Account information for logging, and the clock to poll on
    */
   constructor(config, accountInfo = {}) {
     this.config = config;
     this.accountIndex = accountInfo.accountIndex;
-    this.logPrefix = accountInfo.accountIndex ? `[Account ${accountInfo.accountIndex}] ` : '';
+    this.logPrefix = getLogPrefix(accountInfo);
+    this.clock = accountInfo.clock || systemClock;
+    this.apiUrl = (config.api_url || DEFAULT_API_URL).replace(/\/+$/, '');
   }
   
   /**
    * Solve a captcha
    * @param {Object} options Captcha options
+   * @param {AbortSignal} options.signal Cancels polling and pending requests
    * @returns {Promise<string>} Captcha solution
    */
   async solve(options) {
@@ -29,7 +38,8 @@ class CaptchaService {
       url, 
       type, 
       isInvisible = false, 
-      timeout = this.config.timeout || 120 
+      timeout = this.config.timeout || 120,
+      signal
     } = options;
     
     let attempts = 0;
@@ -38,6 +48,8 @@ class CaptchaService {
     while (attempts < maxAttempts) {
       attempts++;
       try {
+        throwIfAborted(signal);
+        
         if (!this.config.api_key || !siteKey || !url || !type) {
           throw new Error('Missing required captcha parameters');
         }
@@ -68,11 +80,12 @@ class CaptchaService {
         }
         
         // Create captcha task
-        const createTaskResponse = await axios.post('https://api.capsolver.com/createTask', {
+        const createTaskResponse = await axios.post(`${this.apiUrl}/createTask`, {
           clientKey: this.config.api_key,
           task: task
         }, {
-          timeout: 30000
+          timeout: 30000,
+          signal
         });
         
         if (createTaskResponse.data.errorId > 0) {
@@ -83,19 +96,20 @@ class CaptchaService {
         logger.debug(`${this.logPrefix}Captcha task created: ${taskId}`);
         
         // Get task result
-        let startTime = Date.now();
+        let startTime = this.clock.now();
         let solution = null;
         
         logger.debug(`${this.logPrefix}Waiting for captcha solution (timeout: ${timeout}s)...`);
         
-        while (Date.now() - startTime < timeout * 1000) {
-          await sleep(3000); // Poll every 3 seconds
+        while (this.clock.now() - startTime < timeout * 1000) {
+          await this.clock.sleep(3000, signal); // Poll every 3 seconds
           
-          const getTaskResponse = await axios.post('https://api.capsolver.com/getTaskResult', {
+          const getTaskResponse = await axios.post(`${this.apiUrl}/getTaskResult`, {
             clientKey: this.config.api_key,
             taskId: taskId
           }, {
-            timeout: 10000
+            timeout: 10000,
+            signal
           });
           
           if (getTaskResponse.data.errorId > 0) {
@@ -123,6 +137,9 @@ class CaptchaService {
         logger.debug(`${this.logPrefix}Captcha solved successfully`);
         return solution;
       } catch (error) {
+        // Cancelled solving is not retried
+        throwIfAborted(signal);
+        
         logger.error(`${this.logPrefix}Captcha solving error (attempt ${attempts}/${maxAttempts}): ${error.message}`);
         
         if (attempts >= maxAttempts) {
@@ -130,7 +147,7 @@ class CaptchaService {
         }
         
         const waitTime = 5000 * attempts;
-        await sleep(waitTime);
+        await this.clock.sleep(waitTime, signal);
       }
     }
   }
@@ -138,16 +155,19 @@ class CaptchaService {
   /**
    * Solve multiple captchas simultaneously
    * @param {Array<Object>} captchaConfigs Array of captcha configs
+   * @param {Object} options Solve options
+   * @param {AbortSignal} options.signal Cancels every captcha
    * @returns {Promise<Object>} Object with captcha solutions
    */
-  async solveMultiple(captchaConfigs) {
+  async solveMultiple(captchaConfigs, { signal } = {}) {
     try {
       logger.info(`${this.logPrefix}Solving captchas`);
       
       // Use Promise.allSettled to handle all captchas
       const captchaPromises = await Promise.allSettled(
-        captchaConfigs.map(config => this.solve(config))
+        captchaConfigs.map(config => this.solve({ ...config, signal }))
       );
+      throwIfAborted(signal);
       
       // Process results into an object
       const results = {};
@@ -0,0 +1,154 @@
+// src/services/CookieJar.js
+
+/**
+ * Cookie store for a single account on a single site
+ *
+ * Cookies are keyed by name, so a `set-cookie` for an existing cookie replaces
+ * it instead of dropping every other cookie. Expired cookies are never sent.
+ */
+class CookieJar {
+  /**
+   * Create a new cookie jar
+   * @param {Array<Object>} cookies Stored cookies {name, value, expiresAt}
+   */
+  constructor(cookies = []) {
+    this.cookies = new Map();
+
+    for (const cookie of cookies) {
+      if (cookie && cookie.name) {
+        this.cookies.set(cookie.name, {
+          name: cookie.name,
+          value: String(cookie.value),
+          expiresAt: Number.isFinite(cookie.expiresAt) ? cookie.expiresAt : null
+        });
+      }
+    }
+  }
+
+  /**
+   * Parse a `set-cookie` header value
+   * @param {string} header Header value, e.g. `name=value; Path=/; Max-Age=3600`
+   * @param {number} now Current time in milliseconds
+   * @returns {Object|null} Cookie {name, value, expiresAt}, or null if malformed
+   */
+  static parse(header, now = Date.now()) {
+    const [pair, ...attributes] = String(header).split(';');
+    const separator = pair.indexOf('=');
+
+    if (separator <= 0) return null;
+
+    const cookie = {
+      name: pair.slice(0, separator).trim(),
+      value: pair.slice(separator + 1).trim(),
+      expiresAt: null
+    };
+    let maxAge = null;
+
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=');
+      const value = rest.join('=').trim();
+
+      switch (key.trim().toLowerCase()) {
+        case 'max-age':
+          if (/^-?\d+$/.test(value)) maxAge = parseInt(value, 10);
+          break;
+        case 'expires': {
+          const time = Date.parse(value);
+          if (!Number.isNaN(time)) cookie.expiresAt = time;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    // Max-Age takes precedence over Expires
+    if (maxAge !== null) {
+      cookie.expiresAt = now + maxAge * 1000;
+    }
+
+    return cookie;
+  }
+
+  /**
+   * Store the cookies of a response
+   * @param {Array<string>|string} headers `set-cookie` header values
+   * @param {number} now Current time in milliseconds
+   */
+  setCookies(headers, now = Date.now()) {
+    const values = Array.isArray(headers) ? headers : [headers];
+
+    for (const header of values) {
+      const cookie = CookieJar.parse(header, now);
+      if (!cookie) continue;
+
+      // An expired cookie is how servers delete one
+      if (cookie.expiresAt !== null && cookie.expiresAt <= now) {
+        this.cookies.delete(cookie.name);
+      } else {
+        this.cookies.set(cookie.name, cookie);
+      }
+    }
+  }
+
+  /**
+   * Get the value of a cookie that hasn't expired
+   * @param {string} name Cookie name
+   * @param {number} now Current time in milliseconds
+   * @returns {string|null} Cookie value
+   */
+  get(name, now = Date.now()) {
+    this.removeExpired(now);
+    const cookie = this.cookies.get(name);
+    return cookie ? cookie.value : null;
+  }
+
+  /**
+   * Build the `Cookie` request header
+   * @param {number} now Current time in milliseconds
+   * @returns {string} Header value, empty if there are no cookies
+   */
+  getCookieHeader(now = Date.now()) {
+    this.removeExpired(now);
+    return [...this.cookies.values()]
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Drop expired cookies
+   * @param {number} now Current time in milliseconds
+   */
+  removeExpired(now = Date.now()) {
+    for (const [name, cookie] of this.cookies) {
+      if (cookie.expiresAt !== null && cookie.expiresAt <= now) {
+        this.cookies.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Remove every cookie
+   */
+  clear() {
+    this.cookies.clear();
+  }
+
+  /**
+   * Number of stored cookies
+   * @returns {number} Cookie count
+   */
+  get size() {
+    return this.cookies.size;
+  }
+
+  /**
+   * Serialize the jar
+   * @returns {Array<Object>} Cookies {name, value, expiresAt}
+   */
+  toJSON() {
+    return [...this.cookies.values()];
+  }
+}
+
+module.exports = CookieJar;
@@ -0,0 +1,75 @@
+// src/services/FileWatcher.js
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+/**
+ * Detects changes to a set of files by comparing their content between polls
+ *
+ * The bot polls at known points (before each cycle and each account) rather
+ * than reacting to fs.watch events, so a change never lands in the middle of
+ * an account. A missing file counts as a state of its own: deleting or
+ * creating a file is a change.
+ */
+class FileWatcher {
+  /**
+   * Create a new file watcher
+   */
+  constructor() {
+    this.signatures = new Map();
+  }
+
+  /**
+   * Set the files to watch
+   *
+   * Files already watched keep their last known content, so changes made since
+   * the last poll are still reported.
+   * @param {Array<string>} filePaths Files to watch (empty values are ignored)
+   * @returns {Promise<void>}
+   */
+  async watch(filePaths) {
+    const signatures = new Map();
+
+    for (const filePath of new Set(filePaths.filter(Boolean))) {
+      signatures.set(filePath, this.signatures.has(filePath)
+        ? this.signatures.get(filePath)
+        : await FileWatcher.signature(filePath));
+    }
+
+    this.signatures = signatures;
+  }
+
+  /**
+   * Get the files that changed since the last poll
+   * @returns {Promise<Array<string>>} Changed files, in the order they were watched
+   */
+  async poll() {
+    const changed = [];
+
+    for (const [filePath, previous] of this.signatures) {
+      const current = await FileWatcher.signature(filePath);
+      if (current !== previous) {
+        this.signatures.set(filePath, current);
+        changed.push(filePath);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Hash a file's content
+   * @param {string} filePath File path
+   * @returns {Promise<string|null>} SHA-256 of the content, or null if the file doesn't exist
+   */
+  static async signature(filePath) {
+    try {
+      const content = await fs.readFile(filePath);
+      return crypto.createHash('sha256').update(content).digest('hex');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = FileWatcher;
@@ -0,0 +1,154 @@
+// src/services/KeyLoader.js
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { readPassphrase } = require('../utils/passphrase');
+const Vault = require('./Vault');
+
+/**
+ * Supported values of wallet.source
+ */
+const KEY_SOURCES = ['file', 'keystore', 'vault', 'mnemonic'];
+
+/**
+ * Placeholder for the account index in the derivation path template
+ */
+const INDEX_PLACEHOLDER = '{i}';
+
+/**
+ * Loads the private keys of every account from the configured source
+ */
+class KeyLoader {
+  /**
+   * Create a new key loader
+   * @param {Object} walletConfig The wallet section of the configuration
+   * @param {Object} options Loader options
+   * @param {ConfigManager} options.configManager Reads the plaintext key file
+   * @param {Function} options.getPassphrase Returns the passphrase for keystores and the vault (optional)
+   */
+  constructor(walletConfig, options = {}) {
+    this.wallet = walletConfig;
+    this.configManager = options.configManager;
+    this.getPassphrase = options.getPassphrase ||
+      (() => readPassphrase({ envVar: walletConfig.passphrase_env }));
+  }
+
+  /**
+   * Load the private keys
+   * @returns {Promise<Array<string>>} Private keys, in account order
+   * @throws {Error} If the source is unknown or the keys can't be decrypted
+   */
+  async load() {
+    const source = this.wallet.source || 'file';
+
+    switch (source) {
+      case 'file':
+        return this.configManager.loadTextFile(this.wallet.private_key_file, 'Private key');
+      case 'keystore':
+        return this._loadKeystores();
+      case 'vault':
+        return new Vault(this.wallet.vault_file).load(await this.getPassphrase());
+      case 'mnemonic':
+        return this._deriveFromMnemonics();
+      default:
+        throw new Error(`Unknown wallet.source "${source}", expected one of: ${KEY_SOURCES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Decrypt every JSON keystore in the keystore directory, ordered by file name
+   * @returns {Promise<Array<string>>} Private keys
+   * @private
+   */
+  async _loadKeystores() {
+    const dir = this.wallet.keystore_dir;
+
+    if (!await fs.pathExists(dir)) {
+      throw new Error(`Keystore directory not found: ${dir}`);
+    }
+
+    const files = (await fs.readdir(dir)).filter(name => name.toLowerCase().endsWith('.json')).sort();
+    if (files.length === 0) {
+      return [];
+    }
+
+    const passphrase = await this.getPassphrase();
+    const keys = [];
+
+    for (const file of files) {
+      const json = await fs.readFile(path.join(dir, file), 'utf8');
+
+      try {
+        const wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+        keys.push(wallet.privateKey);
+      } catch (error) {
+        throw new Error(`Could not decrypt keystore ${file}: ${error.message}`);
+      }
+    }
+
+    logger.debug(`Decrypted ${keys.length} keystores from ${dir}`);
+    return keys;
+  }
+
+  /**
+   * Derive the keys of the configured index range from every seed phrase in the mnemonic file
+   *
+   * Accounts are ordered by seed phrase, then by index.
+   * @returns {Promise<Array<string>>} Private keys
+   * @private
+   */
+  async _deriveFromMnemonics() {
+    const { file, path: pathTemplate, start, count } = this.wallet.mnemonic;
+
+    KeyLoader.validateMnemonicRange(this.wallet.mnemonic);
+
+    if (!await fs.pathExists(file)) {
+      throw new Error(`Mnemonic file not found: ${file}`);
+    }
+
+    const phrases = (await fs.readFile(file, 'utf8')).split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+    const keys = [];
+
+    for (const [i, phrase] of phrases.entries()) {
+      // Seed phrases are never logged, only their line order
+      if (!ethers.utils.isValidMnemonic(phrase)) {
+        throw new Error(`Seed phrase ${i + 1} in ${file} is not a valid mnemonic`);
+      }
+
+      // Same derivation as ethers.Wallet.fromMnemonic, without recomputing the seed for every index
+      const root = ethers.utils.HDNode.fromMnemonic(phrase);
+
+      for (let index = start; index < start + count; index++) {
+        const derivationPath = pathTemplate.split(INDEX_PLACEHOLDER).join(index);
+        keys.push(root.derivePath(derivationPath).privateKey);
+      }
+    }
+
+    logger.debug(`Derived ${keys.length} keys from ${phrases.length} seed phrases`);
+    return keys;
+  }
+
+  /**
+   * Check the derivation settings of the mnemonic source
+   * @param {Object} mnemonicConfig The wallet.mnemonic section {file, path, start, count}
+   * @throws {Error} If the path template or index range is invalid
+   */
+  static validateMnemonicRange({ path: pathTemplate, start, count }) {
+    if (typeof pathTemplate !== 'string' || !pathTemplate.includes(INDEX_PLACEHOLDER)) {
+      throw new Error(`wallet.mnemonic.path must contain ${INDEX_PLACEHOLDER}, got "${pathTemplate}"`);
+    }
+    if (!Number.isInteger(start) || start < 0) {
+      throw new Error(`wallet.mnemonic.start must be a non-negative integer, got ${start}`);
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`wallet.mnemonic.count must be a positive integer, got ${count}`);
+    }
+  }
+}
+
+KeyLoader.KEY_SOURCES = KEY_SOURCES;
+
+module.exports = KeyLoader;
@@ -1,6 +1,18 @@
 // src/services/MinesweeperService.js
 const logger = require('../utils/logger');
-const { withTimeout, sleep, randomInt } = require('../utils/helpers');
+const { throwIfAborted, getLogPrefix, getUtcDate } = require('../utils/helpers');
+const { systemClock } = require('../utils/clock');
+const { createStrategy, BoardState } = require('./minesweeper');
+
+/**
+ * Difficulties accepted by the platform
+ */
+const DIFFICULTIES = ['EASY', 'NORMAL', 'HARD'];
+
+/**
+ * Games allowed per account per day by the platform
+ */
+const MAX_DAILY_GAMES = 3;
 
 /**
  * Service for handling Minesweeper game
@@ -10,56 +22,63 @@ class MinesweeperService {
    * Create a new minesweeper service
    * @param {Object} api ApiClient instance
    * @param {Object} config Configuration
-   * @param {Object} accountInfo Account information
+   * @param {Object} accountInfo Account information, and the clock to wait on (defaults to the system clock)
+   * @param {string} questId Platform ID of the minesweeper quest (see QuestCatalog)
    */
-  constructor(api, config, accountInfo = {}) {
+  constructor(api, config, accountInfo = {}, questId = null) {
     this.api = api;
     this.config = config;
     this.accountIndex = accountInfo.accountIndex;
-    this.logPrefix = accountInfo.accountIndex ? `[Account ${accountInfo.accountIndex}] ` : '';
+    this.address = accountInfo.address || null;
+    this.stateStore = accountInfo.stateStore || null;
+    this.clock = accountInfo.clock || systemClock;
+    this.logPrefix = getLogPrefix(accountInfo);
     
-    // Quest ID for minesweeper
-    this.MINESWEEPER_ID = "44ec9674-6125-4f88-9e18-8d6d6be8f156";
+    this.questId = questId;
     
-    // Game parameters
-    this.BOARD_SIZE = 10; // 10x10 grid
+    // Game parameters (board size and mine count come from each START response)
     this.MAX_ATTEMPTS = config.quests?.minesweeper?.max_attempts || 10;
-    this.DIFFICULTY = config.quests?.minesweeper?.difficulty || "EASY";
+    this.DIFFICULTY = this._normalizeDifficulty(config.quests?.minesweeper?.difficulty);
     this.AUTO_RETRY = config.quests?.minesweeper?.auto_retry !== false;
+    this.STRATEGY = config.quests?.minesweeper?.strategy || "solver";
+    this.FLAG_MINES = config.quests?.minesweeper?.flag_mines !== false;
   }
   
   /**
    * Play a complete minesweeper game
+   * @param {Object} options Game options
+   * @param {AbortSignal} options.signal Stops play; no request is sent once aborted
    * @returns {Promise<Object>} Game result
    */
-  async playGame() {
+  async playGame({ signal } = {}) {
     // Max 3 attempts per day as per platform limits
-    const MAX_DAILY_ATTEMPTS = 3;
+    const MAX_DAILY_ATTEMPTS = MAX_DAILY_GAMES;
     let attempts = 0;
     let totalCredits = 0;
     let lastResult = null;
+    const stats = {};
     
-    logger.info(`${this.logPrefix}Starting minesweeper quest (difficulty: ${this.DIFFICULTY})`);
+    logger.info(`${this.logPrefix}Starting minesweeper quest (difficulty: ${this.DIFFICULTY}, strategy: ${this.STRATEGY})`);
     
     // Check if quest is already completed for the day
-    const isCompleted = await this._isQuestCompletedToday();
+    const isCompleted = await this.isCompletedToday(signal);
     if (isCompleted) {
       logger.info(`${this.logPrefix}Minesweeper quest already completed today`);
       return {
-        questId: this.MINESWEEPER_ID,
+        questId: this.questId,
         status: 'COMPLETED',
         message: 'Quest already completed today'
       };
     }
     
     // Get how many games we've already played today
-    const gamesPlayed = await this._getGamesPlayedToday();
+    const gamesPlayed = await this._getGamesPlayedToday(signal);
     const remainingGames = MAX_DAILY_ATTEMPTS - gamesPlayed;
     
     if (remainingGames <= 0) {
       logger.info(`${this.logPrefix}All ${MAX_DAILY_ATTEMPTS} daily minesweeper games already played`);
       return {
-        questId: this.MINESWEEPER_ID,
+        questId: this.questId,
         status: 'COMPLETED',
         message: 'Daily limit reached'
       };
@@ -73,19 +92,34 @@ class MinesweeperService {
       logger.info(`${this.logPrefix}Minesweeper game ${attempts}/${remainingGames}`);
       
       try {
-        const gameResult = await this._playOneGame();
+        const gameResult = await this._playOneGame(signal);
         lastResult = gameResult;
+        this._recordGame(stats, gameResult);
+        
+        if (this.stateStore && this.address) {
+          this.stateStore.recordMinesweeperGame(this.address, new Date(this.clock.now()));
+        }
         
         if (gameResult?.credits > 0) {
           totalCredits += gameResult.credits;
+          if (this.stateStore && this.address) {
+            this.stateStore.recordQuestCompletion(this.address, 'minesweeper', {
+              questId: this.questId,
+              credits: gameResult.credits,
+              when: new Date(this.clock.now())
+            });
+          }
           logger.success(`${this.logPrefix}Minesweeper game completed! +${gameResult.credits} credits`);
         } else if (gameResult?.exploded) {
           logger.info(`${this.logPrefix}Game ended - hit a mine!`);
         }
         
         // Wait before starting a new game
-        await sleep(3000);
+        await this.clock.sleep(3000, signal);
       } catch (error) {
+        // Cancelled play ends the quest instead of moving on to the next game
+        throwIfAborted(signal);
+        
         // Check for daily limit exceeded (400 error)
         if (error.message && (error.message.includes('400') || error.message.includes('Daily limit'))) {
           logger.info(`${this.logPrefix}Daily minesweeper limit reached (3 games per day)`);
@@ -94,25 +128,81 @@ class MinesweeperService {
         
         logger.error(`${this.logPrefix}Error playing minesweeper: ${error.message}`);
         // Wait before trying the next game
-        await sleep(5000);
+        await this.clock.sleep(5000, signal);
       }
     }
     
     logger.info(`${this.logPrefix}Finished minesweeper quest (${totalCredits} total credits)`);
+    for (const [difficulty, entry] of Object.entries(stats)) {
+      logger.info(`${this.logPrefix}${difficulty} (${entry.width}x${entry.height}, ${entry.mines ?? '?'} mines): ${entry.won} won, ${entry.exploded} lost, ${entry.unfinished} unfinished`);
+    }
+    
     return {
-      questId: this.MINESWEEPER_ID,
+      questId: this.questId,
       totalCredits,
       attempts,
-      lastResult
+      lastResult,
+      stats
     };
   }
   
+  /**
+   * Add a game result to the per-difficulty stats
+   * @param {Object} stats Stats keyed by difficulty (updated in place)
+   * @param {Object} gameResult Result of _playOneGame
+   * @private
+   */
+  _recordGame(stats, gameResult) {
+    if (!gameResult) return;
+    
+    const entry = stats[gameResult.difficulty] || (stats[gameResult.difficulty] = {
+      width: gameResult.width,
+      height: gameResult.height,
+      mines: gameResult.mines,
+      games: 0,
+      won: 0,
+      exploded: 0,
+      unfinished: 0,
+      moves: 0,
+      credits: 0
+    });
+    
+    entry.games++;
+    entry.moves += gameResult.moves;
+    entry.credits += gameResult.credits;
+    if (gameResult.exploded) {
+      entry.exploded++;
+    } else if (gameResult.gameOver) {
+      entry.won++;
+    } else {
+      entry.unfinished++;
+    }
+  }
+  
+  /**
+   * Validate the configured difficulty
+   * @param {string} difficulty Configured difficulty
+   * @returns {string} EASY, NORMAL or HARD
+   * @private
+   */
+  _normalizeDifficulty(difficulty) {
+    const value = String(difficulty || 'EASY').toUpperCase();
+    
+    if (!DIFFICULTIES.includes(value)) {
+      logger.warn(`${this.logPrefix}Unknown minesweeper difficulty "${difficulty}", using EASY`);
+      return 'EASY';
+    }
+    
+    return value;
+  }
+  
   /**
    * Play a single minesweeper game
+   * @param {AbortSignal} signal Optional cancellation signal
    * @returns {Promise<Object>} Game result
    * @private
    */
-  async _playOneGame() {
+  async _playOneGame(signal) {
     // Start a new game
     let gameResponse;
     try {
@@ -122,7 +212,7 @@ class MinesweeperService {
       };
       
       logger.info(`${this.logPrefix}Starting new minesweeper game (${this.DIFFICULTY})`);
-      gameResponse = await this.api.completeQuest(this.MINESWEEPER_ID, startPayload);
+      gameResponse = await this.api.completeQuest(this.questId, startPayload, { signal });
       
       if (!gameResponse?.data?._minesweeper) {
         if (gameResponse?.data?.message === "Quest already completed") {
@@ -139,17 +229,30 @@ class MinesweeperService {
     // Game initialized
     let gameState = gameResponse.data;
     const userQuestId = gameState.id;
+    const board = BoardState.fromResponse(gameState._minesweeper);
+    const strategy = createStrategy(this.STRATEGY, { mineCount: board.mineCount });
+    
+    if (board.size === 0) {
+      throw new Error("Invalid game response: empty board");
+    }
     
     // Continue playing until game is over or we've made too many moves
     let moveCount = 0;
-    const MAX_MOVES = 90; // Safety limit to prevent infinite loops
+    let flagCount = 0;
+    // Tiles whose click failed; the solver would pick them again on an unchanged board
+    const failedClicks = new Set();
+    // Safety limit to prevent infinite loops: every click opens at least one tile
+    const MAX_MOVES = board.size - (board.mineCount || 0);
     
-    logger.info(`${this.logPrefix}Beginning to play minesweeper - will continue until game over`);
+    logger.info(`${this.logPrefix}Beginning to play minesweeper on a ${board.width}x${board.height} board` +
+      `${board.mineCount !== null ? ` with ${board.mineCount} mines` : ''} - will continue until game over`);
     
     while (moveCount < MAX_MOVES) {
+      throwIfAborted(signal);
+      
       // If game is already over (exploded or won), exit loop
-      if (gameState._minesweeper.gameOver) {
-        if (gameState._minesweeper.exploded) {
+      if (board.gameOver) {
+        if (board.exploded) {
           logger.info(`${this.logPrefix}Game over - hit a mine after ${moveCount} moves`);
         } else {
           logger.success(`${this.logPrefix}Game won after ${moveCount} moves!`);
@@ -157,132 +260,208 @@ class MinesweeperService {
         break;
       }
       
-      // Make random move from remaining unopened tiles
-      const randomMove = this._findRandomUnexploredTile(gameState._minesweeper.tiles);
+      // Flag mines the strategy has deduced before picking the next click
+      if (this.FLAG_MINES && typeof strategy.findMines === 'function') {
+        const flagResult = await this._flagMines(strategy, board, userQuestId, signal);
+        flagCount += flagResult.flagged;
+        if (flagResult.gameState) {
+          gameState = flagResult.gameState;
+        }
+        if (board.gameOver) continue;
+      }
+      
+      // Ask the strategy for the next tile to click
+      const nextMove = strategy.nextMove(board.getTiles());
       
-      if (!randomMove) {
+      if (!nextMove) {
         logger.info(`${this.logPrefix}No more moves available`);
         break;
       }
       
+      // Strategies only see flags as FLAG tiles, but never trust them with a flagged click
+      if (!board.isClickable(nextMove.x, nextMove.y)) {
+        logger.warn(`${this.logPrefix}Strategy picked unclickable tile (${nextMove.x}, ${nextMove.y}), stopping game`);
+        break;
+      }
+      
+      const tileKey = `${nextMove.x},${nextMove.y}`;
+      if (failedClicks.has(tileKey)) {
+        logger.warn(`${this.logPrefix}Strategy picked tile (${nextMove.x}, ${nextMove.y}) again after its click failed, stopping game`);
+        break;
+      }
+      
       try {
         moveCount++;
         const clickPayload = {
           action: "CLICK",
           userQuestId,
-          x: randomMove.x,
-          y: randomMove.y
+          x: nextMove.x,
+          y: nextMove.y
         };
         
-        logger.debug(`${this.logPrefix}Move ${moveCount}: Clicking (${randomMove.x}, ${randomMove.y})`);
-        const moveResponse = await this.api.completeQuest(this.MINESWEEPER_ID, clickPayload);
+        const odds = nextMove.probability !== undefined
+          ? ` (mine probability ${(nextMove.probability * 100).toFixed(1)}%)`
+          : '';
+        logger.debug(`${this.logPrefix}Move ${moveCount}: Clicking (${nextMove.x}, ${nextMove.y})${odds}`);
+        const moveResponse = await this.api.completeQuest(this.questId, clickPayload, { signal });
+        
+        if (!moveResponse?.data?._minesweeper) {
+          // The board can't change, so the next move would be the same click
+          logger.warn(`${this.logPrefix}Click response without board state, stopping game`);
+          break;
+        }
+        
         gameState = moveResponse.data;
+        board.applyResponse(gameState._minesweeper);
         
         // Short delay between moves to avoid rate limiting
-        await sleep(300);
+        await this.clock.sleep(300, signal);
       } catch (error) {
+        throwIfAborted(signal);
         logger.error(`${this.logPrefix}Error making move: ${error.message}`);
-        // Try another move if this one failed
+        // Try the next move; picking this tile again ends the game
+        failedClicks.add(tileKey);
         continue;
       }
     }
     
     // If we maxed out moves without ending the game
-    if (moveCount >= MAX_MOVES && !gameState._minesweeper.gameOver) {
+    if (moveCount >= MAX_MOVES && !board.gameOver) {
       logger.warn(`${this.logPrefix}Reached maximum moves (${MAX_MOVES}) without completing game`);
     }
     
     return {
       userQuestId,
-      exploded: gameState._minesweeper.exploded,
-      gameOver: gameState._minesweeper.gameOver,
+      exploded: board.exploded,
+      gameOver: board.gameOver,
       credits: gameState.credits || 0,
-      moves: moveCount
+      moves: moveCount,
+      flags: flagCount,
+      difficulty: this.DIFFICULTY,
+      width: board.width,
+      height: board.height,
+      mines: board.mineCount
     };
   }
   
+  /**
+   * Flag every deduced mine that is not flagged yet
+   * @param {Object} strategy Move strategy with findMines()
+   * @param {BoardState} board Local board model (updated in place)
+   * @param {string} userQuestId User quest ID of the running game
+   * @param {AbortSignal} signal Optional cancellation signal
+   * @returns {Promise<Object>} {flagged, gameState} where gameState is the last full game state received, if any
+   * @private
+   */
+  async _flagMines(strategy, board, userQuestId, signal) {
+    const mines = strategy.findMines(board.getTiles())
+      .filter(mine => board.isClickable(mine.x, mine.y));
+    let flagged = 0;
+    let gameState = null;
+    
+    for (const mine of mines) {
+      throwIfAborted(signal);
+      
+      try {
+        logger.debug(`${this.logPrefix}Flagging (${mine.x}, ${mine.y})`);
+        const flagResponse = await this.api.flagMinesweeperTile(this.questId, userQuestId, mine.x, mine.y, { signal });
+        
+        // Flag responses may carry the full board, a flag list, or nothing at all
+        const minesweeper = flagResponse?.data?._minesweeper;
+        if (minesweeper) {
+          board.applyResponse(minesweeper);
+          gameState = flagResponse.data;
+        }
+        
+        // Keep the flag locally unless the platform revealed the tile
+        board.setFlag(mine.x, mine.y, true);
+        flagged++;
+        
+        await this.clock.sleep(300, signal);
+        
+        if (board.gameOver) break;
+      } catch (error) {
+        throwIfAborted(signal);
+        
+        // A failed flag is not fatal: the tile is still known to be a mine and won't be clicked
+        logger.debug(`${this.logPrefix}Error flagging (${mine.x}, ${mine.y}): ${error.message}`);
+        board.setFlag(mine.x, mine.y, true);
+      }
+    }
+    
+    return { flagged, gameState };
+  }
+  
   /**
    * Get the number of minesweeper games played today
+   * @param {AbortSignal} signal Optional cancellation signal
    * @returns {Promise<number>} Number of games played today
    * @private
    */
-  async _getGamesPlayedToday() {
+  async _getGamesPlayedToday(signal) {
+    // Games recorded locally count even if the platform hasn't listed them yet
+    const recordedGames = this.stateStore && this.address
+      ? this.stateStore.getMinesweeperGamesToday(this.address, new Date(this.clock.now()))
+      : 0;
+    
+    if (recordedGames >= MAX_DAILY_GAMES) {
+      logger.debug(`${this.logPrefix}${recordedGames} minesweeper games recorded today in local state`);
+      return recordedGames;
+    }
+    
     try {
       // Get user quests
       let userQuestsResponse;
       try {
-        userQuestsResponse = await this.api.getUserQuests();
+        userQuestsResponse = await this.api.getUserQuests({ signal });
       } catch (error) {
+        throwIfAborted(signal);
         logger.error(`${this.logPrefix}Failed to get user quests: ${error.message}`);
-        return 0; // Assume none played if we can't check
+        return recordedGames; // Fall back to the local count if we can't check
       }
       
       const userQuests = userQuestsResponse.data || [];
       
       // Get today's date in YYYY-MM-DD format
-      const today = new Date().toISOString().split('T')[0];
+      const today = getUtcDate(new Date(this.clock.now()));
       
       // Count minesweeper games played today
       const todayGames = userQuests.filter(q => 
-        q.questId === this.MINESWEEPER_ID && 
+        q.questId === this.questId && 
         q.createdAt && q.createdAt.startsWith(today)
       );
       
-      return todayGames.length;
+      return Math.max(todayGames.length, recordedGames);
     } catch (error) {
       logger.error(`${this.logPrefix}Error counting games played: ${error.message}`);
-      return 0; // Assume none played if check fails
+      return recordedGames; // Fall back to the local count if check fails
     }
   }
   
   /**
    * Check if minesweeper quest has already been completed today
+   * @param {AbortSignal} signal Optional cancellation signal
    * @returns {Promise<boolean>} Whether the quest is completed today
-   * @private
    */
-  async _isQuestCompletedToday() {
+  async isCompletedToday(signal) {
     try {
-      const gamesPlayed = await this._getGamesPlayedToday();
+      const gamesPlayed = await this._getGamesPlayedToday(signal);
       
       // If we have 3 or more games today, we've reached the limit
-      if (gamesPlayed >= 3) {
+      if (gamesPlayed >= MAX_DAILY_GAMES) {
         logger.info(`${this.logPrefix}Minesweeper daily limit reached (${gamesPlayed} games played today)`);
         return true;
       }
       
       return false;
     } catch (error) {
+      throwIfAborted(signal);
       logger.error(`${this.logPrefix}Error checking quest completion: ${error.message}`);
       return false; // Assume not completed if check fails
     }
   }
-  
-  /**
-   * Find a random unexplored tile
-   * @param {Array<Array>} tiles Current board state
-   * @returns {Object|null} Random unexplored tile coordinates {x, y} or null if no unexplored tiles
-   * @private
-   */
-  _findRandomUnexploredTile(tiles) {
-    const unexploredTiles = [];
-    
-    // Find all unexplored tiles
-    for (let y = 0; y < this.BOARD_SIZE; y++) {
-      for (let x = 0; x < this.BOARD_SIZE; x++) {
-        if (tiles[y][x] === null) {
-          unexploredTiles.push({ x, y });
-        }
-      }
-    }
-    
-    if (unexploredTiles.length === 0) {
-      return null;
-    }
-    
-    // Pick a random tile
-    const randomIndex = Math.floor(Math.random() * unexploredTiles.length);
-    return unexploredTiles[randomIndex];
-  }
 }
 
+MinesweeperService.DIFFICULTIES = DIFFICULTIES;
+
 module.exports = MinesweeperService;
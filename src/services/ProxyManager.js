@@ -4,6 +4,10 @@ const { randomInt } = require('../utils/helpers');
 
 /**
  * Service for managing proxies
+ *
+ * Shared by all accounts of a run. Proxies handed out with getProxyForAccount()
+ * are tracked until releaseProxy() so that concurrent accounts in random mode
+ * prefer proxies nobody else is using.
  */
 class ProxyManager {
   /**
@@ -15,6 +19,57 @@ class ProxyManager {
     this.proxies = proxies;
     this.config = config;
     this.currentIndex = 0;
+    this.assignments = new Map();
+    this.usage = new Array(proxies.length).fill(0);
+  }
+  
+  /**
+   * Parse a proxy string
+   * @param {string} proxyString Proxy in `user:pass@host:port`, `host:port` or `host` format
+   * @returns {Object} Parsed proxy {auth, host, port, url}
+   */
+  static parseProxy(proxyString) {
+    let auth = null;
+    let host = null;
+    let port = null;
+    
+    if (proxyString.includes('@')) {
+      const [authPart, hostPart] = proxyString.split('@');
+      auth = authPart;
+      
+      if (hostPart.includes(':')) {
+        const [hostValue, portValue] = hostPart.split(':');
+        host = hostValue;
+        port = parseInt(portValue);
+      } else {
+        host = hostPart;
+        port = 80;
+      }
+    } else if (proxyString.includes(':')) {
+      const [hostValue, portValue] = proxyString.split(':');
+      host = hostValue;
+      port = parseInt(portValue);
+    } else {
+      host = proxyString;
+      port = 80;
+    }
+    
+    // Construct proxy URL
+    const url = auth 
+      ? `http://${auth}@${host}:${port}`
+      : `http://${host}:${port}`;
+    
+    return { auth, host, port, url };
+  }
+  
+  /**
+   * Check that a proxy string has a host and a valid port
+   * @param {string} proxyString Proxy string
+   * @returns {boolean} True if the proxy can be used
+   */
+  static isValidProxy(proxyString) {
+    const { host, port } = ProxyManager.parseProxy(proxyString);
+    return Boolean(host) && Number.isInteger(port) && port >= 1 && port <= 65535;
   }
   
   /**
@@ -35,8 +90,12 @@ class ProxyManager {
       // Use every proxy for N accounts, then move to the next proxy
       proxyIndex = Math.floor((accountIndex - 1) / this.config.rotation.switch_after) % this.proxies.length;
     } else if (this.config.rotation.mode === 'random') {
-      // Choose a random proxy
-      proxyIndex = randomInt(0, this.proxies.length - 1);
+      // Choose a random proxy among the least used ones
+      const leastUsed = Math.min(...this.usage);
+      const candidates = this.usage
+        .map((count, index) => (count === leastUsed ? index : -1))
+        .filter(index => index >= 0);
+      proxyIndex = candidates[randomInt(0, candidates.length - 1)];
     } else {
       // Default to sequential
       proxyIndex = (accountIndex - 1) % this.proxies.length;
@@ -45,10 +104,54 @@ class ProxyManager {
     // Save current index for reference
     this.currentIndex = proxyIndex;
     
+    // Track the proxy until the account releases it
+    this.releaseProxy(accountIndex);
+    this.assignments.set(accountIndex, proxyIndex);
+    this.usage[proxyIndex]++;
+    
     logger.debug(`[Account ${accountIndex}] Using proxy ${proxyIndex + 1}/${this.proxies.length}`);
     return this.proxies[proxyIndex];
   }
   
+  /**
+   * Release the proxy assigned to an account
+   * @param {number} accountIndex Account index
+   */
+  releaseProxy(accountIndex) {
+    if (!this.assignments.has(accountIndex)) return;
+    
+    const proxyIndex = this.assignments.get(accountIndex);
+    this.assignments.delete(accountIndex);
+    this.usage[proxyIndex] = Math.max(0, this.usage[proxyIndex] - 1);
+  }
+  
+  /**
+   * Take over the assignments of another manager, e.g. the one replaced by a reload
+   *
+   * Accounts whose proxy is still in the list keep it tracked here, so it is
+   * released correctly and not preferred for new accounts in random mode.
+   * @param {ProxyManager} previous Manager the accounts got their proxies from
+   */
+  adoptAssignments(previous) {
+    for (const [accountIndex, previousIndex] of previous.assignments) {
+      const proxyIndex = this.proxies.indexOf(previous.proxies[previousIndex]);
+      if (proxyIndex < 0) continue;
+      
+      this.releaseProxy(accountIndex);
+      this.assignments.set(accountIndex, proxyIndex);
+      this.usage[proxyIndex]++;
+    }
+  }
+  
+  /**
+   * Get the proxy assigned to an account
+   * @param {number} accountIndex Account index
+   * @returns {string|null} Proxy string or null if the account has no proxy
+   */
+  getAssignedProxy(accountIndex) {
+    return this.assignments.has(accountIndex) ? this.proxies[this.assignments.get(accountIndex)] : null;
+  }
+  
   /**
    * Get the next proxy in the list
    * @returns {string|null} Next proxy or null if no proxies
@@ -0,0 +1,128 @@
+// src/services/QuestCatalog.js
+const logger = require('../utils/logger');
+const { withAbortTimeout, throwIfAborted, getLogPrefix } = require('../utils/helpers');
+const { systemClock } = require('../utils/clock');
+
+/**
+ * Matcher fields, in the order they are tried
+ */
+const MATCH_FIELDS = ['id', 'slug', 'title'];
+
+/**
+ * Error for a quest that isn't in the platform's quest list
+ */
+class QuestNotFoundError extends Error {
+  /**
+   * Create a new quest not found error
+   * @param {string} name Name of the quest in logs
+   * @param {Object} match Matcher that found nothing {id, slug, title}
+   * @param {Array<Object>} quests Quests listed by the platform
+   */
+  constructor(name, match, quests) {
+    const criteria = MATCH_FIELDS.filter(field => match[field]).map(field => `${field} "${match[field]}"`);
+    const available = quests.map(quest => quest.slug ? `${quest.title} (${quest.slug})` : quest.title);
+    super(`${name} quest not found on the platform: no quest with ${criteria.join(' or ') || 'any matcher'}` +
+      ` (platform lists: ${available.join(', ') || 'no quests'})`);
+    this.name = 'QuestNotFoundError';
+    this.match = match;
+  }
+}
+
+/**
+ * The platform's quest list for an account
+ *
+ * The list is fetched from /api/quests when the first quest is resolved and
+ * kept for the other quests of the account's run; a failed fetch is tried
+ * again by the next quest. Quests are found by ID, slug or title rather than
+ * by a fixed ID, so a quest the platform moves to a new ID is still found.
+ */
+class QuestCatalog {
+  /**
+   * Create a new quest catalog
+   * @param {Object} api ApiClient instance
+   * @param {Object} accountInfo Account information, and the clock to time requests on (defaults to the system clock)
+   */
+  constructor(api, accountInfo = {}) {
+    this.api = api;
+    this.clock = accountInfo.clock || systemClock;
+    this.logPrefix = getLogPrefix(accountInfo);
+    this.quests = null;
+  }
+
+  /**
+   * Get the platform's quest list, fetching it on first use
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request
+   * @returns {Promise<Array<Object>>} Quests {id, title, slug}
+   * @throws {Error} If the list can't be fetched
+   */
+  async load({ signal } = {}) {
+    if (this.quests) {
+      return this.quests;
+    }
+
+    let response;
+    try {
+      response = await withAbortTimeout(
+        questsSignal => this.api.getQuests({ signal: questsSignal }),
+        10000,
+        'Getting quests timed out after 10s',
+        signal,
+        this.clock
+      );
+    } catch (error) {
+      throwIfAborted(signal);
+      throw new Error(`Failed to get quests: ${error.message}`);
+    }
+
+    this.quests = (response && response.data) || [];
+    logger.debug(`${this.logPrefix}Quest catalog has ${this.quests.length} quests`);
+    return this.quests;
+  }
+
+  /**
+   * Find a quest by ID, then by slug, then by title (ignoring case)
+   * @param {string} name Name of the quest in logs and errors
+   * @param {Object} match Matcher {id, slug, title}; empty fields are ignored
+   * @param {Object} options Request options
+   * @param {AbortSignal} options.signal Cancels the request
+   * @returns {Promise<Object>} Platform quest {id, title, slug}
+   * @throws {QuestNotFoundError} If no quest matches
+   */
+  async resolve(name, match = {}, { signal } = {}) {
+    const quests = await this.load({ signal });
+    const quest = QuestCatalog.find(quests, match);
+
+    if (!quest) {
+      throw new QuestNotFoundError(name, match, quests);
+    }
+
+    logger.debug(`${this.logPrefix}Resolved ${name} quest to ${quest.id}`);
+    return quest;
+  }
+
+  /**
+   * Find a quest in a list by ID, then by slug, then by title (ignoring case)
+   * @param {Array<Object>} quests Quests {id, title, slug}
+   * @param {Object} match Matcher {id, slug, title}; empty fields are ignored
+   * @returns {Object|null} Matching quest, or null
+   */
+  static find(quests, match = {}) {
+    const normalize = value => String(value).trim().toLowerCase();
+
+    for (const field of MATCH_FIELDS) {
+      if (!match[field]) continue;
+
+      const wanted = field === 'id' ? String(match[field]) : normalize(match[field]);
+      const quest = quests.find(candidate => candidate[field] !== undefined && candidate[field] !== null &&
+        (field === 'id' ? String(candidate[field]) : normalize(candidate[field])) === wanted);
+      if (quest) return quest;
+    }
+
+    return null;
+  }
+}
+
+QuestCatalog.QuestNotFoundError = QuestNotFoundError;
+
+module.exports = QuestCatalog;
@@ -1,236 +1,172 @@
 // src/services/QuestService.js
 const logger = require('../utils/logger');
-const { withTimeout, sleep } = require('../utils/helpers');
-const MinesweeperService = require('./MinesweeperService');
+const { withAbortTimeout, throwIfAborted, getAbortReason, getLogPrefix } = require('../utils/helpers');
+const { systemClock } = require('../utils/clock');
+const QuestCatalog = require('./QuestCatalog');
+const { registry: questRegistry, QUEST_STATUS } = require('./quests');
 
 /**
  * Service for handling quests
+ *
+ * Runs the quests listed under `quests` in the configuration, in that order,
+ * each by its handler from the quest registry (see services/quests). The
+ * handlers share a quest catalog, so the quest list is fetched once per run.
  */
 class QuestService {
   /**
    * Create a new quest service
    * @param {Object} api ApiClient instance
    * @param {Object} config Configuration
-   * @param {Object} accountInfo Account information
+   * @param {Object} accountInfo Account information, the clock to time quests on (defaults to the system clock)
+   *   and the quest registry (defaults to the handlers in services/quests)
    */
   constructor(api, config, accountInfo = {}) {
     this.api = api;
     this.config = config;
     this.accountIndex = accountInfo.accountIndex;
-    this.logPrefix = accountInfo.accountIndex ? `[Account ${accountInfo.accountIndex}] ` : '';
+    this.label = accountInfo.label || null;
+    this.address = accountInfo.address || null;
+    this.stateStore = accountInfo.stateStore || null;
+    this.clock = accountInfo.clock || systemClock;
+    this.registry = accountInfo.registry || questRegistry;
+    this.logPrefix = getLogPrefix(accountInfo);
+    
+    // Outcome of each quest of the last completeQuests() call, by quest key
+    this.outcomes = {};
   }
   
   /**
    * Complete all configured quests
+   * @param {Object} options Quest options
+   * @param {AbortSignal} options.signal Cancels the remaining quests
    * @returns {Promise<Array>} Completed quests
    */
-  async completeQuests() {
+  async completeQuests({ signal } = {}) {
     const QUEST_TIMEOUT = 90000;
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     try {
       logger.info(`${this.logPrefix}Starting quests completion`);
       
       const completedQuests = [];
-      
-      // Complete daily dice roll if enabled
-      if (this.config.quests.daily_dice_roll && this.config.quests.daily_dice_roll.enabled) {
-        try {
-          logger.info(`${this.logPrefix}Attempting daily dice roll quest`);
-          
-          const diceRollPromise = this.completeDailyDiceRoll();
-          const diceRollResult = await withTimeout(
-            diceRollPromise,
-            60000, // 60 seconds timeout
-            `Daily dice roll timed out after 60s`
-          );
-          
-          if (diceRollResult) {
-            completedQuests.push(diceRollResult);
-            logger.success(`${this.logPrefix}Successfully completed daily dice roll`);
-          } else {
-            logger.info(`${this.logPrefix}No dice roll result, may have already been completed`);
-          }
-        } catch (error) {
-          logger.error(`${this.logPrefix}Failed to complete daily dice roll: ${error.message}`);
-          logger.info(`${this.logPrefix}Continuing to next quest if any`);
+      const catalog = new QuestCatalog(this.api, this._accountInfo());
+      this.outcomes = {};
+      
+      for (const [questKey, questConfig] of Object.entries(this.config.quests || {})) {
+        const Handler = this.registry.get(questKey);
+        if (!Handler) {
+          logger.warn(`${this.logPrefix}No handler for quest "${questKey}", skipping`);
+          continue;
         }
-      } else {
-        logger.info(`${this.logPrefix}Daily dice roll quest is disabled, skipping`);
-      }
-      
-      // Check for timeout
-      if (Date.now() - startTime > QUEST_TIMEOUT) {
-        logger.warn(`${this.logPrefix}Quest completion timed out after ${QUEST_TIMEOUT/1000}s`);
-        return completedQuests;
-      }
-      
-      // Complete Minesweeper quest if enabled
-      if (this.config.quests.minesweeper && this.config.quests.minesweeper.enabled) {
-        try {
-          logger.info(`${this.logPrefix}Attempting minesweeper quest`);
-          
-          const minesweeperService = new MinesweeperService(this.api, this.config, { accountIndex: this.accountIndex });
-          const minesweeperPromise = minesweeperService.playGame();
-          const minesweeperResult = await withTimeout(
-            minesweeperPromise,
-            240000, // 4 minutes timeout (minesweeper can take longer)
-            `Minesweeper quest timed out after 240s`
-          );
-          
-          if (minesweeperResult) {
-            completedQuests.push(minesweeperResult);
-            logger.success(`${this.logPrefix}Successfully completed minesweeper quest`);
-          }
-        } catch (error) {
-          logger.error(`${this.logPrefix}Failed to complete minesweeper quest: ${error.message}`);
+        
+        if (!questConfig || !questConfig.enabled) {
+          this._setOutcome(questKey, QUEST_STATUS.DISABLED);
+          logger.info(`${this.logPrefix}${Handler.title} quest is disabled, skipping`);
+          continue;
+        }
+        
+        // Check for timeout
+        if (this.clock.now() - startTime > QUEST_TIMEOUT) {
+          logger.warn(`${this.logPrefix}Quest completion timed out after ${QUEST_TIMEOUT/1000}s`);
+          break;
+        }
+        
+        const result = await this._runQuest(Handler, catalog, signal);
+        if (result) {
+          completedQuests.push(result);
         }
-      } else {
-        logger.info(`${this.logPrefix}Minesweeper quest is disabled, skipping`);
       }
       
-      // Add more quest types here in the future
-      
       return completedQuests;
     } catch (error) {
+      throwIfAborted(signal);
       logger.error(`${this.logPrefix}Quest completion error: ${error.message}`);
       return [];
     } finally {
-      const totalTime = (Date.now() - startTime) / 1000;
+      const totalTime = (this.clock.now() - startTime) / 1000;
       logger.debug(`${this.logPrefix}Quest completion process finished (took ${totalTime.toFixed(1)}s)`);
     }
   }
   
   /**
-   * Complete daily dice roll quest
-   * @returns {Promise<Object>} Quest result
+   * Run one quest with its handler and record its outcome
+   * @param {Function} Handler Handler class
+   * @param {QuestCatalog} catalog Quest catalog of the run
+   * @param {AbortSignal} signal Optional cancellation signal
+   * @returns {Promise<Object|null>} Quest result, or null if the quest failed or gave none
+   * @private
    */
-  async completeDailyDiceRoll() {
-    const OVERALL_TIMEOUT = 60000;
-    const startTime = Date.now();
-    
+  async _runQuest(Handler, catalog, signal) {
     try {
-      logger.info(`${this.logPrefix}Starting daily dice roll quest`);
-      
-      // Get quests with timeout
-      let questsResponse;
-      try {
-        const questsPromise = this.api.getQuests();
-        questsResponse = await withTimeout(
-          questsPromise, 
-          10000, 
-          'Getting quests timed out after 10s'
-        );
-      } catch (error) {
-        logger.error(`${this.logPrefix}Failed to get quests: ${error.message}`);
-        return null;
-      }
+      logger.info(`${this.logPrefix}Attempting ${Handler.title} quest`);
       
-      const quests = questsResponse.data || [];
-      
-      // Check for timeout
-      if (Date.now() - startTime > OVERALL_TIMEOUT - 5000) {
-        logger.warn(`${this.logPrefix}Daily dice roll timed out after ${OVERALL_TIMEOUT/1000 - 5}s`);
-        return null;
-      }
-      
-      // Find daily dice roll quest
-      const diceRollQuest = quests.find(q => q.title === 'Daily Dice Roll');
-      
-      if (!diceRollQuest) {
-        logger.warn(`${this.logPrefix}Daily dice roll quest not found`);
-        return null;
-      }
+      const handler = new Handler({ api: this.api, config: this.config, accountInfo: this._accountInfo(), catalog });
       
-      logger.debug(`${this.logPrefix}Found daily dice roll quest: ${diceRollQuest.id}`);
+      const outcome = await withAbortTimeout(
+        async questSignal => {
+          if (await handler.isDoneToday({ signal: questSignal })) {
+            return {
+              status: QUEST_STATUS.ALREADY_COMPLETED,
+              result: { quest: Handler.key, status: 'COMPLETED', message: 'Quest already completed' }
+            };
+          }
+          return handler.run({ signal: questSignal });
+        },
+        Handler.timeout,
+        `${Handler.title} quest timed out after ${Handler.timeout/1000}s`,
+        signal,
+        this.clock
+      );
       
-      // Check if quest is already completed today
-      const isCompleted = await this._isQuestCompletedToday(diceRollQuest.id);
-      if (isCompleted) {
-        logger.info(`${this.logPrefix}Daily dice roll already completed today`);
-        return {
-          questId: diceRollQuest.id,
-          status: 'COMPLETED',
-          message: 'Quest already completed'
-        };
+      this._setOutcome(Handler.key, outcome.status, outcome.credits, outcome.message);
+      if (outcome.status === QUEST_STATUS.COMPLETED) {
+        logger.success(`${this.logPrefix}Successfully completed ${Handler.title} quest`);
+      } else if (outcome.status === QUEST_STATUS.ALREADY_COMPLETED) {
+        logger.info(`${this.logPrefix}${Handler.title} quest already completed today`);
       }
       
-      // Complete the dice roll quest once (not multiple times like in the old code)
-      logger.info(`${this.logPrefix}Executing daily dice roll`);
-      
-      try {
-        // Complete quest with empty metadata (based on the new requirement)
-        const rollPromise = this.api.completeQuest(diceRollQuest.id, {});
-        const rollResponse = await withTimeout(
-          rollPromise,
-          15000,
-          `Dice roll timed out after 15s`
-        );
-        
-        // Extract just the relevant information (credits)
-        const credits = rollResponse.data.credits || 0;
-        logger.success(`${this.logPrefix}Dice roll complete: +${credits} credits`);
-        
-        return rollResponse.data;
-      } catch (error) {
-        if (error.response && 
-            error.response.data && 
-            error.response.data.message === "Quest already completed") {
-          logger.info(`${this.logPrefix}Quest already completed during roll attempt`);
-          return { 
-            questId: diceRollQuest.id, 
-            status: 'COMPLETED', 
-            message: 'Quest already completed' 
-          };
-        }
-        
-        logger.error(`${this.logPrefix}Error during dice roll: ${error.message}`);
-        throw error;
-      }
+      return outcome.result || null;
     } catch (error) {
-      logger.error(`${this.logPrefix}Daily dice roll error: ${error.message}`);
+      // A quest cut short by the account's timeout is still reported, then the run stops
+      if (signal && signal.aborted) {
+        this._setOutcome(Handler.key, QUEST_STATUS.FAILED, 0, getAbortReason(signal).message);
+      }
+      throwIfAborted(signal);
+      this._setOutcome(Handler.key, QUEST_STATUS.FAILED, 0, error.message);
+      logger.error(`${this.logPrefix}Failed to complete ${Handler.title} quest: ${error.message}`);
+      logger.info(`${this.logPrefix}Continuing to next quest if any`);
       return null;
     }
   }
   
   /**
-   * Check if a quest is already completed today
-   * @param {string} questId Quest ID
-   * @returns {Promise<boolean>} Whether the quest is completed today
+   * Account information handed to the quest handlers and the catalog
+   * @returns {Object} Account information {accountIndex, label, address, stateStore, clock}
    * @private
    */
-  async _isQuestCompletedToday(questId) {
-    try {
-      // Get user quests to check if already completed
-      let userQuestsResponse;
-      try {
-        const userQuestsPromise = this.api.getUserQuests();
-        userQuestsResponse = await withTimeout(
-          userQuestsPromise,
-          10000,
-          'Getting user quests timed out after 10s'
-        );
-      } catch (error) {
-        logger.error(`${this.logPrefix}Failed to get user quests: ${error.message}`);
-        return false; // Assume not completed if we can't check
-      }
-      
-      const userQuests = userQuestsResponse.data || [];
-      
-      // Check if quest is already completed today
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-      const completedToday = userQuests.some(q => 
-        q.questId === questId && 
-        (q.status === 'COMPLETED' || q.status === 'CLAIMED') && 
-        q.createdAt && q.createdAt.startsWith(today)
-      );
-      
-      return completedToday;
-    } catch (error) {
-      logger.error(`${this.logPrefix}Error checking quest completion: ${error.message}`);
-      return false; // Assume not completed if check fails
-    }
+  _accountInfo() {
+    return {
+      accountIndex: this.accountIndex,
+      label: this.label,
+      address: this.address,
+      stateStore: this.stateStore,
+      clock: this.clock
+    };
+  }
+  
+  /**
+   * Record the outcome of a quest for the run results
+   * @param {string} questKey Quest key (e.g. daily_dice_roll)
+   * @param {string} status One of QUEST_STATUS
+   * @param {number} credits Credits earned
+   * @param {string} message Error message of a failed quest (optional)
+   * @private
+   */
+  _setOutcome(questKey, status, credits = 0, message = null) {
+    this.outcomes[questKey] = { status, credits, message };
   }
 }
 
+QuestService.QUEST_STATUS = QUEST_STATUS;
+
 module.exports = QuestService;
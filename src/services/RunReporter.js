@@ -0,0 +1,242 @@
+// src/services/RunReporter.js
+const path = require('path');
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+const AuthService = require('./AuthService');
+
+/**
+ * Name of the history file in the reports directory
+ */
+const HISTORY_FILE = 'history.csv';
+
+/**
+ * Columns of the history file
+ */
+const HISTORY_COLUMNS = ['date', 'started_at', 'label', 'address', 'outcome', 'credits', 'balance', 'error_category'];
+
+/**
+ * Error categories of failed accounts
+ */
+const ERROR_CATEGORY = {
+  INVALID_KEY: 'invalid_key',
+  AUTH: 'auth',
+  TIMEOUT: 'timeout',
+  QUEST: 'quest',
+  OTHER: 'other'
+};
+
+/**
+ * Milliseconds in a day
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Writes a JSON and a CSV report for every cycle, and appends to a rolling history
+ *
+ * Each cycle's reports are named after the time the cycle started
+ * (`run-2026-03-01T00-10-00Z.json`). The history file has one row per account
+ * per cycle; rows and reports older than `history_days` are deleted.
+ */
+class RunReporter {
+  /**
+   * Create a new reporter
+   * @param {Object} config The reports section of the configuration {dir, history_days}
+   */
+  constructor(config) {
+    this.dir = config.dir;
+    this.historyDays = config.history_days;
+  }
+
+  /**
+   * Build the report row of an account
+   * @param {Object} account Account entry {accountIndex, label, address}
+   * @param {Object} result Result of AccountRunner.run
+   * @param {Object} timing Run times in milliseconds {startedAt, finishedAt}
+   * @returns {Object} Report row
+   */
+  static buildRow(account, result, { startedAt, finishedAt }) {
+    const quests = result.quests || {};
+    const credits = Object.values(quests).reduce((sum, quest) => sum + (quest.credits || 0), 0);
+    const errorCategory = RunReporter.categorizeError(result);
+    const balanceBefore = RunReporter._getBalance(result.balanceBefore);
+    const balanceAfter = RunReporter._getBalance(result.balanceAfter);
+
+    return {
+      accountIndex: account.accountIndex,
+      label: account.label,
+      address: result.wallet || account.address,
+      startedAt: new Date(startedAt).toISOString(),
+      durationSeconds: Math.round((finishedAt - startedAt) / 100) / 10,
+      outcome: result.error ? 'failed' : 'succeeded',
+      auth: RunReporter.getAuthOutcome(result),
+      authFailure: result.authFailure || null,
+      quests,
+      credits,
+      balanceBefore,
+      balanceAfter,
+      balanceDelta: balanceBefore !== null && balanceAfter !== null ? balanceAfter - balanceBefore : null,
+      errorCategory,
+      error: result.error || result.questError || null
+    };
+  }
+
+  /**
+   * Describe how the account logged in
+   * @param {Object} result Result of AccountRunner.run
+   * @returns {string} session_reused, logged_in, failed or not_attempted
+   */
+  static getAuthOutcome(result) {
+    if (result.authFailure) return 'failed';
+    if (result.sessionReused === undefined) return 'not_attempted';
+    return result.sessionReused ? 'session_reused' : 'logged_in';
+  }
+
+  /**
+   * Categorize the error of an account
+   * @param {Object} result Result of AccountRunner.run
+   * @returns {string|null} One of ERROR_CATEGORY, or null if the account had no error
+   */
+  static categorizeError(result) {
+    const message = result.error || result.questError;
+
+    if (!message) return null;
+    if (result.authFailure === AuthService.AUTH_FAILURE.TIMEOUT) return ERROR_CATEGORY.TIMEOUT;
+    if (result.authFailure) return ERROR_CATEGORY.AUTH;
+    if (message.startsWith('Invalid private key')) return ERROR_CATEGORY.INVALID_KEY;
+    if (/time(d)? ?out/i.test(message)) return ERROR_CATEGORY.TIMEOUT;
+    if (!result.error) return ERROR_CATEGORY.QUEST;
+    return ERROR_CATEGORY.OTHER;
+  }
+
+  /**
+   * Write the reports of a cycle and update the history
+   * @param {Object} cycle Cycle {startedAt, finishedAt (milliseconds), rows from buildRow()}
+   * @returns {Promise<string>} Path of the JSON report
+   */
+  async write({ startedAt, finishedAt, rows }) {
+    await fs.ensureDir(this.dir);
+
+    const name = `run-${new Date(startedAt).toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-')}`;
+    const jsonPath = path.join(this.dir, `${name}.json`);
+    const report = {
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationSeconds: Math.round((finishedAt - startedAt) / 1000),
+      totals: {
+        accounts: rows.length,
+        succeeded: rows.filter(row => row.outcome === 'succeeded').length,
+        failed: rows.filter(row => row.outcome === 'failed').length,
+        credits: rows.reduce((sum, row) => sum + row.credits, 0),
+        balanceDelta: rows.reduce((sum, row) => sum + (row.balanceDelta || 0), 0)
+      },
+      accounts: rows
+    };
+
+    await fs.writeJson(jsonPath, report, { spaces: 2 });
+    await fs.writeFile(path.join(this.dir, `${name}.csv`), RunReporter.toCsv(rows));
+    await this._updateHistory(rows, finishedAt);
+    await this._removeOldReports(finishedAt);
+
+    return jsonPath;
+  }
+
+  /**
+   * Format report rows as CSV, with a status and a credits column per quest
+   * @param {Array<Object>} rows Rows from buildRow()
+   * @returns {string} CSV content with a header row
+   */
+  static toCsv(rows) {
+    const questKeys = [...new Set(rows.flatMap(row => Object.keys(row.quests)))];
+    const header = [
+      'label', 'address', 'started_at', 'duration_s', 'outcome', 'auth', 'auth_failure',
+      ...questKeys.flatMap(questKey => [questKey, `${questKey}_credits`]),
+      'credits', 'balance_before', 'balance_after', 'balance_delta', 'error_category', 'error'
+    ];
+
+    const lines = rows.map(row => [
+      row.label, row.address, row.startedAt, row.durationSeconds, row.outcome, row.auth, row.authFailure,
+      ...questKeys.flatMap(questKey => {
+        const quest = row.quests[questKey];
+        return quest ? [quest.status, quest.credits] : ['', ''];
+      }),
+      row.credits, row.balanceBefore, row.balanceAfter, row.balanceDelta, row.errorCategory, row.error
+    ]);
+
+    return [header, ...lines].map(RunReporter._formatCsvLine).join('\n') + '\n';
+  }
+
+  /**
+   * Append the rows to the history file and drop rows older than history_days
+   * @param {Array<Object>} rows Rows from buildRow()
+   * @param {number} now Current time in milliseconds
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateHistory(rows, now) {
+    const historyPath = path.join(this.dir, HISTORY_FILE);
+    const cutoff = new Date(now - this.historyDays * DAY).toISOString();
+    let kept = [];
+
+    if (await fs.pathExists(historyPath)) {
+      const lines = (await fs.readFile(historyPath, 'utf8')).split('\n').slice(1).filter(Boolean);
+      // started_at is the second column and never needs quoting
+      kept = lines.filter(line => line.split(',')[1] >= cutoff);
+    }
+
+    const added = rows.map(row => RunReporter._formatCsvLine([
+      row.startedAt.slice(0, 10), row.startedAt, row.label, row.address, row.outcome, row.credits,
+      row.balanceAfter !== null ? row.balanceAfter : row.balanceBefore, row.errorCategory
+    ]));
+
+    await fs.writeFile(historyPath, [HISTORY_COLUMNS.join(','), ...kept, ...added].join('\n') + '\n');
+  }
+
+  /**
+   * Delete cycle reports that started more than history_days ago
+   * @param {number} now Current time in milliseconds
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeOldReports(now) {
+    const cutoff = now - this.historyDays * DAY;
+
+    for (const file of await fs.readdir(this.dir)) {
+      const match = /^run-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})Z\.(json|csv)$/.exec(file);
+      if (!match) continue;
+
+      const [, date, hours, minutes, seconds] = match;
+      const filePath = path.join(this.dir, file);
+      if (Date.parse(`${date}T${hours}:${minutes}:${seconds}Z`) < cutoff) {
+        await fs.remove(filePath);
+        logger.debug(`Removed old report ${filePath}`);
+      }
+    }
+  }
+
+  /**
+   * Normalize a balance from AccountRunner.run
+   * @param {number|null|undefined} balance Balance, if it was read
+   * @returns {number|null} Balance, or null if unknown
+   * @private
+   */
+  static _getBalance(balance) {
+    return typeof balance === 'number' ? balance : null;
+  }
+
+  /**
+   * Format a CSV line, quoting cells that contain separators or quotes
+   * @param {Array<*>} cells Cell values (null and undefined are written as empty cells)
+   * @returns {string} CSV line
+   * @private
+   */
+  static _formatCsvLine(cells) {
+    return cells.map(cell => {
+      const text = cell === null || cell === undefined ? '' : String(cell);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+  }
+}
+
+RunReporter.ERROR_CATEGORY = ERROR_CATEGORY;
+
+module.exports = RunReporter;
@@ -0,0 +1,128 @@
+// src/services/SessionStore.js
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+const { encryptJson, decryptJson } = require('../utils/encryption');
+const CookieJar = require('./CookieJar');
+
+/**
+ * Key file created in the session directory when no secret is configured
+ */
+const KEY_FILE = '.key';
+
+/**
+ * Per-account cookie jars, saved to disk encrypted with AES-256-GCM
+ *
+ * The encryption key is derived from the configured secret. Without one, a
+ * random key is generated once and kept in the session directory, which still
+ * keeps session cookies out of backups and logs that only copy the files.
+ */
+class SessionStore {
+  /**
+   * Create a new session store
+   * @param {string} dir Directory holding one file per account
+   * @param {string} secret Secret the encryption key is derived from (optional)
+   */
+  constructor(dir = './data/sessions', secret = '') {
+    this.dir = dir;
+    this.secret = secret || null;
+  }
+
+  /**
+   * Load or create the encryption secret
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.secret) return;
+
+    const keyPath = path.join(this.dir, KEY_FILE);
+
+    if (await fs.pathExists(keyPath)) {
+      this.secret = (await fs.readFile(keyPath, 'utf8')).trim();
+      return;
+    }
+
+    this.secret = crypto.randomBytes(32).toString('hex');
+    await fs.ensureDir(this.dir);
+    await fs.writeFile(keyPath, this.secret, { mode: 0o600 });
+    logger.info(`Created session encryption key ${keyPath}`);
+  }
+
+  /**
+   * Load the saved cookie jar of an account
+   *
+   * Missing, corrupt or undecryptable files give an empty jar, so the account
+   * simply logs in again.
+   * @param {string} address Wallet address
+   * @returns {Promise<CookieJar>} Cookie jar
+   */
+  async load(address) {
+    const filePath = this._filePath(address);
+
+    try {
+      if (!await fs.pathExists(filePath)) {
+        return new CookieJar();
+      }
+
+      const payload = await fs.readJson(filePath);
+      return new CookieJar(decryptJson(payload, this._getSecret()).cookies);
+    } catch (error) {
+      logger.warn(`Saved session ${filePath} is unreadable (${error.message}), ignoring it`);
+      return new CookieJar();
+    }
+  }
+
+  /**
+   * Save the cookie jar of an account
+   * @param {string} address Wallet address
+   * @param {CookieJar} jar Cookie jar
+   * @returns {Promise<void>}
+   */
+  async save(address, jar) {
+    const filePath = this._filePath(address);
+    const tmpPath = `${filePath}.tmp`;
+
+    try {
+      await fs.ensureDir(this.dir);
+      await fs.writeJson(tmpPath, encryptJson({ cookies: jar.toJSON() }, this._getSecret()), { mode: 0o600 });
+      await fs.move(tmpPath, filePath, { overwrite: true });
+    } catch (error) {
+      logger.error(`Error saving session to ${filePath}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Delete the saved session of an account
+   * @param {string} address Wallet address
+   * @returns {Promise<void>}
+   */
+  async remove(address) {
+    await fs.remove(this._filePath(address));
+  }
+
+  /**
+   * Get the encryption secret
+   * @returns {string} Secret
+   * @throws {Error} If init() hasn't been called
+   * @private
+   */
+  _getSecret() {
+    if (!this.secret) {
+      throw new Error('Session store not initialized. Call init() first.');
+    }
+    return this.secret;
+  }
+
+  /**
+   * Get the session file of an account
+   * @param {string} address Wallet address
+   * @returns {string} File path
+   * @private
+   */
+  _filePath(address) {
+    return path.join(this.dir, `${String(address).toLowerCase()}.session`);
+  }
+}
+
+module.exports = SessionStore;
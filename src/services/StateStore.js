@@ -0,0 +1,228 @@
+// src/services/StateStore.js
+const path = require('path');
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+const { getUtcDate } = require('../utils/helpers');
+
+/**
+ * Version of the state file layout
+ */
+const STATE_VERSION = 1;
+
+/**
+ * Persistent per-account state, stored as a JSON file keyed by wallet address
+ */
+class StateStore {
+  /**
+   * Create a new state store
+   * @param {string} filePath Path to the JSON state file
+   */
+  constructor(filePath = './data/state.json') {
+    this.filePath = filePath;
+    this.state = { version: STATE_VERSION, accounts: {} };
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load state from disk
+   * @returns {Promise<Object>} The loaded state
+   */
+  async load() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const loaded = await fs.readJson(this.filePath);
+        this.state = {
+          ...loaded,
+          version: STATE_VERSION,
+          accounts: loaded.accounts || {}
+        };
+        logger.debug(`Loaded state for ${Object.keys(this.state.accounts).length} accounts from ${this.filePath}`);
+      }
+    } catch (error) {
+      // Keep the unreadable file around for inspection and start with a clean state
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      logger.warn(`State file ${this.filePath} is unreadable (${error.message}), moving it to ${backupPath}`);
+      await fs.move(this.filePath, backupPath, { overwrite: true }).catch(() => {});
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Write state to disk
+   *
+   * Writes go to a temporary file that is renamed over the state file, so a crash
+   * mid-write never leaves a truncated file. Concurrent calls are serialized.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const write = async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.ensureDir(path.dirname(this.filePath));
+      await fs.writeJson(tmpPath, this.state, { spaces: 2 });
+      await fs.move(tmpPath, this.filePath, { overwrite: true });
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+
+    try {
+      await this.writeQueue;
+    } catch (error) {
+      logger.error(`Error saving state to ${this.filePath}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Get the state of an account, creating an empty record if needed
+   * @param {string} address Wallet address
+   * @returns {Object} Account state
+   */
+  getAccount(address) {
+    const key = String(address).toLowerCase();
+
+    if (!this.state.accounts[key]) {
+      this.state.accounts[key] = {
+        address,
+        lastLoginAt: null,
+        lastRunAt: null,
+        nextRunAt: null,
+        successCount: 0,
+        failureCount: 0,
+        lastError: null,
+        balance: null,
+        quests: {},
+        minesweeper: { date: null, gamesPlayed: 0 }
+      };
+    }
+
+    return this.state.accounts[key];
+  }
+
+  /**
+   * List all known accounts
+   * @returns {Array<Object>} Account states
+   */
+  getAccounts() {
+    return Object.values(this.state.accounts);
+  }
+
+  /**
+   * Record a successful login
+   * @param {string} address Wallet address
+   * @param {Date} when Login time
+   */
+  recordLogin(address, when = new Date()) {
+    this.getAccount(address).lastLoginAt = when.toISOString();
+  }
+
+  /**
+   * Record a quest completion
+   * @param {string} address Wallet address
+   * @param {string} questKey Quest key (e.g. daily_dice_roll)
+   * @param {Object} details Completion details
+   * @param {string} details.questId Platform quest ID
+   * @param {number} details.credits Credits earned
+   * @param {Date} details.when Completion time
+   */
+  recordQuestCompletion(address, questKey, { questId = null, credits = 0, when = new Date() } = {}) {
+    const quests = this.getAccount(address).quests;
+    const quest = quests[questKey] || (quests[questKey] = { completions: 0, totalCredits: 0 });
+
+    quest.questId = questId || quest.questId || null;
+    quest.lastCompletedAt = when.toISOString();
+    quest.lastCredits = credits;
+    quest.totalCredits += credits;
+    quest.completions++;
+  }
+
+  /**
+   * Record the credit balance of an account before and after a run
+   *
+   * Unknown balances (null) leave the last known balance in place.
+   * @param {string} address Wallet address
+   * @param {number|null} before Balance before the run
+   * @param {number|null} after Balance after the run
+   * @param {Date} when Time the balance was read
+   */
+  recordBalance(address, before, after, when = new Date()) {
+    const credits = after !== null ? after : before;
+    if (credits === null) return;
+
+    this.getAccount(address).balance = {
+      credits,
+      before,
+      after,
+      delta: before !== null && after !== null ? after - before : null,
+      updatedAt: when.toISOString()
+    };
+  }
+
+  /**
+   * Check whether a quest was recorded as completed today (UTC)
+   * @param {string} address Wallet address
+   * @param {string} questKey Quest key
+   * @param {Date} now Current time
+   * @returns {boolean} Whether the quest is completed today
+   */
+  isQuestCompletedToday(address, questKey, now = new Date()) {
+    const quest = this.getAccount(address).quests[questKey];
+    return Boolean(quest && quest.lastCompletedAt && quest.lastCompletedAt.startsWith(getUtcDate(now)));
+  }
+
+  /**
+   * Record a played minesweeper game
+   * @param {string} address Wallet address
+   * @param {Date} when Game time
+   */
+  recordMinesweeperGame(address, when = new Date()) {
+    const minesweeper = this.getAccount(address).minesweeper;
+    const today = getUtcDate(when);
+
+    if (minesweeper.date !== today) {
+      minesweeper.date = today;
+      minesweeper.gamesPlayed = 0;
+    }
+
+    minesweeper.gamesPlayed++;
+  }
+
+  /**
+   * Get the number of minesweeper games recorded today (UTC)
+   * @param {string} address Wallet address
+   * @param {Date} now Current time
+   * @returns {number} Games played today
+   */
+  getMinesweeperGamesToday(address, now = new Date()) {
+    const minesweeper = this.getAccount(address).minesweeper;
+    return minesweeper.date === getUtcDate(now) ? minesweeper.gamesPlayed : 0;
+  }
+
+  /**
+   * Store when an account is next due to run
+   * @param {string} address Wallet address
+   * @param {Date} when Next run time
+   */
+  setNextRunAt(address, when) {
+    this.getAccount(address).nextRunAt = when.toISOString();
+  }
+
+  /**
+   * Record the outcome of an account run
+   * @param {string} address Wallet address
+   * @param {string|null} error Error message, or null on success
+   * @param {Date} when Run time
+   */
+  recordRun(address, error = null, when = new Date()) {
+    const account = this.getAccount(address);
+    account.lastRunAt = when.toISOString();
+
+    if (error) {
+      account.failureCount++;
+      account.lastError = { message: error, at: when.toISOString() };
+    } else {
+      account.successCount++;
+    }
+  }
+}
+
+module.exports = StateStore;
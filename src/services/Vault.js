@@ -0,0 +1,73 @@
+// src/services/Vault.js
+const path = require('path');
+const fs = require('fs-extra');
+const { encryptJson, decryptJson } = require('../utils/encryption');
+
+/**
+ * scrypt parameters for the vault; much costlier than the session store's,
+ * since the passphrase is the only thing protecting the keys
+ */
+const VAULT_KDF = { N: 131072, r: 8, p: 1 };
+
+/**
+ * Single file holding every private key, encrypted with a passphrase
+ */
+class Vault {
+  /**
+   * Create a new vault
+   * @param {string} filePath Path to the vault file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Check whether the vault file exists
+   * @returns {Promise<boolean>} Whether the vault exists
+   */
+  async exists() {
+    return fs.pathExists(this.filePath);
+  }
+
+  /**
+   * Decrypt the private keys
+   * @param {string} passphrase Vault passphrase
+   * @returns {Promise<Array<string>>} Private keys
+   * @throws {Error} If the vault is missing, the passphrase is wrong or the file is corrupt
+   */
+  async load(passphrase) {
+    if (!await this.exists()) {
+      throw new Error(`Vault file not found: ${this.filePath}`);
+    }
+
+    const payload = await fs.readJson(this.filePath);
+    let value;
+
+    try {
+      value = decryptJson(payload, passphrase);
+    } catch (error) {
+      throw new Error(`Could not open vault ${this.filePath}: ${error.message}`);
+    }
+
+    return value.keys || [];
+  }
+
+  /**
+   * Encrypt and save private keys, replacing the vault contents
+   * @param {Array<string>} keys Private keys
+   * @param {string} passphrase Vault passphrase
+   * @returns {Promise<void>}
+   */
+  async save(keys, passphrase) {
+    const tmpPath = `${this.filePath}.tmp`;
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(tmpPath, encryptJson({ keys }, passphrase, Vault.KDF), { spaces: 2, mode: 0o600 });
+    await fs.move(tmpPath, this.filePath, { overwrite: true });
+  }
+}
+
+// Exposed so tests can use cheaper parameters
+Vault.KDF = VAULT_KDF;
+
+module.exports = Vault;
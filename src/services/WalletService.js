@@ -1,6 +1,7 @@
 // src/services/WalletService.js
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const { getLogPrefix } = require('../utils/helpers');
 
 /**
  * Service for handling wallet operations
@@ -13,7 +14,7 @@ class WalletService {
    * @returns {ethers.Wallet} Wallet instance
    */
   static createWallet(privateKey, accountInfo = {}) {
-    const logPrefix = accountInfo.accountIndex ? `[Account ${accountInfo.accountIndex}] ` : '';
+    const logPrefix = getLogPrefix(accountInfo);
     
     try {
       const wallet = new ethers.Wallet(privateKey);
@@ -35,7 +36,7 @@ class WalletService {
    * @returns {Promise<string>} Signature
    */
   static async signMessage(message, wallet, accountInfo = {}) {
-    const logPrefix = accountInfo.accountIndex ? `[Account ${accountInfo.accountIndex}] ` : '';
+    const logPrefix = getLogPrefix(accountInfo);
     
     try {
       logger.debug(`${logPrefix}Signing message with wallet`);
@@ -50,10 +51,11 @@ class WalletService {
    * Create authentication message for Magic Newton
    * @param {string} walletAddress Wallet address
    * @param {string} csrfToken CSRF token
+   * @param {Date} issuedAt Time of signing (defaults to now)
    * @returns {string} Authentication message to sign
    */
-  static createAuthMessage(walletAddress, csrfToken) {
-    const timestamp = new Date().toISOString();
+  static createAuthMessage(walletAddress, csrfToken, issuedAt = new Date()) {
+    const timestamp = issuedAt.toISOString();
     
     return `www.magicnewton.com wants you to sign in with your Ethereum account:
 ${walletAddress}
@@ -0,0 +1,197 @@
+// src/services/minesweeper/BoardState.js
+
+/**
+ * Marker used for flagged tiles in the grid returned by getTiles()
+ */
+const FLAG = 'F';
+
+/**
+ * Values the platform may use for a flagged tile in its tile grid
+ */
+const SERVER_FLAG_VALUES = [FLAG, 'FLAG', 'flag', true];
+
+/**
+ * Fields the platform may use for the number of mines on the board
+ */
+const MINE_COUNT_FIELDS = ['mines', 'mineCount', 'totalMines', 'numMines', 'bombs'];
+
+/**
+ * Local model of a Minesweeper board.
+ *
+ * Keeps the tiles returned by the platform in sync with the flags the bot has
+ * placed, so strategies see flagged tiles as mines and the bot never clicks them.
+ */
+class BoardState {
+  /**
+   * Create a new board state
+   * @param {Array<Array>} tiles Initial board (tiles[y][x], null = unopened)
+   * @param {Object} options Board options
+   * @param {number} options.width Board width, defaults to the width of tiles
+   * @param {number} options.height Board height, defaults to the height of tiles
+   * @param {number|null} options.mineCount Number of mines on the board, if known
+   */
+  constructor(tiles = [], options = {}) {
+    this.height = options.height || tiles.length;
+    this.width = options.width || (tiles.length > 0 ? tiles[0].length : 0);
+    this.mineCount = Number.isInteger(options.mineCount) ? options.mineCount : null;
+    this.tiles = Array.from({ length: this.height }, () => new Array(this.width).fill(null));
+    this.flags = new Set();
+    this.gameOver = false;
+    this.exploded = false;
+
+    this.applyTiles(tiles);
+  }
+
+  /**
+   * Create a board from the `_minesweeper` object of a START response
+   * @param {Object} minesweeper Game state returned by the platform
+   * @returns {BoardState} Board sized after the response
+   */
+  static fromResponse(minesweeper = {}) {
+    const tiles = Array.isArray(minesweeper.tiles) ? minesweeper.tiles : [];
+    const field = MINE_COUNT_FIELDS.find(name => Number.isInteger(minesweeper[name]));
+
+    const board = new BoardState(tiles, {
+      width: Number.isInteger(minesweeper.width) ? minesweeper.width : undefined,
+      height: Number.isInteger(minesweeper.height) ? minesweeper.height : undefined,
+      mineCount: field ? minesweeper[field] : null
+    });
+    board.applyResponse(minesweeper);
+    return board;
+  }
+
+  /**
+   * Number of tiles on the board
+   * @returns {number} Tile count
+   */
+  get size() {
+    return this.width * this.height;
+  }
+
+  /**
+   * Sync the board with a tile grid returned by the platform
+   * @param {Array<Array>} tiles Board returned by the platform
+   */
+  applyTiles(tiles) {
+    if (!Array.isArray(tiles) || tiles.length === 0) return;
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const value = tiles[y] ? tiles[y][x] : null;
+
+        if (SERVER_FLAG_VALUES.includes(value)) {
+          this.tiles[y][x] = null;
+          this.flags.add(this._key(x, y));
+        } else {
+          this.tiles[y][x] = value === undefined ? null : value;
+
+          // A revealed tile can no longer carry a flag
+          if (value !== null && value !== undefined) {
+            this.flags.delete(this._key(x, y));
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Sync the board with a CLICK or FLAG response
+   * @param {Object} minesweeper The `_minesweeper` object of the response
+   */
+  applyResponse(minesweeper) {
+    if (!minesweeper) return;
+
+    this.applyTiles(minesweeper.tiles);
+
+    // Some responses list flags separately instead of marking them in the grid
+    if (Array.isArray(minesweeper.flags)) {
+      for (const flag of minesweeper.flags) {
+        const [x, y] = Array.isArray(flag) ? flag : [flag.x, flag.y];
+        if (this.isInside(x, y) && this.tiles[y][x] === null) {
+          this.flags.add(this._key(x, y));
+        }
+      }
+    }
+
+    this.gameOver = Boolean(minesweeper.gameOver);
+    this.exploded = Boolean(minesweeper.exploded);
+  }
+
+  /**
+   * Set or clear the flag on a tile
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @param {boolean} flagged Whether the tile is flagged
+   */
+  setFlag(x, y, flagged = true) {
+    if (!this.isInside(x, y)) return;
+
+    if (flagged && this.tiles[y][x] === null) {
+      this.flags.add(this._key(x, y));
+    } else {
+      this.flags.delete(this._key(x, y));
+    }
+  }
+
+  /**
+   * Check whether a tile is flagged
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @returns {boolean} Whether the tile is flagged
+   */
+  isFlagged(x, y) {
+    return this.flags.has(this._key(x, y));
+  }
+
+  /**
+   * Check whether a tile can be clicked (unopened and not flagged)
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @returns {boolean} Whether the tile can be clicked
+   */
+  isClickable(x, y) {
+    return this.isInside(x, y) && this.tiles[y][x] === null && !this.isFlagged(x, y);
+  }
+
+  /**
+   * Check whether coordinates are on the board
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @returns {boolean} Whether the coordinates are on the board
+   */
+  isInside(x, y) {
+    return Number.isInteger(x) && Number.isInteger(y) &&
+      x >= 0 && x < this.width && y >= 0 && y < this.height;
+  }
+
+  /**
+   * Get the board as a grid for strategies, with flagged tiles set to FLAG
+   * @returns {Array<Array>} Board grid (tiles[y][x])
+   */
+  getTiles() {
+    return this.tiles.map((row, y) => row.map((value, x) => (this.isFlagged(x, y) ? FLAG : value)));
+  }
+
+  /**
+   * Number of flagged tiles
+   * @returns {number} Flag count
+   */
+  get flagCount() {
+    return this.flags.size;
+  }
+
+  /**
+   * Get the set key of a tile
+   * @param {number} x X coordinate
+   * @param {number} y Y coordinate
+   * @returns {number} Tile key
+   * @private
+   */
+  _key(x, y) {
+    return y * this.width + x;
+  }
+}
+
+BoardState.FLAG = FLAG;
+
+module.exports = BoardState;
@@ -0,0 +1,44 @@
+// src/services/minesweeper/RandomStrategy.js
+
+/**
+ * Minesweeper strategy that clicks a random unopened tile every move
+ */
+class RandomStrategy {
+  /**
+   * Create a new random strategy
+   * @param {Object} options Strategy options
+   * @param {Function} options.random Random number generator returning [0, 1)
+   */
+  constructor(options = {}) {
+    this.name = 'random';
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Pick the next tile to click
+   * @param {Array<Array>} tiles Current board state (tiles[y][x], null = unopened, flagged tiles are skipped)
+   * @returns {Object|null} Tile coordinates {x, y} or null if no unopened tiles
+   */
+  nextMove(tiles) {
+    const unexploredTiles = [];
+
+    // Find all unexplored tiles
+    for (let y = 0; y < tiles.length; y++) {
+      for (let x = 0; x < tiles[y].length; x++) {
+        if (tiles[y][x] === null) {
+          unexploredTiles.push({ x, y });
+        }
+      }
+    }
+
+    if (unexploredTiles.length === 0) {
+      return null;
+    }
+
+    // Pick a random tile
+    const randomIndex = Math.floor(this.random() * unexploredTiles.length);
+    return unexploredTiles[randomIndex];
+  }
+}
+
+module.exports = RandomStrategy;
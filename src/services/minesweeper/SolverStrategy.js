@@ -0,0 +1,525 @@
+// src/services/minesweeper/SolverStrategy.js
+const { FLAG } = require('./BoardState');
+
+/**
+ * Relative offsets of the eight tiles surrounding a tile
+ */
+const NEIGHBOR_OFFSETS = [
+  [-1, -1], [0, -1], [1, -1],
+  [-1, 0],           [1, 0],
+  [-1, 1],  [0, 1],  [1, 1]
+];
+
+/**
+ * Probabilities closer than this are treated as equal when picking a guess
+ */
+const EPSILON = 1e-9;
+
+/**
+ * Minesweeper strategy that deduces safe tiles and mines from the revealed numbers.
+ *
+ * Each revealed number is a constraint on its unopened neighbours. The solver first
+ * applies the cheap single-constraint and subset rules, then enumerates every valid
+ * mine layout of the frontier to find tiles that are safe (or mined) in all of them.
+ * When nothing is certain it picks the tile with the lowest mine probability.
+ */
+class SolverStrategy {
+  /**
+   * Create a new solver strategy
+   * @param {Object} options Strategy options
+   * @param {number} options.mineCount Total number of mines on the board, if known
+   * @param {number} options.defaultDensity Mine density assumed for unconstrained tiles when the mine count is unknown
+   * @param {number} options.maxSearchNodes Search budget per frontier component before falling back to estimates
+   * @param {Function} options.random Random number generator returning [0, 1), used to break ties
+   */
+  constructor(options = {}) {
+    this.name = 'solver';
+    this.mineCount = Number.isInteger(options.mineCount) ? options.mineCount : null;
+    this.defaultDensity = options.defaultDensity || 0.15;
+    this.maxSearchNodes = options.maxSearchNodes || 200000;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Pick the next tile to click
+   * @param {Array<Array>} tiles Current board state (tiles[y][x], null = unopened, FLAG = flagged)
+   * @returns {Object|null} Tile {x, y, probability} or null if no tile can be clicked
+   */
+  nextMove(tiles) {
+    const analysis = this.analyze(tiles);
+
+    if (analysis.safe.length > 0) {
+      return { ...analysis.safe[0], probability: 0 };
+    }
+
+    return analysis.guess;
+  }
+
+  /**
+   * Find the tiles that are certainly mines
+   * @param {Array<Array>} tiles Current board state (tiles[y][x], null = unopened, FLAG = flagged)
+   * @returns {Array<Object>} Mine tiles {x, y}, including already flagged ones
+   */
+  findMines(tiles) {
+    return this.analyze(tiles).mines;
+  }
+
+  /**
+   * Analyze a board
+   * @param {Array<Array>} tiles Current board state (tiles[y][x], null = unopened, FLAG = flagged)
+   * @returns {Object} Analysis {safe, mines, guess} where safe and mines are certain tiles
+   */
+  analyze(tiles) {
+    const board = this._readBoard(tiles);
+    // Flagged tiles are treated as known mines
+    const mines = new Set(board.flagged);
+    const safe = new Set();
+
+    this._applySimpleRules(board, mines, safe);
+
+    if (safe.size === 0) {
+      const probabilities = this._computeProbabilities(board, mines, safe);
+
+      for (const [key, probability] of probabilities.exact) {
+        if (probability < EPSILON) {
+          safe.add(key);
+        } else if (probability > 1 - EPSILON) {
+          mines.add(key);
+        }
+      }
+
+      if (safe.size === 0) {
+        return {
+          safe: [],
+          mines: this._toTiles(board, mines),
+          guess: this._pickGuess(board, probabilities.all, mines)
+        };
+      }
+    }
+
+    return {
+      safe: this._toTiles(board, safe),
+      mines: this._toTiles(board, mines),
+      guess: null
+    };
+  }
+
+  /**
+   * Convert a tile grid into the solver's internal representation
+   * @param {Array<Array>} tiles Current board state
+   * @returns {Object} Board {width, height, unknown, flagged, numbers}
+   * @private
+   */
+  _readBoard(tiles) {
+    const height = tiles.length;
+    const width = height > 0 ? tiles[0].length : 0;
+    const unknown = new Set();
+    const flagged = new Set();
+    const numbers = [];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const value = tiles[y][x];
+        const key = y * width + x;
+
+        if (value === null || value === undefined) {
+          unknown.add(key);
+        } else if (value === FLAG) {
+          unknown.add(key);
+          flagged.add(key);
+        } else if (Number.isInteger(value) && value >= 0 && value <= 8) {
+          numbers.push({ key, value });
+        }
+      }
+    }
+
+    const board = { width, height, unknown, flagged, numbers };
+    board.neighbors = key => this._neighbors(board, key);
+    return board;
+  }
+
+  /**
+   * Get the keys of the tiles surrounding a tile
+   * @param {Object} board Board representation
+   * @param {number} key Tile key
+   * @returns {Array<number>} Neighbour keys
+   * @private
+   */
+  _neighbors(board, key) {
+    const x = key % board.width;
+    const y = Math.floor(key / board.width);
+    const result = [];
+
+    for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx >= 0 && nx < board.width && ny >= 0 && ny < board.height) {
+        result.push(ny * board.width + nx);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the constraints implied by the revealed numbers
+   * @param {Object} board Board representation
+   * @param {Set<number>} mines Tiles known to be mines
+   * @param {Set<number>} safe Tiles known to be safe
+   * @returns {Array<Object>} Constraints {cells, mines}
+   * @private
+   */
+  _buildConstraints(board, mines, safe) {
+    const constraints = [];
+
+    for (const { key, value } of board.numbers) {
+      const cells = [];
+      let remaining = value;
+
+      for (const neighbor of board.neighbors(key)) {
+        if (!board.unknown.has(neighbor)) continue;
+
+        if (mines.has(neighbor)) {
+          remaining--;
+        } else if (!safe.has(neighbor)) {
+          cells.push(neighbor);
+        }
+      }
+
+      if (cells.length > 0) {
+        constraints.push({ cells, mines: remaining });
+      }
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Apply the single-constraint and subset rules until nothing new is deduced
+   * @param {Object} board Board representation
+   * @param {Set<number>} mines Tiles known to be mines (updated in place)
+   * @param {Set<number>} safe Tiles known to be safe (updated in place)
+   * @private
+   */
+  _applySimpleRules(board, mines, safe) {
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      const constraints = this._buildConstraints(board, mines, safe);
+
+      const mark = (cells, asMine) => {
+        for (const cell of cells) {
+          const target = asMine ? mines : safe;
+          if (!target.has(cell)) {
+            target.add(cell);
+            changed = true;
+          }
+        }
+      };
+
+      for (const constraint of constraints) {
+        if (constraint.mines === 0) {
+          mark(constraint.cells, false);
+        } else if (constraint.mines === constraint.cells.length) {
+          mark(constraint.cells, true);
+        }
+      }
+
+      if (changed) continue;
+
+      // Subset rule: if A's cells are all in B, B \ A holds B.mines - A.mines mines
+      for (const a of constraints) {
+        const aCells = new Set(a.cells);
+
+        for (const b of constraints) {
+          if (a === b || b.cells.length <= a.cells.length) continue;
+          if (!a.cells.every(cell => b.cells.includes(cell))) continue;
+
+          const rest = b.cells.filter(cell => !aCells.has(cell));
+          const restMines = b.mines - a.mines;
+
+          if (restMines === 0) {
+            mark(rest, false);
+          } else if (restMines === rest.length) {
+            mark(rest, true);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Compute the mine probability of every unopened tile
+   * @param {Object} board Board representation
+   * @param {Set<number>} mines Tiles known to be mines
+   * @param {Set<number>} safe Tiles known to be safe
+   * @returns {Object} {all: Map<key, probability>, exact: Map<key, probability>} where exact only holds fully enumerated tiles
+   * @private
+   */
+  _computeProbabilities(board, mines, safe) {
+    const constraints = this._buildConstraints(board, mines, safe);
+    const components = this._splitComponents(constraints);
+    const frontier = new Set(constraints.flatMap(c => c.cells));
+    const interior = [...board.unknown].filter(key => !frontier.has(key) && !mines.has(key) && !safe.has(key));
+
+    const all = new Map();
+    const exact = new Map();
+    const enumerated = components.map(component => this._enumerate(component));
+    const remainingMines = this.mineCount === null ? null : Math.max(0, this.mineCount - mines.size);
+
+    // Components that blew the search budget get a local estimate instead
+    enumerated.forEach((result, index) => {
+      if (result) return;
+      for (const cell of components[index].cells) {
+        const estimate = Math.max(...components[index].constraints
+          .filter(c => c.cells.includes(cell))
+          .map(c => c.mines / c.cells.length));
+        all.set(cell, estimate);
+      }
+    });
+
+    const exactComponents = enumerated
+      .map((result, index) => ({ result, cells: components[index].cells }))
+      .filter(entry => entry.result);
+
+    let interiorProbability;
+
+    if (remainingMines === null) {
+      // Without a mine count every valid layout is weighted equally
+      for (const { result, cells } of exactComponents) {
+        const total = result.reduce((sum, entry) => sum + (entry ? entry.ways : 0), 0);
+        cells.forEach((cell, i) => {
+          const hits = result.reduce((sum, entry) => sum + (entry ? entry.cellMines[i] : 0), 0);
+          const probability = total > 0 ? hits / total : 0.5;
+          all.set(cell, probability);
+          exact.set(cell, probability);
+        });
+      }
+      interiorProbability = this.defaultDensity;
+    } else {
+      interiorProbability = this._weighByMineCount(exactComponents, interior.length, remainingMines, all, exact);
+    }
+
+    // The interior probability is only exact when it follows from a known mine count
+    const interiorIsExact = remainingMines !== null && exactComponents.length === components.length;
+    for (const key of interior) {
+      all.set(key, interiorProbability);
+      if (interiorIsExact) {
+        exact.set(key, interiorProbability);
+      }
+    }
+
+    return { all, exact };
+  }
+
+  /**
+   * Weigh frontier layouts by the number of ways to place the remaining mines in the interior
+   * @param {Array<Object>} components Enumerated components {result, cells}
+   * @param {number} interiorCount Number of unconstrained unopened tiles
+   * @param {number} remainingMines Mines not yet identified
+   * @param {Map} all Probability map to fill
+   * @param {Map} exact Exact probability map to fill
+   * @returns {number} Mine probability of an interior tile
+   * @private
+   */
+  _weighByMineCount(components, interiorCount, remainingMines, all, exact) {
+    const logFactorial = [0];
+    for (let i = 1; i <= interiorCount; i++) {
+      logFactorial[i] = logFactorial[i - 1] + Math.log(i);
+    }
+    const logChoose = r => (r < 0 || r > interiorCount)
+      ? -Infinity
+      : logFactorial[interiorCount] - logFactorial[r] - logFactorial[interiorCount - r];
+
+    const distributions = components.map(({ result }) => result.map(entry => (entry ? entry.ways : 0)));
+    const convolve = (a, b) => {
+      const out = new Array(a.length + b.length - 1).fill(0);
+      a.forEach((wa, i) => b.forEach((wb, j) => { out[i + j] += wa * wb; }));
+      return out;
+    };
+    const combine = list => list.reduce(convolve, [1]);
+
+    // Normalise the binomial weights against their maximum to stay in float range
+    const maxLog = Math.max(...Array.from({ length: remainingMines + 1 }, (_, k) => logChoose(remainingMines - k)));
+    const interiorWeight = k => (maxLog === -Infinity ? 0 : Math.exp(logChoose(remainingMines - k) - maxLog));
+
+    const totals = combine(distributions);
+    let totalWeight = 0;
+    let interiorMines = 0;
+    totals.forEach((ways, k) => {
+      const weight = ways * interiorWeight(k);
+      totalWeight += weight;
+      if (interiorCount > 0) {
+        interiorMines += weight * (remainingMines - k) / interiorCount;
+      }
+    });
+
+    components.forEach(({ result, cells }, index) => {
+      const others = combine(distributions.filter((_, i) => i !== index));
+      const cellWeights = new Array(cells.length).fill(0);
+
+      result.forEach((entry, k) => {
+        if (!entry) return;
+        const factor = others.reduce((sum, ways, j) => sum + ways * interiorWeight(k + j), 0);
+        entry.cellMines.forEach((hits, i) => { cellWeights[i] += hits * factor; });
+      });
+
+      cells.forEach((cell, i) => {
+        const probability = totalWeight > 0 ? cellWeights[i] / totalWeight : 0.5;
+        all.set(cell, probability);
+        exact.set(cell, probability);
+      });
+    });
+
+    return totalWeight > 0 ? interiorMines / totalWeight : this.defaultDensity;
+  }
+
+  /**
+   * Split constraints into independent groups that share no tiles
+   * @param {Array<Object>} constraints Constraints
+   * @returns {Array<Object>} Components {cells, constraints}
+   * @private
+   */
+  _splitComponents(constraints) {
+    const parent = new Map();
+    const find = cell => {
+      while (parent.get(cell) !== cell) {
+        parent.set(cell, parent.get(parent.get(cell)));
+        cell = parent.get(cell);
+      }
+      return cell;
+    };
+
+    for (const constraint of constraints) {
+      for (const cell of constraint.cells) {
+        if (!parent.has(cell)) parent.set(cell, cell);
+      }
+      for (let i = 1; i < constraint.cells.length; i++) {
+        parent.set(find(constraint.cells[i]), find(constraint.cells[0]));
+      }
+    }
+
+    const groups = new Map();
+    for (const constraint of constraints) {
+      const root = find(constraint.cells[0]);
+      if (!groups.has(root)) {
+        groups.set(root, { cells: new Set(), constraints: [] });
+      }
+      const group = groups.get(root);
+      group.constraints.push(constraint);
+      constraint.cells.forEach(cell => group.cells.add(cell));
+    }
+
+    return [...groups.values()].map(group => ({
+      cells: [...group.cells].sort((a, b) => a - b),
+      constraints: group.constraints
+    }));
+  }
+
+  /**
+   * Enumerate every mine layout of a component that satisfies its constraints
+   * @param {Object} component Component {cells, constraints}
+   * @returns {Array<Object>|null} Per mine count k: {ways, cellMines[]}, or null if the search budget ran out
+   * @private
+   */
+  _enumerate(component) {
+    const { cells, constraints } = component;
+    const indexOf = new Map(cells.map((cell, i) => [cell, i]));
+    const cellConstraints = cells.map(() => []);
+    const state = constraints.map(c => ({ mines: c.mines, assigned: 0, open: c.cells.length }));
+
+    constraints.forEach((constraint, ci) => {
+      constraint.cells.forEach(cell => cellConstraints[indexOf.get(cell)].push(ci));
+    });
+
+    const assignment = new Array(cells.length).fill(0);
+    const result = [];
+    let nodes = 0;
+
+    const search = (i, minesPlaced) => {
+      if (++nodes > this.maxSearchNodes) return false;
+
+      if (i === cells.length) {
+        if (!result[minesPlaced]) {
+          result[minesPlaced] = { ways: 0, cellMines: new Array(cells.length).fill(0) };
+        }
+        result[minesPlaced].ways++;
+        assignment.forEach((value, j) => { result[minesPlaced].cellMines[j] += value; });
+        return true;
+      }
+
+      for (const value of [0, 1]) {
+        let valid = true;
+        for (const ci of cellConstraints[i]) {
+          const s = state[ci];
+          s.open--;
+          s.assigned += value;
+          if (s.assigned > s.mines || s.assigned + s.open < s.mines) valid = false;
+        }
+
+        assignment[i] = value;
+        const ok = !valid || search(i + 1, minesPlaced + value);
+
+        for (const ci of cellConstraints[i]) {
+          state[ci].open++;
+          state[ci].assigned -= value;
+        }
+        assignment[i] = 0;
+
+        if (!ok) return false;
+      }
+
+      return true;
+    };
+
+    return search(0, 0) ? result : null;
+  }
+
+  /**
+   * Pick the unopened tile least likely to be a mine
+   * @param {Object} board Board representation
+   * @param {Map<number, number>} probabilities Mine probability per tile
+   * @param {Set<number>} mines Tiles known to be mines
+   * @returns {Object|null} Tile {x, y, probability} or null if nothing can be clicked
+   * @private
+   */
+  _pickGuess(board, probabilities, mines) {
+    let best = Infinity;
+    let candidates = [];
+
+    for (const key of board.unknown) {
+      if (mines.has(key)) continue;
+
+      const probability = probabilities.has(key) ? probabilities.get(key) : this.defaultDensity;
+      if (probability < best - EPSILON) {
+        best = probability;
+        candidates = [key];
+      } else if (Math.abs(probability - best) <= EPSILON) {
+        candidates.push(key);
+      }
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const key = candidates[Math.floor(this.random() * candidates.length)];
+    return { x: key % board.width, y: Math.floor(key / board.width), probability: best };
+  }
+
+  /**
+   * Convert a set of tile keys into sorted coordinates
+   * @param {Object} board Board representation
+   * @param {Set<number>} keys Tile keys
+   * @returns {Array<Object>} Tiles {x, y}
+   * @private
+   */
+  _toTiles(board, keys) {
+    return [...keys]
+      .sort((a, b) => a - b)
+      .map(key => ({ x: key % board.width, y: Math.floor(key / board.width) }));
+  }
+}
+
+module.exports = SolverStrategy;
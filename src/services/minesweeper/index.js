@@ -0,0 +1,41 @@
+// src/services/minesweeper/index.js
+const BoardState = require('./BoardState');
+const RandomStrategy = require('./RandomStrategy');
+const SolverStrategy = require('./SolverStrategy');
+
+/**
+ * Available move strategies, keyed by their config name
+ */
+const STRATEGIES = {
+  random: RandomStrategy,
+  solver: SolverStrategy
+};
+
+/**
+ * Create a move strategy
+ *
+ * A strategy exposes `nextMove(tiles)` which returns the next tile {x, y} to click,
+ * or null when no unopened tile is left. Strategies that can deduce mines also
+ * expose `findMines(tiles)`, which the service uses to place flags.
+ *
+ * @param {string} name Strategy name (random, solver)
+ * @param {Object} options Strategy options
+ * @returns {Object} Strategy instance
+ */
+function createStrategy(name = 'solver', options = {}) {
+  const Strategy = STRATEGIES[name];
+
+  if (!Strategy) {
+    throw new Error(`Unknown minesweeper strategy: ${name}`);
+  }
+
+  return new Strategy(options);
+}
+
+module.exports = {
+  STRATEGIES,
+  createStrategy,
+  BoardState,
+  RandomStrategy,
+  SolverStrategy
+};
@@ -0,0 +1,99 @@
+// src/services/quests/DailyDiceRollQuest.js
+const logger = require('../../utils/logger');
+const { withAbortTimeout } = require('../../utils/helpers');
+const { object, boolean } = require('../../core/schemaTypes');
+const QuestHandler = require('./QuestHandler');
+
+const { QUEST_STATUS } = QuestHandler;
+
+/**
+ * Daily dice roll: one roll per UTC day
+ */
+class DailyDiceRollQuest extends QuestHandler {
+  /**
+   * Create a handler for an account
+   * @param {Object} context Quest context (see QuestHandler)
+   */
+  constructor(context) {
+    super(context);
+    this.quest = null;
+  }
+
+  /**
+   * Check the local state, then the platform, for today's roll
+   * @param {Object} options Check options
+   * @param {AbortSignal} options.signal Cancels pending requests
+   * @returns {Promise<boolean>} Whether the dice were rolled today
+   * @throws {Error} If the quest can't be found on the platform
+   */
+  async isDoneToday({ signal } = {}) {
+    // Skip the platform checks if the local state already has today's roll
+    if (this.isRecordedToday()) {
+      logger.info(`${this.logPrefix}Daily dice roll already completed today (local state)`);
+      return true;
+    }
+
+    this.quest = await this.findQuest(signal);
+
+    if (await this.isCompletedOnPlatform(this.quest.id, signal)) {
+      logger.info(`${this.logPrefix}Daily dice roll already completed today`);
+      this.recordCompletion(this.quest.id, 0);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Roll the dice once
+   * @param {Object} options Quest options
+   * @param {AbortSignal} options.signal Cancels pending requests
+   * @returns {Promise<Object>} Outcome {status, credits, result}
+   */
+  async run({ signal } = {}) {
+    const quest = this.quest || await this.findQuest(signal);
+
+    logger.info(`${this.logPrefix}Executing daily dice roll`);
+
+    try {
+      // Complete quest with empty metadata
+      const rollResponse = await withAbortTimeout(
+        rollSignal => this.api.completeQuest(quest.id, {}, { signal: rollSignal }),
+        15000,
+        'Dice roll timed out after 15s',
+        signal,
+        this.clock
+      );
+
+      const credits = rollResponse.data.credits || 0;
+      logger.success(`${this.logPrefix}Dice roll complete: +${credits} credits`);
+      this.recordCompletion(quest.id, credits);
+
+      return { status: QUEST_STATUS.COMPLETED, credits, result: rollResponse.data };
+    } catch (error) {
+      if (error.response &&
+          error.response.data &&
+          error.response.data.message === 'Quest already completed') {
+        logger.info(`${this.logPrefix}Quest already completed during roll attempt`);
+        this.recordCompletion(quest.id, 0);
+        return {
+          status: QUEST_STATUS.ALREADY_COMPLETED,
+          result: { questId: quest.id, status: 'COMPLETED', message: 'Quest already completed' }
+        };
+      }
+
+      logger.error(`${this.logPrefix}Error during dice roll: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+DailyDiceRollQuest.key = 'daily_dice_roll';
+DailyDiceRollQuest.title = 'Daily dice roll';
+DailyDiceRollQuest.match = { slug: 'daily-dice-roll', title: 'Daily Dice Roll' };
+DailyDiceRollQuest.timeout = 60000;
+DailyDiceRollQuest.configSchema = object({
+  enabled: boolean()
+});
+
+module.exports = DailyDiceRollQuest;
@@ -0,0 +1,96 @@
+// src/services/quests/MinesweeperQuest.js
+const { object, boolean, integer, oneOf } = require('../../core/schemaTypes');
+const MinesweeperService = require('../MinesweeperService');
+const { STRATEGIES } = require('../minesweeper');
+const QuestHandler = require('./QuestHandler');
+
+const { QUEST_STATUS } = QuestHandler;
+
+/**
+ * Minesweeper: up to three games per UTC day, played by MinesweeperService
+ */
+class MinesweeperQuest extends QuestHandler {
+  /**
+   * Create a handler for an account
+   * @param {Object} context Quest context (see QuestHandler)
+   */
+  constructor(context) {
+    super(context);
+    this.minesweeper = null;
+  }
+
+  /**
+   * Check whether every game of the day has been played
+   * @param {Object} options Check options
+   * @param {AbortSignal} options.signal Cancels pending requests
+   * @returns {Promise<boolean>} Whether no game is left today
+   * @throws {Error} If the quest can't be found on the platform
+   */
+  async isDoneToday({ signal } = {}) {
+    const minesweeper = await this._getService(signal);
+    return minesweeper.isCompletedToday(signal);
+  }
+
+  /**
+   * Play the games left today
+   * @param {Object} options Quest options
+   * @param {AbortSignal} options.signal Stops play
+   * @returns {Promise<Object>} Outcome {status, credits, message, result}
+   */
+  async run({ signal } = {}) {
+    const minesweeper = await this._getService(signal);
+    const result = await minesweeper.playGame({ signal });
+    return { ...this._toOutcome(result), result };
+  }
+
+  /**
+   * Get the game service, resolving the quest ID on first use
+   * @param {AbortSignal} signal Optional cancellation signal
+   * @returns {Promise<MinesweeperService>} Game service
+   * @private
+   */
+  async _getService(signal) {
+    if (!this.minesweeper) {
+      const quest = await this.findQuest(signal);
+      this.minesweeper = new MinesweeperService(this.api, this.config, { ...this.accountInfo, clock: this.clock }, quest.id);
+    }
+    return this.minesweeper;
+  }
+
+  /**
+   * Turn the result of MinesweeperService.playGame into an outcome
+   * @param {Object} result Game result
+   * @returns {Object} Outcome {status, credits, message}
+   * @private
+   */
+  _toOutcome(result) {
+    if (!result) {
+      return { status: QUEST_STATUS.NOT_COMPLETED };
+    }
+    if (result.status === 'COMPLETED' && result.message === 'Daily limit reached') {
+      return { status: QUEST_STATUS.NOT_COMPLETED, message: 'No games left today' };
+    }
+    if (result.status === 'COMPLETED') {
+      return { status: QUEST_STATUS.ALREADY_COMPLETED };
+    }
+    if (result.totalCredits > 0) {
+      return { status: QUEST_STATUS.COMPLETED, credits: result.totalCredits };
+    }
+    return { status: QUEST_STATUS.NOT_COMPLETED, message: `No game won in ${result.attempts} attempts` };
+  }
+}
+
+MinesweeperQuest.key = 'minesweeper';
+MinesweeperQuest.title = 'Minesweeper';
+MinesweeperQuest.match = { slug: 'minesweeper', title: 'Minesweeper' };
+MinesweeperQuest.timeout = 240000; // minesweeper can take longer
+MinesweeperQuest.configSchema = object({
+  enabled: boolean(),
+  auto_retry: boolean(),
+  max_attempts: integer({ min: 1 }),
+  difficulty: oneOf(MinesweeperService.DIFFICULTIES),
+  strategy: oneOf(Object.keys(STRATEGIES)),
+  flag_mines: boolean()
+});
+
+module.exports = MinesweeperQuest;
@@ -0,0 +1,142 @@
+// src/services/quests/QuestHandler.js
+const logger = require('../../utils/logger');
+const { withAbortTimeout, throwIfAborted, getLogPrefix, getUtcDate } = require('../../utils/helpers');
+const { systemClock } = require('../../utils/clock');
+const QuestCatalog = require('../QuestCatalog');
+
+/**
+ * Outcome of a quest in a run, as reported in the per-account results
+ */
+const QUEST_STATUS = {
+  COMPLETED: 'completed',
+  ALREADY_COMPLETED: 'already_completed',
+  NOT_COMPLETED: 'not_completed',
+  FAILED: 'failed',
+  DISABLED: 'disabled'
+};
+
+/**
+ * Base class of quest handlers
+ *
+ * A handler completes one platform quest for one account. Besides the two
+ * methods below, every handler class sets:
+ * - `key`: its section under `quests` in the configuration, also used in results and state
+ * - `title`: name used in logs
+ * - `match`: how to find its platform quest in the quest catalog, by `id`, `slug` and/or
+ *   `title`; `quests.<key>.match` in the configuration adds to it or overrides it
+ * - `timeout`: milliseconds allowed for isDoneToday() and run() together
+ * - `configSchema`: schema node of its configuration section, with at least `enabled`
+ *
+ * Handlers live in files named `*Quest.js` next to this one, where the
+ * registry (see index.js) finds them.
+ */
+class QuestHandler {
+  /**
+   * Create a handler for an account
+   * @param {Object} context Quest context
+   * @param {Object} context.api ApiClient instance
+   * @param {Object} context.config Configuration
+   * @param {Object} context.accountInfo Account information {accountIndex, label, address, stateStore, clock}
+   * @param {QuestCatalog} context.catalog Quest catalog shared by the account's quests (optional)
+   */
+  constructor({ api, config, accountInfo = {}, catalog = null }) {
+    this.api = api;
+    this.config = config;
+    this.options = (config.quests && config.quests[this.constructor.key]) || {};
+    this.accountInfo = accountInfo;
+    this.address = accountInfo.address || null;
+    this.stateStore = accountInfo.stateStore || null;
+    this.clock = accountInfo.clock || systemClock;
+    this.logPrefix = getLogPrefix(accountInfo);
+    this.catalog = catalog || new QuestCatalog(api, accountInfo);
+  }
+
+  /**
+   * Check whether the quest is already done today, so that run() can be skipped
+   * @param {Object} options Check options
+   * @param {AbortSignal} options.signal Cancels pending requests
+   * @returns {Promise<boolean>} Whether the quest is done today
+   */
+  async isDoneToday() {
+    return false;
+  }
+
+  /**
+   * Complete the quest
+   * @param {Object} options Quest options
+   * @param {AbortSignal} options.signal Cancels pending requests
+   * @returns {Promise<Object>} Outcome {status (one of QUEST_STATUS), credits, message, result}
+   */
+  async run() {
+    throw new Error(`${this.constructor.title} quest does not implement run()`);
+  }
+
+  /**
+   * Find the platform quest of this handler in the quest catalog
+   * @param {AbortSignal} signal Optional cancellation signal
+   * @returns {Promise<Object>} Platform quest {id, title, slug}
+   * @throws {Error} If the quest list can't be read or has no matching quest
+   */
+  findQuest(signal) {
+    const match = { ...this.constructor.match, ...this.options.match };
+    return this.catalog.resolve(this.constructor.title, match, { signal });
+  }
+
+  /**
+   * Check if the local state has the quest recorded as completed today
+   * @returns {boolean} Whether the quest is recorded as completed today
+   */
+  isRecordedToday() {
+    return Boolean(this.stateStore && this.address &&
+      this.stateStore.isQuestCompletedToday(this.address, this.constructor.key, new Date(this.clock.now())));
+  }
+
+  /**
+   * Record a completion of the quest in the local state
+   * @param {string} questId Platform quest ID
+   * @param {number} credits Credits earned
+   */
+  recordCompletion(questId, credits) {
+    if (this.stateStore && this.address) {
+      this.stateStore.recordQuestCompletion(this.address, this.constructor.key, {
+        questId,
+        credits,
+        when: new Date(this.clock.now())
+      });
+    }
+  }
+
+  /**
+   * Check if the platform lists a quest as completed today
+   * @param {string} questId Quest ID
+   * @param {AbortSignal} signal Optional cancellation signal
+   * @returns {Promise<boolean>} Whether the quest is completed today; false if the user quests can't be read
+   */
+  async isCompletedOnPlatform(questId, signal) {
+    let userQuestsResponse;
+    try {
+      userQuestsResponse = await withAbortTimeout(
+        userQuestsSignal => this.api.getUserQuests({ signal: userQuestsSignal }),
+        10000,
+        'Getting user quests timed out after 10s',
+        signal,
+        this.clock
+      );
+    } catch (error) {
+      throwIfAborted(signal);
+      logger.error(`${this.logPrefix}Failed to get user quests: ${error.message}`);
+      return false; // Assume not completed if we can't check
+    }
+
+    const today = getUtcDate(new Date(this.clock.now()));
+    return (userQuestsResponse.data || []).some(q =>
+      q.questId === questId &&
+      (q.status === 'COMPLETED' || q.status === 'CLAIMED') &&
+      q.createdAt && q.createdAt.startsWith(today)
+    );
+  }
+}
+
+QuestHandler.QUEST_STATUS = QUEST_STATUS;
+
+module.exports = QuestHandler;
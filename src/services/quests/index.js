@@ -0,0 +1,118 @@
+// src/services/quests/index.js
+const fs = require('fs');
+const path = require('path');
+const { object, string } = require('../../core/schemaTypes');
+const QuestHandler = require('./QuestHandler');
+
+/**
+ * Files holding a quest handler
+ */
+const HANDLER_FILE = /Quest\.js$/;
+
+/**
+ * Schema of `quests.<key>.match`, accepted for every quest
+ */
+const MATCH_SCHEMA = object({
+  id: string({ nonEmpty: true }),
+  slug: string({ nonEmpty: true }),
+  title: string({ nonEmpty: true })
+});
+
+/**
+ * Quest handlers by configuration key
+ *
+ * Adding a quest means adding a `*Quest.js` handler to this directory (see
+ * QuestHandler) and enabling it under `quests` in the configuration.
+ */
+class QuestRegistry {
+  /**
+   * Create a new registry
+   * @param {Array<Function>} handlers Handler classes
+   */
+  constructor(handlers = []) {
+    this.handlers = new Map();
+    handlers.forEach(Handler => this.register(Handler));
+  }
+
+  /**
+   * Create a registry of the handlers in a directory
+   * @param {string} dir Directory with `*Quest.js` files, each exporting a handler class
+   * @returns {QuestRegistry} Registry, with the handlers in file name order
+   */
+  static fromDirectory(dir) {
+    const files = fs.readdirSync(dir).filter(file => HANDLER_FILE.test(file)).sort();
+    return new QuestRegistry(files.map(file => require(path.join(dir, file))));
+  }
+
+  /**
+   * Add a handler
+   * @param {Function} Handler Handler class
+   * @throws {Error} If the handler is incomplete or its key is taken
+   */
+  register(Handler) {
+    const name = (Handler && (Handler.key || Handler.name)) || String(Handler);
+
+    if (typeof Handler !== 'function' || typeof Handler.key !== 'string' || !Handler.key) {
+      throw new Error(`Quest handler ${name} has no key`);
+    }
+    for (const method of ['isDoneToday', 'run']) {
+      if (typeof Handler.prototype[method] !== 'function') {
+        throw new Error(`Quest handler ${name} has no ${method}() method`);
+      }
+    }
+    if (!Handler.match || !['id', 'slug', 'title'].some(field => Handler.match[field])) {
+      throw new Error(`Quest handler ${name} has no match with an id, slug or title`);
+    }
+    if (!(Handler.timeout > 0)) {
+      throw new Error(`Quest handler ${name} has no timeout`);
+    }
+    if (!Handler.configSchema || Handler.configSchema.type !== 'object' ||
+        !Handler.configSchema.properties.enabled) {
+      throw new Error(`Quest handler ${name} has no config schema with an enabled key`);
+    }
+    if (this.handlers.has(Handler.key)) {
+      throw new Error(`Quest handler ${name} is already registered`);
+    }
+
+    this.handlers.set(Handler.key, Handler);
+  }
+
+  /**
+   * Get a handler
+   * @param {string} key Configuration key
+   * @returns {Function|null} Handler class, or null if none has the key
+   */
+  get(key) {
+    return this.handlers.get(key) || null;
+  }
+
+  /**
+   * Configuration keys of every handler
+   * @returns {Array<string>} Keys
+   */
+  keys() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Schema of the `quests` section, made of the schema of every handler and its `match`
+   * @returns {Object} Schema node
+   */
+  configSchema() {
+    return object(Object.fromEntries(
+      [...this.handlers].map(([key, Handler]) => [key, object({ ...Handler.configSchema.properties, match: MATCH_SCHEMA })])
+    ));
+  }
+}
+
+/**
+ * Registry of the handlers in this directory
+ */
+const registry = QuestRegistry.fromDirectory(__dirname);
+
+module.exports = {
+  QuestRegistry,
+  QuestHandler,
+  QUEST_STATUS: QuestHandler.QUEST_STATUS,
+  registry
+};
@@ -0,0 +1,230 @@
+// src/utils/clock.js
+const { sleep, getAbortReason } = require('./helpers');
+
+/**
+ * Clock backed by the system time and real timers
+ *
+ * Everything that reads the time, waits or times out takes a clock with this
+ * shape (see Bot, AccountRunner and the services it creates), so that tests
+ * can swap in a VirtualClock.
+ */
+const systemClock = {
+  /**
+   * Current time
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return Date.now();
+  },
+
+  /**
+   * Wait for the specified duration
+   * @param {number} ms Milliseconds to wait
+   * @param {AbortSignal} signal Optional signal that cuts the wait short
+   * @returns {Promise} Resolves after the specified time, rejects with the abort reason if aborted
+   */
+  sleep(ms, signal) {
+    return sleep(ms, signal);
+  },
+
+  /**
+   * Call a function after a delay
+   * @param {Function} fn Function to call
+   * @param {number} ms Delay in milliseconds
+   * @returns {*} Timer handle for clearTimeout()
+   */
+  setTimeout(fn, ms) {
+    return setTimeout(fn, ms);
+  },
+
+  /**
+   * Cancel a timer
+   * @param {*} handle Handle returned by setTimeout()
+   */
+  clearTimeout(handle) {
+    clearTimeout(handle);
+  }
+};
+
+/**
+ * Clock whose time only moves when everything running is asleep on it
+ *
+ * Sleeps don't take real time: once the running work has yielded (after the
+ * current round of I/O callbacks), the time jumps to the earliest wake-up,
+ * firing the timers that fall due on the way. Concurrent sleeps overlap as
+ * they would on the system clock. Timers never move the time themselves, so
+ * work waiting on I/O alone is never timed out, while work that sleeps past a
+ * timeout is.
+ */
+class VirtualClock {
+  /**
+   * Create a new virtual clock
+   * @param {number|string|Date} start Initial time (defaults to the system time)
+   */
+  constructor(start = Date.now()) {
+    this.time = new Date(start).getTime();
+    this.timers = [];
+    this.sleepers = [];
+    this.nextTimerId = 1;
+    this.wakeScheduled = false;
+  }
+
+  /**
+   * Current time
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Wait until the time has moved forward by the specified duration
+   * @param {number} ms Milliseconds to wait
+   * @param {AbortSignal} signal Optional signal; a timer firing on the way may abort it
+   * @returns {Promise} Resolves at the wake-up time, rejects with the abort reason if aborted
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(getAbortReason(signal));
+        return;
+      }
+
+      const sleeper = { at: this.time + Math.max(0, ms), resolve };
+      if (signal) {
+        sleeper.onAbort = () => {
+          this.sleepers = this.sleepers.filter(other => other !== sleeper);
+          reject(getAbortReason(signal));
+        };
+        sleeper.signal = signal;
+        signal.addEventListener('abort', sleeper.onAbort, { once: true });
+      }
+
+      this.sleepers.push(sleeper);
+      this._scheduleWake();
+    });
+  }
+
+  /**
+   * Call a function once the time has moved past a delay
+   * @param {Function} fn Function to call
+   * @param {number} ms Delay in milliseconds
+   * @returns {number} Timer handle for clearTimeout()
+   */
+  setTimeout(fn, ms) {
+    const id = this.nextTimerId++;
+    this.timers.push({ id, at: this.time + Math.max(0, ms), fn });
+    return id;
+  }
+
+  /**
+   * Cancel a timer
+   * @param {number} handle Handle returned by setTimeout()
+   */
+  clearTimeout(handle) {
+    this.timers = this.timers.filter(timer => timer.id !== handle);
+  }
+
+  /**
+   * Move the time forward at once, firing due timers in order and waking due sleepers
+   * @param {number} ms Milliseconds to move forward
+   */
+  advance(ms) {
+    const target = this.time + Math.max(0, ms);
+    let timer;
+
+    // Timers set by a firing timer fire too if they fall due before the target
+    while ((timer = this._first(this.timers, target))) {
+      this._fire(timer);
+    }
+
+    this.time = target;
+    this._wakeDue();
+  }
+
+  /**
+   * Move the time forward to a point in time
+   * @param {number|string|Date} time Time to move to; earlier times are ignored
+   */
+  set(time) {
+    this.advance(new Date(time).getTime() - this.time);
+  }
+
+  /**
+   * Wake the earliest sleeper once the running work has yielded
+   * @private
+   */
+  _scheduleWake() {
+    if (this.wakeScheduled) return;
+
+    this.wakeScheduled = true;
+    setImmediate(() => {
+      this.wakeScheduled = false;
+      this._wakeNext();
+    });
+  }
+
+  /**
+   * Move the time to the next timer or wake-up, whichever comes first
+   *
+   * A timer is fired on its own, so the work it cancels can react before the
+   * time moves any further.
+   * @private
+   */
+  _wakeNext() {
+    const sleeper = this._first(this.sleepers, Infinity);
+    if (!sleeper) return;
+
+    const timer = this._first(this.timers, sleeper.at);
+    if (timer) {
+      this._fire(timer);
+    } else {
+      this.time = Math.max(this.time, sleeper.at);
+      this._wakeDue();
+    }
+
+    if (this.sleepers.length > 0) {
+      this._scheduleWake();
+    }
+  }
+
+  /**
+   * Fire a timer at its due time
+   * @param {Object} timer Timer {id, at, fn}
+   * @private
+   */
+  _fire(timer) {
+    this.timers = this.timers.filter(other => other !== timer);
+    this.time = Math.max(this.time, timer.at);
+    timer.fn();
+  }
+
+  /**
+   * Resolve the sleeps that are due
+   * @private
+   */
+  _wakeDue() {
+    const due = this.sleepers.filter(sleeper => sleeper.at <= this.time);
+    this.sleepers = this.sleepers.filter(sleeper => sleeper.at > this.time);
+
+    for (const sleeper of due) {
+      if (sleeper.signal) sleeper.signal.removeEventListener('abort', sleeper.onAbort);
+      sleeper.resolve();
+    }
+  }
+
+  /**
+   * Get the earliest entry due at or before a time
+   * @param {Array<Object>} entries Timers or sleepers {at}
+   * @param {number} time Time in milliseconds
+   * @returns {Object|undefined} Earliest entry, the first one added on a tie
+   * @private
+   */
+  _first(entries, time) {
+    return entries
+      .filter(entry => entry.at <= time)
+      .reduce((first, entry) => (!first || entry.at < first.at ? entry : first), undefined);
+  }
+}
+
+module.exports = { systemClock, VirtualClock };
@@ -0,0 +1,82 @@
+// src/utils/encryption.js
+const crypto = require('crypto');
+
+/**
+ * Version of the encrypted payload layout
+ */
+const PAYLOAD_VERSION = 1;
+
+/**
+ * Default scrypt parameters for key derivation
+ */
+const DEFAULT_KDF = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Derive a 256-bit key from a secret
+ * @param {string} secret Secret or passphrase
+ * @param {Buffer} salt Key salt
+ * @param {Object} kdf scrypt parameters {N, r, p}
+ * @returns {Buffer} Key
+ */
+function deriveKey(secret, salt, kdf) {
+  // scrypt needs 128 * N * r bytes; allow that plus some headroom
+  const maxmem = 256 * kdf.N * kdf.r;
+  return crypto.scryptSync(secret, salt, 32, { ...kdf, maxmem });
+}
+
+/**
+ * Encrypt a JSON-serializable value with AES-256-GCM
+ * @param {*} value Value to encrypt
+ * @param {string} secret Secret or passphrase
+ * @param {Object} kdf scrypt parameters {N, r, p} (optional)
+ * @returns {Object} Encrypted payload {version, kdf, salt, iv, tag, data}
+ */
+function encryptJson(value, secret, kdf = DEFAULT_KDF) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt, kdf), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    version: PAYLOAD_VERSION,
+    kdf,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a payload created by encryptJson
+ * @param {Object} payload Encrypted payload
+ * @param {string} secret Secret or passphrase
+ * @returns {*} Decrypted value
+ * @throws {Error} If the payload is malformed, was tampered with or the secret is wrong
+ */
+function decryptJson(payload, secret) {
+  if (!payload || payload.version !== PAYLOAD_VERSION) {
+    throw new Error('unsupported encrypted file version');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(secret, Buffer.from(payload.salt, 'base64'), payload.kdf || DEFAULT_KDF),
+    Buffer.from(payload.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+  let data;
+  try {
+    data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new Error('wrong secret or corrupt data');
+  }
+
+  return JSON.parse(data.toString('utf8'));
+}
+
+module.exports = {
+  encryptJson,
+  decryptJson
+};
@@ -1,10 +1,49 @@
+/**
+ * Get the reason a signal was aborted with
+ *
+ * Node before 16.14 has no AbortSignal.reason, so an Error is made up there.
+ * @param {AbortSignal} signal Aborted signal
+ * @returns {*} The abort reason, or an "Aborted" Error if the signal has none
+ */
+function getAbortReason(signal) {
+  return signal.reason !== undefined ? signal.reason : new Error('Aborted');
+}
+
 /**
  * Sleep for the specified duration
  * @param {number} ms Milliseconds to sleep
- * @returns {Promise} Resolves after the specified time
+ * @param {AbortSignal} signal Optional signal that cuts the sleep short
+ * @returns {Promise} Resolves after the specified time, rejects with the abort reason if aborted
  */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(getAbortReason(signal));
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(id);
+        reject(getAbortReason(signal));
+      };
+      const id = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  /**
+   * Throw the abort reason if a signal has been aborted
+   * @param {AbortSignal} signal Optional signal
+   * @throws {Error} The abort reason
+   */
+  function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw getAbortReason(signal);
+    }
   }
   
   /**
@@ -25,21 +64,100 @@ function sleep(ms) {
    * @returns {Promise} The original promise, or rejects with timeout error
    */
   function withTimeout(promise, timeoutMs, errorMessage) {
+    let id;
     const timeoutPromise = new Promise((_, reject) => {
-      const id = setTimeout(() => {
-        clearTimeout(id);
+      id = setTimeout(() => {
         reject(new Error(errorMessage || `Operation timed out after ${timeoutMs}ms`));
       }, timeoutMs);
     });
     
+    // Clear the timer once settled so it doesn't keep the process alive
     return Promise.race([
       promise,
       timeoutPromise
-    ]);
+    ]).finally(() => clearTimeout(id));
+  }
+  
+  /**
+   * Run a cancellable function with a timeout
+   *
+   * Unlike withTimeout, the work itself is stopped: the function receives an
+   * AbortSignal that is aborted when the timeout expires or the parent signal
+   * is aborted, so requests and sleeps using it end straight away.
+   * @param {Function} fn Function taking an AbortSignal and returning a Promise
+   * @param {number} timeoutMs Timeout in milliseconds
+   * @param {string} errorMessage Custom error message
+   * @param {AbortSignal} parentSignal Optional signal of the enclosing operation
+   * @param {Object} clock Optional clock whose timers measure the timeout (see utils/clock)
+   * @returns {Promise} Result of the function, or rejects with the timeout error
+   */
+  function withAbortTimeout(fn, timeoutMs, errorMessage, parentSignal, clock) {
+    const timers = clock || { setTimeout, clearTimeout };
+    const controller = new AbortController();
+    // Kept here as well, since older Node versions drop the reason passed to abort()
+    let reason;
+    const abort = abortReason => {
+      if (controller.signal.aborted) return;
+      reason = abortReason;
+      controller.abort(abortReason);
+    };
+    const onParentAbort = () => abort(getAbortReason(parentSignal));
+    
+    if (parentSignal) {
+      if (parentSignal.aborted) {
+        onParentAbort();
+      } else {
+        parentSignal.addEventListener('abort', onParentAbort, { once: true });
+      }
+    }
+    
+    const id = timers.setTimeout(() => {
+      abort(new Error(errorMessage || `Operation timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+    
+    const abortPromise = new Promise((_, reject) => {
+      if (controller.signal.aborted) {
+        reject(reason);
+      } else {
+        controller.signal.addEventListener('abort', () => reject(reason), { once: true });
+      }
+    });
+    
+    return Promise.race([
+      Promise.resolve().then(() => fn(controller.signal)),
+      abortPromise
+    ]).finally(() => {
+      timers.clearTimeout(id);
+      if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+    });
+  }
+  
+  /**
+   * Get the UTC calendar date of a time, as used for the platform's daily reset
+   * @param {Date} date Date to format
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  function getUtcDate(date = new Date()) {
+    return date.toISOString().split('T')[0];
+  }
+  
+  /**
+   * Build the log prefix of an account
+   * @param {Object} accountInfo Account information {accountIndex, label}
+   * @returns {string} Prefix such as "[main] " or "[Account 3] ", empty without an account
+   */
+  function getLogPrefix(accountInfo = {}) {
+    if (accountInfo.label) return `[${accountInfo.label}] `;
+    return accountInfo.accountIndex ? `[Account ${accountInfo.accountIndex}] ` : '';
   }
   
   module.exports = {
     sleep,
     randomInt,
-    withTimeout
+    withTimeout,
+    withAbortTimeout,
+    throwIfAborted,
+    getAbortReason,
+    getUtcDate,
+    getLogPrefix
   };
\ No newline at end of file
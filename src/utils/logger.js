@@ -2,6 +2,7 @@
 const chalk = require('chalk');
 const moment = require('moment');
 const winston = require('winston');
+const { AsyncLocalStorage } = require('async_hooks');
 
 /**
  * Enhanced logger service with streamlined output
@@ -15,12 +16,51 @@ class Logger {
       ...options
     };
 
+    // Holds the line buffer of the async context, if any (see runBuffered)
+    this.bufferStorage = new AsyncLocalStorage();
+
     // Setup Winston logger if file logging is enabled
     if (this.options.enableFileLogging) {
       this.setupFileLogging();
     }
   }
 
+  /**
+   * Run a function with its console output buffered, then print it in one block
+   *
+   * Used when several accounts run at the same time so each account's lines stay
+   * together. File logging is not buffered.
+   * @param {Function} fn Function to run (may return a Promise)
+   * @returns {Promise<*>} Result of the function
+   */
+  async runBuffered(fn) {
+    const buffer = [];
+
+    try {
+      return await this.bufferStorage.run(buffer, fn);
+    } finally {
+      for (const [method, args] of buffer) {
+        console[method](...args);
+      }
+    }
+  }
+
+  /**
+   * Write to the console, or to the current buffer if output is buffered
+   * @param {string} method Console method (debug, info, warn, error)
+   * @param {...*} args Console arguments
+   * @private
+   */
+  _write(method, ...args) {
+    const buffer = this.bufferStorage.getStore();
+
+    if (buffer) {
+      buffer.push([method, args]);
+    } else {
+      console[method](...args);
+    }
+  }
+
   /**
    * Set up file logging with Winston
    */
@@ -41,6 +81,21 @@ class Logger {
     });
   }
 
+  /**
+   * Flush and close the log file, if file logging is enabled
+   * @returns {Promise<void>} Resolves once pending log entries are written
+   */
+  close() {
+    const fileLogger = this.fileLogger;
+    if (!fileLogger) return Promise.resolve();
+
+    this.fileLogger = null;
+    return new Promise(resolve => {
+      fileLogger.on('finish', resolve);
+      fileLogger.end();
+    });
+  }
+
   /**
    * Format timestamp for console logs
    * @returns {string} Formatted timestamp
@@ -56,8 +111,8 @@ class Logger {
    */
   debug(message, data = null) {
     if (this.options.logLevel === 'debug') {
-      console.debug(chalk.gray(`${this.getTimestamp()} ${message}`));
-      if (data) console.debug(data);
+      this._write('debug', chalk.gray(`${this.getTimestamp()} ${message}`));
+      if (data) this._write('debug', data);
       
       if (this.fileLogger) {
         this.fileLogger.debug(message, { data });
@@ -71,7 +126,7 @@ class Logger {
    * @param {Object} data Optional data to include
    */
   info(message, data = null) {
-    console.info(chalk.blue(`${this.getTimestamp()} ${message}`));
+    this._write('info', chalk.blue(`${this.getTimestamp()} ${message}`));
     
     if (this.fileLogger) {
       this.fileLogger.info(message, { data });
@@ -84,7 +139,7 @@ class Logger {
    * @param {Object} data Optional data to include
    */
   warn(message, data = null) {
-    console.warn(chalk.yellow(`${this.getTimestamp()} ${message}`));
+    this._write('warn', chalk.yellow(`${this.getTimestamp()} ${message}`));
     
     if (this.fileLogger) {
       this.fileLogger.warn(message, { data });
@@ -97,16 +152,16 @@ class Logger {
    * @param {Error|Object} error Optional error object
    */
   error(message, error = null) {
-    console.error(chalk.red(`${this.getTimestamp()} ${message}`));
+    this._write('error', chalk.red(`${this.getTimestamp()} ${message}`));
     
     if (error && this.options.logLevel === 'debug') {
       if (error instanceof Error) {
-        console.error(chalk.red(`${this.getTimestamp()} ${error.message}`));
+        this._write('error', chalk.red(`${this.getTimestamp()} ${error.message}`));
         if (error.stack) {
-          console.error(chalk.red(`${this.getTimestamp()} ${error.stack}`));
+          this._write('error', chalk.red(`${this.getTimestamp()} ${error.stack}`));
         }
       } else {
-        console.error(error);
+        this._write('error', error);
       }
     }
     
@@ -125,7 +180,7 @@ class Logger {
    * @param {Object} data Optional data to include
    */
   success(message, data = null) {
-    console.info(chalk.green(`${this.getTimestamp()} ${message}`));
+    this._write('info', chalk.green(`${this.getTimestamp()} ${message}`));
     
     if (this.fileLogger) {
       this.fileLogger.info(`SUCCESS: ${message}`, { data });
@@ -0,0 +1,78 @@
+// src/utils/passphrase.js
+const readline = require('readline');
+
+/**
+ * Environment variable holding the key passphrase by default
+ */
+const DEFAULT_PASSPHRASE_ENV = 'NEWTON_KEY_PASSPHRASE';
+
+/**
+ * Ask a question on the terminal without echoing the answer
+ * @param {string} question Prompt text
+ * @param {Object} streams Streams {input, output} (defaults to stdin/stdout)
+ * @returns {Promise<string>} Answer
+ */
+function promptHidden(question, { input = process.stdin, output = process.stdout } = {}) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input, output, terminal: true });
+    let muted = false;
+
+    rl._writeToOutput = text => {
+      if (!muted) output.write(text);
+    };
+
+    output.write(question);
+    muted = true;
+
+    rl.question('', answer => {
+      rl.close();
+      output.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Get the key passphrase from the environment or an interactive prompt
+ * @param {Object} options Passphrase options
+ * @param {string} options.envVar Environment variable to read first
+ * @param {string} options.prompt Prompt text
+ * @param {boolean} options.confirm Ask twice and require both answers to match
+ * @param {Object} options.env Environment (defaults to process.env)
+ * @param {Object} options.input Input stream (defaults to process.stdin)
+ * @param {Object} options.output Output stream (defaults to process.stdout)
+ * @returns {Promise<string>} Passphrase
+ * @throws {Error} If no passphrase is set and there is no terminal to ask on
+ */
+async function readPassphrase({
+  envVar = DEFAULT_PASSPHRASE_ENV,
+  prompt = 'Key passphrase: ',
+  confirm = false,
+  env = process.env,
+  input = process.stdin,
+  output = process.stdout
+} = {}) {
+  if (env[envVar]) {
+    return env[envVar];
+  }
+
+  if (!input.isTTY) {
+    throw new Error(`No passphrase: set ${envVar} or run in a terminal to enter it`);
+  }
+
+  const passphrase = await promptHidden(prompt, { input, output });
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+
+  if (confirm && await promptHidden('Repeat passphrase: ', { input, output }) !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+
+  return passphrase;
+}
+
+module.exports = {
+  DEFAULT_PASSPHRASE_ENV,
+  readPassphrase
+};
@@ -1,11 +1,14 @@
 // src/utils/retry.js
 const logger = require('./logger');
-const { sleep, randomInt } = require('./helpers');
+const { randomInt, throwIfAborted } = require('./helpers');
+const { systemClock } = require('./clock');
 
 /**
  * Retry a function with exponential backoff
  * @param {Function} fn Function to retry (must return a Promise)
  * @param {Object} options Retry options
+ * @param {AbortSignal} options.signal Stops retrying once aborted
+ * @param {Object} options.clock Clock to wait on between attempts (defaults to the system clock)
  * @returns {Promise} Resolves with the result of the function call
  */
 async function retry(fn, options = {}) {
@@ -14,19 +17,26 @@ async function retry(fn, options = {}) {
     initialDelayMs = 1000, 
     maxDelayMs = 30000,
     retryableErrors = [],
-    logPrefix = ''
+    logPrefix = '',
+    signal,
+    clock = systemClock
   } = options;
   
   let attempts = 0;
   let lastError;
   
   while (attempts < maxAttempts) {
+    throwIfAborted(signal);
+    
     try {
       return await fn();
     } catch (error) {
       attempts++;
       lastError = error;
       
+      // Cancelled work is never retried
+      throwIfAborted(signal);
+      
       // Check if this error type should trigger a retry
       const shouldRetry = retryableErrors.length === 0 || 
         retryableErrors.some(errMsg => error.message && error.message.includes(errMsg));
@@ -55,7 +65,7 @@ async function retry(fn, options = {}) {
       const waitTime = Math.floor(delay + jitter);
       
       logger.debug(`${logPrefix}Request failed (${error.message}), retrying in ${waitTime}ms (attempt ${attempts}/${maxAttempts})`);
-      await sleep(waitTime);
+      await clock.sleep(waitTime, signal);
     }
   }
   
@@ -0,0 +1,308 @@
+// test/cli/commands.test.js
+jest.mock('../../src/utils/logger');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const commands = require('../../src/cli/commands');
+const Vault = require('../../src/services/Vault');
+
+const { collectProblems } = commands;
+
+const VALID_KEY = `0x${'1'.padStart(64, '0')}`;
+
+describe('collectProblems', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  async function writeFiles({ config = {}, keys = [VALID_KEY], proxies = ['user:pass@10.0.0.1:8080'] } = {}) {
+    const files = {
+      configPath: path.join(dir, 'config.yaml'),
+      keysPath: path.join(dir, 'pk.txt'),
+      proxiesPath: path.join(dir, 'proxy.txt')
+    };
+    await fs.writeFile(files.configPath, yaml.dump({ captcha: { api_key: 'key' }, ...config }));
+    await fs.writeFile(files.keysPath, keys.join('\n'));
+    await fs.writeFile(files.proxiesPath, proxies.join('\n'));
+    return files;
+  }
+
+  test('accepts a complete setup', async () => {
+    const files = await writeFiles();
+
+    expect(await collectProblems(files)).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('reports bad keys and proxies by line without printing keys', async () => {
+    const files = await writeFiles({
+      keys: ['# comment', VALID_KEY, 'not-a-key', VALID_KEY],
+      proxies: ['10.0.0.1:8080', '10.0.0.2:0', 'user:pass@:8080']
+    });
+
+    const { errors, warnings } = await collectProblems(files);
+
+    expect(errors).toEqual([
+      `${files.keysPath}:3: invalid private key`,
+      `${files.proxiesPath}:2: invalid proxy, expected user:pass@host:port or host:port`,
+      `${files.proxiesPath}:3: invalid proxy, expected user:pass@host:port or host:port`
+    ]);
+    expect(warnings).toEqual([`${files.keysPath}:4: duplicate of the key on line 2`]);
+    expect(errors.join('\n')).not.toContain('not-a-key');
+  });
+
+  test('reports pinned proxies without a valid port', async () => {
+    const accountsPath = path.join(dir, 'accounts.yaml');
+    await fs.writeFile(accountsPath, [
+      'accounts:',
+      '  - key: 1',
+      '    label: main',
+      '    proxy: 10.0.0.3:abc',
+      '  - key: 1',
+      '    label: spare',
+      '    proxy: user:pass@10.0.0.4:8080'
+    ].join('\n'));
+    const files = await writeFiles({ config: { accounts: { file: accountsPath } } });
+
+    const { errors } = await collectProblems(files);
+
+    expect(errors).toEqual([
+      `${accountsPath}: account "main" has an invalid proxy, expected user:pass@host:port or host:port`
+    ]);
+  });
+
+  test('reports a missing captcha key and missing files without creating them', async () => {
+    const files = await writeFiles({ config: { captcha: { api_key: '' } } });
+    const keysPath = path.join(dir, 'missing.txt');
+
+    const { errors } = await collectProblems({ ...files, keysPath });
+
+    expect(errors).toEqual(['captcha.api_key is not set', `Private key file not found: ${keysPath}`]);
+    expect(await fs.pathExists(keysPath)).toBe(false);
+  });
+
+  test('reports an unreadable config file', async () => {
+    const configPath = path.join(dir, 'config.yaml');
+    await fs.writeFile(configPath, 'bot: [unclosed');
+
+    const { errors } = await collectProblems({ configPath });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/config\.yaml:1: YAML syntax error: /);
+  });
+
+  test('reports every schema problem with its line', async () => {
+    const configPath = path.join(dir, 'config.yaml');
+    await fs.writeFile(configPath, [
+      'bot:',
+      '  concurency: 2',
+      'proxy:',
+      '  rotation:',
+      '    mode: roundrobin'
+    ].join('\n'));
+
+    const { errors } = await collectProblems({ configPath });
+
+    expect(errors).toEqual([
+      `${configPath}:2: bot.concurency unknown key, did you mean "concurrency"?`,
+      `${configPath}:5: proxy.rotation.mode must be one of sequential, random, got "roundrobin"`
+    ]);
+  });
+
+  test('checks keystores without decrypting them', async () => {
+    const keystoreDir = path.join(dir, 'keystores');
+    await fs.ensureDir(keystoreDir);
+    await fs.writeFile(path.join(keystoreDir, 'a.json'), JSON.stringify({ version: 3, crypto: {} }));
+    await fs.writeFile(path.join(keystoreDir, 'b.json'), '{"hello": "world"}');
+    const files = await writeFiles({ config: { wallet: { source: 'keystore', keystore_dir: keystoreDir } } });
+
+    const { errors } = await collectProblems(files);
+
+    expect(errors).toEqual([`${path.join(keystoreDir, 'b.json')}: invalid keystore`]);
+  });
+
+  test('reports a missing vault and an unknown key source', async () => {
+    const vaultFile = path.join(dir, 'vault.json');
+    const vaultFiles = await writeFiles({ config: { wallet: { source: 'vault', vault_file: vaultFile } } });
+
+    expect((await collectProblems(vaultFiles)).errors).toEqual([`Vault file not found: ${vaultFile}`]);
+
+    const unknownFiles = await writeFiles({ config: { wallet: { source: 'hsm' } } });
+
+    expect((await collectProblems(unknownFiles)).errors)
+      .toEqual([`${unknownFiles.configPath}:4: wallet.source must be one of file, keystore, vault, mnemonic, got "hsm"`]);
+  });
+});
+
+describe('collectProblems with seed phrases', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('reports invalid seed phrases by line', async () => {
+    const configPath = path.join(dir, 'config.yaml');
+    const file = path.join(dir, 'mnemonic.txt');
+    await fs.writeFile(file, ['test test test test test test test test test test test junk', 'not a seed phrase'].join('\n'));
+    await fs.writeFile(configPath, yaml.dump({
+      captcha: { api_key: 'key' },
+      proxy: { enabled: false },
+      wallet: { source: 'mnemonic', mnemonic: { file } }
+    }));
+
+    const { errors } = await collectProblems({ configPath });
+
+    expect(errors).toEqual([`${file}:2: invalid seed phrase`]);
+  });
+});
+
+describe('import-keys', () => {
+  const OTHER_KEY = `0x${'2'.padStart(64, '0')}`;
+  let dir;
+  let originalKdf;
+
+  beforeAll(() => {
+    originalKdf = Vault.KDF;
+    Vault.KDF = { N: 1024, r: 8, p: 1 };
+  });
+
+  afterAll(() => {
+    Vault.KDF = originalKdf;
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(dir);
+  });
+
+  async function setup(keys) {
+    const options = {
+      configPath: path.join(dir, 'config.yaml'),
+      keysPath: path.join(dir, 'pk.txt'),
+      getPassphrase: async () => 'passphrase'
+    };
+    const vaultFile = path.join(dir, 'vault.json');
+    await fs.writeFile(options.configPath, yaml.dump({ wallet: { vault_file: vaultFile } }));
+    await fs.writeFile(options.keysPath, keys.join('\n'));
+    return { options, vault: new Vault(vaultFile) };
+  }
+
+  test('adds new keys to the vault and skips duplicates', async () => {
+    const { options, vault } = await setup([VALID_KEY]);
+    await vault.save([new ethers.Wallet(OTHER_KEY).privateKey], 'passphrase');
+    await fs.writeFile(options.keysPath, [VALID_KEY, OTHER_KEY, VALID_KEY].join('\n'));
+
+    expect(await commands['import-keys']([], options)).toBe(0);
+
+    expect(await vault.load('passphrase')).toEqual([OTHER_KEY, VALID_KEY]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Imported 1 new key(s)'));
+  });
+
+  test('imports nothing when a key is invalid', async () => {
+    const { options, vault } = await setup([VALID_KEY, 'not-a-key']);
+
+    expect(await commands['import-keys']([], options)).toBe(1);
+
+    expect(await vault.exists()).toBe(false);
+    expect(console.log.mock.calls.join('\n')).not.toContain('not-a-key');
+  });
+});
+
+describe('status', () => {
+  let dir;
+  let output;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-'));
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation(line => output.push(line));
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(dir);
+  });
+
+  test('lists accounts by balance with the totals', async () => {
+    const configPath = path.join(dir, 'config.yaml');
+    const stateFile = path.join(dir, 'state.json');
+    await fs.writeFile(configPath, yaml.dump({ state: { file: stateFile } }));
+    await fs.writeJson(stateFile, {
+      accounts: {
+        '0xaaa': { address: '0xAAA', balance: null, quests: {} },
+        '0xbbb': {
+          address: '0xBBB',
+          balance: { credits: 100, before: 90, after: 100, delta: 10, updatedAt: '2026-03-01T00:00:00.000Z' },
+          quests: { daily_dice_roll: { totalCredits: 30, completions: 3, lastCompletedAt: null } }
+        },
+        '0xccc': {
+          address: '0xCCC',
+          balance: { credits: 250, before: 250, after: null, delta: null, updatedAt: '2026-03-01T00:00:00.000Z' },
+          quests: { minesweeper: { totalCredits: 50, completions: 1, lastCompletedAt: null } }
+        }
+      }
+    });
+
+    expect(await commands.status([], { configPath })).toBe(0);
+
+    const text = output.map(line => String(line)).join('\n');
+    const addresses = output.filter(line => /0x[A-C]{3}/.test(line)).map(line => line.match(/0x[A-C]{3}/)[0]);
+    expect(addresses).toEqual(['0xCCC', '0xBBB', '0xAAA']);
+    expect(text).toContain('Balance:     100 credits, +10 in the last run');
+    expect(text).toContain('Balance:     unknown');
+    expect(text).toContain('daily_dice_roll: 30 credits');
+    expect(text).toContain('Total: 350 credits across 2 of 3 accounts, 80 earned from quests');
+  });
+});
+
+describe('mock-server', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('serves the platform with the injected failures until stopped', async () => {
+    let responses;
+
+    const code = await commands['mock-server']([], {
+      port: '0',
+      failures: '/api/user:401',
+      untilStopped: async url => {
+        responses = await Promise.all([
+          axios.get(`${url}/api/quests`),
+          axios.get(`${url}/api/user`, { validateStatus: () => true })
+        ]);
+      }
+    });
+
+    expect(code).toBe(0);
+    expect(responses.map(response => response.status)).toEqual([200, 401]);
+    expect(console.log).toHaveBeenCalledWith('  Failing all requests to /api/user with 401');
+  });
+
+  test('rejects an invalid port', async () => {
+    await expect(commands['mock-server']([], { port: 'http' })).rejects.toThrow('Invalid port: http');
+  });
+});
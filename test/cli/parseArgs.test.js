@@ -0,0 +1,45 @@
+// test/cli/parseArgs.test.js
+const { parseArgs } = require('../../src/cli/parseArgs');
+
+describe('parseArgs', () => {
+  test('defaults to the run command', () => {
+    expect(parseArgs([])).toEqual({ command: 'run', args: [], options: { help: false } });
+  });
+
+  test('reads path overrides in both option forms', () => {
+    const parsed = parseArgs(['once', '--config', 'alt.yaml', '--keys=keys.txt', '--proxies', 'p.txt']);
+
+    expect(parsed.command).toBe('once');
+    expect(parsed.options).toEqual({
+      help: false,
+      configPath: 'alt.yaml',
+      keysPath: 'keys.txt',
+      proxiesPath: 'p.txt'
+    });
+  });
+
+  test('passes the account selector as an argument', () => {
+    expect(parseArgs(['account', '0xAbC']).args).toEqual(['0xAbC']);
+  });
+
+  test('reads the mock server options', () => {
+    const parsed = parseArgs(['mock-server', '--port', '8080', '--fail=/api/quests:429:2']);
+
+    expect(parsed.command).toBe('mock-server');
+    expect(parsed.options).toEqual({ help: false, port: '8080', failures: '/api/quests:429:2' });
+  });
+
+  test('recognizes help', () => {
+    expect(parseArgs(['status', '-h']).options.help).toBe(true);
+  });
+
+  test.each([
+    [['deploy'], 'Unknown command: deploy'],
+    [['run', '--verbose'], 'Unknown option: --verbose'],
+    [['run', '--config'], 'Option --config requires a value'],
+    [['account'], 'Command account expects 1 argument(s), got 0'],
+    [['status', 'extra'], 'Command status expects 0 argument(s), got 1']
+  ])('rejects %j', (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(message);
+  });
+});
@@ -0,0 +1,62 @@
+// test/cli/shutdown.test.js
+jest.mock('../../src/utils/logger');
+
+describe('shutdown', () => {
+  let shutdownModule;
+  let logger;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      shutdownModule = require('../../src/cli/shutdown');
+      logger = require('../../src/utils/logger');
+    });
+    logger.close.mockResolvedValue();
+  });
+
+  function createBot(summary) {
+    return { shutdown: jest.fn().mockResolvedValue({ failureCount: 0, timedOut: false, ...summary }) };
+  }
+
+  test('exits with 0 after a clean shutdown', async () => {
+    const bot = createBot();
+    const exit = jest.fn();
+    shutdownModule.setActiveBot(bot);
+
+    await shutdownModule.shutdown('SIGTERM', exit);
+
+    expect(bot.shutdown).toHaveBeenCalled();
+    expect(logger.close).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(0);
+    expect(shutdownModule.isShuttingDown()).toBe(true);
+  });
+
+  test('exits with 1 when accounts failed', async () => {
+    const exit = jest.fn();
+    shutdownModule.setActiveBot(createBot({ failureCount: 2 }));
+
+    await shutdownModule.shutdown('SIGINT', exit);
+
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  test('exits with the signal code when running accounts were abandoned', async () => {
+    const exit = jest.fn();
+    shutdownModule.setActiveBot(createBot({ timedOut: true }));
+
+    await shutdownModule.shutdown('SIGTERM', exit);
+
+    expect(exit).toHaveBeenCalledWith(143);
+  });
+
+  test('exits immediately on a second signal', async () => {
+    const exit = jest.fn();
+    const bot = { shutdown: jest.fn(() => new Promise(() => {})) };
+    shutdownModule.setActiveBot(bot);
+
+    shutdownModule.shutdown('SIGINT', exit);
+    await shutdownModule.shutdown('SIGINT', exit);
+
+    expect(bot.shutdown).toHaveBeenCalledTimes(1);
+    expect(exit).toHaveBeenCalledWith(130);
+  });
+});
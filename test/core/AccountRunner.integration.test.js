@@ -0,0 +1,130 @@
+// test/core/AccountRunner.integration.test.js
+jest.mock('../../src/utils/logger');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Wallet } = require('ethers');
+const AccountRunner = require('../../src/core/AccountRunner');
+const ConfigManager = require('../../src/core/ConfigManager');
+const AuthService = require('../../src/services/AuthService');
+const QuestService = require('../../src/services/QuestService');
+const StateStore = require('../../src/services/StateStore');
+const SessionStore = require('../../src/services/SessionStore');
+const MockServer = require('../../src/mock/MockServer');
+const { VirtualClock } = require('../../src/utils/clock');
+
+const { QUEST_STATUS } = QuestService;
+
+const wallet = new Wallet(`0x${'1'.padStart(64, '0')}`);
+
+/**
+ * Runs whole accounts, from login to the last quest, against the local mock of the platform
+ *
+ * The bot and the mock share a virtual clock, so waits between requests take no time.
+ */
+describe('AccountRunner against the mock platform', () => {
+  let server;
+  let url;
+  let dir;
+  let stateStore;
+  let sessionStore;
+  let clock;
+
+  beforeEach(async () => {
+    clock = new VirtualClock('2026-03-01T10:00:00Z');
+    server = new MockServer({ clock, initialCredits: 100 });
+    url = await server.start();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'runner-'));
+    stateStore = new StateStore(path.join(dir, 'state.json'));
+    await stateStore.load();
+    sessionStore = new SessionStore(path.join(dir, 'sessions'));
+    await sessionStore.init();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    await fs.remove(dir);
+  });
+
+  /**
+   * Default configuration pointed at the mock
+   */
+  function createConfig({ apiKey = 'key' } = {}) {
+    const defaults = ConfigManager.DEFAULT_CONFIG;
+    return {
+      ...defaults,
+      api: { base_url: url },
+      bot: { ...defaults.bot, retries: { ...defaults.bot.retries, max_attempts: 1 } },
+      captcha: { ...defaults.captcha, api_url: url, api_key: apiKey }
+    };
+  }
+
+  function createRunner(config = createConfig()) {
+    return new AccountRunner({ accountIndex: 1, privateKey: wallet.privateKey, config, stateStore, sessionStore, clock });
+  }
+
+  test('logs in, completes every quest and keeps the session', async () => {
+    const result = await createRunner().run();
+
+    expect(result.error).toBeUndefined();
+    expect(result).toMatchObject({ wallet: wallet.address, sessionReused: false, balanceBefore: 100 });
+    expect(result.quests.daily_dice_roll.status).toBe(QUEST_STATUS.COMPLETED);
+    expect(result.quests.minesweeper.status).not.toBe(QUEST_STATUS.FAILED);
+
+    const earned = result.quests.daily_dice_roll.credits + result.quests.minesweeper.credits;
+    expect(result.balanceAfter).toBe(100 + earned);
+    expect(server.platform.getUser(wallet.address).credits).toBe(100 + earned);
+
+    const state = stateStore.getAccount(wallet.address);
+    expect(state.lastLoginAt.startsWith('2026-03-01')).toBe(true);
+    expect(state.balance).toMatchObject({ before: 100, after: 100 + earned, delta: earned });
+    expect(stateStore.getMinesweeperGamesToday(wallet.address, new Date(clock.now()))).toBe(3);
+    expect((await sessionStore.load(wallet.address)).size).toBeGreaterThan(0);
+  });
+
+  test('reuses the saved session and skips the quests already done today', async () => {
+    await createRunner().run();
+    const balance = server.platform.getUser(wallet.address).credits;
+
+    const result = await createRunner().run();
+
+    expect(result).toMatchObject({ sessionReused: true, balanceBefore: balance, balanceAfter: balance });
+    expect(result.quests.daily_dice_roll.status).toBe(QUEST_STATUS.ALREADY_COMPLETED);
+  });
+
+  test('rolls the dice again after the daily reset', async () => {
+    await createRunner().run();
+
+    clock.set('2026-03-02T00:10:00Z');
+    const result = await createRunner().run();
+
+    expect(result.sessionReused).toBe(true);
+    expect(result.quests.daily_dice_roll.status).toBe(QUEST_STATUS.COMPLETED);
+    expect(stateStore.getAccount(wallet.address).quests.daily_dice_roll.lastCompletedAt.startsWith('2026-03-02')).toBe(true);
+  });
+
+  test('stops before the quests when the captcha cannot be solved', async () => {
+    const startedAt = clock.now();
+
+    const result = await createRunner(createConfig({ apiKey: '' })).run();
+
+    // Three login attempts, each retrying the captchas, use up the whole authentication timeout
+    expect(result).toMatchObject({ authFailure: AuthService.AUTH_FAILURE.TIMEOUT, completedQuests: [] });
+    expect(clock.now() - startedAt).toBe(60000);
+    expect(result.quests).toBeUndefined();
+    expect(server.platform.getUser(wallet.address)).toBeNull();
+    expect(stateStore.getAccount(wallet.address).lastError.message).toBe('Authentication failed: Authentication timed out for Account 1');
+  });
+
+  test('keeps going after a quest request fails', async () => {
+    server.platform.addFailure({ path: '/api/userQuests', method: 'POST', failure: 500, times: 1 });
+
+    const result = await createRunner().run();
+
+    expect(result.error).toBeUndefined();
+    expect(result.quests.daily_dice_roll).toMatchObject({ status: QUEST_STATUS.FAILED, credits: 0 });
+    expect(result.quests.minesweeper.status).not.toBe(QUEST_STATUS.FAILED);
+    expect(result.balanceAfter).toBe(100 + result.quests.minesweeper.credits);
+  });
+});
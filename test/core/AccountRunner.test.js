@@ -0,0 +1,331 @@
+// test/core/AccountRunner.test.js
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/AuthService');
+
+const axios = require('axios');
+const { Wallet } = require('ethers');
+const AccountRunner = require('../../src/core/AccountRunner');
+const AuthService = require('../../src/services/AuthService');
+const CookieJar = require('../../src/services/CookieJar');
+const logger = require('../../src/utils/logger');
+const { VirtualClock } = require('../../src/utils/clock');
+
+const PRIVATE_KEY = `0x${'1'.padStart(64, '0')}`;
+
+const START = new Date('2026-03-01T10:00:00Z');
+
+const CONFIG = {
+  bot: { user_agent: 'test', retries: { max_attempts: 1 } },
+  captcha: {},
+  quests: {
+    daily_dice_roll: { enabled: false },
+    minesweeper: { enabled: true, strategy: 'random', flag_mines: false }
+  }
+};
+
+/**
+ * Axios adapter for a platform that answers slowly and whose games never end
+ */
+function createSlowPlatform(delayMs) {
+  const requests = [];
+
+  const adapter = config => new Promise((resolve, reject) => {
+    requests.push({ at: Date.now(), method: config.method, url: config.url, data: config.data });
+
+    const respond = data => resolve({ data, status: 200, statusText: 'OK', headers: {}, config });
+    const id = setTimeout(() => {
+      if (config.url === '/api/quests') {
+        respond({ data: [{ id: 'minesweeper-quest', title: 'Minesweeper', slug: 'minesweeper' }] });
+      } else if (config.url === '/api/userQuests' && config.method === 'get') {
+        respond({ data: [] });
+      } else if (config.url === '/api/userQuests') {
+        respond({
+          data: {
+            id: 'user-quest',
+            _minesweeper: { tiles: Array.from({ length: 10 }, () => new Array(10).fill(null)), mines: 10 }
+          }
+        });
+      } else {
+        respond({});
+      }
+    }, delayMs);
+
+    config.signal?.addEventListener('abort', () => {
+      clearTimeout(id);
+      reject(new axios.CanceledError());
+    });
+  });
+
+  return { adapter, requests };
+}
+
+describe('AccountRunner authentication', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('stops the account without running quests when login fails', async () => {
+    const { AUTH_FAILURE } = jest.requireActual('../../src/services/AuthService');
+    AuthService.mockImplementation(() => ({
+      authenticate: jest.fn(async () => ({
+        success: false,
+        reason: AUTH_FAILURE.CAPTCHA_FAILED,
+        message: 'All captchas failed to solve'
+      }))
+    }));
+    const stateStore = { getAccount: () => ({}), recordLogin: jest.fn(), recordRun: jest.fn(), save: jest.fn() };
+
+    const clock = new VirtualClock(START);
+
+    const runner = new AccountRunner({ accountIndex: 1, privateKey: PRIVATE_KEY, config: CONFIG, stateStore, clock });
+    const result = await runner.run();
+
+    expect(result).toMatchObject({
+      error: 'Authentication failed: All captchas failed to solve',
+      authFailure: 'captcha_failed',
+      completedQuests: []
+    });
+    expect(stateStore.recordLogin).not.toHaveBeenCalled();
+    expect(stateStore.recordRun).toHaveBeenCalledWith(result.wallet, result.error, START);
+  });
+});
+
+describe('AccountRunner accounts file settings', () => {
+  test('applies per-account overrides and logs with the label', async () => {
+    AuthService.mockImplementation(() => ({
+      authenticate: jest.fn(async () => ({ success: false, reason: 'login_rejected', message: 'rejected' }))
+    }));
+
+    const runner = new AccountRunner({
+      accountIndex: 4,
+      label: 'main',
+      privateKey: PRIVATE_KEY,
+      config: { ...CONFIG, referral: { code: 'GLOBAL' } },
+      overrides: { minesweeper: false, referral_code: 'MINE' }
+    });
+    await runner.run();
+
+    expect(runner.config.quests.minesweeper.enabled).toBe(false);
+    expect(CONFIG.quests.minesweeper.enabled).toBe(true);
+    expect(AuthService).toHaveBeenCalledWith(expect.anything(), runner.config, { accountIndex: 4, label: 'main', clock: runner.clock });
+    expect(runner.config.referral.code).toBe('MINE');
+    expect(logger.error).toHaveBeenCalledWith('[main] Authentication failed (login_rejected): rejected');
+  });
+});
+
+describe('AccountRunner timeouts', () => {
+  let originalAdapter;
+
+  beforeEach(() => {
+    originalAdapter = axios.defaults.adapter;
+  });
+
+  afterEach(() => {
+    axios.defaults.adapter = originalAdapter;
+    jest.clearAllMocks();
+  });
+
+  test('cancels authentication that runs past its timeout', async () => {
+    let authSignal;
+    AuthService.mockImplementation(() => ({
+      authenticate: jest.fn((wallet, { signal }) => {
+        authSignal = signal;
+        return new Promise(() => {});
+      })
+    }));
+
+    const runner = new AccountRunner({ accountIndex: 1, privateKey: PRIVATE_KEY, config: CONFIG });
+    runner.AUTH_TIMEOUT = 20;
+    const result = await runner.run();
+
+    expect(result.error).toBe('Authentication failed: Authentication timed out for Account 1');
+    expect(result.authFailure).toBe('timeout');
+    expect(authSignal.aborted).toBe(true);
+  });
+
+  test('times authentication out on the clock it is given', async () => {
+    let authSignal;
+    AuthService.mockImplementation((api, config, { clock }) => ({
+      authenticate: jest.fn(async (wallet, { signal }) => {
+        authSignal = signal;
+        // Keeps waiting for a captcha that never comes
+        for (;;) await clock.sleep(3000, signal);
+      })
+    }));
+    const clock = new VirtualClock(START);
+
+    const runner = new AccountRunner({ accountIndex: 1, privateKey: PRIVATE_KEY, config: CONFIG, clock });
+    const result = await runner.run();
+
+    expect(result.authFailure).toBe('timeout');
+    expect(authSignal.aborted).toBe(true);
+    expect(clock.now() - START.getTime()).toBe(runner.AUTH_TIMEOUT);
+  });
+
+  test('sends no request after the quest timeout', async () => {
+    AuthService.mockImplementation(() => ({
+      authenticate: jest.fn(async () => ({ success: true, session: { user: { address: '0x0' } } }))
+    }));
+    const platform = createSlowPlatform(20);
+    axios.defaults.adapter = platform.adapter;
+
+    const runner = new AccountRunner({ accountIndex: 1, privateKey: PRIVATE_KEY, config: CONFIG });
+    runner.QUESTS_TIMEOUT = 500;
+    const result = await runner.run();
+    const timedOutAt = Date.now();
+
+    // Give cancelled work the chance to misbehave
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    expect(result.questError).toBe('Quest completion timed out for Account 1');
+    expect(result.quests.minesweeper).toEqual({ status: 'failed', credits: 0, message: 'Quest completion timed out for Account 1' });
+    expect(platform.requests.some(request => String(request.data).includes('CLICK'))).toBe(true);
+    expect(platform.requests.filter(request => request.at > timedOutAt)).toEqual([]);
+  }, 10000);
+});
+
+describe('AccountRunner saved sessions', () => {
+  let originalAdapter;
+
+  beforeEach(() => {
+    originalAdapter = axios.defaults.adapter;
+  });
+
+  afterEach(() => {
+    axios.defaults.adapter = originalAdapter;
+    jest.clearAllMocks();
+  });
+
+  const NO_QUESTS = {
+    ...CONFIG,
+    quests: { daily_dice_roll: { enabled: false }, minesweeper: { enabled: false } }
+  };
+
+  /**
+   * Session store holding a single jar in memory
+   */
+  function createSessionStore(cookies) {
+    return {
+      jar: new CookieJar(cookies),
+      load: jest.fn(async function () { return this.jar; }),
+      save: jest.fn(async function (address, jar) { this.jar = new CookieJar(jar.toJSON()); })
+    };
+  }
+
+  /**
+   * Axios adapter answering the session check with the given user
+   */
+  function respondWithSession(user) {
+    const requests = [];
+    axios.defaults.adapter = async config => {
+      requests.push({ url: config.url, cookie: config.headers.Cookie });
+      const data = config.url === '/api/auth/session' ? { user } : {};
+      return { data, status: 200, statusText: 'OK', headers: {}, config };
+    };
+    return requests;
+  }
+
+  test('skips login while the saved session is valid', async () => {
+    const address = new Wallet(PRIVATE_KEY).address;
+    const requests = respondWithSession({ address: address.toLowerCase() });
+    const sessionStore = createSessionStore([{ name: 'session', value: 'saved' }]);
+
+    const runner = new AccountRunner({ accountIndex: 1, privateKey: PRIVATE_KEY, config: NO_QUESTS, sessionStore });
+    const result = await runner.run();
+
+    expect(result.error).toBeUndefined();
+    expect(result.sessionReused).toBe(true);
+    expect(AuthService).not.toHaveBeenCalled();
+    expect(requests[0]).toEqual({ url: '/api/auth/session', cookie: 'session=saved' });
+    expect(sessionStore.load).toHaveBeenCalledWith(address);
+  });
+
+  test('logs in again when the saved session has expired', async () => {
+    respondWithSession(null);
+    const authenticate = jest.fn(async () => ({ success: true, session: {} }));
+    AuthService.mockImplementation(() => ({ authenticate }));
+    const sessionStore = createSessionStore([{ name: 'session', value: 'expired' }]);
+
+    const clock = new VirtualClock(START);
+
+    const runner = new AccountRunner({ accountIndex: 1, privateKey: PRIVATE_KEY, config: NO_QUESTS, sessionStore, clock });
+    const result = await runner.run();
+
+    expect(result.sessionReused).toBe(false);
+    expect(authenticate).toHaveBeenCalled();
+    expect(sessionStore.jar.get('session')).toBeNull();
+    // The wait after logging in
+    expect(clock.now() - START.getTime()).toBe(2000);
+  });
+
+  test('does not reuse a session of another wallet', async () => {
+    respondWithSession({ address: '0x0000000000000000000000000000000000000002' });
+    const authenticate = jest.fn(async () => ({ success: true, session: {} }));
+    AuthService.mockImplementation(() => ({ authenticate }));
+
+    const runner = new AccountRunner({
+      accountIndex: 1,
+      privateKey: PRIVATE_KEY,
+      config: NO_QUESTS,
+      sessionStore: createSessionStore([{ name: 'session', value: 'other' }]),
+      clock: new VirtualClock(START)
+    });
+    const result = await runner.run();
+
+    expect(result.sessionReused).toBe(false);
+    expect(authenticate).toHaveBeenCalled();
+  });
+});
+
+describe('AccountRunner credit balance', () => {
+  let originalAdapter;
+
+  beforeEach(() => {
+    originalAdapter = axios.defaults.adapter;
+  });
+
+  afterEach(() => {
+    axios.defaults.adapter = originalAdapter;
+    jest.clearAllMocks();
+  });
+
+  /**
+   * Axios adapter with a valid session whose balance grows on every read
+   */
+  function respondWithBalances(balances) {
+    const address = new Wallet(PRIVATE_KEY).address;
+    axios.defaults.adapter = async config => {
+      let data = {};
+      if (config.url === '/api/auth/session') data = { user: { address } };
+      if (config.url === '/api/user') data = { data: { address, credits: balances.shift() } };
+      return { data, status: 200, statusText: 'OK', headers: {}, config };
+    };
+  }
+
+  test('reads the balance before and after the quests and records it', async () => {
+    respondWithBalances([120, 145]);
+    const stateStore = { getAccount: () => ({}), recordRun: jest.fn(), recordBalance: jest.fn(), save: jest.fn() };
+    const sessionStore = { load: async () => new CookieJar([{ name: 'session', value: 'saved' }]), save: jest.fn() };
+    const config = { ...CONFIG, quests: { daily_dice_roll: { enabled: false }, minesweeper: { enabled: false } } };
+
+    const clock = new VirtualClock(START);
+
+    const runner = new AccountRunner({ accountIndex: 1, privateKey: PRIVATE_KEY, config, stateStore, sessionStore, clock });
+    const result = await runner.run();
+
+    expect(result).toMatchObject({ balanceBefore: 120, balanceAfter: 145 });
+    expect(stateStore.recordBalance).toHaveBeenCalledWith(result.wallet, 120, 145, START);
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Credits: 120 -> 145 (+25)'));
+  });
+
+  test('leaves the balance unknown when the user data has none', async () => {
+    respondWithBalances([]);
+    const sessionStore = { load: async () => new CookieJar([{ name: 'session', value: 'saved' }]), save: jest.fn() };
+    const config = { ...CONFIG, quests: { daily_dice_roll: { enabled: false }, minesweeper: { enabled: false } } };
+
+    const runner = new AccountRunner({ accountIndex: 1, privateKey: PRIVATE_KEY, config, sessionStore });
+    const result = await runner.run();
+
+    expect(result).toMatchObject({ balanceBefore: null, balanceAfter: null });
+  });
+});
@@ -0,0 +1,652 @@
+// test/core/Bot.test.js
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/core/AccountRunner');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const Bot = require('../../src/core/Bot');
+const logger = require('../../src/utils/logger');
+const AccountRunner = require('../../src/core/AccountRunner');
+const ProxyManager = require('../../src/services/ProxyManager');
+const StateStore = require('../../src/services/StateStore');
+const RunReporter = require('../../src/services/RunReporter');
+const Vault = require('../../src/services/Vault');
+const { QUEST_STATUS } = require('../../src/services/QuestService');
+
+const HOUR = 60 * 60 * 1000;
+const PRIVATE_KEYS = ['1', '2', '3', '4'].map(n => `0x${n.padStart(64, '0')}`);
+
+/**
+ * Clock whose sleep advances time instantly and stops the bot after a deadline
+ */
+function createClock(isoTime) {
+  const clock = {
+    time: new Date(isoTime).getTime(),
+    deadline: Infinity,
+    bot: null,
+    now: () => clock.time,
+    sleep: jest.fn(async ms => {
+      clock.time += ms;
+      if (clock.time >= clock.deadline) clock.bot.stop();
+    })
+  };
+  return clock;
+}
+
+describe('Bot scheduling', () => {
+  let dir;
+  let runs;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bot-'));
+    runs = [];
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  async function createBot(clock, { failing = [] } = {}) {
+    AccountRunner.mockImplementation(options => ({
+      run: jest.fn(async () => {
+        runs.push({ account: options.accountIndex, at: new Date(clock.now()).toISOString() });
+        return failing.includes(options.accountIndex)
+          ? { error: 'Authentication failed', completedQuests: [] }
+          : { completedQuests: [] };
+      })
+    }));
+
+    const bot = new Bot({ clock });
+    clock.bot = bot;
+    bot.config = {
+      bot: { delay_between_accounts: 60 },
+      proxy: { enabled: false },
+      schedule: { reset_offset_minutes: 10, spread_minutes: 0, retry_after_minutes: 60 }
+    };
+    bot.proxyManager = new ProxyManager([], bot.config.proxy);
+    bot.privateKeys = PRIVATE_KEYS;
+    bot.stateStore = new StateStore(path.join(dir, 'state.json'));
+    await bot.stateStore.load();
+    bot.buildSchedule();
+    bot.isRunning = true;
+    return bot;
+  }
+
+  test('runs every account once per day right after the reset', async () => {
+    const clock = createClock('2026-03-01T15:00:00Z');
+    clock.deadline = new Date('2026-03-03T12:00:00Z').getTime();
+    const bot = await createBot(clock);
+
+    await bot.runMainLoop();
+
+    expect(runs.map(run => run.at)).toEqual([
+      '2026-03-01T15:00:00.000Z', '2026-03-01T15:01:00.000Z', '2026-03-01T15:02:00.000Z', '2026-03-01T15:03:00.000Z',
+      '2026-03-02T00:10:00.000Z', '2026-03-02T00:11:00.000Z', '2026-03-02T00:12:00.000Z', '2026-03-02T00:13:00.000Z',
+      '2026-03-03T00:10:00.000Z', '2026-03-03T00:11:00.000Z', '2026-03-03T00:12:00.000Z', '2026-03-03T00:13:00.000Z'
+    ]);
+     expect(AccountRunner).toHaveBeenCalledWith(expect.objectContaining({ clock }));
+  });
+
+  test('retries failed accounts without waiting for the next day', async () => {
+    const clock = createClock('2026-03-01T15:00:00Z');
+    clock.deadline = new Date('2026-03-01T17:30:00Z').getTime();
+    const bot = await createBot(clock, { failing: [2] });
+
+    await bot.runMainLoop();
+
+    expect(runs.filter(run => run.account === 2).map(run => run.at)).toEqual([
+      '2026-03-01T15:01:00.000Z', '2026-03-01T16:01:00.000Z', '2026-03-01T17:01:00.000Z'
+    ]);
+    expect(runs.filter(run => run.account !== 2)).toHaveLength(3);
+  });
+
+  test('only runs accounts that are still due after a restart', async () => {
+    const clock = createClock('2026-03-01T15:00:00Z');
+    const first = await createBot(clock);
+    // Stop after the second account
+    AccountRunner.mockImplementation(options => ({
+      run: jest.fn(async () => {
+        runs.push({ account: options.accountIndex, at: new Date(clock.now()).toISOString() });
+        if (options.accountIndex === 2) first.stop();
+        return { completedQuests: [] };
+      })
+    }));
+    await first.runMainLoop();
+
+    runs = [];
+    clock.deadline = clock.now() + HOUR;
+    await createBot(clock);
+    await clock.bot.runMainLoop();
+
+    expect(runs.map(run => run.account)).toEqual([3, 4]);
+  });
+
+  test('runOnce processes every account even when none are due', async () => {
+    const clock = createClock('2026-03-01T15:00:00Z');
+    const bot = await createBot(clock);
+    await bot._runDueAccounts(bot.scheduler.getDue());
+    expect(bot.scheduler.getDue()).toHaveLength(0);
+    runs = [];
+
+    const result = await bot.runOnce();
+
+    expect(runs.map(run => run.account)).toEqual([1, 2, 3, 4]);
+    expect(result).toEqual({ successCount: 4, failureCount: 0 });
+  });
+
+  test('runAccount selects an account by number or address', async () => {
+    const clock = createClock('2026-03-01T15:00:00Z');
+    const bot = await createBot(clock, { failing: [3] });
+
+    await bot.runAccount('2');
+    const result = await bot.runAccount(bot.accounts[2].address);
+
+    expect(runs.map(run => run.account)).toEqual([2, 3]);
+    expect(result).toEqual({ successCount: 0, failureCount: 1 });
+    await expect(bot.runAccount('9')).rejects.toThrow('No account matches "9"');
+  });
+
+  test('runs the accounts of the accounts file with their labels, proxies and overrides', async () => {
+    const clock = createClock('2026-03-01T15:00:00Z');
+    const bot = await createBot(clock);
+    bot.proxyManager = new ProxyManager(['10.0.0.1:8080'], { enabled: true, rotation: { mode: 'sequential', switch_after: 1 } });
+    bot.accountEntries = [
+      { privateKey: PRIVATE_KEYS[3], label: 'main', proxy: 'user:pass@10.0.0.9:8080', overrides: { minesweeper: false } },
+      { privateKey: PRIVATE_KEYS[0], label: 'spare', proxy: null, overrides: {} }
+    ];
+    bot.buildSchedule();
+
+    await bot.runOnce();
+    await bot.runAccount('spare');
+
+    const options = AccountRunner.mock.calls.map(([runnerOptions]) => runnerOptions);
+    expect(options.map(({ label, proxy, overrides }) => ({ label, proxy, overrides }))).toEqual([
+      { label: 'main', proxy: 'user:pass@10.0.0.9:8080', overrides: { minesweeper: false } },
+      { label: 'spare', proxy: '10.0.0.1:8080', overrides: {} },
+      { label: 'spare', proxy: '10.0.0.1:8080', overrides: {} }
+    ]);
+    expect(options[0].privateKey).toBe(PRIVATE_KEYS[3]);
+    expect(logger.info).toHaveBeenCalledWith('Starting main (1 of 2)');
+  });
+});
+
+describe('Bot concurrency', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bot-'));
+    logger.runBuffered.mockImplementation(fn => fn());
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  async function runWithConcurrency(concurrency, accountCount) {
+    let active = 0;
+    let maxActive = 0;
+    const started = [];
+    AccountRunner.mockImplementation(options => ({
+      run: jest.fn(async () => {
+        started.push(options.accountIndex);
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setImmediate(resolve));
+        active--;
+        return { completedQuests: [] };
+      })
+    }));
+
+    const clock = { now: () => 0, sleep: jest.fn(async () => {}) };
+    const bot = new Bot({ clock });
+    bot.config = {
+      bot: { delay_between_accounts: 0, concurrency },
+      proxy: { enabled: false },
+      schedule: { retry_after_minutes: 60 }
+    };
+    bot.proxyManager = new ProxyManager([], bot.config.proxy);
+    bot.privateKeys = Array.from({ length: accountCount }, (_, i) => `0x${String(i + 1).padStart(64, '0')}`);
+    bot.buildSchedule();
+    bot.isRunning = true;
+
+    await bot._runDueAccounts(bot.scheduler.getDue());
+    return { maxActive, started, bot };
+  }
+
+  test('processes accounts one at a time by default', async () => {
+    const { maxActive, started } = await runWithConcurrency(undefined, 4);
+
+    expect(maxActive).toBe(1);
+    expect(started).toEqual([1, 2, 3, 4]);
+    expect(logger.runBuffered).not.toHaveBeenCalled();
+  });
+
+  test('runs up to the configured number of accounts at once', async () => {
+    const { maxActive, started, bot } = await runWithConcurrency(3, 7);
+
+    expect(maxActive).toBe(3);
+    expect(started).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(bot.successCount).toBe(7);
+    expect(logger.runBuffered).toHaveBeenCalledTimes(7);
+  });
+
+  test('caps concurrency', async () => {
+    const { maxActive } = await runWithConcurrency(50, 12);
+
+    expect(maxActive).toBe(10);
+  });
+});
+
+describe('Bot shutdown', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bot-'));
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  async function createBot(run) {
+    AccountRunner.mockImplementation(options => ({ run: () => run(options.accountIndex) }));
+
+    const bot = new Bot({ clock: createClock('2026-03-01T15:00:00Z') });
+    bot.config = {
+      bot: { delay_between_accounts: 60 },
+      proxy: { enabled: false },
+      schedule: { reset_offset_minutes: 10, spread_minutes: 0, retry_after_minutes: 60 }
+    };
+    bot.proxyManager = new ProxyManager([], bot.config.proxy);
+    bot.privateKeys = PRIVATE_KEYS;
+    bot.stateStore = new StateStore(path.join(dir, 'state.json'));
+    bot.buildSchedule();
+    bot.isRunning = true;
+    return bot;
+  }
+
+  test('lets the running account finish and starts no new ones', async () => {
+    let finish;
+    const started = [];
+    const bot = await createBot(index => {
+      started.push(index);
+      return new Promise(resolve => {
+        finish = () => resolve({ completedQuests: [] });
+      });
+    });
+
+    const loop = bot.runMainLoop();
+    await new Promise(resolve => setImmediate(resolve));
+    const shutdown = bot.shutdown();
+    finish();
+
+    const summary = await shutdown;
+    await loop;
+
+    expect(started).toEqual([1]);
+    expect(summary).toMatchObject({ processed: 1, successCount: 1, failureCount: 0, timedOut: false });
+    expect(bot.stateStore.getAccount(bot.accounts[0].address).nextRunAt).not.toBeNull();
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Run summary: 1 accounts processed'));
+  });
+
+  test('counts auth failures by reason in the summary', async () => {
+    const bot = await createBot(async index => (index % 2 === 0
+      ? { error: 'Authentication failed: No user in session after login', authFailure: 'session_missing', completedQuests: [] }
+      : { completedQuests: [] }));
+
+    await bot.runOnce();
+    const summary = await bot.shutdown();
+
+    expect(summary).toMatchObject({ successCount: 2, failureCount: 2, authFailures: { session_missing: 2 } });
+    expect(logger.info).toHaveBeenCalledWith('Auth failures: 2 (session_missing: 2)');
+  });
+
+  test('gives up on accounts that do not finish in time', async () => {
+    const bot = await createBot(() => new Promise(() => {}));
+
+    bot.runMainLoop();
+    await new Promise(resolve => setImmediate(resolve));
+    const summary = await bot.shutdown(10);
+
+    expect(summary).toMatchObject({ processed: 0, timedOut: true });
+  });
+
+  test('wakes a main loop that is waiting for the next account', async () => {
+    const bot = await createBot(async () => ({ completedQuests: [] }));
+    bot.accounts.forEach(account => bot.scheduler.markCompleted(account.id));
+    bot.clock.sleep = jest.fn(() => new Promise(() => {}));
+
+    const loop = bot.runMainLoop();
+    await new Promise(resolve => setImmediate(resolve));
+    bot.stop();
+    await loop;
+
+    expect(bot.clock.sleep).toHaveBeenCalled();
+  });
+
+  test('clears the keepalive interval', () => {
+    jest.useFakeTimers();
+    const bot = new Bot();
+
+    bot.setupKeepalive();
+    expect(jest.getTimerCount()).toBe(1);
+    bot.stop();
+
+    expect(jest.getTimerCount()).toBe(0);
+    jest.useRealTimers();
+  });
+});
+
+describe('Bot configuration errors', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bot-'));
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('refuses to start on an invalid configuration instead of retrying', async () => {
+    const configPath = path.join(dir, 'config.yaml');
+    await fs.writeFile(configPath, 'proxy:\n  enabled: maybe\n');
+    const clock = createClock('2026-03-01T15:00:00Z');
+    const bot = new Bot({ configPath, clock });
+    jest.spyOn(bot, 'displayHeader').mockImplementation(() => {});
+
+    await bot.start();
+
+    expect(bot.configError).toBeInstanceOf(Error);
+    expect(bot.isRunning).toBe(false);
+    expect(clock.sleep).not.toHaveBeenCalled();
+    expect(AccountRunner).not.toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining(`${configPath}:2: proxy.enabled must be true or false, got "maybe"`));
+  });
+});
+
+describe('Bot startup', () => {
+  let dir;
+  let originalKdf;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bot-'));
+    originalKdf = Vault.KDF;
+    Vault.KDF = { N: 1024, r: 8, p: 1 };
+    AccountRunner.mockImplementation(() => ({
+      run: jest.fn(async () => ({ completedQuests: [] }))
+    }));
+  });
+
+  afterEach(async () => {
+    Vault.KDF = originalKdf;
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('asks for the vault passphrase once when started after initializing', async () => {
+    const vaultFile = path.join(dir, 'vault.json');
+    await new Vault(vaultFile).save(PRIVATE_KEYS.slice(0, 2), 'passphrase');
+    const configPath = path.join(dir, 'config.yaml');
+    await fs.writeFile(configPath, [
+      'bot:',
+      '  delay_between_accounts: 0',
+      'wallet:',
+      '  source: vault',
+      `  vault_file: ${vaultFile}`,
+      'state:',
+      `  file: ${path.join(dir, 'state.json')}`,
+      'session:',
+      '  enabled: false',
+      'reports:',
+      `  dir: ${path.join(dir, 'reports')}`
+    ].join('\n'));
+    const getPassphrase = jest.fn(async () => 'passphrase');
+    const clock = createClock('2026-03-01T15:00:00Z');
+    clock.deadline = clock.time + HOUR;
+    const bot = new Bot({ configPath, clock, getPassphrase });
+    clock.bot = bot;
+    jest.spyOn(bot, 'displayHeader').mockImplementation(() => {});
+
+    // As `run` does: initialize to check the configuration, then start
+    expect(await bot.initialize()).toBe(true);
+    await bot.start();
+
+    expect(getPassphrase).toHaveBeenCalledTimes(1);
+    expect(AccountRunner).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Bot reloading', () => {
+  let dir;
+  let files;
+  let runs;
+
+  const KEY_FILE_CONTENT = PRIVATE_KEYS.slice(0, 2).join('\n');
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bot-'));
+    files = {
+      config: path.join(dir, 'config.yaml'),
+      keys: path.join(dir, 'pk.txt'),
+      proxies: path.join(dir, 'proxy.txt')
+    };
+    runs = [];
+    AccountRunner.mockImplementation(options => ({
+      run: jest.fn(async () => {
+        runs.push({ account: options.accountIndex, proxy: options.proxy, config: options.config });
+        if (options.onRun) await options.onRun();
+        return { completedQuests: [] };
+      })
+    }));
+
+    await writeConfig({ bot: { delay_between_accounts: 0, concurrency: 1 } });
+    await fs.writeFile(files.keys, KEY_FILE_CONTENT);
+    await fs.writeFile(files.proxies, 'user:pass@proxy-1:8080\n');
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  async function writeConfig({ bot = { delay_between_accounts: 0 }, captcha = { api_key: 'secret-key' }, extra = '' } = {}) {
+    await fs.writeFile(files.config, [
+      'bot:',
+      ...Object.entries(bot).map(([key, value]) => `  ${key}: ${value}`),
+      'captcha:',
+      ...Object.entries(captcha).map(([key, value]) => `  ${key}: ${value}`),
+      'proxy:',
+      '  enabled: true',
+      `  file: ${files.proxies}`,
+      'wallet:',
+      `  private_key_file: ${files.keys}`,
+      'state:',
+      `  file: ${path.join(dir, 'state.json')}`,
+      'session:',
+      '  enabled: false',
+      'reports:',
+      `  dir: ${path.join(dir, 'reports')}`,
+      extra
+    ].join('\n'));
+  }
+
+  async function createBot() {
+    const bot = new Bot({ configPath: files.config, clock: createClock('2026-03-01T15:00:00Z') });
+    expect(await bot.initialize()).toBe(true);
+    return bot;
+  }
+
+  function infoLines() {
+    return logger.info.mock.calls.map(([message]) => message);
+  }
+
+  test('applies valid changes and logs what changed without secrets', async () => {
+    const bot = await createBot();
+
+    await writeConfig({ bot: { delay_between_accounts: 0, concurrency: 2 }, captcha: { api_key: 'new-secret-key' } });
+    await fs.writeFile(files.keys, PRIVATE_KEYS.slice(0, 3).join('\n'));
+    await fs.writeFile(files.proxies, 'user:pass@proxy-1:8080\nuser:pass@proxy-2:8080\n');
+
+    expect(await bot.reloadIfChanged()).toBe(true);
+
+    expect(bot.config.bot.concurrency).toBe(2);
+    expect(bot.accounts).toHaveLength(3);
+    expect(bot.proxyManager.proxies).toHaveLength(2);
+    expect(infoLines()).toEqual(expect.arrayContaining([
+      'Reloaded the configuration:',
+      '  bot.concurrency: 1 -> 2',
+      '  captcha.api_key: [redacted] -> [redacted]',
+      '  proxies: 1 -> 2 entries',
+      `  accounts added: Account 3 (${bot.accounts[2].address})`
+    ]));
+    expect(infoLines().join('\n')).not.toContain('secret-key');
+    expect(infoLines().join('\n')).not.toContain('user:pass');
+  });
+
+  test('keeps the proxy assignments of running accounts across reloads', async () => {
+    const bot = await createBot();
+    const manager = bot.proxyManager;
+    manager.getProxyForAccount(1);
+
+    await writeConfig({ bot: { delay_between_accounts: 0, concurrency: 2 } });
+    expect(await bot.reloadIfChanged()).toBe(true);
+    expect(bot.proxyManager).toBe(manager);
+
+    await fs.writeFile(files.proxies, 'user:pass@proxy-2:8080\nuser:pass@proxy-1:8080\n');
+    expect(await bot.reloadIfChanged()).toBe(true);
+    expect(bot.proxyManager).not.toBe(manager);
+    expect(bot.proxyManager.getAssignedProxy(1)).toBe('user:pass@proxy-1:8080');
+    expect(bot.proxyManager.usage).toEqual([0, 1]);
+  });
+
+  test('keeps the last good configuration when a change is invalid', async () => {
+    const bot = await createBot();
+    const config = bot.config;
+
+    await writeConfig({ bot: { delay_between_accounts: 0, concurrency: 50 } });
+    await fs.writeFile(files.proxies, 'user:pass@proxy-1:port\n');
+
+    expect(await bot.reloadIfChanged()).toBe(false);
+    expect(bot.config).toBe(config);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(
+      /^Rejected the changes, keeping the last good configuration: .*bot\.concurrency must be at most 10, got 50/s
+    ));
+
+    // Rejected content is not checked again until it changes
+    logger.error.mockClear();
+    expect(await bot.reloadIfChanged()).toBe(false);
+    expect(logger.error).not.toHaveBeenCalled();
+
+    await writeConfig({ bot: { delay_between_accounts: 0, concurrency: 3 } });
+    expect(await bot.reloadIfChanged()).toBe(false);
+    expect(logger.error).toHaveBeenCalledWith(
+      `Rejected the changes, keeping the last good configuration: Proxy 1 in ${files.proxies} is invalid, expected user:pass@host:port or host:port`
+    );
+  });
+
+  test('rejects a pinned proxy without a valid port', async () => {
+    const accountsFile = path.join(dir, 'accounts.yaml');
+    await fs.writeFile(accountsFile, 'accounts:\n  - key: 1\n    proxy: user:pass@proxy-2:8080\n');
+    await writeConfig({ extra: `accounts:\n  file: ${accountsFile}` });
+    const bot = await createBot();
+
+    await fs.writeFile(accountsFile, 'accounts:\n  - key: 1\n    proxy: user:pass@proxy-2:abc\n');
+
+    expect(await bot.reloadIfChanged()).toBe(false);
+    expect(bot.accountEntries[0].proxy).toBe('user:pass@proxy-2:8080');
+    expect(logger.error).toHaveBeenCalledWith(
+      `Rejected the changes, keeping the last good configuration: Account 1 in ${accountsFile} has an invalid pinned proxy, expected user:pass@host:port or host:port`
+    );
+    expect(logger.error.mock.calls.join('\n')).not.toContain('proxy-2:abc');
+  });
+
+  test('rejects a key file without valid keys', async () => {
+    const bot = await createBot();
+
+    await fs.writeFile(files.keys, `${PRIVATE_KEYS[0]}\nnot-a-key\n`);
+
+    expect(await bot.reloadIfChanged()).toBe(false);
+    expect(bot.privateKeys).toHaveLength(2);
+    expect(logger.error).toHaveBeenCalledWith('Rejected the changes, keeping the last good configuration: Private key 2 is invalid');
+  });
+
+  test('applies changes from the next account on and keeps the schedule', async () => {
+    const bot = await createBot();
+    const startedAt = bot.clock.now();
+    AccountRunner.mockImplementationOnce(options => ({
+      run: jest.fn(async () => {
+        runs.push({ account: options.accountIndex, config: options.config });
+        await writeConfig({ bot: { delay_between_accounts: 0 }, extra: 'quests:\n  minesweeper:\n    enabled: false' });
+        await fs.writeFile(files.keys, PRIVATE_KEYS[0]);
+        return { completedQuests: [] };
+      })
+    }));
+
+    await bot.runOnce();
+
+    expect(runs.map(run => run.account)).toEqual([1]);
+    expect(runs[0].config.quests.minesweeper.enabled).toBe(true);
+    expect(bot.config.quests.minesweeper.enabled).toBe(false);
+    expect(logger.info).toHaveBeenCalledWith('Account 2 is no longer configured, skipping');
+    expect(bot.accounts).toHaveLength(1);
+    // The account that was running when the schedule was rebuilt is still scheduled for tomorrow
+    expect(bot.scheduler.getNextRunAtOf(bot.accounts[0].id)).toBeGreaterThan(startedAt);
+  });
+});
+
+describe('Bot reports', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bot-'));
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('writes a report row for every account of the cycle', async () => {
+    AccountRunner.mockImplementation(options => ({
+      run: jest.fn(async () => {
+        if (options.accountIndex === 2) throw new Error('socket hang up');
+        return {
+          sessionReused: false,
+          completedQuests: [{}],
+          balanceBefore: 10,
+          balanceAfter: 15,
+          quests: { daily_dice_roll: { status: QUEST_STATUS.COMPLETED, credits: 5, message: null } }
+        };
+      })
+    }));
+
+    const bot = new Bot({ clock: createClock('2026-03-01T15:00:00Z') });
+    bot.config = {
+      bot: { delay_between_accounts: 60 },
+      proxy: { enabled: false },
+      schedule: { reset_offset_minutes: 10, spread_minutes: 0, retry_after_minutes: 60 }
+    };
+    bot.proxyManager = new ProxyManager([], bot.config.proxy);
+    bot.reporter = new RunReporter({ dir, history_days: 90 });
+    bot.privateKeys = PRIVATE_KEYS.slice(0, 2);
+    bot.buildSchedule();
+
+    await bot.runOnce();
+
+    const report = await fs.readJson(path.join(dir, 'run-2026-03-01T15-00-00Z.json'));
+    expect(report.totals).toEqual({ accounts: 2, succeeded: 1, failed: 1, credits: 5, balanceDelta: 5 });
+    expect(logger.info).toHaveBeenCalledWith('Credits earned: 5, balance +5 across 1 of 2 accounts');
+    expect(report.accounts.map(({ label, auth, durationSeconds, errorCategory }) => ({ label, auth, durationSeconds, errorCategory })))
+      .toEqual([
+        { label: 'Account 1', auth: 'logged_in', durationSeconds: 0, errorCategory: null },
+        { label: 'Account 2', auth: 'not_attempted', durationSeconds: 0, errorCategory: 'other' }
+      ]);
+    expect(logger.info).toHaveBeenCalledWith(`Report written to ${path.join(dir, 'run-2026-03-01T15-00-00Z.json')}`);
+  });
+});
@@ -0,0 +1,210 @@
+// test/core/ConfigManager.test.js
+jest.mock('../../src/utils/logger');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ConfigManager = require('../../src/core/ConfigManager');
+const logger = require('../../src/utils/logger');
+
+describe('ConfigManager.load', () => {
+  let dir;
+  let configPath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+    configPath = path.join(dir, 'config.yaml');
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('merges the file over the defaults', async () => {
+    await fs.writeFile(configPath, 'bot:\n  concurrency: 3\n');
+
+    const config = await new ConfigManager(configPath).load();
+
+    expect(config.bot.concurrency).toBe(3);
+    expect(config.bot.retries).toEqual(ConfigManager.DEFAULT_CONFIG.bot.retries);
+  });
+
+  test('creates a missing file from the defaults', async () => {
+    const config = await new ConfigManager(configPath).load();
+
+    expect(config).toEqual(ConfigManager.DEFAULT_CONFIG);
+    expect(await fs.pathExists(configPath)).toBe(true);
+  });
+
+  test('refuses an invalid file instead of falling back to the defaults', async () => {
+    await fs.writeFile(configPath, 'bot:\n  concurrency: 0\n  delay_between_acounts: 5\n');
+    const configManager = new ConfigManager(configPath);
+
+    const error = await configManager.load().catch(loadError => loadError);
+
+    expect(error).toBeInstanceOf(ConfigManager.ConfigError);
+    expect(error.message).toBe([
+      `Invalid configuration in ${configPath}:`,
+      `  ${configPath}:2: bot.concurrency must be at least 1, got 0`,
+      `  ${configPath}:3: bot.delay_between_acounts unknown key, did you mean "delay_between_accounts"?`
+    ].join('\n'));
+    expect(configManager.loadError).toBe(error);
+    expect(() => configManager.get()).toThrow('Configuration not loaded');
+  });
+
+  test('reports YAML syntax errors with their line', async () => {
+    await fs.writeFile(configPath, 'bot:\n  concurrency: 1\n   delay: [\n');
+
+    await expect(new ConfigManager(configPath).load()).rejects.toThrow(`${configPath}:3: YAML syntax error`);
+  });
+
+  test('rejects retry delays that contradict each other', async () => {
+    await fs.writeFile(configPath, 'bot:\n  retries:\n    initial_delay: 5000\n    max_delay: 1000\n');
+
+    await expect(new ConfigManager(configPath).load())
+      .rejects.toThrow(`${configPath}:4: bot.retries.max_delay must be at least bot.retries.initial_delay (5000), got 1000`);
+  });
+
+  test('loads deprecated keys with a warning', async () => {
+    await fs.writeFile(configPath, 'bot:\n  delay_after_completion: 60\n');
+
+    await new ConfigManager(configPath).load();
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/config\.yaml:2: bot\.delay_after_completion no longer used/));
+  });
+});
+
+describe('ConfigManager layers', () => {
+  let dir;
+  let configPath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+    configPath = path.join(dir, 'config.yaml');
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('applies defaults, then the file, then NEWTON_ variables, then the command line', async () => {
+    await fs.writeFile(configPath, [
+      'bot:',
+      '  concurrency: 2',
+      '  delay_between_accounts: 30',
+      'captcha:',
+      '  api_key: "${CAPSOLVER_KEY}"',
+      'proxy:',
+      '  file: ./file-proxies.txt'
+    ].join('\n'));
+    const configManager = new ConfigManager(configPath, {
+      env: { CAPSOLVER_KEY: 'from-env', NEWTON_BOT_CONCURRENCY: '5', NEWTON_PROXY_FILE: './env-proxies.txt' },
+      overrides: ConfigManager.commandLineOverrides({ proxiesPath: './cli-proxies.txt' })
+    });
+
+    const config = await configManager.load();
+
+    expect(config.bot).toMatchObject({ concurrency: 5, delay_between_accounts: 30 });
+    expect(config.bot.retries).toEqual(ConfigManager.DEFAULT_CONFIG.bot.retries);
+    expect(config.captcha.api_key).toBe('from-env');
+    expect(config.proxy.file).toBe('./cli-proxies.txt');
+  });
+
+  test('applies NEWTON_ variables when the file is created from the defaults', async () => {
+    const config = await new ConfigManager(configPath, { env: { NEWTON_PROXY_ENABLED: 'no' } }).load();
+
+    expect(config.proxy.enabled).toBe(false);
+  });
+
+  test('reports unresolved references with their line', async () => {
+    await fs.writeFile(configPath, 'captcha:\n  api_key_file: ./missing\nreferral:\n  code: ${REFERRAL}\n');
+
+    const error = await new ConfigManager(configPath, { env: {} }).load().catch(loadError => loadError);
+
+    expect(error.message).toContain(`${configPath}:4: referral.code references \${REFERRAL}, which is not set`);
+    expect(error.message).toContain(`${configPath}:2: captcha.api_key_file could not be read`);
+  });
+
+  test('names the variable of an invalid override', async () => {
+    await fs.writeFile(configPath, 'bot:\n  concurrency: 2\n');
+
+    await expect(new ConfigManager(configPath, { env: { NEWTON_BOT_CONCURRENCY: '20' } }).load())
+      .rejects.toThrow('NEWTON_BOT_CONCURRENCY: bot.concurrency must be at most 10, got 20');
+  });
+});
+
+describe('ConfigManager._deepMerge', () => {
+  const configManager = new ConfigManager();
+
+  test('merges nested objects key by key', () => {
+    const merged = configManager._deepMerge(
+      { bot: { concurrency: 1, retries: { max_attempts: 5, max_delay: 30000 } }, referral: { code: '' } },
+      { bot: { retries: { max_attempts: 2 } }, proxy: { enabled: false } }
+    );
+
+    expect(merged).toEqual({
+      bot: { concurrency: 1, retries: { max_attempts: 2, max_delay: 30000 } },
+      referral: { code: '' },
+      proxy: { enabled: false }
+    });
+  });
+
+  test('replaces arrays and scalars instead of merging them', () => {
+    const merged = configManager._deepMerge(
+      { list: [1, 2, 3], value: { nested: true }, name: 'a' },
+      { list: [4], value: null, name: 'b' }
+    );
+
+    expect(merged).toEqual({ list: [4], value: null, name: 'b' });
+  });
+
+  test('leaves both objects unchanged', () => {
+    const target = { bot: { retries: { max_attempts: 5 } } };
+    const source = { bot: { retries: { max_attempts: 1 } } };
+
+    configManager._deepMerge(target, source);
+
+    expect(target.bot.retries.max_attempts).toBe(5);
+    expect(source.bot.retries.max_attempts).toBe(1);
+  });
+
+  test('ignores a source that is not an object', () => {
+    expect(configManager._deepMerge({ a: 1 }, undefined)).toEqual({ a: 1 });
+    expect(configManager._deepMerge({ a: 1 }, ['b'])).toEqual({ a: 1 });
+  });
+});
+
+describe('ConfigManager.loadTextFile', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('returns trimmed lines without blanks and comments', async () => {
+    const filePath = path.join(dir, 'proxy.txt');
+    await fs.writeFile(filePath, '# proxies\r\n  p1:8080  \r\n\r\np2:8080\n#p3:8080\n');
+
+    expect(await new ConfigManager().loadTextFile(filePath, 'Proxies')).toEqual(['p1:8080', 'p2:8080']);
+  });
+
+  test('creates a missing file and returns no lines', async () => {
+    const filePath = path.join(dir, 'keys', 'pk.txt');
+
+    expect(await new ConfigManager().loadTextFile(filePath, 'Private keys')).toEqual([]);
+    expect(await fs.pathExists(filePath)).toBe(true);
+    expect(logger.warn).toHaveBeenCalledWith(`Private keys file not found: ${filePath}. Creating empty file.`);
+  });
+
+  test('logs read errors and returns no lines', async () => {
+    expect(await new ConfigManager().loadTextFile(dir, 'Proxies')).toEqual([]);
+    expect(logger.error).toHaveBeenCalledWith('Error loading Proxies: EISDIR: illegal operation on a directory, read', expect.objectContaining({ code: 'EISDIR' }));
+  });
+});
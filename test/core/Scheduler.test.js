@@ -0,0 +1,83 @@
+// test/core/Scheduler.test.js
+const Scheduler = require('../../src/core/Scheduler');
+
+const MINUTE = 60 * 1000;
+
+function createClock(isoTime) {
+  let now = new Date(isoTime).getTime();
+  return {
+    now: () => now,
+    set: time => { now = new Date(time).getTime(); }
+  };
+}
+
+describe('Scheduler', () => {
+  test('new accounts are due immediately, in account order', () => {
+    const scheduler = new Scheduler({ clock: createClock('2026-03-01T12:00:00Z') });
+    scheduler.add('b', 2);
+    scheduler.add('a', 1);
+
+    expect(scheduler.getDue().map(entry => entry.id)).toEqual(['a', 'b']);
+  });
+
+  test('completed accounts are due after the next UTC midnight plus the offset', () => {
+    const clock = createClock('2026-03-01T22:30:00Z');
+    const scheduler = new Scheduler({ clock, resetOffsetMinutes: 10 });
+    scheduler.add('a', 1);
+
+    const nextRunAt = scheduler.markCompleted('a');
+
+    expect(new Date(nextRunAt).toISOString()).toBe('2026-03-02T00:10:00.000Z');
+    expect(scheduler.getDue()).toEqual([]);
+
+    clock.set('2026-03-02T00:09:59Z');
+    expect(scheduler.getDue()).toEqual([]);
+
+    clock.set('2026-03-02T00:10:00Z');
+    expect(scheduler.getDue().map(entry => entry.id)).toEqual(['a']);
+  });
+
+  test('spreads accounts over the configured window', () => {
+    const clock = createClock('2026-03-01T05:00:00Z');
+    const scheduler = new Scheduler({ clock, resetOffsetMinutes: 10, spreadMinutes: 60, random: () => 0.5 });
+    scheduler.add('a', 1);
+
+    expect(new Date(scheduler.markCompleted('a')).toISOString()).toBe('2026-03-02T00:40:00.000Z');
+  });
+
+  test('does not drift later when runs take long', () => {
+    const clock = createClock('2026-03-01T00:10:00Z');
+    const scheduler = new Scheduler({ clock, resetOffsetMinutes: 10 });
+    scheduler.add('a', 1);
+
+    // Three days where the account finishes at different times of day
+    const finishTimes = ['2026-03-01T03:00:00Z', '2026-03-02T09:00:00Z', '2026-03-03T23:59:00Z'];
+    const runs = finishTimes.map(time => {
+      clock.set(time);
+      return new Date(scheduler.markCompleted('a')).toISOString();
+    });
+
+    expect(runs).toEqual(['2026-03-02T00:10:00.000Z', '2026-03-03T00:10:00.000Z', '2026-03-04T00:10:00.000Z']);
+  });
+
+  test('retries failed accounts after the retry delay', () => {
+    const clock = createClock('2026-03-01T12:00:00Z');
+    const scheduler = new Scheduler({ clock, retryAfterMinutes: 30 });
+    scheduler.add('a', 1);
+
+    expect(scheduler.markFailed('a')).toBe(clock.now() + 30 * MINUTE);
+  });
+
+  test('restores persisted run times and reports the next wake-up', () => {
+    const clock = createClock('2026-03-01T12:00:00Z');
+    const scheduler = new Scheduler({ clock });
+    scheduler.add('a', 1, '2026-03-02T00:10:00.000Z');
+    scheduler.add('b', 2, '2026-03-01T18:00:00.000Z');
+    scheduler.add('c', 3, 'not a date');
+
+    expect(scheduler.getDue().map(entry => entry.id)).toEqual(['c']);
+
+    scheduler.markCompleted('c');
+    expect(new Date(scheduler.getNextRunAt()).toISOString()).toBe('2026-03-01T18:00:00.000Z');
+  });
+});
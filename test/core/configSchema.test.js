@@ -0,0 +1,94 @@
+// test/core/configSchema.test.js
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const ConfigManager = require('../../src/core/ConfigManager');
+const { validateConfig, locateKeys, findLine, diffConfig } = require('../../src/core/configSchema');
+
+describe('config schema', () => {
+  test('describes every default setting', () => {
+    expect(validateConfig(ConfigManager.DEFAULT_CONFIG)).toEqual([]);
+  });
+
+  test('accepts the bundled config.yaml', async () => {
+    const content = await fs.readFile(path.join(__dirname, '../../config.yaml'), 'utf8');
+
+    expect(validateConfig(yaml.load(content))).toEqual([]);
+  });
+
+  test('checks types, ranges and enums', () => {
+    const issues = validateConfig({
+      bot: { concurrency: 11, delay_between_accounts: '5', retries: { max_attempts: 1.5 } },
+      schedule: { retry_after_minutes: 0 },
+      proxy: { enabled: 'yes', rotation: { mode: 'round-robin' } },
+      quests: { minesweeper: { difficulty: 'easy' } },
+      wallet: { mnemonic: { path: "m/44'/60'/0'/0/0" } },
+      state: { file: '' },
+      api: { base_url: 'localhost:3000' }
+    });
+
+    expect(issues.map(({ path: keyPath, message }) => `${keyPath} ${message}`)).toEqual([
+      'bot.concurrency must be at most 10, got 11',
+      'bot.delay_between_accounts must be a number, got "5"',
+      'bot.retries.max_attempts must be a whole number, got 1.5',
+      'schedule.retry_after_minutes must be greater than 0, got 0',
+      'proxy.enabled must be true or false, got "yes"',
+      'proxy.rotation.mode must be one of sequential, random, got "round-robin"',
+      'quests.minesweeper.difficulty must be one of EASY, NORMAL, HARD, got "easy"',
+      'wallet.mnemonic.path must contain {i}, got "m/44\'/60\'/0\'/0/0"',
+      'state.file must not be empty',
+      'api.base_url must be an http(s) URL, got "localhost:3000"'
+    ]);
+  });
+
+  test('reports unknown keys with a suggestion for near misses', () => {
+    const issues = validateConfig({ captcha: { apikey: 'x' }, extras: {}, proxy: 'off' });
+
+    expect(issues).toEqual([
+      { path: 'captcha.apikey', message: 'unknown key, did you mean "api_key"?', severity: 'error' },
+      { path: 'extras', message: expect.stringMatching(/^unknown key, expected one of: referral, bot, /), severity: 'error' },
+      { path: 'proxy', message: 'must be a section, got "off"', severity: 'error' }
+    ]);
+  });
+
+  test('warns about deprecated keys', () => {
+    expect(validateConfig({ bot: { delay_after_completion: 60 } })).toEqual([{
+      path: 'bot.delay_after_completion',
+      message: expect.stringContaining('no longer used'),
+      severity: 'warning'
+    }]);
+  });
+
+  test('locates keys by line, falling back to the closest parent', () => {
+    const lines = locateKeys([
+      '# comment',
+      'bot:',
+      '  retries:',
+      '    max_attempts: 5',
+      '  concurrency: 2',
+      'quests: { minesweeper: { enabled: true } }'
+    ].join('\n'));
+
+    expect(findLine(lines, 'bot.retries.max_attempts')).toBe(4);
+    expect(findLine(lines, 'bot.concurrency')).toBe(5);
+    expect(findLine(lines, 'quests.minesweeper.enabled')).toBe(6);
+    expect(findLine(lines, 'proxy.file')).toBeNull();
+  });
+});
+
+describe('diffConfig', () => {
+  test('lists changed values and redacts secrets', () => {
+    const previous = ConfigManager.DEFAULT_CONFIG;
+    const next = {
+      ...previous,
+      bot: { ...previous.bot, concurrency: 3 },
+      captcha: { ...previous.captcha, api_key: 'secret-key' },
+      referral: { code: '' }
+    };
+
+    expect(diffConfig(previous, next)).toEqual([
+      { path: 'bot.concurrency', from: '1', to: '3' },
+      { path: 'captcha.api_key', from: '""', to: '[redacted]' }
+    ]);
+  });
+});
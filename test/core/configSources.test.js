@@ -0,0 +1,100 @@
+// test/core/configSources.test.js
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { envName, interpolate, readSecretFiles, readEnvironment } = require('../../src/core/configSources');
+const { listLeaves } = require('../../src/core/configSchema');
+
+describe('config sources', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-sources-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('gives every key its own environment variable', () => {
+    const names = listLeaves().map(({ path: keyPath }) => envName(keyPath));
+
+    expect(new Set(names).size).toBe(names.length);
+    expect(names).toContain('NEWTON_QUESTS_MINESWEEPER_DIFFICULTY');
+  });
+
+  test('interpolates environment variables with the type of their key', () => {
+    const { config, issues } = interpolate({
+      bot: { concurrency: '${CONCURRENCY}', user_agent: 'Agent/${VERSION:-1.0} (${OS})' },
+      captcha: { api_key: '${CAPSOLVER_KEY}' }
+    }, { CONCURRENCY: '3', OS: 'linux', CAPSOLVER_KEY: 'secret-key' });
+
+    expect(issues).toEqual([]);
+    expect(config).toEqual({
+      bot: { concurrency: 3, user_agent: 'Agent/1.0 (linux)' },
+      captcha: { api_key: 'secret-key' }
+    });
+  });
+
+  test('reports references to variables that are not set', () => {
+    const { issues } = interpolate({ captcha: { api_key: '${CAPSOLVER_KEY}' } }, {});
+
+    expect(issues).toEqual([{ path: 'captcha.api_key', message: 'references ${CAPSOLVER_KEY}, which is not set' }]);
+  });
+
+  test('reads secret keys from files', async () => {
+    const secretPath = path.join(dir, 'capsolver');
+    await fs.writeFile(secretPath, 'secret-key\n');
+    const config = { captcha: { api_key_file: secretPath, timeout: 60 } };
+
+    expect(await readSecretFiles(config)).toEqual([]);
+    expect(config).toEqual({ captcha: { api_key: 'secret-key', timeout: 60 } });
+  });
+
+  test('reports secret files that conflict or cannot be read', async () => {
+    const config = {
+      captcha: { api_key: 'inline', api_key_file: path.join(dir, 'capsolver') },
+      referral: { code_file: path.join(dir, 'missing') }
+    };
+
+    expect(await readSecretFiles(config)).toEqual([
+      { path: 'referral.code_file', message: expect.stringMatching(/^could not be read: ENOENT/) },
+      { path: 'captcha.api_key_file', message: "can't be used together with api_key" }
+    ]);
+  });
+
+  test('reads NEWTON_ variables for any key and ignores the others', async () => {
+    const secretPath = path.join(dir, 'capsolver');
+    await fs.writeFile(secretPath, 'secret-key\n');
+
+    const result = await readEnvironment({
+      NEWTON_BOT_CONCURRENCY: '4',
+      NEWTON_PROXY_ENABLED: 'false',
+      NEWTON_CAPTCHA_API_KEY_FILE: secretPath,
+      NEWTON_KEY_PASSPHRASE: 'passphrase',
+      PATH: '/usr/bin'
+    });
+
+    expect(result).toEqual({
+      config: { bot: { concurrency: 4 }, proxy: { enabled: false }, captcha: { api_key: 'secret-key' } },
+      sources: ['NEWTON_BOT_CONCURRENCY', 'NEWTON_PROXY_ENABLED', 'NEWTON_CAPTCHA_API_KEY_FILE'],
+      issues: []
+    });
+  });
+
+  test('reports NEWTON_ variables with invalid values', async () => {
+    const { issues } = await readEnvironment({
+      NEWTON_BOT_CONCURRENCY: 'many',
+      NEWTON_PROXY_ROTATION_MODE: 'roundrobin'
+    });
+
+    expect(issues).toEqual([
+      { source: 'NEWTON_BOT_CONCURRENCY', path: 'bot.concurrency', message: 'must be a number, got "many"' },
+      {
+        source: 'NEWTON_PROXY_ROTATION_MODE',
+        path: 'proxy.rotation.mode',
+        message: 'must be one of sequential, random, got "roundrobin"'
+      }
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+// test/mock/MinesweeperGame.test.js
+const MinesweeperGame = require('../../src/mock/MinesweeperGame');
+
+/**
+ * Keys of the tiles around a tile, and the tile itself
+ */
+function area(game, x, y) {
+  const keys = [];
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (x + dx >= 0 && x + dx < game.width && y + dy >= 0 && y + dy < game.height) {
+        keys.push((y + dy) * game.width + x + dx);
+      }
+    }
+  }
+  return keys;
+}
+
+describe('MinesweeperGame', () => {
+  test('keeps the first click and its neighbours clear of mines', () => {
+    for (let i = 0; i < 20; i++) {
+      const game = new MinesweeperGame('EASY');
+      game.click(4, 6);
+
+      expect(game.exploded).toBe(false);
+      expect(game.mines.size).toBe(10);
+      for (const key of area(game, 4, 6)) {
+        expect(game.mines.has(key)).toBe(false);
+      }
+      expect(game.toJSON().tiles[6][4]).toBe(0);
+    }
+  });
+
+  test('numbers every open tile with its adjacent mines', () => {
+    const game = new MinesweeperGame('NORMAL');
+    game.click(8, 8);
+    const { tiles, width, height, mines } = game.toJSON();
+
+    expect({ width, height, mines }).toEqual({ width: 16, height: 16, mines: 40 });
+    tiles.forEach((row, y) => row.forEach((value, x) => {
+      if (value === null) return;
+      const adjacent = area(game, x, y).filter(key => game.mines.has(key)).length;
+      expect(value).toBe(adjacent);
+    }));
+  });
+
+  test('ends the game on a mine and shows every mine', () => {
+    const game = new MinesweeperGame('EASY');
+    game.click(0, 0);
+    const mine = [...game.mines][0];
+
+    game.click(mine % game.width, Math.floor(mine / game.width));
+    const state = game.toJSON();
+
+    expect(state).toMatchObject({ gameOver: true, exploded: true });
+    expect(state.tiles.flat().filter(value => value === 'M')).toHaveLength(10);
+    expect(() => game.click(0, 0)).toThrow('Game is over');
+  });
+
+  test('is won once every tile without a mine is open', () => {
+    const game = new MinesweeperGame('EASY');
+    game.click(0, 0);
+
+    for (let key = 0; key < game.width * game.height && !game.won; key++) {
+      if (!game.mines.has(key) && !game.open.has(key)) {
+        game.click(key % game.width, Math.floor(key / game.width));
+      }
+    }
+
+    expect(game.toJSON()).toMatchObject({ gameOver: true, exploded: false });
+    expect(game.credits).toBe(10);
+  });
+
+  test('flags unopened tiles and refuses to click them', () => {
+    const game = new MinesweeperGame('EASY');
+    game.click(0, 0);
+    const mine = [...game.mines][0];
+    const [x, y] = [mine % game.width, Math.floor(mine / game.width)];
+
+    game.flag(x, y);
+
+    expect(game.toJSON().tiles[y][x]).toBe('F');
+    expect(() => game.click(x, y)).toThrow('Tile is flagged');
+    expect(() => game.flag(0, 0)).toThrow('Tile is already open');
+    expect(() => game.click(10, 0)).toThrow('Tile (10, 0) is off the board');
+  });
+
+  test('rejects unknown difficulties', () => {
+    expect(() => new MinesweeperGame('EXPERT')).toThrow('Unknown difficulty: EXPERT');
+  });
+});
@@ -0,0 +1,192 @@
+// test/mock/MockServer.test.js
+jest.mock('../../src/utils/logger');
+
+const axios = require('axios');
+const { Wallet } = require('ethers');
+const MockServer = require('../../src/mock/MockServer');
+const MockPlatform = require('../../src/mock/MockPlatform');
+const ApiClient = require('../../src/services/ApiClient');
+const WalletService = require('../../src/services/WalletService');
+const CookieJar = require('../../src/services/CookieJar');
+const AccountRunner = require('../../src/core/AccountRunner');
+
+const wallet = new Wallet(`0x${'1'.padStart(64, '0')}`);
+
+const [DICE_ROLL, MINESWEEPER] = MockPlatform.QUESTS;
+
+describe('MockServer', () => {
+  let server;
+  let url;
+  let clock;
+  let api;
+
+  beforeEach(async () => {
+    let now = Date.parse('2026-03-01T10:00:00Z');
+    clock = { now: () => now, advance: ms => { now += ms; } };
+    server = new MockServer({ clock, initialCredits: 100 });
+    url = await server.start();
+    api = new ApiClient({ baseUrl: url, retries: { max_attempts: 1 } });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Log a wallet in the way AuthService does
+   */
+  async function login(client, signer = wallet) {
+    const csrfToken = await client.getCsrfToken();
+    const message = WalletService.createAuthMessage(wallet.address, csrfToken);
+    const payload = new URLSearchParams({
+      message,
+      signature: await signer.signMessage(message),
+      csrfToken,
+      callbackUrl: client.baseUrl,
+      recaptchaToken: 'token'
+    });
+    return client.login(payload);
+  }
+
+  test('logs a wallet in and keeps its session', async () => {
+    expect(await api.getSession()).toEqual({});
+
+    const response = await login(api);
+    const session = await api.getSession();
+
+    expect(response.url).toBe(url);
+    expect(session.user.address).toBe(wallet.address);
+    expect(ApiClient.getCredits(await api.getUserInfo())).toBe(100);
+  });
+
+  test('rejects a message signed by another wallet', async () => {
+    const response = await login(api, new Wallet(`0x${'2'.padStart(64, '0')}`));
+
+    expect(response.url).toBe('/api/auth/error?error=CredentialsSignin');
+    expect(await api.getSession()).toEqual({});
+    await expect(api.getUserInfo()).rejects.toThrow('Session expired or unauthorized');
+  });
+
+  test('allows one dice roll per day', async () => {
+    await login(api);
+    const { data: quests } = await api.getQuests();
+    expect(quests.find(quest => quest.title === 'Daily Dice Roll').id).toBe(DICE_ROLL.id);
+
+    const roll = await api.completeQuest(DICE_ROLL.id);
+    const again = await api.completeQuest(DICE_ROLL.id);
+
+    expect(roll.data).toMatchObject({ questId: DICE_ROLL.id, status: 'COMPLETED', createdAt: '2026-03-01T10:00:00.000Z' });
+    expect(again.data).toEqual({ status: 'COMPLETED', message: 'Quest already completed' });
+    expect(ApiClient.getCredits(await api.getUserInfo())).toBe(100 + roll.data.credits);
+
+    clock.advance(24 * 60 * 60 * 1000);
+    expect((await api.completeQuest(DICE_ROLL.id)).data.status).toBe('COMPLETED');
+    expect((await api.getUserQuests()).data).toHaveLength(2);
+  });
+
+  test('plays Minesweeper through START, CLICK and FLAG with a daily limit', async () => {
+    await login(api);
+
+    const start = await api.startMinesweeperGame(MINESWEEPER.id, 'EASY');
+    const { id, _minesweeper: board } = start.data;
+    expect(board).toMatchObject({ width: 10, height: 10, mines: 10, gameOver: false });
+    expect(board.tiles.flat().every(value => value === null)).toBe(true);
+
+    const click = await api.clickMinesweeperTile(MINESWEEPER.id, id, 5, 5);
+    expect(click.data._minesweeper.tiles[5][5]).toBe(0);
+
+    const game = server.platform.games.get(id);
+    const mine = [...game.mines][0];
+    const flag = await api.flagMinesweeperTile(MINESWEEPER.id, id, mine % 10, Math.floor(mine / 10));
+    expect(flag.data._minesweeper.tiles[Math.floor(mine / 10)][mine % 10]).toBe('F');
+
+    await api.startMinesweeperGame(MINESWEEPER.id, 'NORMAL');
+    await api.startMinesweeperGame(MINESWEEPER.id, 'HARD');
+    expect((await api.startMinesweeperGame(MINESWEEPER.id)).data).toEqual({ status: 'COMPLETED', message: 'Quest already completed' });
+    expect((await api.getUserQuests()).data.filter(userQuest => userQuest.questId === MINESWEEPER.id)).toHaveLength(3);
+  });
+
+  test('credits a won game', async () => {
+    await login(api);
+    const { data: { id } } = await api.startMinesweeperGame(MINESWEEPER.id, 'EASY');
+    await api.clickMinesweeperTile(MINESWEEPER.id, id, 0, 0);
+    const game = server.platform.games.get(id);
+
+    let response;
+    for (let key = 0; key < 100 && !game.won; key++) {
+      if (!game.mines.has(key) && !game.open.has(key)) {
+        response = await api.clickMinesweeperTile(MINESWEEPER.id, id, key % 10, Math.floor(key / 10));
+      }
+    }
+
+    expect(response.data).toMatchObject({ status: 'COMPLETED', credits: 10 });
+    expect(response.data._minesweeper).toMatchObject({ gameOver: true, exploded: false });
+    expect(ApiClient.getCredits(await api.getUserInfo())).toBe(110);
+  });
+
+  test('injects failures added through the control endpoint', async () => {
+    await axios.post(`${url}/__mock/failures`, { path: '/api/quests', failure: 429, times: 1 });
+
+    await expect(api.getQuests()).rejects.toMatchObject({ response: { status: 429 } });
+    await expect(api.getQuests()).resolves.toMatchObject({ data: MockPlatform.QUESTS });
+
+    await axios.post(`${url}/__mock/failures`, { path: '/api/quests', method: 'GET', failure: 503 });
+    await expect(api.getQuests()).rejects.toMatchObject({ response: { status: 503 } });
+    await axios.delete(`${url}/__mock/failures`);
+    await expect(api.getQuests()).resolves.toBeDefined();
+
+    await expect(axios.post(`${url}/__mock/failures`, { path: '/api/quests', failure: 200 }))
+      .rejects.toMatchObject({ response: { status: 400 } });
+  });
+
+  test('injects "Quest already completed" and timeouts', async () => {
+    await login(api);
+    server.platform.addFailure({ path: '/api/userQuests', method: 'POST', failure: 'already_completed' });
+    server.platform.addFailure({ path: '/api/user', failure: 'timeout' });
+
+    expect((await api.completeQuest(DICE_ROLL.id)).data).toEqual({ status: 'COMPLETED', message: 'Quest already completed' });
+    await expect(api.getUserInfo({ signal: AbortSignal.timeout(100) })).rejects.toThrow('aborted');
+  });
+
+  test('solves captcha tasks at once', async () => {
+    const created = await axios.post(`${url}/createTask`, { clientKey: 'key', task: { type: 'ReCaptchaV2TaskProxyless' } });
+    const result = await axios.post(`${url}/getTaskResult`, { clientKey: 'key', taskId: created.data.taskId });
+    const denied = await axios.post(`${url}/createTask`, { task: { type: 'ReCaptchaV2TaskProxyless' } });
+
+    expect(result.data).toMatchObject({ errorId: 0, status: 'ready', solution: { gRecaptchaResponse: expect.any(String) } });
+    expect(denied.data).toMatchObject({ errorId: 1, errorCode: 'ERROR_KEY_DENIED_ACCESS' });
+  });
+
+  test('runs an account against the base URL of the configuration', async () => {
+    const client = new ApiClient({ baseUrl: url });
+    await login(client);
+    const sessionStore = { load: async () => new CookieJar(client.cookieJar.toJSON()), save: jest.fn() };
+    const config = {
+      api: { base_url: url },
+      bot: { user_agent: 'test', retries: { max_attempts: 1 } },
+      captcha: {},
+      quests: { daily_dice_roll: { enabled: true }, minesweeper: { enabled: false } }
+    };
+
+    const result = await new AccountRunner({ accountIndex: 1, privateKey: wallet.privateKey, config, sessionStore }).run();
+
+    expect(result).toMatchObject({ sessionReused: true, balanceBefore: 100 });
+    expect(result.quests.daily_dice_roll.status).toBe('completed');
+    expect(result.balanceAfter).toBe(100 + result.quests.daily_dice_roll.credits);
+  });
+});
+
+describe('MockPlatform.parseFailures', () => {
+  test('reads rules with counts, rates and methods', () => {
+    expect(MockPlatform.parseFailures('/api/quests:429:2, POST /api/userQuests:timeout:20%,/api/user:500')).toEqual([
+      { path: '/api/quests', failure: '429', times: 2 },
+      { path: '/api/userQuests', method: 'POST', failure: 'timeout', rate: 0.2 },
+      { path: '/api/user', failure: '500' }
+    ]);
+  });
+
+  test('rejects malformed rules', () => {
+    expect(() => MockPlatform.parseFailures('api/quests')).toThrow('Invalid failure rule "api/quests"');
+    expect(() => new MockPlatform({ failures: [{ path: '/api/quests', failure: 'slow' }] })).toThrow('Invalid failure: slow');
+  });
+});
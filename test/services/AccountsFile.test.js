@@ -0,0 +1,125 @@
+// test/services/AccountsFile.test.js
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const AccountsFile = require('../../src/services/AccountsFile');
+
+const KEYS = [`0x${'1'.padStart(64, '0')}`, `0x${'2'.padStart(64, '0')}`, `0x${'3'.padStart(64, '0')}`];
+const ADDRESS_2 = '0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF';
+
+describe('AccountsFile', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'accounts-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  async function load(name, content) {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return new AccountsFile(filePath).load();
+  }
+
+  test('reads YAML entries with overrides', async () => {
+    const entries = await load('accounts.yaml', [
+      'accounts:',
+      `  - key: "${ADDRESS_2}"`,
+      '    label: main',
+      '    proxy: user:pass@10.0.0.1:8080',
+      '    minesweeper: false',
+      '    minesweeper_difficulty: hard',
+      '    referral_code: ABC',
+      '  - key: 3'
+    ].join('\n'));
+
+    expect(entries).toEqual([
+      {
+        key: ADDRESS_2,
+        label: 'main',
+        proxy: 'user:pass@10.0.0.1:8080',
+        overrides: { minesweeper: false, minesweeper_difficulty: 'HARD', referral_code: 'ABC' }
+      },
+      { key: 3, label: null, proxy: null, overrides: {} }
+    ]);
+  });
+
+  test('reads CSV entries, treating empty cells as no override', async () => {
+    const entries = await load('accounts.csv', [
+      'key,label,proxy,daily_dice_roll,minesweeper,minesweeper_difficulty,referral_code',
+      '# comment',
+      `${ADDRESS_2},"main, the first",,no,,EASY,`,
+      '1,second'
+    ].join('\n'));
+
+    expect(entries).toEqual([
+      {
+        key: ADDRESS_2,
+        label: 'main, the first',
+        proxy: null,
+        overrides: { daily_dice_roll: false, minesweeper_difficulty: 'EASY' }
+      },
+      { key: 1, label: 'second', proxy: null, overrides: {} }
+    ]);
+  });
+
+  test('reports invalid entries with their location, without echoing keys', async () => {
+    await expect(load('accounts.csv', `key,label\n${KEYS[0]},leaked`))
+      .rejects.toThrow(/accounts\.csv:2: key must be a wallet address or a key number starting at 1$/);
+    await expect(load('accounts.yaml', '- key: 1\n  colour: red'))
+      .rejects.toThrow(/accounts\.yaml: entry 1: unknown field "colour"/);
+    await expect(load('accounts.yaml', '- key: 1\n  minesweeper: maybe'))
+      .rejects.toThrow('minesweeper must be true or false, got "maybe"');
+    await expect(load('accounts.yaml', '- key: 1\n  minesweeper_difficulty: EXTREME'))
+      .rejects.toThrow('minesweeper_difficulty must be one of EASY, NORMAL, HARD');
+    await expect(load('accounts.yaml', '- key: 1\n  label: a\n- key: 2\n  label: a'))
+      .rejects.toThrow(/entry 2: duplicate label "a"/);
+  });
+
+  test('resolves entries to keys by position or address', () => {
+    const { accounts, unlisted } = AccountsFile.resolve([
+      { key: ADDRESS_2.toLowerCase(), label: 'main', proxy: null, overrides: {} },
+      { key: 3, label: 'third', proxy: 'host:8080', overrides: { minesweeper: false } }
+    ], KEYS);
+
+    expect(accounts).toEqual([
+      { privateKey: KEYS[1], label: 'main', proxy: null, overrides: {} },
+      { privateKey: KEYS[2], label: 'third', proxy: 'host:8080', overrides: { minesweeper: false } }
+    ]);
+    expect(unlisted).toBe(1);
+  });
+
+  test('rejects references to missing or already used keys', () => {
+    expect(() => AccountsFile.resolve([{ key: 4, label: 'x' }], KEYS))
+      .toThrow('Account "x" references key 4, which is not loaded');
+    expect(() => AccountsFile.resolve([{ key: 2, label: 'a' }, { key: ADDRESS_2, label: 'b' }], KEYS))
+      .toThrow(`Account "b" references key ${ADDRESS_2}, which is already used`);
+  });
+
+  test('applies overrides without changing the global configuration', () => {
+    const config = {
+      referral: { code: 'GLOBAL' },
+      quests: {
+        daily_dice_roll: { enabled: true },
+        minesweeper: { enabled: true, difficulty: 'EASY', strategy: 'solver' }
+      }
+    };
+
+    const accountConfig = AccountsFile.applyOverrides(config, {
+      daily_dice_roll: false,
+      minesweeper_difficulty: 'HARD',
+      referral_code: 'MINE'
+    });
+
+    expect(accountConfig.quests).toEqual({
+      daily_dice_roll: { enabled: false },
+      minesweeper: { enabled: true, difficulty: 'HARD', strategy: 'solver' }
+    });
+    expect(accountConfig.referral.code).toBe('MINE');
+    expect(config.quests.daily_dice_roll.enabled).toBe(true);
+    expect(AccountsFile.applyOverrides(config, {})).toEqual(config);
+  });
+});
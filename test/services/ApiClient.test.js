@@ -0,0 +1,62 @@
+// test/services/ApiClient.test.js
+jest.mock('../../src/utils/logger');
+
+const ApiClient = require('../../src/services/ApiClient');
+const CookieJar = require('../../src/services/CookieJar');
+
+/**
+ * Axios adapter answering with the given `set-cookie` headers in turn
+ */
+function createPlatform(responses) {
+  const requests = [];
+
+  const adapter = async config => {
+    requests.push({ url: config.url, cookie: config.headers.Cookie });
+    const { status = 200, cookies = [] } = responses.shift() || {};
+    const response = { data: {}, status, statusText: '', headers: { 'set-cookie': cookies }, config };
+
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.config = config;
+      error.response = response;
+      throw error;
+    }
+    return response;
+  };
+
+  return { adapter, requests };
+}
+
+describe('ApiClient cookies', () => {
+  test('merges cookies across responses instead of replacing them', async () => {
+    const platform = createPlatform([
+      { cookies: ['csrf=one', 'callback=portal'] },
+      { cookies: ['session=abc'] },
+      {}
+    ]);
+    const api = new ApiClient({ retries: { max_attempts: 1 } });
+    api.client.defaults.adapter = platform.adapter;
+
+    await api.getCsrfToken();
+    await api.getSession();
+    await api.getUserInfo();
+
+    expect(platform.requests.map(request => request.cookie)).toEqual([
+      undefined,
+      'csrf=one; callback=portal',
+      'csrf=one; callback=portal; session=abc'
+    ]);
+  });
+
+  test('stores cookies set by error responses', async () => {
+    const platform = createPlatform([{ status: 401, cookies: ['session=; Max-Age=0'] }]);
+    const cookieJar = new CookieJar([{ name: 'session', value: 'old' }]);
+    const api = new ApiClient({ retries: { max_attempts: 1 }, cookieJar });
+    api.client.defaults.adapter = platform.adapter;
+
+    await expect(api.getSession()).resolves.toEqual({ user: null });
+
+    expect(platform.requests[0].cookie).toBe('session=old');
+    expect(cookieJar.size).toBe(0);
+  });
+});
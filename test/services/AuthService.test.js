@@ -0,0 +1,130 @@
+// test/services/AuthService.test.js
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/CaptchaService');
+jest.mock('../../src/utils/helpers', () => ({
+  ...jest.requireActual('../../src/utils/helpers'),
+  sleep: jest.fn(() => Promise.resolve())
+}));
+
+const { ethers } = require('ethers');
+const AuthService = require('../../src/services/AuthService');
+const CaptchaService = require('../../src/services/CaptchaService');
+
+const { AUTH_FAILURE } = AuthService;
+
+const CONFIG = {
+  referral: { code: '' },
+  captcha: {
+    timeout: 120,
+    types: { recaptcha_v2: { invisible_sitekey: 'invisible', visible_sitekey: 'visible' } }
+  }
+};
+
+const wallet = new ethers.Wallet(`0x${'1'.padStart(64, '0')}`);
+
+/**
+ * API stub for a login that succeeds unless a step is overridden
+ */
+function createApi(overrides = {}) {
+  return {
+    baseUrl: 'https://www.magicnewton.com/portal',
+    origin: 'https://www.magicnewton.com',
+    getCsrfToken: jest.fn(async () => 'csrf-token'),
+    login: jest.fn(async () => ({ url: 'https://www.magicnewton.com/portal' })),
+    getSession: jest.fn(async () => ({ user: { address: wallet.address } })),
+    ...overrides
+  };
+}
+
+describe('AuthService.authenticate', () => {
+  beforeEach(() => {
+    CaptchaService.prototype.solveMultiple.mockResolvedValue({ recaptchaToken: 'a', recaptchaTokenV2: 'b' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('returns the confirmed session', async () => {
+    const api = createApi();
+
+    const result = await new AuthService(api, CONFIG).authenticate(wallet);
+
+    expect(result).toEqual({ success: true, session: { user: { address: wallet.address } } });
+    expect(api.login).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports a CSRF failure without logging in', async () => {
+    const api = createApi({ getCsrfToken: jest.fn(async () => { throw new Error('HTTP 503'); }) });
+
+    const result = await new AuthService(api, CONFIG).authenticate(wallet);
+
+    expect(result).toEqual({
+      success: false,
+      reason: AUTH_FAILURE.CSRF_FAILED,
+      message: 'Could not get CSRF token: HTTP 503'
+    });
+    expect(api.getCsrfToken).toHaveBeenCalledTimes(3);
+    expect(api.login).not.toHaveBeenCalled();
+  });
+
+  test('reports a captcha failure', async () => {
+    CaptchaService.prototype.solveMultiple.mockRejectedValue(new Error('All captchas failed to solve'));
+    const api = createApi();
+
+    const result = await new AuthService(api, CONFIG).authenticate(wallet);
+
+    expect(result.reason).toBe(AUTH_FAILURE.CAPTCHA_FAILED);
+    expect(api.login).not.toHaveBeenCalled();
+  });
+
+  test('reports a failed login request instead of carrying on', async () => {
+    const error = Object.assign(new Error('Request failed with status code 403'), { response: { status: 403 } });
+    const api = createApi({ login: jest.fn(async () => { throw error; }) });
+
+    const result = await new AuthService(api, CONFIG).authenticate(wallet);
+
+    expect(result).toEqual({
+      success: false,
+      reason: AUTH_FAILURE.LOGIN_REJECTED,
+      message: 'Login request failed (HTTP 403): Request failed with status code 403'
+    });
+    expect(api.getSession).not.toHaveBeenCalled();
+  });
+
+  test('reports credentials rejected in the redirect URL', async () => {
+    const api = createApi({
+      login: jest.fn(async () => ({ url: 'https://www.magicnewton.com/api/auth/error?error=CredentialsSignin' }))
+    });
+
+    const result = await new AuthService(api, CONFIG).authenticate(wallet);
+
+    expect(result).toMatchObject({ reason: AUTH_FAILURE.LOGIN_REJECTED, message: 'Login rejected: CredentialsSignin' });
+  });
+
+  test('reports a missing session instead of returning a fake one', async () => {
+    const api = createApi({ getSession: jest.fn(async () => ({ user: null })) });
+
+    const result = await new AuthService(api, CONFIG).authenticate(wallet);
+
+    expect(result).toEqual({
+      success: false,
+      reason: AUTH_FAILURE.SESSION_MISSING,
+      message: 'No user in session after login'
+    });
+  });
+
+  test('succeeds when a later attempt works', async () => {
+    const api = createApi({
+      getSession: jest.fn()
+        .mockResolvedValueOnce({ user: null })
+        .mockResolvedValueOnce({ user: null })
+        .mockResolvedValue({ user: { address: wallet.address } })
+    });
+
+    const result = await new AuthService(api, CONFIG).authenticate(wallet);
+
+    expect(result.success).toBe(true);
+    expect(api.login).toHaveBeenCalledTimes(2);
+  });
+});
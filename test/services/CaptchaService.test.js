@@ -0,0 +1,61 @@
+// test/services/CaptchaService.test.js
+jest.mock('../../src/utils/logger');
+
+const axios = require('axios');
+const CaptchaService = require('../../src/services/CaptchaService');
+const { VirtualClock } = require('../../src/utils/clock');
+
+const CAPTCHA = { siteKey: 'site-key', url: 'https://example.com', type: 'recaptchaV2', timeout: 10 };
+
+describe('CaptchaService polling', () => {
+  let originalAdapter;
+  let clock;
+  let polls;
+
+  beforeEach(() => {
+    originalAdapter = axios.defaults.adapter;
+    clock = new VirtualClock('2026-03-01T10:00:00Z');
+    polls = [];
+  });
+
+  afterEach(() => {
+    axios.defaults.adapter = originalAdapter;
+  });
+
+  /**
+   * Axios adapter for a captcha service whose tasks are ready after the given number of polls
+   */
+  function respondAfter(pollsNeeded) {
+    const start = clock.now();
+    axios.defaults.adapter = async config => {
+      let data = { errorId: 0, taskId: 'task' };
+      if (config.url.endsWith('/getTaskResult')) {
+        polls.push(clock.now() - start);
+        data = polls.length >= pollsNeeded
+          ? { errorId: 0, status: 'ready', solution: { gRecaptchaResponse: 'token' } }
+          : { errorId: 0, status: 'processing' };
+      }
+      return { data, status: 200, statusText: 'OK', headers: {}, config };
+    };
+  }
+
+  test('polls every 3 seconds until the task is ready', async () => {
+    respondAfter(3);
+    const captchaService = new CaptchaService({ api_key: 'key', api_url: 'http://captcha.test' }, { clock });
+
+    await expect(captchaService.solve(CAPTCHA)).resolves.toBe('token');
+    expect(polls).toEqual([3000, 6000, 9000]);
+  });
+
+  test('gives up after the timeout and two more attempts', async () => {
+    respondAfter(Infinity);
+    const start = clock.now();
+    const captchaService = new CaptchaService({ api_key: 'key', api_url: 'http://captcha.test' }, { clock });
+
+    await expect(captchaService.solve(CAPTCHA)).rejects.toThrow('Captcha solving timeout after 10 seconds');
+
+    // Four polls per attempt, with 5s and 10s between the attempts
+    expect(polls).toHaveLength(12);
+    expect(clock.now() - start).toBe(12000 + 5000 + 12000 + 10000 + 12000);
+  });
+});
@@ -0,0 +1,65 @@
+// test/services/CookieJar.test.js
+const CookieJar = require('../../src/services/CookieJar');
+
+const NOW = Date.parse('2026-03-01T10:00:00Z');
+
+describe('CookieJar', () => {
+  test('merges cookies by name', () => {
+    const jar = new CookieJar();
+
+    jar.setCookies(['csrf=one; Path=/; HttpOnly', 'callback=https%3A%2F%2Fexample.com'], NOW);
+    jar.setCookies(['csrf=two; Path=/', 'session=abc'], NOW);
+
+    expect(jar.getCookieHeader(NOW)).toBe('csrf=two; callback=https%3A%2F%2Fexample.com; session=abc');
+  });
+
+  test('keeps values containing "="', () => {
+    const jar = new CookieJar();
+
+    jar.setCookies('token=a=b==; Secure', NOW);
+
+    expect(jar.get('token', NOW)).toBe('a=b==');
+  });
+
+  test('drops cookies once they expire', () => {
+    const jar = new CookieJar();
+
+    jar.setCookies([
+      'short=1; Max-Age=60',
+      `dated=2; Expires=${new Date(NOW + 3600000).toUTCString()}`,
+      'forever=3'
+    ], NOW);
+
+    expect(jar.getCookieHeader(NOW + 59000)).toBe('short=1; dated=2; forever=3');
+    expect(jar.getCookieHeader(NOW + 61000)).toBe('dated=2; forever=3');
+    expect(jar.getCookieHeader(NOW + 3601000)).toBe('forever=3');
+  });
+
+  test('prefers Max-Age over Expires', () => {
+    const cookie = CookieJar.parse(`a=1; Expires=${new Date(NOW + 3600000).toUTCString()}; Max-Age=10`, NOW);
+
+    expect(cookie.expiresAt).toBe(NOW + 10000);
+  });
+
+  test('deletes a cookie the server expires', () => {
+    const jar = new CookieJar([{ name: 'session', value: 'abc', expiresAt: null }]);
+
+    jar.setCookies('session=; Expires=Thu, 01 Jan 1970 00:00:00 GMT', NOW);
+
+    expect(jar.size).toBe(0);
+  });
+
+  test('ignores malformed headers', () => {
+    expect(CookieJar.parse('no-separator')).toBeNull();
+    expect(CookieJar.parse('=value')).toBeNull();
+  });
+
+  test('round-trips through JSON', () => {
+    const jar = new CookieJar();
+    jar.setCookies(['a=1; Max-Age=60', 'b=2'], NOW);
+
+    const restored = new CookieJar(JSON.parse(JSON.stringify(jar)));
+
+    expect(restored.toJSON()).toEqual(jar.toJSON());
+  });
+});
@@ -0,0 +1,60 @@
+// test/services/FileWatcher.test.js
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const FileWatcher = require('../../src/services/FileWatcher');
+
+describe('FileWatcher', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watcher-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('reports changed, created and deleted files once', async () => {
+    const config = path.join(dir, 'config.yaml');
+    const keys = path.join(dir, 'pk.txt');
+    const proxies = path.join(dir, 'proxy.txt');
+    await fs.writeFile(config, 'bot: {}\n');
+    await fs.writeFile(keys, 'key\n');
+    const watcher = new FileWatcher();
+    await watcher.watch([config, keys, proxies, null]);
+
+    expect(await watcher.poll()).toEqual([]);
+
+    await fs.writeFile(config, 'bot: { concurrency: 2 }\n');
+    await fs.remove(keys);
+    await fs.writeFile(proxies, 'host:8080\n');
+
+    expect(await watcher.poll()).toEqual([config, keys, proxies]);
+    expect(await watcher.poll()).toEqual([]);
+  });
+
+  test('ignores files that are rewritten with the same content', async () => {
+    const config = path.join(dir, 'config.yaml');
+    await fs.writeFile(config, 'bot: {}\n');
+    const watcher = new FileWatcher();
+    await watcher.watch([config]);
+
+    await fs.writeFile(config, 'bot: {}\n');
+
+    expect(await watcher.poll()).toEqual([]);
+  });
+
+  test('keeps pending changes of files that stay watched', async () => {
+    const config = path.join(dir, 'config.yaml');
+    const proxies = path.join(dir, 'proxy.txt');
+    await fs.writeFile(config, 'bot: {}\n');
+    const watcher = new FileWatcher();
+    await watcher.watch([config]);
+
+    await fs.writeFile(config, 'proxy: { enabled: true }\n');
+    await watcher.watch([config, proxies]);
+
+    expect(await watcher.poll()).toEqual([config]);
+  });
+});
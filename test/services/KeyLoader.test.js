@@ -0,0 +1,146 @@
+// test/services/KeyLoader.test.js
+jest.mock('../../src/utils/logger');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+const KeyLoader = require('../../src/services/KeyLoader');
+const Vault = require('../../src/services/Vault');
+
+const KEYS = [`0x${'1'.padStart(64, '0')}`, `0x${'2'.padStart(64, '0')}`];
+const PASSPHRASE = 'correct horse';
+
+describe('KeyLoader', () => {
+  let dir;
+  let originalKdf;
+
+  beforeAll(() => {
+    originalKdf = Vault.KDF;
+    Vault.KDF = { N: 1024, r: 8, p: 1 };
+  });
+
+  afterAll(() => {
+    Vault.KDF = originalKdf;
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'keys-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  async function writeKeystores() {
+    const keystoreDir = path.join(dir, 'keystores');
+    await fs.ensureDir(keystoreDir);
+
+    // Written out of order to check that files are sorted by name
+    for (const [i, key] of [...KEYS.entries()].reverse()) {
+      const json = await new ethers.Wallet(key).encrypt(PASSPHRASE, { scrypt: { N: 1024 } });
+      await fs.writeFile(path.join(keystoreDir, `account-${i + 1}.json`), json);
+    }
+    await fs.writeFile(path.join(keystoreDir, 'README.txt'), 'not a keystore');
+
+    return keystoreDir;
+  }
+
+  test('reads the plaintext key file by default', async () => {
+    const configManager = { loadTextFile: jest.fn(async () => KEYS) };
+
+    const keys = await new KeyLoader({ private_key_file: './pk.txt' }, { configManager }).load();
+
+    expect(keys).toEqual(KEYS);
+    expect(configManager.loadTextFile).toHaveBeenCalledWith('./pk.txt', 'Private key');
+  });
+
+  test('decrypts every keystore in the directory, ordered by file name', async () => {
+    const keystoreDir = await writeKeystores();
+    const getPassphrase = jest.fn(async () => PASSPHRASE);
+
+    const keys = await new KeyLoader({ source: 'keystore', keystore_dir: keystoreDir }, { getPassphrase }).load();
+
+    expect(keys).toEqual(KEYS);
+    expect(getPassphrase).toHaveBeenCalledTimes(1);
+  }, 20000);
+
+  test('names the keystore that fails to decrypt', async () => {
+    const keystoreDir = await writeKeystores();
+
+    const loader = new KeyLoader({ source: 'keystore', keystore_dir: keystoreDir }, {
+      getPassphrase: async () => 'wrong'
+    });
+
+    await expect(loader.load()).rejects.toThrow(/^Could not decrypt keystore account-1\.json/);
+  }, 20000);
+
+  test('opens the vault', async () => {
+    const vaultFile = path.join(dir, 'vault.json');
+    await new Vault(vaultFile).save(KEYS, PASSPHRASE);
+
+    const keys = await new KeyLoader({ source: 'vault', vault_file: vaultFile }, {
+      getPassphrase: async () => PASSPHRASE
+    }).load();
+
+    expect(keys).toEqual(KEYS);
+  });
+
+  describe('mnemonic source', () => {
+    // Well-known development seed phrase
+    const PHRASE = 'test test test test test test test test test test test junk';
+
+    async function load(mnemonic, phrases = [PHRASE]) {
+      const file = path.join(dir, 'mnemonic.txt');
+      await fs.writeFile(file, ['# seed phrases', ...phrases].join('\n'));
+      const keys = await new KeyLoader({
+        source: 'mnemonic',
+        mnemonic: { file, path: "m/44'/60'/0'/0/{i}", start: 0, count: 2, ...mnemonic }
+      }).load();
+      return keys.map(key => new ethers.Wallet(key).address);
+    }
+
+    test('derives the configured index range', async () => {
+      expect(await load({ start: 1, count: 2 })).toEqual([
+        '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+        '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC'
+      ]);
+    });
+
+    test('uses the path template', async () => {
+      const [address] = await load({ path: "m/44'/60'/{i}'/0/0", start: 0, count: 1 });
+
+      expect(address).toBe('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+      expect(await load({ path: "m/44'/60'/{i}'/0/0", start: 1, count: 1 }))
+        .not.toContain('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+    });
+
+    test('orders accounts by seed phrase, then index', async () => {
+      const other = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+      const addresses = await load({ count: 1 }, [PHRASE, other]);
+
+      expect(addresses).toEqual([
+        '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+        '0x9858EfFD232B4033E47d90003D41EC34EcaEda94'
+      ]);
+    }, 20000);
+
+    test('rejects invalid seed phrases without printing them', async () => {
+      await expect(load({}, [PHRASE, 'secret words that are not a mnemonic']))
+        .rejects.toThrow(/^Seed phrase 2 in .* is not a valid mnemonic$/);
+    });
+
+    test('rejects a path without the index placeholder and bad ranges', async () => {
+      await expect(load({ path: "m/44'/60'/0'/0/0" }))
+        .rejects.toThrow('wallet.mnemonic.path must contain {i}');
+      await expect(load({ count: 0 })).rejects.toThrow('wallet.mnemonic.count must be a positive integer, got 0');
+      await expect(load({ start: -1 })).rejects.toThrow('wallet.mnemonic.start must be a non-negative integer, got -1');
+    });
+  });
+
+  test('rejects an unknown source', async () => {
+    await expect(new KeyLoader({ source: 'hsm' }).load())
+      .rejects.toThrow('Unknown wallet.source "hsm", expected one of: file, keystore, vault, mnemonic');
+  });
+});
@@ -0,0 +1,314 @@
+// test/services/MinesweeperService.test.js
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/utils/helpers', () => ({
+  ...jest.requireActual('../../src/utils/helpers'),
+  sleep: jest.fn(() => Promise.resolve())
+}));
+
+const MinesweeperService = require('../../src/services/MinesweeperService');
+const { sleep } = require('../../src/utils/helpers');
+const { VirtualClock } = require('../../src/utils/clock');
+
+const _ = null;
+
+const MINESWEEPER_ID = 'minesweeper-quest';
+
+/**
+ * Fake API serving a fixed board. Mines are 'M' in the solution; START returns
+ * the given tiles (by default a 3x3 board with the bottom rows opened, 1-2-1 pattern).
+ */
+function createFakeApi({
+  flagResponse = () => ({ data: {} }),
+  solution = [
+    ['M', 2, 'M'],
+    [1, 2, 1],
+    [0, 0, 0]
+  ],
+  tiles = [
+    [_, _, _],
+    [1, 2, 1],
+    [0, 0, 0]
+  ],
+  startFields = {},
+  clickResponse = null,
+  userQuests = []
+} = {}) {
+  const mineCount = solution.flat().filter(value => value === 'M').length;
+  const state = () => ({
+    data: {
+      id: 'game-1',
+      credits: 0,
+      _minesweeper: { tiles: tiles.map(row => row.slice()), gameOver: false, exploded: false }
+    }
+  });
+
+  const api = {
+    clicks: [],
+    flags: [],
+    completeQuest: jest.fn(async (questId, metadata) => {
+      if (metadata.action === 'START') {
+        const response = state();
+        Object.assign(response.data._minesweeper, startFields);
+        return response;
+      }
+
+      api.clicks.push([metadata.x, metadata.y]);
+      if (clickResponse) {
+        return clickResponse(metadata.x, metadata.y);
+      }
+      const response = state();
+      if (solution[metadata.y][metadata.x] === 'M') {
+        response.data._minesweeper.gameOver = true;
+        response.data._minesweeper.exploded = true;
+        return response;
+      }
+
+      tiles[metadata.y][metadata.x] = solution[metadata.y][metadata.x];
+      response.data._minesweeper.tiles = tiles.map(row => row.slice());
+      if (tiles.flat().filter(value => value === null).length === mineCount) {
+        response.data._minesweeper.gameOver = true;
+        response.data.credits = 10;
+      }
+      return response;
+    }),
+    flagMinesweeperTile: jest.fn(async (questId, userQuestId, x, y) => {
+      api.flags.push([x, y]);
+      return flagResponse(x, y);
+    }),
+    getUserQuests: jest.fn(async () => ({ data: userQuests }))
+  };
+
+  return api;
+}
+
+function createService(api, minesweeper = {}, accountInfo = {}) {
+  return new MinesweeperService(api, { quests: { minesweeper: { strategy: 'solver', ...minesweeper } } }, accountInfo, MINESWEEPER_ID);
+}
+
+describe('MinesweeperService flagging', () => {
+  test('flags deduced mines and never clicks them', async () => {
+    const api = createFakeApi();
+
+    const result = await createService(api)._playOneGame();
+
+    expect(api.flags).toEqual([[0, 0], [2, 0]]);
+    expect(api.clicks).toEqual([[1, 0]]);
+    expect(result).toMatchObject({ exploded: false, gameOver: true, credits: 10, moves: 1, flags: 2 });
+  });
+
+  test('does not flag when flag_mines is disabled', async () => {
+    const api = createFakeApi();
+
+    const result = await createService(api, { flag_mines: false })._playOneGame();
+
+    expect(api.flagMinesweeperTile).not.toHaveBeenCalled();
+    expect(api.clicks).toEqual([[1, 0]]);
+    expect(result.exploded).toBe(false);
+  });
+
+  test('syncs the board from flag responses that carry the game state', async () => {
+    const api = createFakeApi({
+      flagResponse: () => ({
+        data: {
+          id: 'game-1',
+          _minesweeper: { tiles: [[_, _, _], [1, 2, 1], [0, 0, 0]], gameOver: false, exploded: false }
+        }
+      })
+    });
+
+    const result = await createService(api)._playOneGame();
+
+    expect(api.flags).toEqual([[0, 0], [2, 0]]);
+    expect(api.clicks).toEqual([[1, 0]]);
+    expect(result.exploded).toBe(false);
+  });
+
+  test('keeps playing when a flag request fails', async () => {
+    const api = createFakeApi({
+      flagResponse: () => { throw new Error('network error'); }
+    });
+
+    const result = await createService(api)._playOneGame();
+
+    expect(api.clicks).toEqual([[1, 0]]);
+    expect(result.exploded).toBe(false);
+  });
+});
+
+describe('MinesweeperService clicks', () => {
+  test('stops the game when a click response has no board state', async () => {
+    const api = createFakeApi({ clickResponse: () => ({ data: { message: 'OK' } }) });
+
+    const result = await createService(api, { flag_mines: false })._playOneGame();
+
+    expect(api.clicks).toEqual([[1, 0]]);
+    expect(result).toMatchObject({ gameOver: false, exploded: false, moves: 1 });
+  });
+
+  test('stops the game instead of clicking a failed tile again', async () => {
+    const api = createFakeApi({ clickResponse: () => { throw new Error('network error'); } });
+
+    const result = await createService(api, { flag_mines: false })._playOneGame();
+
+    expect(api.clicks).toEqual([[1, 0]]);
+    expect(result).toMatchObject({ gameOver: false, moves: 1 });
+  });
+});
+
+describe('MinesweeperService board dimensions', () => {
+  test('plays boards larger than 10x10 without running out of moves', async () => {
+    const width = 20;
+    const height = 8;
+    const api = createFakeApi({
+      solution: Array.from({ length: height }, () => new Array(width).fill(0)),
+      tiles: Array.from({ length: height }, () => new Array(width).fill(null)),
+      startFields: { width, height, mines: 0 }
+    });
+
+    const result = await createService(api, { difficulty: 'hard' })._playOneGame();
+
+    expect(result).toMatchObject({
+      gameOver: true,
+      exploded: false,
+      moves: width * height,
+      difficulty: 'HARD',
+      width,
+      height,
+      mines: 0
+    });
+    expect(Math.max(...api.clicks.map(([x]) => x))).toBe(width - 1);
+  });
+
+  test('falls back to EASY for unknown difficulties', () => {
+    const service = createService(createFakeApi(), { difficulty: 'impossible' });
+
+    expect(service.DIFFICULTY).toBe('EASY');
+  });
+
+  test('collects per-difficulty stats across games', async () => {
+    const api = createFakeApi();
+    const service = createService(api, { difficulty: 'NORMAL' });
+    service.isCompletedToday = jest.fn(async () => false);
+    service._getGamesPlayedToday = jest.fn(async () => 2);
+
+    const result = await service.playGame();
+
+    expect(result.stats).toEqual({
+      NORMAL: { width: 3, height: 3, mines: null, games: 1, won: 1, exploded: 0, unfinished: 0, moves: 1, credits: 10 }
+    });
+  });
+});
+
+describe('MinesweeperService games played today', () => {
+  const today = '2026-03-01T00:05:00.000Z';
+  const yesterday = '2026-02-28T23:55:00.000Z';
+  let clock;
+
+  beforeEach(() => {
+    clock = new VirtualClock('2026-03-01T12:00:00Z');
+  });
+
+  /**
+   * Minesweeper user quests created at the given times
+   */
+  function games(...createdAts) {
+    return createdAts.map(createdAt => ({ questId: MINESWEEPER_ID, status: 'COMPLETED', createdAt }));
+  }
+
+  test('counts only the games created today', async () => {
+    const api = createFakeApi({
+      userQuests: [...games(today, yesterday, yesterday), { questId: 'dice-quest', createdAt: today }]
+    });
+
+    expect(await createService(api, {}, { clock })._getGamesPlayedToday()).toBe(1);
+
+    clock.set('2026-03-02T00:00:00Z');
+    expect(await createService(api, {}, { clock })._getGamesPlayedToday()).toBe(0);
+  });
+
+  test('uses the local count when it is higher or the platform fails', async () => {
+    const stateStore = { getMinesweeperGamesToday: jest.fn(() => 2) };
+    const api = createFakeApi({ userQuests: games(today) });
+    const service = createService(api, {}, { address: '0xabc', stateStore, clock });
+
+    expect(await service._getGamesPlayedToday()).toBe(2);
+
+    api.getUserQuests.mockRejectedValue(new Error('HTTP 500'));
+    expect(await service._getGamesPlayedToday()).toBe(2);
+  });
+
+  test('skips the quest once three games were played today', async () => {
+    const api = createFakeApi({ userQuests: games(today, today, today) });
+
+    const result = await createService(api, {}, { clock }).playGame();
+
+    expect(result).toMatchObject({ status: 'COMPLETED', message: 'Quest already completed today' });
+    expect(api.completeQuest).not.toHaveBeenCalled();
+  });
+});
+
+describe('MinesweeperService game loop', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('plays the games left today and adds up their credits', async () => {
+    const api = createFakeApi({
+      userQuests: [{ questId: MINESWEEPER_ID, createdAt: new Date().toISOString() }]
+    });
+    const service = createService(api);
+    // Every game is won on the same board
+    service._playOneGame = jest.fn(async () => ({ credits: 10, exploded: false, gameOver: true, moves: 1 }));
+
+    const result = await service.playGame();
+
+    expect(service._playOneGame).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ totalCredits: 20, attempts: 2 });
+    expect(sleep).toHaveBeenCalledWith(3000, undefined);
+  });
+
+  test('ends a game that hits a mine', async () => {
+    const api = createFakeApi({ solution: [['M', 'M']], tiles: [[_, _]] });
+
+    const result = await createService(api)._playOneGame();
+
+    expect(api.clicks).toHaveLength(1);
+    expect(result).toMatchObject({ exploded: true, gameOver: true, credits: 0, moves: 1 });
+  });
+
+  test('moves on to the next game after an error', async () => {
+    const service = createService(createFakeApi());
+    service._playOneGame = jest.fn()
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValue({ credits: 10, exploded: false, gameOver: true, moves: 1 });
+
+    const result = await service.playGame();
+
+    expect(service._playOneGame).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ totalCredits: 20, attempts: 3 });
+    expect(sleep).toHaveBeenCalledWith(5000, undefined);
+  });
+
+  test('stops when the platform reports the daily limit', async () => {
+    const api = createFakeApi();
+    api.completeQuest.mockResolvedValue({ data: { status: 'COMPLETED', message: 'Quest already completed' } });
+    const service = createService(api);
+
+    const result = await service.playGame();
+
+    expect(api.completeQuest).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ totalCredits: 0, attempts: 1, lastResult: null });
+  });
+
+  test('stops on a cancelled signal instead of starting another game', async () => {
+    const controller = new AbortController();
+    const service = createService(createFakeApi());
+    service._playOneGame = jest.fn(async () => {
+      controller.abort();
+      throw new Error('This operation was aborted');
+    });
+
+    await expect(service.playGame({ signal: controller.signal })).rejects.toThrow();
+    expect(service._playOneGame).toHaveBeenCalledTimes(1);
+  });
+});
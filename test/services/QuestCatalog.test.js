@@ -0,0 +1,59 @@
+// test/services/QuestCatalog.test.js
+jest.mock('../../src/utils/logger');
+
+const QuestCatalog = require('../../src/services/QuestCatalog');
+
+const QUESTS = [
+  { id: 'dice-quest', title: 'Daily Dice Roll', slug: 'daily-dice-roll' },
+  { id: 'minesweeper-quest', title: 'Minesweeper', slug: 'minesweeper' },
+  { id: 'old-minesweeper', title: 'Minesweeper Classic' }
+];
+
+function createApi(quests = QUESTS) {
+  return { getQuests: jest.fn(async () => ({ data: quests })) };
+}
+
+describe('QuestCatalog', () => {
+  test('fetches the quest list once', async () => {
+    const api = createApi();
+    const catalog = new QuestCatalog(api);
+
+    await catalog.resolve('Daily dice roll', { title: 'Daily Dice Roll' });
+    await catalog.resolve('Minesweeper', { slug: 'minesweeper' });
+
+    expect(api.getQuests).toHaveBeenCalledTimes(1);
+  });
+
+  test('tries the ID, then the slug, then the title', () => {
+    expect(QuestCatalog.find(QUESTS, { id: 'old-minesweeper', slug: 'minesweeper' }).id).toBe('old-minesweeper');
+    expect(QuestCatalog.find(QUESTS, { id: 'gone', slug: 'minesweeper', title: 'Minesweeper Classic' }).id).toBe('minesweeper-quest');
+    expect(QuestCatalog.find(QUESTS, { slug: 'gone', title: '  minesweeper classic ' }).id).toBe('old-minesweeper');
+    expect(QuestCatalog.find(QUESTS, { id: '', title: 'Daily' })).toBeNull();
+  });
+
+  test('names the quest, its matchers and the listed quests when nothing matches', async () => {
+    const catalog = new QuestCatalog(createApi(QUESTS.slice(0, 1)));
+
+    const error = await catalog.resolve('Minesweeper', { id: 'x', slug: 'minesweeper' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(QuestCatalog.QuestNotFoundError);
+    expect(error.message).toBe('Minesweeper quest not found on the platform: no quest with id "x" or slug "minesweeper"' +
+      ' (platform lists: Daily Dice Roll (daily-dice-roll))');
+  });
+
+  test('fetches again after a failed fetch', async () => {
+    const api = createApi();
+    api.getQuests.mockRejectedValueOnce(new Error('HTTP 503'));
+    const catalog = new QuestCatalog(api);
+
+    await expect(catalog.load()).rejects.toThrow('Failed to get quests: HTTP 503');
+    expect(await catalog.load()).toEqual(QUESTS);
+    expect(api.getQuests).toHaveBeenCalledTimes(2);
+  });
+
+  test('treats an empty response as no quests', async () => {
+    const catalog = new QuestCatalog({ getQuests: jest.fn(async () => ({})) });
+
+    await expect(catalog.resolve('Minesweeper', { slug: 'minesweeper' })).rejects.toThrow('(platform lists: no quests)');
+  });
+});
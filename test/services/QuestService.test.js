@@ -0,0 +1,243 @@
+// test/services/QuestService.test.js
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/MinesweeperService');
+
+const QuestService = require('../../src/services/QuestService');
+const MinesweeperService = require('../../src/services/MinesweeperService');
+const { QuestRegistry, QuestHandler } = require('../../src/services/quests');
+const { VirtualClock } = require('../../src/utils/clock');
+const { object, boolean } = require('../../src/core/schemaTypes');
+
+const { QUEST_STATUS } = QuestService;
+
+const CONFIG = {
+  quests: {
+    daily_dice_roll: { enabled: true },
+    minesweeper: { enabled: true }
+  }
+};
+
+/**
+ * API stub with a dice roll quest and a minesweeper quest
+ */
+function createApi({ userQuests = [], roll = async () => ({ data: { credits: 5 } }) } = {}) {
+  return {
+    getQuests: jest.fn(async () => ({
+      data: [
+        { id: 'dice-quest', title: 'Daily Dice Roll', slug: 'daily-dice-roll' },
+        { id: 'minesweeper-quest', title: 'Minesweeper', slug: 'minesweeper' }
+      ]
+    })),
+    getUserQuests: jest.fn(async () => ({ data: userQuests })),
+    completeQuest: jest.fn(roll)
+  };
+}
+
+function mockMinesweeper(playGame) {
+  MinesweeperService.mockImplementation(() => ({
+    isCompletedToday: jest.fn(async () => false),
+    playGame: jest.fn(playGame)
+  }));
+}
+
+/**
+ * Handler class for a test quest
+ */
+function createHandler(key, { isDoneToday = async () => false, run = async () => ({ status: QUEST_STATUS.COMPLETED, credits: 1 }), timeout = 1000 } = {}) {
+  class TestQuest extends QuestHandler {
+    isDoneToday(options) {
+      return isDoneToday(options);
+    }
+
+    run(options) {
+      return run(options);
+    }
+  }
+  TestQuest.key = key;
+  TestQuest.title = key;
+  TestQuest.match = { slug: key };
+  TestQuest.timeout = timeout;
+  TestQuest.configSchema = object({ enabled: boolean() });
+  return TestQuest;
+}
+
+describe('QuestService outcomes', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('records the credits of completed quests', async () => {
+    mockMinesweeper(async () => ({ questId: 'minesweeper', totalCredits: 20, attempts: 2 }));
+    const questService = new QuestService(createApi(), CONFIG, { accountIndex: 1 });
+
+    await questService.completeQuests();
+
+    expect(questService.outcomes).toEqual({
+      daily_dice_roll: { status: QUEST_STATUS.COMPLETED, credits: 5, message: null },
+      minesweeper: { status: QUEST_STATUS.COMPLETED, credits: 20, message: null }
+    });
+  });
+
+  test('tells quests done earlier today from games that were lost', async () => {
+    mockMinesweeper(async () => ({ questId: 'minesweeper', totalCredits: 0, attempts: 3 }));
+    const api = createApi({
+      userQuests: [{ questId: 'dice-quest', status: 'COMPLETED', createdAt: new Date().toISOString() }]
+    });
+    const questService = new QuestService(api, CONFIG, { accountIndex: 1 });
+
+    await questService.completeQuests();
+
+    expect(api.completeQuest).not.toHaveBeenCalled();
+    expect(questService.outcomes).toEqual({
+      daily_dice_roll: { status: QUEST_STATUS.ALREADY_COMPLETED, credits: 0, message: null },
+      minesweeper: { status: QUEST_STATUS.NOT_COMPLETED, credits: 0, message: 'No game won in 3 attempts' }
+    });
+  });
+
+  test('fetches the quest list once and plays Minesweeper under its listed ID', async () => {
+    mockMinesweeper(async () => ({ questId: 'minesweeper', totalCredits: 20, attempts: 2 }));
+    const api = createApi();
+
+    await new QuestService(api, CONFIG, { accountIndex: 1 }).completeQuests();
+
+    expect(api.getQuests).toHaveBeenCalledTimes(1);
+    expect(MinesweeperService).toHaveBeenCalledWith(api, CONFIG, expect.any(Object), 'minesweeper-quest');
+  });
+
+  test('fails a quest the platform no longer lists and says which one', async () => {
+    mockMinesweeper(async () => ({ questId: 'minesweeper', totalCredits: 20, attempts: 2 }));
+    const api = createApi();
+    api.getQuests.mockResolvedValue({ data: [{ id: 'dice-quest', title: 'Daily Dice Roll', slug: 'daily-dice-roll' }] });
+    const questService = new QuestService(api, CONFIG, { accountIndex: 1 });
+
+    await questService.completeQuests();
+
+    expect(questService.outcomes.daily_dice_roll.status).toBe(QUEST_STATUS.COMPLETED);
+    expect(questService.outcomes.minesweeper).toEqual({
+      status: QUEST_STATUS.FAILED,
+      credits: 0,
+      message: 'Minesweeper quest not found on the platform: no quest with slug "minesweeper" or title "Minesweeper"' +
+        ' (platform lists: Daily Dice Roll (daily-dice-roll))'
+    });
+    expect(MinesweeperService).not.toHaveBeenCalled();
+  });
+
+  test('finds quests by the ID set in the configuration', async () => {
+    mockMinesweeper(async () => ({ questId: 'minesweeper', totalCredits: 20, attempts: 2 }));
+    const api = createApi();
+    api.getQuests.mockResolvedValue({ data: [{ id: 'new-id', title: 'Mines', slug: 'mines-v2' }] });
+    const config = { quests: { minesweeper: { enabled: true, match: { id: 'new-id' } } } };
+    const questService = new QuestService(api, config, { accountIndex: 1 });
+
+    await questService.completeQuests();
+
+    expect(questService.outcomes.minesweeper.status).toBe(QUEST_STATUS.COMPLETED);
+    expect(MinesweeperService).toHaveBeenCalledWith(api, config, expect.any(Object), 'new-id');
+  });
+
+  test('records failed and disabled quests', async () => {
+    const api = createApi({
+      roll: async () => {
+        throw new Error('Request failed with status code 500');
+      }
+    });
+    const config = { quests: { daily_dice_roll: { enabled: true }, minesweeper: { enabled: false } } };
+    const questService = new QuestService(api, config, { accountIndex: 1 });
+
+    await questService.completeQuests();
+
+    expect(questService.outcomes).toEqual({
+      daily_dice_roll: { status: QUEST_STATUS.FAILED, credits: 0, message: 'Request failed with status code 500' },
+      minesweeper: { status: QUEST_STATUS.DISABLED, credits: 0, message: null }
+    });
+  });
+});
+
+describe('QuestService quest selection', () => {
+  test('runs the enabled quests of the configuration in its order', async () => {
+    const ran = [];
+    const handler = key => createHandler(key, {
+      run: async () => {
+        ran.push(key);
+        return { status: QUEST_STATUS.COMPLETED, credits: 2, result: { key } };
+      }
+    });
+    const registry = new QuestRegistry([handler('first'), handler('second'), handler('third')]);
+    const config = { quests: { third: { enabled: true }, first: { enabled: true }, second: { enabled: false } } };
+    const questService = new QuestService({}, config, { accountIndex: 1, registry });
+
+    const completed = await questService.completeQuests();
+
+    expect(ran).toEqual(['third', 'first']);
+    expect(completed).toEqual([{ key: 'third' }, { key: 'first' }]);
+    expect(questService.outcomes).toEqual({
+      third: { status: QUEST_STATUS.COMPLETED, credits: 2, message: null },
+      first: { status: QUEST_STATUS.COMPLETED, credits: 2, message: null },
+      second: { status: QUEST_STATUS.DISABLED, credits: 0, message: null }
+    });
+  });
+
+  test('skips quests without a handler', async () => {
+    const registry = new QuestRegistry([createHandler('known')]);
+    const questService = new QuestService({}, { quests: { unknown: { enabled: true }, known: { enabled: true } } }, { registry });
+
+    await questService.completeQuests();
+
+    expect(Object.keys(questService.outcomes)).toEqual(['known']);
+  });
+
+  test('does not run quests that are done today', async () => {
+    const run = jest.fn();
+    const registry = new QuestRegistry([createHandler('done', { isDoneToday: async () => true, run })]);
+    const questService = new QuestService({}, { quests: { done: { enabled: true } } }, { registry });
+
+    const completed = await questService.completeQuests();
+
+    expect(run).not.toHaveBeenCalled();
+    expect(completed).toEqual([{ quest: 'done', status: 'COMPLETED', message: 'Quest already completed' }]);
+    expect(questService.outcomes.done.status).toBe(QUEST_STATUS.ALREADY_COMPLETED);
+  });
+
+  test('fails a quest that runs past its timeout and moves on', async () => {
+    const clock = new VirtualClock('2026-03-01T12:00:00Z');
+    const registry = new QuestRegistry([
+      createHandler('slow', { run: ({ signal }) => clock.sleep(60000, signal), timeout: 5000 }),
+      createHandler('fast')
+    ]);
+    const config = { quests: { slow: { enabled: true }, fast: { enabled: true } } };
+    const questService = new QuestService({}, config, { registry, clock });
+
+    await questService.completeQuests();
+
+    expect(questService.outcomes).toEqual({
+      slow: { status: QUEST_STATUS.FAILED, credits: 0, message: 'slow quest timed out after 5s' },
+      fast: { status: QUEST_STATUS.COMPLETED, credits: 1, message: null }
+    });
+  });
+
+  test('reports the quest cut short when the run is cancelled and runs no other', async () => {
+    const clock = new VirtualClock('2026-03-01T12:00:00Z');
+    const controller = new AbortController();
+    const fast = jest.fn(async () => ({ status: QUEST_STATUS.COMPLETED, credits: 1 }));
+    const registry = new QuestRegistry([
+      createHandler('slow', {
+        run: ({ signal }) => {
+          clock.setTimeout(() => controller.abort(new Error('Quest completion timed out for main')), 1000);
+          return clock.sleep(60000, signal);
+        },
+        timeout: 5000
+      }),
+      createHandler('fast', { run: fast })
+    ]);
+    const config = { quests: { slow: { enabled: true }, fast: { enabled: true } } };
+    const questService = new QuestService({}, config, { registry, clock });
+
+    await expect(questService.completeQuests({ signal: controller.signal }))
+      .rejects.toThrow('Quest completion timed out for main');
+
+    expect(questService.outcomes).toEqual({
+      slow: { status: QUEST_STATUS.FAILED, credits: 0, message: 'Quest completion timed out for main' }
+    });
+    expect(fast).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+// test/services/RunReporter.test.js
+jest.mock('../../src/utils/logger');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const RunReporter = require('../../src/services/RunReporter');
+
+const DAY = 24 * 60 * 60 * 1000;
+const STARTED_AT = Date.parse('2026-03-01T00:10:00Z');
+
+const ACCOUNTS = [
+  { accountIndex: 1, label: 'main', address: '0xAbc' },
+  { accountIndex: 2, label: 'alt, second', address: '0xDef' }
+];
+
+function buildRows() {
+  return [
+    RunReporter.buildRow(ACCOUNTS[0], {
+      wallet: '0xAbc',
+      sessionReused: true,
+      completedQuests: [{}],
+      balanceBefore: 100,
+      balanceAfter: 105,
+      quests: {
+        daily_dice_roll: { status: 'completed', credits: 5, message: null },
+        minesweeper: { status: 'not_completed', credits: 0, message: 'No game won in 3 attempts' }
+      }
+    }, { startedAt: STARTED_AT, finishedAt: STARTED_AT + 42300 }),
+    RunReporter.buildRow(ACCOUNTS[1], {
+      wallet: '0xDef',
+      error: 'Authentication failed: All captchas failed to solve',
+      authFailure: 'captcha_failed',
+      completedQuests: []
+    }, { startedAt: STARTED_AT + 60000, finishedAt: STARTED_AT + 90000 })
+  ];
+}
+
+describe('RunReporter', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reports-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('builds a row per account', () => {
+    expect(buildRows()).toEqual([
+      {
+        accountIndex: 1,
+        label: 'main',
+        address: '0xAbc',
+        startedAt: '2026-03-01T00:10:00.000Z',
+        durationSeconds: 42.3,
+        outcome: 'succeeded',
+        auth: 'session_reused',
+        authFailure: null,
+        quests: {
+          daily_dice_roll: { status: 'completed', credits: 5, message: null },
+          minesweeper: { status: 'not_completed', credits: 0, message: 'No game won in 3 attempts' }
+        },
+        credits: 5,
+        balanceBefore: 100,
+        balanceAfter: 105,
+        balanceDelta: 5,
+        errorCategory: null,
+        error: null
+      },
+      expect.objectContaining({ balanceBefore: null, balanceDelta: null, outcome: 'failed', auth: 'failed', authFailure: 'captcha_failed', errorCategory: 'auth' })
+    ]);
+  });
+
+  test('categorizes errors', () => {
+    const { ERROR_CATEGORY } = RunReporter;
+
+    expect(RunReporter.categorizeError({ error: 'Invalid private key: invalid hexlify value' })).toBe(ERROR_CATEGORY.INVALID_KEY);
+    expect(RunReporter.categorizeError({ error: 'Processing timeout before quests' })).toBe(ERROR_CATEGORY.TIMEOUT);
+    expect(RunReporter.categorizeError({ questError: 'Quest completion timed out for main' })).toBe(ERROR_CATEGORY.TIMEOUT);
+    expect(RunReporter.categorizeError({
+      error: 'Authentication failed: Authentication timed out for main',
+      authFailure: 'timeout'
+    })).toBe(ERROR_CATEGORY.TIMEOUT);
+    expect(RunReporter.categorizeError({ error: 'Authentication failed: captcha', authFailure: 'captcha_failed' })).toBe(ERROR_CATEGORY.AUTH);
+    expect(RunReporter.categorizeError({ questError: 'Request failed with status code 500' })).toBe(ERROR_CATEGORY.QUEST);
+    expect(RunReporter.categorizeError({ error: 'socket hang up' })).toBe(ERROR_CATEGORY.OTHER);
+    expect(RunReporter.categorizeError({ completedQuests: [] })).toBeNull();
+  });
+
+  test('writes a JSON and a CSV report named after the cycle start', async () => {
+    const reporter = new RunReporter({ dir, history_days: 90 });
+
+    const jsonPath = await reporter.write({ startedAt: STARTED_AT, finishedAt: STARTED_AT + 90000, rows: buildRows() });
+
+    expect(jsonPath).toBe(path.join(dir, 'run-2026-03-01T00-10-00Z.json'));
+    expect(await fs.readJson(jsonPath)).toMatchObject({
+      startedAt: '2026-03-01T00:10:00.000Z',
+      durationSeconds: 90,
+      totals: { accounts: 2, succeeded: 1, failed: 1, credits: 5, balanceDelta: 5 }
+    });
+    expect(await fs.readFile(path.join(dir, 'run-2026-03-01T00-10-00Z.csv'), 'utf8')).toBe([
+      'label,address,started_at,duration_s,outcome,auth,auth_failure,daily_dice_roll,daily_dice_roll_credits,minesweeper,minesweeper_credits,credits,balance_before,balance_after,balance_delta,error_category,error',
+      'main,0xAbc,2026-03-01T00:10:00.000Z,42.3,succeeded,session_reused,,completed,5,not_completed,0,5,100,105,5,,',
+      '"alt, second",0xDef,2026-03-01T00:11:00.000Z,30,failed,failed,captcha_failed,,,,,0,,,,auth,Authentication failed: All captchas failed to solve',
+      ''
+    ].join('\n'));
+  });
+
+  test('keeps a rolling history across cycles', async () => {
+    const reporter = new RunReporter({ dir, history_days: 2 });
+
+    await reporter.write({ startedAt: STARTED_AT, finishedAt: STARTED_AT + 90000, rows: buildRows() });
+    const [row] = buildRows();
+    const later = STARTED_AT + 3 * DAY;
+    await reporter.write({
+      startedAt: later,
+      finishedAt: later + 60000,
+      rows: [{ ...row, startedAt: new Date(later).toISOString() }]
+    });
+
+    expect(await fs.readFile(path.join(dir, 'history.csv'), 'utf8')).toBe([
+      'date,started_at,label,address,outcome,credits,balance,error_category',
+      '2026-03-04,2026-03-04T00:10:00.000Z,main,0xAbc,succeeded,5,105,',
+      ''
+    ].join('\n'));
+    expect((await fs.readdir(dir)).sort()).toEqual(['history.csv', 'run-2026-03-04T00-10-00Z.csv', 'run-2026-03-04T00-10-00Z.json']);
+  });
+});
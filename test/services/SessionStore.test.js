@@ -0,0 +1,80 @@
+// test/services/SessionStore.test.js
+jest.mock('../../src/utils/logger');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SessionStore = require('../../src/services/SessionStore');
+const CookieJar = require('../../src/services/CookieJar');
+
+const ADDRESS = '0xAbC0000000000000000000000000000000000001';
+
+describe('SessionStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  function createJar() {
+    const jar = new CookieJar();
+    jar.setCookies(['__Secure-next-auth.session-token=very-secret-token; Max-Age=3600', 'csrf=abc']);
+    return jar;
+  }
+
+  test('returns an empty jar when nothing is saved', async () => {
+    const store = new SessionStore(dir, 'secret');
+    await store.init();
+
+    const jar = await store.load(ADDRESS);
+
+    expect(jar.size).toBe(0);
+  });
+
+  test('round-trips a jar encrypted at rest', async () => {
+    const store = new SessionStore(dir, 'secret');
+    await store.init();
+
+    await store.save(ADDRESS, createJar());
+
+    const [file] = (await fs.readdir(dir)).filter(name => name.endsWith('.session'));
+    expect(file).toBe(`${ADDRESS.toLowerCase()}.session`);
+    expect(await fs.readFile(path.join(dir, file), 'utf8')).not.toContain('very-secret-token');
+    expect((await store.load(ADDRESS)).getCookieHeader()).toBe(createJar().getCookieHeader());
+  });
+
+  test('generates and reuses a key when no secret is configured', async () => {
+    const store = new SessionStore(dir);
+    await store.init();
+    await store.save(ADDRESS, createJar());
+
+    const restarted = new SessionStore(dir);
+    await restarted.init();
+
+    expect(await fs.pathExists(path.join(dir, '.key'))).toBe(true);
+    expect((await restarted.load(ADDRESS)).size).toBe(2);
+  });
+
+  test('ignores sessions encrypted with another key', async () => {
+    const store = new SessionStore(dir, 'secret');
+    await store.init();
+    await store.save(ADDRESS, createJar());
+
+    const other = new SessionStore(dir, 'another secret');
+    await other.init();
+
+    expect((await other.load(ADDRESS)).size).toBe(0);
+  });
+
+  test('ignores corrupt session files', async () => {
+    const store = new SessionStore(dir, 'secret');
+    await store.init();
+    await fs.writeFile(path.join(dir, `${ADDRESS.toLowerCase()}.session`), '{not json');
+
+    expect((await store.load(ADDRESS)).size).toBe(0);
+  });
+});
@@ -0,0 +1,96 @@
+// test/services/StateStore.test.js
+jest.mock('../../src/utils/logger');
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const StateStore = require('../../src/services/StateStore');
+
+const ADDRESS = '0xAbC0000000000000000000000000000000000001';
+
+describe('StateStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-store-'));
+    filePath = path.join(dir, 'nested', 'state.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('starts empty when no state file exists', async () => {
+    const store = new StateStore(filePath);
+
+    await store.load();
+
+    expect(store.getAccounts()).toEqual([]);
+  });
+
+  test('survives a restart', async () => {
+    const store = new StateStore(filePath);
+    await store.load();
+    const when = new Date('2026-03-01T10:00:00Z');
+    store.recordLogin(ADDRESS, when);
+    store.recordQuestCompletion(ADDRESS, 'daily_dice_roll', { questId: 'dice', credits: 12, when });
+    store.recordMinesweeperGame(ADDRESS, when);
+    store.recordRun(ADDRESS, 'Quest error', when);
+    await store.save();
+
+    const restarted = new StateStore(filePath);
+    await restarted.load();
+    const account = restarted.getAccount(ADDRESS.toLowerCase());
+
+    expect(account.lastLoginAt).toBe('2026-03-01T10:00:00.000Z');
+    expect(account.quests.daily_dice_roll).toMatchObject({ questId: 'dice', lastCredits: 12, totalCredits: 12, completions: 1 });
+    expect(restarted.getMinesweeperGamesToday(ADDRESS, when)).toBe(1);
+    expect(account.lastError).toEqual({ message: 'Quest error', at: '2026-03-01T10:00:00.000Z' });
+    expect(account.failureCount).toBe(1);
+  });
+
+  test('only reports quests completed on the current UTC day', async () => {
+    const store = new StateStore(filePath);
+    store.recordQuestCompletion(ADDRESS, 'daily_dice_roll', { when: new Date('2026-03-01T23:59:00Z') });
+
+    expect(store.isQuestCompletedToday(ADDRESS, 'daily_dice_roll', new Date('2026-03-01T23:59:30Z'))).toBe(true);
+    expect(store.isQuestCompletedToday(ADDRESS, 'daily_dice_roll', new Date('2026-03-02T00:00:01Z'))).toBe(false);
+    expect(store.isQuestCompletedToday(ADDRESS, 'minesweeper', new Date('2026-03-01T23:59:30Z'))).toBe(false);
+  });
+
+  test('keeps the last known balance when a run cannot read it', () => {
+    const store = new StateStore(filePath);
+    store.recordBalance(ADDRESS, 100, 125, new Date('2026-03-01T08:00:00Z'));
+    store.recordBalance(ADDRESS, null, null, new Date('2026-03-02T08:00:00Z'));
+
+    expect(store.getAccount(ADDRESS).balance).toEqual({
+      credits: 125, before: 100, after: 125, delta: 25, updatedAt: '2026-03-01T08:00:00.000Z'
+    });
+
+    store.recordBalance(ADDRESS, 130, null, new Date('2026-03-03T08:00:00Z'));
+
+    expect(store.getAccount(ADDRESS).balance).toMatchObject({ credits: 130, delta: null });
+  });
+
+  test('resets the minesweeper game count on a new day', () => {
+    const store = new StateStore(filePath);
+    store.recordMinesweeperGame(ADDRESS, new Date('2026-03-01T08:00:00Z'));
+    store.recordMinesweeperGame(ADDRESS, new Date('2026-03-01T09:00:00Z'));
+    store.recordMinesweeperGame(ADDRESS, new Date('2026-03-02T08:00:00Z'));
+
+    expect(store.getMinesweeperGamesToday(ADDRESS, new Date('2026-03-02T10:00:00Z'))).toBe(1);
+    expect(store.getMinesweeperGamesToday(ADDRESS, new Date('2026-03-03T10:00:00Z'))).toBe(0);
+  });
+
+  test('moves an unreadable state file aside and starts fresh', async () => {
+    await fs.outputFile(filePath, '{ not json');
+    const store = new StateStore(filePath);
+
+    await store.load();
+
+    expect(store.getAccounts()).toEqual([]);
+    expect(await fs.pathExists(filePath)).toBe(false);
+    expect((await fs.readdir(path.dirname(filePath))).some(name => name.startsWith('state.json.corrupt-'))).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+// test/services/Vault.test.js
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const Vault = require('../../src/services/Vault');
+
+const KEYS = [`0x${'1'.padStart(64, '0')}`, `0x${'2'.padStart(64, '0')}`];
+
+describe('Vault', () => {
+  let dir;
+  let originalKdf;
+
+  beforeAll(() => {
+    originalKdf = Vault.KDF;
+    Vault.KDF = { N: 1024, r: 8, p: 1 };
+  });
+
+  afterAll(() => {
+    Vault.KDF = originalKdf;
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('keeps keys encrypted at rest', async () => {
+    const vault = new Vault(path.join(dir, 'nested', 'vault.json'));
+
+    await vault.save(KEYS, 'passphrase');
+
+    const content = await fs.readFile(vault.filePath, 'utf8');
+    expect(content).not.toContain('1'.padStart(64, '0'));
+    expect(await vault.load('passphrase')).toEqual(KEYS);
+  });
+
+  test('rejects a wrong passphrase', async () => {
+    const vault = new Vault(path.join(dir, 'vault.json'));
+    await vault.save(KEYS, 'passphrase');
+
+    await expect(vault.load('guess')).rejects.toThrow(`Could not open vault ${vault.filePath}: wrong secret or corrupt data`);
+  });
+
+  test('reports a missing vault', async () => {
+    const vault = new Vault(path.join(dir, 'missing.json'));
+
+    await expect(vault.load('passphrase')).rejects.toThrow(`Vault file not found: ${vault.filePath}`);
+  });
+});
@@ -0,0 +1,52 @@
+// test/services/WalletService.test.js
+jest.mock('../../src/utils/logger');
+
+const { ethers } = require('ethers');
+const WalletService = require('../../src/services/WalletService');
+
+const PRIVATE_KEY = `0x${'1'.padStart(64, '0')}`;
+
+describe('WalletService.createAuthMessage', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('builds the sign-in message with the address, nonce and time', () => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T10:00:00Z') });
+    const address = new ethers.Wallet(PRIVATE_KEY).address;
+
+    expect(WalletService.createAuthMessage(address, 'csrf-token')).toBe([
+      'www.magicnewton.com wants you to sign in with your Ethereum account:',
+      address,
+      '',
+      'Please sign with your account',
+      '',
+      'URI: https://www.magicnewton.com',
+      'Version: 1',
+      'Chain ID: 1',
+      'Nonce: csrf-token',
+      'Issued At: 2026-03-01T10:00:00.000Z'
+    ].join('\n'));
+  });
+
+  test('uses the given signing time', () => {
+    const message = WalletService.createAuthMessage('0xabc', 'nonce', new Date('2026-03-02T00:00:00Z'));
+
+    expect(message.endsWith('Issued At: 2026-03-02T00:00:00.000Z')).toBe(true);
+  });
+
+  test('produces a message the wallet address can be recovered from', async () => {
+    const wallet = WalletService.createWallet(PRIVATE_KEY);
+    const message = WalletService.createAuthMessage(wallet.address, 'nonce');
+
+    const signature = await WalletService.signMessage(message, wallet);
+
+    expect(ethers.utils.verifyMessage(message, signature)).toBe(wallet.address);
+  });
+});
+
+describe('WalletService.createWallet', () => {
+  test('rejects invalid private keys', () => {
+    expect(() => WalletService.createWallet('0x1234')).toThrow('Invalid private key');
+  });
+});
@@ -0,0 +1,116 @@
+// test/services/minesweeper/BoardState.test.js
+const BoardState = require('../../../src/services/minesweeper/BoardState');
+
+const _ = null;
+const F = BoardState.FLAG;
+
+describe('BoardState', () => {
+  test('reads dimensions and tiles from the initial board', () => {
+    const board = new BoardState([
+      [_, 1, 0],
+      [_, 1, 0]
+    ]);
+
+    expect(board.width).toBe(3);
+    expect(board.height).toBe(2);
+    expect(board.isClickable(0, 0)).toBe(true);
+    expect(board.isClickable(1, 0)).toBe(false);
+    expect(board.isClickable(5, 0)).toBe(false);
+  });
+
+  test('flagged tiles are not clickable and show up as FLAG', () => {
+    const board = new BoardState([
+      [_, _],
+      [1, 1]
+    ]);
+
+    board.setFlag(0, 0);
+
+    expect(board.isFlagged(0, 0)).toBe(true);
+    expect(board.isClickable(0, 0)).toBe(false);
+    expect(board.flagCount).toBe(1);
+    expect(board.getTiles()).toEqual([
+      [F, _],
+      [1, 1]
+    ]);
+  });
+
+  test('keeps local flags when a click response does not mention them', () => {
+    const board = new BoardState([
+      [_, _, _],
+      [_, _, _]
+    ]);
+    board.setFlag(0, 0);
+
+    board.applyResponse({
+      tiles: [
+        [_, 1, 0],
+        [_, 1, 0]
+      ],
+      gameOver: false,
+      exploded: false
+    });
+
+    expect(board.isFlagged(0, 0)).toBe(true);
+    expect(board.getTiles()).toEqual([
+      [F, 1, 0],
+      [_, 1, 0]
+    ]);
+  });
+
+  test('drops the flag of a tile the platform revealed', () => {
+    const board = new BoardState([[_, _]]);
+    board.setFlag(1, 0);
+
+    board.applyTiles([[_, 2]]);
+
+    expect(board.isFlagged(1, 0)).toBe(false);
+    expect(board.getTiles()).toEqual([[_, 2]]);
+  });
+
+  test('picks up flags from the tile grid and from a separate flag list', () => {
+    const board = new BoardState([[_, _, _]]);
+
+    board.applyResponse({ tiles: [['FLAG', _, _]], flags: [{ x: 1, y: 0 }, [2, 0]] });
+
+    expect(board.getTiles()).toEqual([[F, F, F]]);
+  });
+
+  test('does not flag revealed tiles', () => {
+    const board = new BoardState([[1, _]]);
+
+    board.setFlag(0, 0);
+
+    expect(board.isFlagged(0, 0)).toBe(false);
+  });
+
+  test('tracks game over state from responses', () => {
+    const board = new BoardState([[_]]);
+
+    board.applyResponse({ tiles: [[_]], gameOver: true, exploded: true });
+
+    expect(board.gameOver).toBe(true);
+    expect(board.exploded).toBe(true);
+  });
+
+  test('fromResponse sizes the board from the START response', () => {
+    const board = BoardState.fromResponse({ width: 4, height: 2, mineCount: 3, tiles: [] });
+
+    expect(board.width).toBe(4);
+    expect(board.height).toBe(2);
+    expect(board.size).toBe(8);
+    expect(board.mineCount).toBe(3);
+    expect(board.getTiles()).toEqual([
+      [_, _, _, _],
+      [_, _, _, _]
+    ]);
+  });
+
+  test('fromResponse falls back to the tile grid for dimensions', () => {
+    const board = BoardState.fromResponse({ tiles: [[_, _, _]], gameOver: false });
+
+    expect(board.width).toBe(3);
+    expect(board.height).toBe(1);
+    expect(board.mineCount).toBeNull();
+  });
+});
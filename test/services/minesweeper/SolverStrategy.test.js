@@ -0,0 +1,142 @@
+// test/services/minesweeper/SolverStrategy.test.js
+const SolverStrategy = require('../../../src/services/minesweeper/SolverStrategy');
+const { createStrategy, RandomStrategy } = require('../../../src/services/minesweeper');
+
+// Shorthand for unopened tiles in the fixed boards below
+const _ = null;
+
+describe('SolverStrategy', () => {
+  test('marks every neighbour of a zero as safe', () => {
+    const tiles = [
+      [0, _, _],
+      [_, _, _],
+      [_, _, _]
+    ];
+
+    const analysis = new SolverStrategy().analyze(tiles);
+
+    expect(analysis.safe).toEqual([{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }]);
+    expect(analysis.mines).toEqual([]);
+  });
+
+  test('marks a mine when a number has exactly that many unopened neighbours', () => {
+    // (2,1) only sees (1,0), which makes (0,0) safe for the 1 at (0,1)
+    const tiles = [
+      [_, _, 1],
+      [1, 1, 1],
+      [0, 0, 0]
+    ];
+
+    const analysis = new SolverStrategy().analyze(tiles);
+
+    expect(analysis.mines).toEqual([{ x: 1, y: 0 }]);
+    expect(analysis.safe).toEqual([{ x: 0, y: 0 }]);
+  });
+
+  test('applies the subset rule', () => {
+    // 1-2-1 pattern: the 1 at (0,1) is a subset of the 2 at (1,1), so (2,0) is a
+    // mine, which clears (1,0) and puts the other mine under the first 1
+    const tiles = [
+      [_, _, _],
+      [1, 2, 1],
+      [0, 0, 0]
+    ];
+
+    const analysis = new SolverStrategy().analyze(tiles);
+
+    expect(analysis.safe).toEqual([{ x: 1, y: 0 }]);
+    expect(analysis.mines).toEqual([{ x: 0, y: 0 }, { x: 2, y: 0 }]);
+  });
+
+  test('nextMove returns a certain tile with zero probability', () => {
+    const tiles = [
+      [0, _],
+      [_, _]
+    ];
+
+    expect(new SolverStrategy().nextMove(tiles)).toEqual({ x: 1, y: 0, probability: 0 });
+  });
+
+  test('guesses the tile with the lowest mine probability when nothing is certain', () => {
+    // The 1 sees five unopened tiles holding one mine (20% each);
+    // the top row shares the other 2 mines (67% each)
+    const tiles = [
+      [_, _, _],
+      [_, _, _],
+      [_, 1, _]
+    ];
+    const solver = new SolverStrategy({ mineCount: 3, random: () => 0 });
+
+    const move = solver.nextMove(tiles);
+
+    expect(move.probability).toBeCloseTo(0.2);
+    expect([[0, 1], [1, 1], [2, 1], [0, 2], [2, 2]]).toContainEqual([move.x, move.y]);
+  });
+
+  test('uses the mine count to clear unconstrained tiles', () => {
+    // The only mine is next to the 1, so the top row cannot hold any
+    const tiles = [
+      [_, _, _],
+      [_, _, _],
+      [_, 1, _]
+    ];
+
+    const analysis = new SolverStrategy({ mineCount: 1 }).analyze(tiles);
+
+    expect(analysis.safe).toEqual([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }]);
+  });
+
+  test('returns null when there is nothing left to click', () => {
+    const tiles = [
+      [1, 1],
+      [1, 1]
+    ];
+
+    expect(new SolverStrategy().nextMove(tiles)).toBeNull();
+  });
+
+  test('never guesses a known mine', () => {
+    const tiles = [
+      [_, 1],
+      [1, 1]
+    ];
+
+    expect(new SolverStrategy().nextMove(tiles)).toBeNull();
+  });
+
+  test('falls back to estimates when the search budget runs out', () => {
+    const tiles = [
+      [_, _, _, _, _],
+      [_, 2, _, 2, _],
+      [_, _, _, _, _]
+    ];
+    const solver = new SolverStrategy({ maxSearchNodes: 3, random: () => 0 });
+
+    const move = solver.nextMove(tiles);
+
+    expect(move).not.toBeNull();
+    expect(move.probability).toBeGreaterThan(0);
+  });
+});
+
+describe('createStrategy', () => {
+  test('creates strategies by name', () => {
+    expect(createStrategy('solver')).toBeInstanceOf(SolverStrategy);
+    expect(createStrategy('random')).toBeInstanceOf(RandomStrategy);
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => createStrategy('psychic')).toThrow('Unknown minesweeper strategy: psychic');
+  });
+
+  test('random strategy only picks unopened tiles', () => {
+    const strategy = createStrategy('random', { random: () => 0.99 });
+    const tiles = [
+      [0, _],
+      [1, 1]
+    ];
+
+    expect(strategy.nextMove(tiles)).toEqual({ x: 1, y: 0 });
+    expect(strategy.nextMove([[1]])).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+// test/services/quests/DailyDiceRollQuest.test.js
+jest.mock('../../../src/utils/logger');
+
+const DailyDiceRollQuest = require('../../../src/services/quests/DailyDiceRollQuest');
+const { QUEST_STATUS } = require('../../../src/services/quests');
+const { VirtualClock } = require('../../../src/utils/clock');
+
+const CONFIG = { quests: { daily_dice_roll: { enabled: true } } };
+
+/**
+ * API stub with a dice roll quest
+ */
+function createApi({ userQuests = [], roll = async () => ({ data: { credits: 5 } }) } = {}) {
+  return {
+    getQuests: jest.fn(async () => ({ data: [{ id: 'other-quest', title: 'Minesweeper' }, { id: 'dice-quest', title: 'Daily Dice Roll' }] })),
+    getUserQuests: jest.fn(async () => ({ data: userQuests })),
+    completeQuest: jest.fn(roll)
+  };
+}
+
+describe('DailyDiceRollQuest', () => {
+  const today = '2026-03-01T00:05:00.000Z';
+  const yesterday = '2026-02-28T23:55:00.000Z';
+  const clock = new VirtualClock('2026-03-01T12:00:00Z');
+
+  function createQuest(api, accountInfo = {}) {
+    return new DailyDiceRollQuest({ api, config: CONFIG, accountInfo: { accountIndex: 1, clock, ...accountInfo } });
+  }
+
+  test.each([
+    ['completed today', { questId: 'dice-quest', status: 'COMPLETED', createdAt: today }, true],
+    ['claimed today', { questId: 'dice-quest', status: 'CLAIMED', createdAt: today }, true],
+    ['completed yesterday', { questId: 'dice-quest', status: 'COMPLETED', createdAt: yesterday }, false],
+    ['started today', { questId: 'dice-quest', status: 'PENDING', createdAt: today }, false],
+    ['another quest', { questId: 'other-quest', status: 'COMPLETED', createdAt: today }, false],
+    ['without a date', { questId: 'dice-quest', status: 'COMPLETED' }, false]
+  ])('%s', async (name, userQuest, expected) => {
+    expect(await createQuest(createApi({ userQuests: [userQuest] })).isDoneToday()).toBe(expected);
+  });
+
+  test('assumes the quest is open when user quests cannot be read', async () => {
+    const api = createApi();
+    api.getUserQuests.mockRejectedValue(new Error('HTTP 500'));
+
+    expect(await createQuest(api).isDoneToday()).toBe(false);
+  });
+
+  test('fails when the platform has no dice roll quest', async () => {
+    const api = createApi();
+    api.getQuests.mockResolvedValue({ data: [{ id: 'other-quest', title: 'Minesweeper' }] });
+
+    await expect(createQuest(api).isDoneToday()).rejects.toThrow('Daily dice roll quest not found on the platform');
+  });
+
+  test('rolls again once the last roll is from yesterday', async () => {
+    const api = createApi({
+      userQuests: [{ questId: 'dice-quest', status: 'COMPLETED', createdAt: yesterday }]
+    });
+    const quest = createQuest(api);
+
+    expect(await quest.isDoneToday()).toBe(false);
+    const outcome = await quest.run();
+
+    expect(api.completeQuest).toHaveBeenCalledWith('dice-quest', {}, expect.any(Object));
+    expect(outcome).toEqual({ status: QUEST_STATUS.COMPLETED, credits: 5, result: { credits: 5 } });
+  });
+
+  test('reports a roll the platform refuses as already completed', async () => {
+    const stateStore = { isQuestCompletedToday: jest.fn(() => false), recordQuestCompletion: jest.fn() };
+    const api = createApi({
+      roll: async () => {
+        throw Object.assign(new Error('Request failed with status code 400'), {
+          response: { data: { message: 'Quest already completed' } }
+        });
+      }
+    });
+
+    const outcome = await createQuest(api, { address: '0xabc', stateStore }).run();
+
+    expect(outcome.status).toBe(QUEST_STATUS.ALREADY_COMPLETED);
+    expect(stateStore.recordQuestCompletion).toHaveBeenCalledWith('0xabc', 'daily_dice_roll', {
+      questId: 'dice-quest',
+      credits: 0,
+      when: new Date(clock.now())
+    });
+  });
+
+  test('trusts a roll recorded today in the local state', async () => {
+    const stateStore = { isQuestCompletedToday: jest.fn(() => true) };
+    const api = createApi();
+
+    expect(await createQuest(api, { address: '0xabc', stateStore }).isDoneToday()).toBe(true);
+    expect(api.getQuests).not.toHaveBeenCalled();
+    expect(stateStore.isQuestCompletedToday).toHaveBeenCalledWith('0xabc', 'daily_dice_roll', new Date(clock.now()));
+  });
+});
@@ -0,0 +1,97 @@
+// test/services/quests/index.test.js
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { QuestRegistry, QuestHandler, registry } = require('../../../src/services/quests');
+const DailyDiceRollQuest = require('../../../src/services/quests/DailyDiceRollQuest');
+const MinesweeperQuest = require('../../../src/services/quests/MinesweeperQuest');
+const QuestCatalog = require('../../../src/services/QuestCatalog');
+const { object, boolean } = require('../../../src/core/schemaTypes');
+
+/**
+ * Minimal valid handler class
+ */
+function createHandler(key) {
+  class TestQuest extends QuestHandler {
+    async run() {
+      return { status: 'completed' };
+    }
+  }
+  TestQuest.key = key;
+  TestQuest.title = key;
+  TestQuest.match = { slug: key };
+  TestQuest.timeout = 1000;
+  TestQuest.configSchema = object({ enabled: boolean() });
+  return TestQuest;
+}
+
+describe('quest registry', () => {
+  test('finds the handlers of the quests directory', () => {
+    expect(registry.keys()).toEqual(['daily_dice_roll', 'minesweeper']);
+    expect(registry.get('daily_dice_roll')).toBe(DailyDiceRollQuest);
+    expect(registry.get('minesweeper')).toBe(MinesweeperQuest);
+    expect(registry.get('unknown')).toBeNull();
+  });
+
+  test('builds the quests schema from the handlers', () => {
+    const schema = registry.configSchema();
+
+    expect(schema.type).toBe('object');
+    expect(schema.properties.daily_dice_roll.properties).toEqual({
+      enabled: { type: 'boolean' },
+      match: expect.objectContaining({ type: 'object' })
+    });
+    expect(Object.keys(schema.properties.minesweeper.properties.match.properties)).toEqual(['id', 'slug', 'title']);
+    expect(schema.properties.minesweeper.properties.difficulty.enum).toEqual(['EASY', 'NORMAL', 'HARD']);
+  });
+
+  test('finds the dice roll by the title the platform has always used', () => {
+    const quests = [{ id: 'dice-quest', title: 'Daily Dice Roll' }];
+
+    expect(QuestCatalog.find(quests, DailyDiceRollQuest.match)).toBe(quests[0]);
+  });
+
+  test('finds Minesweeper by its slug, whatever its platform ID', () => {
+    const quests = [
+      { id: 'dice-quest', title: 'Daily Dice Roll', slug: 'daily-dice-roll' },
+      { id: 'new-minesweeper-id', title: 'Minesweeper', slug: 'minesweeper' }
+    ];
+
+    expect(QuestCatalog.find(quests, MinesweeperQuest.match)).toBe(quests[1]);
+  });
+
+  test('loads only *Quest.js files from a directory', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quests-'));
+    const handler = `
+      module.exports = class {
+        async isDoneToday() { return false; }
+        async run() { return { status: 'completed' }; }
+      };
+      Object.assign(module.exports, { key: 'custom', match: { slug: 'custom' }, timeout: 1000, configSchema: { type: 'object', properties: { enabled: { type: 'boolean' } } } });
+    `;
+
+    try {
+      await fs.writeFile(path.join(dir, 'CustomQuest.js'), handler);
+      await fs.writeFile(path.join(dir, 'helpers.js'), 'throw new Error("not a handler");');
+
+      expect(QuestRegistry.fromDirectory(dir).keys()).toEqual(['custom']);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('rejects incomplete and duplicate handlers', () => {
+    const withoutTimeout = createHandler('slow');
+    delete withoutTimeout.timeout;
+    const withoutEnabled = createHandler('partial');
+    withoutEnabled.configSchema = object({});
+    const withoutMatch = createHandler('lost');
+    withoutMatch.match = { slug: '' };
+
+    expect(() => new QuestRegistry([class {}])).toThrow('has no key');
+    expect(() => new QuestRegistry([withoutTimeout])).toThrow('Quest handler slow has no timeout');
+    expect(() => new QuestRegistry([withoutMatch])).toThrow('Quest handler lost has no match with an id, slug or title');
+    expect(() => new QuestRegistry([withoutEnabled])).toThrow('has no config schema with an enabled key');
+    expect(() => new QuestRegistry([createHandler('twice'), createHandler('twice')])).toThrow('Quest handler twice is already registered');
+  });
+});
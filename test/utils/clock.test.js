@@ -0,0 +1,120 @@
+// test/utils/clock.test.js
+const { systemClock, VirtualClock } = require('../../src/utils/clock');
+const { withAbortTimeout } = require('../../src/utils/helpers');
+
+const START = '2026-03-01T10:00:00Z';
+
+describe('VirtualClock', () => {
+  test('moves the time forward on every sleep without waiting', async () => {
+    const clock = new VirtualClock(START);
+
+    await clock.sleep(25 * 60 * 60 * 1000);
+
+    expect(new Date(clock.now()).toISOString()).toBe('2026-03-02T11:00:00.000Z');
+  });
+
+  test('fires timers in order once the time passes them', async () => {
+    const clock = new VirtualClock(START);
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 2000);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 1000);
+    const cancelled = clock.setTimeout(() => fired.push(['c', clock.now()]), 1500);
+    clock.clearTimeout(cancelled);
+
+    await clock.sleep(999);
+    expect(fired).toEqual([]);
+
+    await clock.sleep(5000);
+    const start = new Date(START).getTime();
+    expect(fired).toEqual([['a', start + 1000], ['b', start + 2000]]);
+    expect(clock.now()).toBe(start + 5999);
+  });
+
+  test('fires timers set by other timers when they fall due', () => {
+    const clock = new VirtualClock(START);
+    const fired = [];
+    clock.setTimeout(() => {
+      fired.push('outer');
+      clock.setTimeout(() => fired.push('inner'), 1000);
+    }, 1000);
+
+    clock.advance(2000);
+
+    expect(fired).toEqual(['outer', 'inner']);
+  });
+
+  test('lets concurrent sleeps overlap', async () => {
+    const clock = new VirtualClock(START);
+    const wokeAt = [];
+    const nap = async ms => {
+      await clock.sleep(ms);
+      wokeAt.push([ms, clock.now() - new Date(START).getTime()]);
+    };
+
+    await Promise.all([nap(5000), nap(2000), nap(5000)]);
+
+    expect(wokeAt).toEqual([[2000, 2000], [5000, 5000], [5000, 5000]]);
+  });
+
+  test('rejects a sleep whose signal a timer aborts', async () => {
+    const clock = new VirtualClock(START);
+    const controller = new AbortController();
+    clock.setTimeout(() => controller.abort(new Error('timed out')), 1000);
+
+    await expect(clock.sleep(5000, controller.signal)).rejects.toThrow('timed out');
+    await expect(clock.sleep(5000, controller.signal)).rejects.toThrow('timed out');
+  });
+
+  test('never moves the time backwards', () => {
+    const clock = new VirtualClock(START);
+
+    clock.set('2026-02-01T00:00:00Z');
+
+    expect(clock.now()).toBe(new Date(START).getTime());
+  });
+});
+
+describe('withAbortTimeout on a VirtualClock', () => {
+  test('times out work that sleeps past the timeout', async () => {
+    const clock = new VirtualClock(START);
+    let polls = 0;
+
+    const polling = withAbortTimeout(async signal => {
+      for (;;) {
+        await clock.sleep(3000, signal);
+        polls++;
+      }
+    }, 10000, 'Too slow', null, clock);
+
+    await expect(polling).rejects.toThrow('Too slow');
+    expect(polls).toBe(3);
+    expect(clock.now() - new Date(START).getTime()).toBe(10000);
+  });
+
+  test('leaves work that finishes in time alone', async () => {
+    const clock = new VirtualClock(START);
+
+    const result = await withAbortTimeout(async signal => {
+      await clock.sleep(9000, signal);
+      return 'done';
+    }, 10000, 'Too slow', null, clock);
+
+    expect(result).toBe('done');
+    expect(clock.timers).toEqual([]);
+  });
+});
+
+describe('systemClock', () => {
+  test('uses the system time and timers', async () => {
+    const before = Date.now();
+    const fired = jest.fn();
+    systemClock.clearTimeout(systemClock.setTimeout(fired, 0));
+
+    await systemClock.sleep(5);
+
+    // Timers may fire up to a millisecond early as measured by Date.now()
+    expect(systemClock.now()).toBeGreaterThanOrEqual(before + 4);
+    expect(fired).not.toHaveBeenCalled();
+    await expect(systemClock.sleep(10000, AbortSignal.abort(new Error('stopped')))).rejects.toThrow('stopped');
+  });
+});
@@ -0,0 +1,127 @@
+// test/utils/helpers.test.js
+const { sleep, withTimeout, withAbortTimeout, throwIfAborted, getUtcDate, getLogPrefix } = require('../../src/utils/helpers');
+
+describe('sleep', () => {
+  test('rejects with the abort reason when aborted', async () => {
+    const controller = new AbortController();
+    const pending = sleep(10000, controller.signal);
+
+    controller.abort(new Error('stopped'));
+
+    await expect(pending).rejects.toThrow('stopped');
+  });
+
+  test('rejects straight away with an aborted signal', async () => {
+    await expect(sleep(10000, AbortSignal.abort(new Error('stopped')))).rejects.toThrow('stopped');
+  });
+});
+
+describe('throwIfAborted', () => {
+  test('only throws for an aborted signal', () => {
+    expect(() => throwIfAborted(undefined)).not.toThrow();
+    expect(() => throwIfAborted(new AbortController().signal)).not.toThrow();
+    expect(() => throwIfAborted(AbortSignal.abort(new Error('stopped')))).toThrow('stopped');
+  });
+});
+
+describe('signals without an abort reason', () => {
+  /**
+   * Aborted signal as seen on Node before 16.14, which has no AbortSignal.reason
+   */
+  function abortedWithoutReason() {
+    return { aborted: true, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+  }
+
+  test('abort with an "Aborted" error', async () => {
+    expect(() => throwIfAborted(abortedWithoutReason())).toThrow('Aborted');
+    await expect(sleep(10000, abortedWithoutReason())).rejects.toThrow('Aborted');
+    await expect(withAbortTimeout(() => new Promise(() => {}), 10000, 'Too slow', abortedWithoutReason()))
+      .rejects.toThrow('Aborted');
+  });
+});
+
+describe('withTimeout', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('resolves with the result of the promise and clears its timer', async () => {
+    jest.useFakeTimers();
+
+    await expect(withTimeout(Promise.resolve('done'), 1000)).resolves.toBe('done');
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('rejects with the given message when the promise is too slow', async () => {
+    jest.useFakeTimers();
+    const pending = withTimeout(new Promise(() => {}), 1000, 'Too slow');
+
+    jest.advanceTimersByTime(1000);
+
+    await expect(pending).rejects.toThrow('Too slow');
+  });
+
+  test('uses a default message', async () => {
+    await expect(withTimeout(new Promise(() => {}), 5)).rejects.toThrow('Operation timed out after 5ms');
+  });
+
+  test('passes on the rejection of the promise', async () => {
+    await expect(withTimeout(Promise.reject(new Error('failed')), 1000)).rejects.toThrow('failed');
+  });
+});
+
+describe('withAbortTimeout', () => {
+  test('resolves with the result of the function', async () => {
+    await expect(withAbortTimeout(async () => 'done', 1000)).resolves.toBe('done');
+  });
+
+  test('aborts the signal given to the function when the timeout expires', async () => {
+    let received;
+    const pending = withAbortTimeout(signal => {
+      received = signal;
+      return new Promise(() => {});
+    }, 10, 'Too slow');
+
+    await expect(pending).rejects.toThrow('Too slow');
+    expect(received.aborted).toBe(true);
+    expect(received.reason.message).toBe('Too slow');
+  });
+
+  test('aborts when the parent signal is aborted', async () => {
+    const parent = new AbortController();
+    let received;
+    const pending = withAbortTimeout(signal => {
+      received = signal;
+      return sleep(10000, signal);
+    }, 10000, 'Too slow', parent.signal);
+
+    parent.abort(new Error('Parent stopped'));
+
+    await expect(pending).rejects.toThrow('Parent stopped');
+    expect(received.aborted).toBe(true);
+  });
+
+  test('does not abort once the function has finished', async () => {
+    let received;
+    await withAbortTimeout(async signal => {
+      received = signal;
+    }, 10);
+    await sleep(30);
+
+    expect(received.aborted).toBe(false);
+  });
+});
+
+describe('getUtcDate', () => {
+  test('uses the UTC calendar date', () => {
+    expect(getUtcDate(new Date('2026-03-01T23:59:59-05:00'))).toBe('2026-03-02');
+  });
+});
+
+describe('getLogPrefix', () => {
+  test('prefers the label over the account number', () => {
+    expect(getLogPrefix({ accountIndex: 3, label: 'main' })).toBe('[main] ');
+    expect(getLogPrefix({ accountIndex: 3 })).toBe('[Account 3] ');
+    expect(getLogPrefix()).toBe('');
+  });
+});
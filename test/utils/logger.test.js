@@ -0,0 +1,40 @@
+// test/utils/logger.test.js
+const logger = require('../../src/utils/logger');
+
+describe('logger.runBuffered', () => {
+  let output;
+
+  beforeEach(() => {
+    output = [];
+    jest.spyOn(console, 'info').mockImplementation(line => output.push(line));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('prints each buffered run as one block', async () => {
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+    const account = async name => {
+      logger.info(`${name} start`);
+      await tick();
+      logger.info(`${name} end`);
+    };
+
+    await Promise.all([
+      logger.runBuffered(() => account('A')),
+      logger.runBuffered(() => account('B'))
+    ]);
+
+    expect(output.map(line => line.replace(/^.*\] /, ''))).toEqual(['A start', 'A end', 'B start', 'B end']);
+  });
+
+  test('flushes output when the function throws', async () => {
+    await expect(logger.runBuffered(async () => {
+      logger.info('before failure');
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(output).toHaveLength(1);
+  });
+});
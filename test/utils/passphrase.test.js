@@ -0,0 +1,52 @@
+// test/utils/passphrase.test.js
+const { PassThrough } = require('stream');
+const { readPassphrase } = require('../../src/utils/passphrase');
+
+/**
+ * Fake terminal that types the given lines once prompted
+ */
+function createTerminal(lines) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  input.isTTY = true;
+  input.setRawMode = () => {};
+
+  let written = '';
+  output.on('data', chunk => {
+    written += chunk;
+    if (chunk.toString().endsWith(': ') && lines.length > 0) {
+      setImmediate(() => input.write(`${lines.shift()}\n`));
+    }
+  });
+
+  return { input, output, written: () => written };
+}
+
+describe('readPassphrase', () => {
+  test('prefers the environment variable', async () => {
+    const passphrase = await readPassphrase({ envVar: 'KEY_PASS', env: { KEY_PASS: 'from env' } });
+
+    expect(passphrase).toBe('from env');
+  });
+
+  test('refuses to prompt without a terminal', async () => {
+    await expect(readPassphrase({ envVar: 'KEY_PASS', env: {}, input: { isTTY: false } }))
+      .rejects.toThrow('No passphrase: set KEY_PASS or run in a terminal to enter it');
+  });
+
+  test('prompts without echoing the answer', async () => {
+    const terminal = createTerminal(['typed secret']);
+
+    const passphrase = await readPassphrase({ env: {}, ...terminal });
+
+    expect(passphrase).toBe('typed secret');
+    expect(terminal.written()).not.toContain('typed secret');
+  });
+
+  test('requires matching answers when confirming', async () => {
+    const terminal = createTerminal(['first', 'second']);
+
+    await expect(readPassphrase({ env: {}, confirm: true, ...terminal }))
+      .rejects.toThrow('Passphrases do not match');
+  });
+});
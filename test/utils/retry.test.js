@@ -0,0 +1,121 @@
+// test/utils/retry.test.js
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/utils/helpers', () => {
+  const actual = jest.requireActual('../../src/utils/helpers');
+  return { ...actual, sleep: jest.fn(actual.sleep), randomInt: jest.fn(actual.randomInt) };
+});
+
+const { retry } = require('../../src/utils/retry');
+const helpers = require('../../src/utils/helpers');
+const { VirtualClock } = require('../../src/utils/clock');
+
+/**
+ * Function failing with the given errors in turn, then resolving with "done"
+ */
+function failing(...messages) {
+  return jest.fn(async () => {
+    if (messages.length > 0) throw new Error(messages.shift());
+    return 'done';
+  });
+}
+
+describe('retry', () => {
+  beforeEach(() => {
+    helpers.sleep.mockImplementation(() => Promise.resolve());
+    helpers.randomInt.mockImplementation(() => 0);
+  });
+
+  afterEach(() => {
+    const actual = jest.requireActual('../../src/utils/helpers');
+    helpers.sleep.mockImplementation(actual.sleep);
+    helpers.randomInt.mockImplementation(actual.randomInt);
+    jest.clearAllMocks();
+  });
+
+  test('returns the first result without waiting', async () => {
+    const fn = failing();
+
+    await expect(retry(fn)).resolves.toBe('done');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(helpers.sleep).not.toHaveBeenCalled();
+  });
+
+  test('doubles the delay after every failure up to maxDelayMs', async () => {
+    const fn = failing('HTTP 500', 'HTTP 500', 'HTTP 500', 'HTTP 500');
+
+    await expect(retry(fn, { maxAttempts: 5, initialDelayMs: 100, maxDelayMs: 300 })).resolves.toBe('done');
+
+    expect(fn).toHaveBeenCalledTimes(5);
+    expect(helpers.sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 200, 300, 300]);
+  });
+
+  test('adds up to 30% of jitter to the delay', async () => {
+    helpers.randomInt.mockImplementation((min, max) => max);
+
+    await retry(failing('HTTP 500'), { initialDelayMs: 1000 });
+
+    expect(helpers.randomInt).toHaveBeenCalledWith(0, 300);
+    expect(helpers.sleep).toHaveBeenCalledWith(1300, undefined);
+  });
+
+  test('waits twice as long after connection errors', async () => {
+    await retry(failing('socket hang up'), { initialDelayMs: 100 });
+
+    expect(helpers.sleep).toHaveBeenCalledWith(200, undefined);
+  });
+
+  test('throws the last error once maxAttempts is reached', async () => {
+    const fn = failing('first', 'second', 'third');
+
+    await expect(retry(fn, { maxAttempts: 2 })).rejects.toThrow('second');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('waits on the clock it is given', async () => {
+    helpers.sleep.mockImplementation(jest.requireActual('../../src/utils/helpers').sleep);
+    const clock = new VirtualClock('2026-03-01T10:00:00Z');
+    const start = clock.now();
+    const attemptedAt = [];
+    const fn = jest.fn(async () => {
+      attemptedAt.push(clock.now() - start);
+      throw new Error('HTTP 500');
+    });
+
+    await expect(retry(fn, { maxAttempts: 6, initialDelayMs: 1000, maxDelayMs: 10000, clock })).rejects.toThrow('HTTP 500');
+
+    expect(attemptedAt).toEqual([0, 1000, 3000, 7000, 15000, 25000]);
+    expect(helpers.sleep).not.toHaveBeenCalled();
+  });
+
+  test('only retries the errors listed in retryableErrors', async () => {
+    const fn = failing('Request failed with status code 400');
+
+    await expect(retry(fn, { retryableErrors: ['ETIMEDOUT', 'timeout'] })).rejects.toThrow('status code 400');
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    await expect(retry(failing('connect ETIMEDOUT'), { retryableErrors: ['ETIMEDOUT'] })).resolves.toBe('done');
+  });
+});
+
+describe('retry with a signal', () => {
+  test('does not start an attempt once aborted', async () => {
+    const fn = jest.fn();
+
+    await expect(retry(fn, { signal: AbortSignal.abort(new Error('stopped')) })).rejects.toThrow('stopped');
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('stops waiting for the next attempt when aborted', async () => {
+    const controller = new AbortController();
+    const fn = jest.fn(async () => {
+      throw new Error('ECONNRESET');
+    });
+
+    const pending = retry(fn, { initialDelayMs: 10000, signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort(new Error('stopped'));
+
+    await expect(pending).rejects.toThrow('stopped');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});